@@ -8,14 +8,34 @@ const fs = require('fs').promises;
 
 // Importar módulos propios
 const ConfigManager = require('./modules/configManager');
+const CacheManager = require('./modules/cacheManager');
+const DataFetcher = require('./modules/dataFetcher');
 const AggregatorService = require('./modules/aggregatorService');
-
-// Crear instancia del servicio
-const aggregatorService = new AggregatorService();
+const Scheduler = require('./modules/scheduler');
+const SecretManager = require('./modules/secretManager');
+const TransformManager = require('./modules/transformManager');
+const SchemaManager = require('./modules/schemaManager');
+const SnapshotManager = require('./modules/snapshotManager');
+const WebhookManager = require('./modules/webhookManager');
+const EventStream = require('./modules/eventStream');
+
+// Crear instancias compartidas de los servicios
+const configManager = new ConfigManager();
+const cacheManager = new CacheManager();
+const snapshotManager = new SnapshotManager();
+const eventStream = new EventStream();
+const secretManager = new SecretManager();
+const webhookManager = new WebhookManager({ configManager, secretManager });
+const dataFetcher = new DataFetcher({ configManager, cacheManager, snapshotManager, eventStream, webhookManager });
+const transformManager = new TransformManager();
+const schemaManager = new SchemaManager();
+const scheduler = new Scheduler({ configManager, cacheManager, dataFetcher, webhookManager });
+const aggregatorService = new AggregatorService({
+  configManager, cacheManager, dataFetcher, transformManager, schemaManager, snapshotManager, scheduler
+});
 
 // Inicializar Express
 const app = express();
-const configManager = new ConfigManager();
 
 // Variables globales
 let serverConfig = {};
@@ -68,6 +88,35 @@ async function setupMiddlewares() {
   app.set('views', path.join(__dirname, 'views'));
 }
 
+/**
+ * Reprograma el scheduler tras un cambio de configuración
+ */
+function reloadSchedule() {
+  if (!scheduler.isRunning) return;
+
+  scheduler.reloadSchedule().catch(error => {
+    console.error('❌ Error recargando programación:', error.message);
+  });
+}
+
+/**
+ * Aplica los límites de la cola de fetch de la configuración guardada
+ * (al arrancar y al guardar la configuración, no en cada fetch)
+ * @param {Object} settings - Settings validados
+ */
+function applyFetchLimits(settings) {
+  dataFetcher.fetchQueue.configure(settings.fetchQueue);
+}
+
+/**
+ * Avisa a los suscriptores de /api/stream que cambió la configuración
+ * @param {string} action - Acción (api-added, api-updated, webhook-removed, ...)
+ * @param {Object} data - Identificadores afectados (nunca secretos)
+ */
+function publishConfigChange(action, data = {}) {
+  eventStream.publish('config-changed', { action, ...data });
+}
+
 /**
  * Rutas principales
  */
@@ -93,6 +142,16 @@ function setupRoutes() {
           admin: '/admin',
           api: '/api',
           aggregated: '/api/aggregated',
+          query: '/api/aggregated/query?xpath=',
+          records: '/api/records',
+          export: '/api/export.csv | /api/export.xlsx',
+          calendar: '/api/calendar.ics',
+          feeds: '/api/feed.atom | /api/feed.rss',
+          webhooks: '/api/webhooks',
+          stream: '/api/stream (SSE | WebSocket)',
+          scheduler: '/api/scheduler/jobs',
+          transforms: '/api/transforms',
+          schemas: '/api/schemas',
           health: '/health'
         }
       });
@@ -121,6 +180,18 @@ function setupRoutes() {
           totalApis: config.apis.length,
           enabledApis: enabledApis.length,
           lastConfigUpdate: config.lastModified
+        },
+        scheduler: {
+          isRunning: scheduler.isRunning,
+          activeJobs: scheduler.stats.activeJobs,
+          lastExecution: scheduler.stats.lastExecution
+        },
+        stream: eventStream.getStats(),
+        circuits: {
+          ...dataFetcher.circuitBreaker.getStats(),
+          sources: Object.fromEntries(config.apis.map(api => [
+            api.id, dataFetcher.circuitBreaker.getState(api.id).state
+          ]))
         }
       });
     } catch (error) {
@@ -136,10 +207,14 @@ function setupRoutes() {
   app.get('/admin', async (req, res) => {
     try {
       const config = await configManager.loadConfig();
+      const maskedConfig = secretManager.maskConfig(config);
       res.render('admin', {
         title: 'XML API Aggregator - Admin Panel',
-        config: config,
-        apis: config.apis.sort((a, b) => a.order - b.order)
+        config: maskedConfig,
+        apis: maskedConfig.apis.sort((a, b) => a.order - b.order),
+        circuits: Object.fromEntries(config.apis.map(api => [
+          api.id, dataFetcher.circuitBreaker.getState(api.id)
+        ]))
       });
     } catch (error) {
       console.error('❌ Error cargando panel admin:', error.message);
@@ -153,7 +228,7 @@ function setupRoutes() {
   app.get('/api/config', async (req, res) => {
     try {
       const config = await configManager.loadConfig();
-      res.json(config);
+      res.json(secretManager.maskConfig(config));
     } catch (error) {
       res.status(500).json({ error: error.message });
     }
@@ -162,6 +237,9 @@ function setupRoutes() {
   app.post('/api/config', async (req, res) => {
     try {
       await configManager.saveConfig(req.body);
+      applyFetchLimits((await configManager.loadConfig()).settings);
+      reloadSchedule();
+      publishConfigChange('config-replaced');
       res.json({ success: true, message: 'Configuración guardada' });
     } catch (error) {
       res.status(500).json({ error: error.message });
@@ -172,7 +250,7 @@ function setupRoutes() {
   app.get('/api/apis', async (req, res) => {
     try {
       const config = await configManager.loadConfig();
-      res.json(config.apis);
+      res.json(config.apis.map(api => secretManager.maskApi(api)));
     } catch (error) {
       res.status(500).json({ error: error.message });
     }
@@ -181,9 +259,11 @@ function setupRoutes() {
   app.post('/api/apis', async (req, res) => {
     try {
       const newApi = await configManager.addApi(req.body);
-      res.json({ success: true, api: newApi });
+      reloadSchedule();
+      publishConfigChange('api-added', { apiId: newApi.id });
+      res.json({ success: true, api: secretManager.maskApi(newApi) });
     } catch (error) {
-      res.status(500).json({ error: error.message });
+      res.status(400).json({ error: error.message });
     }
   });
 
@@ -191,12 +271,15 @@ function setupRoutes() {
     try {
       const updatedApi = await configManager.updateApi(req.params.id, req.body);
       if (updatedApi) {
-        res.json({ success: true, api: updatedApi });
+        dataFetcher.circuitBreaker.reset(updatedApi.id);
+        reloadSchedule();
+        publishConfigChange('api-updated', { apiId: updatedApi.id });
+        res.json({ success: true, api: secretManager.maskApi(updatedApi) });
       } else {
         res.status(404).json({ error: 'API no encontrada' });
       }
     } catch (error) {
-      res.status(500).json({ error: error.message });
+      res.status(400).json({ error: error.message });
     }
   });
 
@@ -204,6 +287,9 @@ function setupRoutes() {
     try {
       const deleted = await configManager.removeApi(req.params.id);
       if (deleted) {
+        dataFetcher.agentManager.release(req.params.id);
+        reloadSchedule();
+        publishConfigChange('api-removed', { apiId: req.params.id });
         res.json({ success: true, message: 'API eliminada' });
       } else {
         res.status(404).json({ error: 'API no encontrada' });
@@ -213,10 +299,85 @@ function setupRoutes() {
     }
   });
 
+  // Webhooks salientes
+  app.get('/api/webhooks', async (req, res) => {
+    try {
+      const config = await configManager.loadConfig();
+      res.json(config.webhooks.map(webhook => secretManager.maskWebhook(webhook)));
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  app.get('/api/webhooks/deliveries', (req, res) => {
+    res.json({
+      status: 'success',
+      timestamp: new Date().toISOString(),
+      stats: webhookManager.getStats(),
+      deliveries: webhookManager.getDeliveries({
+        webhookId: req.query.webhookId,
+        limit: req.query.limit
+      })
+    });
+  });
+
+  app.post('/api/webhooks', async (req, res) => {
+    try {
+      const webhook = await configManager.addWebhook(req.body);
+      publishConfigChange('webhook-added', { webhookId: webhook.id });
+      res.json({ success: true, webhook: secretManager.maskWebhook(webhook) });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  app.put('/api/webhooks/:id', async (req, res) => {
+    try {
+      const webhook = await configManager.updateWebhook(req.params.id, req.body);
+      if (webhook) {
+        publishConfigChange('webhook-updated', { webhookId: webhook.id });
+        res.json({ success: true, webhook: secretManager.maskWebhook(webhook) });
+      } else {
+        res.status(404).json({ error: 'Webhook no encontrado' });
+      }
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  app.delete('/api/webhooks/:id', async (req, res) => {
+    try {
+      const deleted = await configManager.removeWebhook(req.params.id);
+      if (deleted) {
+        publishConfigChange('webhook-removed', { webhookId: req.params.id });
+        res.json({ success: true, message: 'Webhook eliminado' });
+      } else {
+        res.status(404).json({ error: 'Webhook no encontrado' });
+      }
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Entrega de prueba (evento "test", ignora los filtros de la suscripción)
+  app.post('/api/webhooks/:id/test', async (req, res) => {
+    try {
+      const delivery = await webhookManager.sendTest(req.params.id);
+      if (delivery) {
+        res.json({ success: true, delivery });
+      } else {
+        res.status(404).json({ error: 'Webhook no encontrado' });
+      }
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
   // Reordenar APIs
   app.put('/api/apis-order', async (req, res) => {
     try {
       await configManager.reorderApis(req.body.orderedIds);
+      publishConfigChange('apis-reordered');
       res.json({ success: true, message: 'Orden actualizado' });
     } catch (error) {
       res.status(500).json({ error: error.message });
@@ -225,40 +386,89 @@ function setupRoutes() {
 
   // Test de conectividad
   app.post('/api/test-url', async (req, res) => {
-    const { url, timeout = 5000 } = req.body;
+    const { url, timeout = 5000, apiId } = req.body;
 
     if (!url) {
       return res.status(400).json({ error: 'URL requerida' });
     }
 
     try {
-      const axios = require('axios');
-      const startTime = Date.now();
+      // Usar la autenticación guardada de la API si no se envía una explícita
+      const config = await configManager.loadConfig();
+      const storedApi = apiId ? config.apis.find(api => api.id === apiId) : null;
+
+      // Las credenciales guardadas solo se envían al origen de la API
+      const credentialsApi = storedApi && secretManager.isSameOrigin(url, storedApi.url) ? storedApi : null;
+      const requestHeaders = req.body.headers || credentialsApi?.headers || {};
+      const requestAuth = req.body.auth ? configManager.validateAuth(req.body.auth) : credentialsApi?.auth;
+
+      if (storedApi && !credentialsApi && secretManager.hasMaskedValues([{
+        headers: requestHeaders,
+        sensitiveHeaders: Object.keys(requestHeaders),
+        auth: requestAuth
+      }])) {
+        return res.status(400).json({
+          error: 'Las credenciales guardadas solo se usan con el origen de la API; envíalas explícitamente para probar otra URL'
+        });
+      }
 
-      const response = await axios.get(url, {
-        timeout: timeout,
+      // Los secretos enmascarados (***) se toman de la API guardada
+      const testApi = secretManager.restoreMaskedApi({
+        headers: requestHeaders,
+        sensitiveHeaders: credentialsApi?.sensitiveHeaders,
+        auth: requestAuth,
+        proxy: req.body.proxy !== undefined
+          ? (req.body.proxy === false ? false : configManager.validateProxy(req.body.proxy))
+          : storedApi?.proxy,
+        tls: req.body.tls ? configManager.validateTls(req.body.tls) : credentialsApi?.tls
+      }, credentialsApi);
+
+      const result = await dataFetcher.testConnection(url, {
+        timeout,
         headers: {
-          'User-Agent': serverConfig.settings.userAgent || 'XML-Aggregator/1.0'
+          'User-Agent': serverConfig.settings.userAgent || 'XML-Aggregator/1.0',
+          ...testApi.headers
         },
-        validateStatus: function (status) {
-          return status < 500; // Resolver solo si el código es menor a 500
-        }
+        sensitiveHeaders: testApi.sensitiveHeaders,
+        auth: testApi.auth,
+        proxy: testApi.proxy,
+        tls: testApi.tls,
+        includeBody: true
       });
 
-      const responseTime = Date.now() - startTime;
+      const { data, ...response } = result;
 
-      res.json({
-        success: true,
-        status: response.status,
-        statusText: response.statusText,
-        responseTime: responseTime,
-        contentType: response.headers['content-type'] || 'unknown',
-        contentLength: response.headers['content-length'] || 'unknown',
-        isXml: (response.headers['content-type'] || '').includes('xml'),
-        preview: typeof response.data === 'string'
-          ? response.data.substring(0, 500) + (response.data.length > 500 ? '...' : '')
-          : JSON.stringify(response.data).substring(0, 500)
-      });
+      // Validar contra el XSD (enviado o guardado) como lo haría la agregación
+      const schema = req.body.schema !== undefined
+        ? configManager.validateSchema(req.body.schema)
+        : storedApi?.schema;
+
+      if (result.success && result.status < 300 && schema && typeof data === 'string') {
+        let xml = data;
+
+        if (storedApi?.transform) {
+          try {
+            xml = await transformManager.transform(data, storedApi.transform, storedApi.id);
+          } catch (error) {
+            response.transformError = error.message;
+          }
+        }
+
+        if (!response.transformError) {
+          try {
+            response.schemaValidation = await schemaManager.validate(xml, schema);
+          } catch (error) {
+            response.schemaValidation = {
+              isValid: false,
+              schema,
+              errors: [{ message: error.message, line: null, column: null }]
+            };
+          }
+          response.schemaValidation.onInvalid = req.body.onInvalid || storedApi?.onInvalid || 'reject';
+        }
+      }
+
+      res.json(response);
 
     } catch (error) {
       res.json({
@@ -278,11 +488,35 @@ function setupRoutes() {
       // Preparar opciones de agregación desde query parameters
       const options = {
         sequential: req.query.sequential === 'true',
+        fresh: req.query.fresh === 'true',
         timeout: req.query.timeout ? parseInt(req.query.timeout) : undefined,
         format: req.query.format || 'xml',
-        include: req.query.include || 'xml'
+        include: req.query.include || 'data',
+        mergeStrategy: req.query.mergeStrategy,
+        mergeKey: req.query.mergeKey
       };
 
+      // Convención JSON (fxp, badgerfish, compact) y arrays forzados: true o lista de tags
+      // (?alwaysArray=item,entry o ?alwaysArray=item&alwaysArray=entry)
+      const alwaysArrayTags = [].concat(req.query.alwaysArray || [])
+        .flatMap(entry => String(entry).split(','))
+        .map(tag => tag.trim())
+        .filter(tag => tag && tag !== 'false');
+
+      const jsonOptions = {
+        convention: req.query.convention || 'fxp',
+        alwaysArray: alwaysArrayTags.includes('true') || (alwaysArrayTags.length > 0 ? alwaysArrayTags : false)
+      };
+
+      if (!aggregatorService.xmlProcessor.jsonConventions.includes(jsonOptions.convention)) {
+        return res.status(400).json({
+          status: 'error',
+          message: `Convención JSON no soportada: ${jsonOptions.convention}`,
+          supportedConventions: aggregatorService.xmlProcessor.jsonConventions,
+          timestamp: new Date().toISOString()
+        });
+      }
+
       // Ejecutar agregación usando el servicio
       const result = await aggregatorService.aggregateAllSources(options);
 
@@ -302,6 +536,8 @@ function setupRoutes() {
         // Responder con XML puro
         res.set('Content-Type', 'application/xml; charset=utf-8');
         res.set('X-Total-Sources', result.summary.validSources.toString());
+        res.set('X-Cached-Sources', result.summary.cachedSources.toString());
+        res.set('X-Stale-Sources', result.summary.staleSources.toString());
         res.set('X-Processing-Time', result.summary.processingTime.toString());
         return res.send(result.aggregatedXml);
       }
@@ -321,7 +557,7 @@ function setupRoutes() {
           break;
 
         case 'structure':
-          jsonResponse.aggregatedStructure = result.aggregatedStructure;
+          jsonResponse.aggregatedStructure = aggregatorService.toJsonStructure(result, jsonOptions);
           break;
 
         case 'metadata':
@@ -329,14 +565,15 @@ function setupRoutes() {
           break;
 
         case 'all':
+          jsonResponse.data = aggregatorService.toJsonData(result, jsonOptions);
           jsonResponse.aggregatedXml = result.aggregatedXml;
-          jsonResponse.aggregatedStructure = result.aggregatedStructure;
+          jsonResponse.aggregatedStructure = aggregatorService.toJsonStructure(result, jsonOptions);
           jsonResponse.metadata = result.metadata;
           break;
 
         default:
-          // Por defecto incluir XML
-          jsonResponse.aggregatedXml = result.aggregatedXml;
+          // Por defecto incluir los datos parseados a JSON
+          jsonResponse.data = aggregatorService.toJsonData(result, jsonOptions);
           break;
       }
 
@@ -353,6 +590,239 @@ function setupRoutes() {
     }
   });
 
+  // Consulta XPath 1.0 sobre el documento agregado (o una fuente con ?source=)
+  app.get('/api/aggregated/query', async (req, res) => {
+    try {
+      // Prefijos de namespace: ?ns=prefijo:uri (repetible)
+      const namespaces = {};
+      for (const entry of [].concat(req.query.ns || [])) {
+        const separator = entry.indexOf(':');
+        if (separator > 0) {
+          namespaces[entry.slice(0, separator)] = entry.slice(separator + 1);
+        }
+      }
+
+      const result = await aggregatorService.queryAggregated(req.query.xpath, {
+        source: req.query.source,
+        namespaces,
+        format: req.query.format || 'xml',
+        fresh: req.query.fresh === 'true',
+        mergeStrategy: req.query.mergeStrategy,
+        mergeKey: req.query.mergeKey
+      });
+
+      if (result.status === 'warning') {
+        return res.status(200).json(result);
+      }
+
+      if (result.status === 'error') {
+        return res.status(result.statusCode || 500).json(result);
+      }
+
+      res.set('X-Result-Count', result.count.toString());
+
+      if (req.query.format === 'json') {
+        const { resultXml, ...jsonResult } = result;
+        return res.json(jsonResult);
+      }
+
+      res.set('Content-Type', 'application/xml; charset=utf-8');
+      res.send(result.resultXml);
+
+    } catch (error) {
+      console.error('❌ Error en consulta XPath:', error.message);
+      res.status(500).json({
+        status: 'error',
+        message: 'Error interno del servidor',
+        timestamp: new Date().toISOString()
+      });
+    }
+  });
+
+  // Registros normalizados al esquema canónico
+  app.get('/api/records', async (req, res) => {
+    try {
+      const result = await aggregatorService.getRecords({
+        source: req.query.source,
+        format: req.query.format || 'xml',
+        fresh: req.query.fresh === 'true'
+      });
+
+      if (result.status === 'warning') {
+        return res.status(200).json(result);
+      }
+
+      if (result.status === 'error') {
+        return res.status(result.statusCode || 500).json(result);
+      }
+
+      res.set('X-Total-Records', result.count.toString());
+
+      if (req.query.format === 'json') {
+        const { recordsXml, ...jsonResult } = result;
+        return res.json(jsonResult);
+      }
+
+      res.set('Content-Type', 'application/xml; charset=utf-8');
+      res.send(result.recordsXml);
+
+    } catch (error) {
+      console.error('❌ Error obteniendo registros:', error.message);
+      res.status(500).json({
+        status: 'error',
+        message: 'Error interno del servidor',
+        timestamp: new Date().toISOString()
+      });
+    }
+  });
+
+  // Exportación CSV / XLSX de registros repetidos (recordXPath por fuente)
+  async function sendExport(req, res, format) {
+    try {
+      const result = await aggregatorService.getExportRows({
+        profile: req.query.profile,
+        source: req.query.source,
+        fresh: req.query.fresh === 'true'
+      });
+
+      if (result.status === 'warning') {
+        return res.status(200).json(result);
+      }
+
+      if (result.status === 'error') {
+        return res.status(result.statusCode || 500).json(result);
+      }
+
+      const exportManager = aggregatorService.exportManager;
+      const baseName = `export-${result.profile?.id || 'all'}-${result.timestamp.slice(0, 10)}`;
+
+      res.set('X-Total-Rows', result.count.toString());
+      if (result.exportErrors.length > 0) {
+        res.set('X-Export-Errors', result.exportErrors.map(e => e.apiId).join(','));
+      }
+
+      if (format === 'xlsx') {
+        const buffer = await exportManager.toXlsx(result.rows, result.columns, {
+          sheetName: result.profile?.name
+        });
+        res.set('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        res.set('Content-Disposition', `attachment; filename="${baseName}.xlsx"`);
+        return res.send(buffer);
+      }
+
+      const delimiter = req.query.delimiter || result.profile?.delimiter || ',';
+      if (![',', ';', '\t', '|'].includes(delimiter)) {
+        return res.status(400).json({ error: `Separador CSV inválido: ${delimiter}` });
+      }
+
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="${baseName}.csv"`);
+      res.send(exportManager.toCsv(result.rows, result.columns, { delimiter }));
+
+    } catch (error) {
+      console.error('❌ Error exportando registros:', error.message);
+      res.status(500).json({
+        status: 'error',
+        message: 'Error interno del servidor',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  app.get('/api/export.csv', (req, res) => sendExport(req, res, 'csv'));
+  app.get('/api/export.xlsx', (req, res) => sendExport(req, res, 'xlsx'));
+
+  // Calendario iCalendar de partidos (suscribible desde Google Calendar, Outlook, etc.)
+  app.get('/api/calendar.ics', async (req, res) => {
+    try {
+      // Filtros: ?team=Boca&team=River o ?team=Boca,River (igual para competition)
+      const listParam = value => [].concat(value || [])
+        .flatMap(entry => String(entry).split(','))
+        .map(entry => entry.trim())
+        .filter(Boolean);
+
+      const result = await aggregatorService.getCalendar({
+        teams: listParam(req.query.team),
+        competitions: listParam(req.query.competition),
+        source: req.query.source,
+        name: req.query.name,
+        fresh: req.query.fresh === 'true'
+      });
+
+      if (result.status === 'warning') {
+        return res.status(200).json(result);
+      }
+
+      if (result.status === 'error') {
+        return res.status(result.statusCode || 500).json(result);
+      }
+
+      res.set('X-Total-Events', result.count.toString());
+      if (result.calendarErrors.length > 0) {
+        res.set('X-Calendar-Errors', result.calendarErrors.map(e => e.apiId).join(','));
+      }
+
+      if (req.query.format === 'json') {
+        const { ics, ...jsonResult } = result;
+        return res.json(jsonResult);
+      }
+
+      res.set('Content-Type', 'text/calendar; charset=utf-8');
+      res.set('Content-Disposition', 'inline; filename="calendar.ics"');
+      res.send(result.ics);
+
+    } catch (error) {
+      console.error('❌ Error generando calendario:', error.message);
+      res.status(500).json({
+        status: 'error',
+        message: 'Error interno del servidor',
+        timestamp: new Date().toISOString()
+      });
+    }
+  });
+
+  // Feeds Atom / RSS con una entrada por cada cambio de contenido de una fuente
+  async function sendFeed(req, res, format) {
+    try {
+      const result = await aggregatorService.getFeedEntries({
+        source: req.query.source,
+        limit: req.query.limit
+      });
+
+      if (result.status === 'error') {
+        return res.status(result.statusCode || 500).json(result);
+      }
+
+      const baseUrl = `${req.protocol}://${req.get('host')}`;
+      const feedOptions = {
+        selfUrl: baseUrl + req.originalUrl,
+        alternateUrl: `${baseUrl}/api/aggregated`
+      };
+
+      const feedManager = aggregatorService.feedManager;
+      res.set('X-Total-Entries', result.count.toString());
+
+      if (format === 'rss') {
+        res.set('Content-Type', 'application/rss+xml; charset=utf-8');
+        return res.send(feedManager.toRss(result.entries, feedOptions));
+      }
+
+      res.set('Content-Type', 'application/atom+xml; charset=utf-8');
+      res.send(feedManager.toAtom(result.entries, feedOptions));
+
+    } catch (error) {
+      console.error('❌ Error generando feed:', error.message);
+      res.status(500).json({
+        status: 'error',
+        message: 'Error interno del servidor',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  app.get('/api/feed.atom', (req, res) => sendFeed(req, res, 'atom'));
+  app.get('/api/feed.rss', (req, res) => sendFeed(req, res, 'rss'));
+
   // Opcional: Ruta adicional para obtener información de fuentes
   app.get('/api/sources', async (req, res) => {
     try {
@@ -371,6 +841,87 @@ function setupRoutes() {
     }
   });
 
+  // Historial de versiones (snapshots) de una fuente
+  app.get('/api/sources/:id/history', async (req, res) => {
+    try {
+      const config = await configManager.loadConfig();
+      const api = config.apis.find(a => a.id === req.params.id);
+      const versions = await snapshotManager.listVersions(req.params.id);
+
+      if (!api && versions.length === 0) {
+        return res.status(404).json({ error: 'API no encontrada' });
+      }
+
+      res.json({
+        status: 'success',
+        timestamp: new Date().toISOString(),
+        apiId: req.params.id,
+        retention: api?.snapshotRetention || null,
+        count: versions.length,
+        versions
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Contenido de una versión (número o 'latest'); ?format=json incluye los metadatos
+  app.get('/api/sources/:id/snapshots/:version', async (req, res) => {
+    try {
+      const { version } = req.params;
+      if (version !== 'latest' && !/^\d+$/.test(version)) {
+        return res.status(400).json({ error: `Versión inválida: ${version}` });
+      }
+
+      const snapshot = await snapshotManager.getSnapshot(req.params.id, version);
+      if (!snapshot) {
+        return res.status(404).json({ error: `Snapshot no encontrado: ${req.params.id} v${version}` });
+      }
+
+      if (req.query.format === 'json') {
+        return res.json({ status: 'success', apiId: req.params.id, ...snapshot });
+      }
+
+      res.set('X-Snapshot-Version', snapshot.version.toString());
+      res.set('X-Snapshot-Timestamp', snapshot.timestamp);
+      res.set('Content-Type', 'application/xml; charset=utf-8');
+      res.send(snapshot.content);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Diff estructural entre dos versiones (?from=N&to=M, por defecto la última contra la anterior)
+  app.get('/api/sources/:id/diff', async (req, res) => {
+    try {
+      const result = await aggregatorService.diffSnapshots(req.params.id, {
+        from: req.query.from,
+        to: req.query.to
+      });
+
+      if (result.status === 'error') {
+        return res.status(result.statusCode || 500).json(result);
+      }
+
+      res.json(result);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Eventos en vivo (SSE; el WebSocket se atiende en la misma ruta)
+  app.get('/api/stream', (req, res) => {
+    try {
+      eventStream.handleSse(req, res);
+    } catch (error) {
+      res.status(400).json({
+        status: 'error',
+        message: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  });
+
   // Opcional: Ruta para obtener estadísticas del agregador
   app.get('/api/aggregator/stats', async (req, res) => {
     try {
@@ -389,6 +940,162 @@ function setupRoutes() {
     }
   });
 
+  // Estado de los trabajos programados
+  app.get('/api/scheduler/jobs', async (req, res) => {
+    try {
+      res.json({
+        status: 'success',
+        timestamp: new Date().toISOString(),
+        jobs: scheduler.getJobsStatus(),
+        upcoming: scheduler.getUpcomingExecutions()
+      });
+    } catch (error) {
+      res.status(500).json({
+        status: 'error',
+        message: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  });
+
+  // Hojas de estilo XSLT (config/transforms)
+  app.get('/api/transforms', async (req, res) => {
+    try {
+      res.json({
+        transforms: await transformManager.listTransforms(),
+        stats: transformManager.getStats()
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  app.get('/api/transforms/:name', async (req, res) => {
+    try {
+      const content = await transformManager.getTransform(req.params.name);
+      if (content === null) {
+        return res.status(404).json({ error: 'Hoja de estilo no encontrada' });
+      }
+      res.json({ name: req.params.name, content });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  app.put('/api/transforms/:name', async (req, res) => {
+    try {
+      await transformManager.saveTransform(req.params.name, req.body.content);
+      res.json({ success: true, message: 'Hoja de estilo guardada', name: req.params.name });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  app.delete('/api/transforms/:name', async (req, res) => {
+    try {
+      const config = await configManager.loadConfig();
+      const inUse = config.apis.filter(api => api.transform === req.params.name);
+      if (inUse.length > 0) {
+        return res.status(409).json({
+          error: 'La hoja de estilo está asignada a fuentes',
+          apis: inUse.map(api => api.id)
+        });
+      }
+
+      const deleted = await transformManager.deleteTransform(req.params.name);
+      if (deleted) {
+        res.json({ success: true, message: 'Hoja de estilo eliminada' });
+      } else {
+        res.status(404).json({ error: 'Hoja de estilo no encontrada' });
+      }
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  // Vista previa antes/después contra la última respuesta obtenida de la fuente
+  app.post('/api/transforms/preview', async (req, res) => {
+    const { apiId, content } = req.body;
+
+    if (!apiId || !content) {
+      return res.status(400).json({ error: 'apiId y content requeridos' });
+    }
+
+    try {
+      const lastResponse = await cacheManager.getLastResponse(apiId);
+      const cached = lastResponse ? null : await cacheManager.getApiData(apiId);
+      const before = lastResponse?.data || cached?.rawData;
+
+      if (!before) {
+        return res.status(404).json({ error: 'No hay una respuesta previa de esta fuente' });
+      }
+
+      try {
+        const after = await transformManager.applyStylesheet(before, content);
+        res.json({ success: true, apiId, before, after });
+      } catch (error) {
+        res.json({ success: false, apiId, before, after: null, error: error.message });
+      }
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Esquemas XSD (config/schemas)
+  app.get('/api/schemas', async (req, res) => {
+    try {
+      res.json({
+        schemas: await schemaManager.listSchemas(),
+        stats: schemaManager.getStats()
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  app.get('/api/schemas/:name', async (req, res) => {
+    try {
+      const content = await schemaManager.getSchema(req.params.name);
+      if (content === null) {
+        return res.status(404).json({ error: 'Esquema no encontrado' });
+      }
+      res.json({ name: req.params.name, content });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  app.put('/api/schemas/:name', async (req, res) => {
+    try {
+      await schemaManager.saveSchema(req.params.name, req.body.content);
+      res.json({ success: true, message: 'Esquema guardado', name: req.params.name });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  app.delete('/api/schemas/:name', async (req, res) => {
+    try {
+      const config = await configManager.loadConfig();
+      const inUse = config.apis.filter(api => api.schema === req.params.name);
+      if (inUse.length > 0) {
+        return res.status(409).json({
+          error: 'El esquema está asignado a fuentes',
+          apis: inUse.map(api => api.id)
+        });
+      }
+
+      const deleted = await schemaManager.deleteSchema(req.params.name);
+      if (deleted) {
+        res.json({ success: true, message: 'Esquema eliminado' });
+      } else {
+        res.status(404).json({ error: 'Esquema no encontrado' });
+      }
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
   // Opcional: Ruta para resetear estadísticas
   app.post('/api/aggregator/reset-stats', async (req, res) => {
     try {
@@ -425,8 +1132,35 @@ function setupRoutes() {
         'PUT /api/apis/:id',
         'DELETE /api/apis/:id',
         'PUT /api/apis-order',
+        'GET /api/webhooks',
+        'GET /api/webhooks/deliveries',
+        'POST /api/webhooks',
+        'PUT /api/webhooks/:id',
+        'DELETE /api/webhooks/:id',
+        'POST /api/webhooks/:id/test',
+        'GET /api/stream',
         'POST /api/test-url',
-        'GET /api/aggregated'
+        'GET /api/aggregated',
+        'GET /api/aggregated/query',
+        'GET /api/records',
+        'GET /api/export.csv',
+        'GET /api/export.xlsx',
+        'GET /api/calendar.ics',
+        'GET /api/feed.atom',
+        'GET /api/feed.rss',
+        'GET /api/sources/:id/history',
+        'GET /api/sources/:id/snapshots/:version',
+        'GET /api/sources/:id/diff',
+        'GET /api/scheduler/jobs',
+        'GET /api/transforms',
+        'GET /api/transforms/:name',
+        'PUT /api/transforms/:name',
+        'DELETE /api/transforms/:name',
+        'POST /api/transforms/preview',
+        'GET /api/schemas',
+        'GET /api/schemas/:name',
+        'PUT /api/schemas/:name',
+        'DELETE /api/schemas/:name'
       ]
     });
   });
@@ -446,7 +1180,7 @@ function setupRoutes() {
  * Función para crear archivos necesarios si no existen
  */
 async function ensureDirectoriesAndFiles() {
-  const directories = ['config', 'logs', 'views', 'public/css', 'public/js'];
+  const directories = ['config', 'config/transforms', 'config/schemas', 'logs', 'views', 'public/css', 'public/js'];
 
   for (const dir of directories) {
     try {
@@ -477,10 +1211,14 @@ async function startServer() {
 
     // Configurar middlewares
     await setupMiddlewares();
+    applyFetchLimits(serverConfig.settings);
 
     // Configurar rutas
     setupRoutes();
 
+    // Iniciar pre-carga en segundo plano de las fuentes
+    await scheduler.initialize();
+
     // Obtener puerto de configuración
     const port = serverConfig.settings.port || 8080;
 
@@ -496,22 +1234,22 @@ async function startServer() {
       console.log('💡 Usa Ctrl+C para detener el servidor');
     });
 
+    // WebSocket de eventos en vivo, comparte puerto y ruta con el SSE
+    eventStream.attachWebSocket(server, '/api/stream');
+
     // Manejo de señales de cierre
-    process.on('SIGTERM', () => {
-      console.log('\n🛑 Recibida señal SIGTERM, cerrando servidor...');
+    const shutdown = async (signal) => {
+      console.log(`\n🛑 Recibida señal ${signal}, cerrando servidor...`);
+      await scheduler.stop();
+      eventStream.close();
       server.close(() => {
         console.log('✅ Servidor cerrado correctamente');
         process.exit(0);
       });
-    });
+    };
 
-    process.on('SIGINT', () => {
-      console.log('\n🛑 Recibida señal SIGINT, cerrando servidor...');
-      server.close(() => {
-        console.log('✅ Servidor cerrado correctamente');
-        process.exit(0);
-      });
-    });
+    process.on('SIGTERM', () => shutdown('SIGTERM'));
+    process.on('SIGINT', () => shutdown('SIGINT'));
 
   } catch (error) {
     console.error('❌ Error al inicializar servidor:', error.message);
@@ -0,0 +1,285 @@
+// modules/agentManager.js
+const fs = require('fs').promises;
+const crypto = require('crypto');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const tls = require('tls');
+const { HttpProxyAgent } = require('http-proxy-agent');
+const { HttpsProxyAgent } = require('https-proxy-agent');
+
+class AgentManager {
+  constructor() {
+    this.baseDir = path.join(__dirname, '../config'); // Los certificados se buscan dentro de config/
+    this.agents = new Map(); // Agentes reutilizables por combinación de proxy y TLS: clave -> { agents, owners }
+    this.owners = new Map(); // Clave de agentes en uso por cada fuente
+  }
+
+  /**
+   * Obtiene las opciones de axios (agentes) para consultar una URL de una fuente.
+   * Los certificados se leen una sola vez, al crear los agentes; si la
+   * configuración de la fuente cambia, sus agentes anteriores se destruyen
+   * @param {string} url - URL destino
+   * @param {Object} source - { proxy, tls } de la API (secretos ya descifrados)
+   * @param {Object} settings - Settings globales ({ proxy, tls }, secretos ya descifrados)
+   * @param {string|null} owner - ID de la fuente dueña de los agentes; sin dueño (pruebas de
+   *   conexión) los agentes no se reutilizan y se liberan con releaseAgents
+   * @returns {Promise<Object>} { httpAgent, httpsAgent, proxy: false }
+   */
+  async getAxiosOptions(url, source = {}, settings = {}, owner = null) {
+    const proxyUrl = this.resolveProxy(url, source.proxy, settings.proxy);
+    const tlsConfig = this.getTlsConfig(source.tls, settings.tls);
+
+    // proxy: false para que axios no aplique además las variables de entorno
+    if (!owner) {
+      return { ...(await this.createAgents(proxyUrl, tlsConfig)), proxy: false };
+    }
+
+    const key = JSON.stringify([proxyUrl, tlsConfig.signature]);
+    if (this.owners.get(owner) !== key) {
+      this.release(owner);
+    }
+
+    if (!this.agents.has(key)) {
+      const entry = { agents: this.createAgents(proxyUrl, tlsConfig), owners: new Set() };
+      this.agents.set(key, entry);
+      // Un certificado ilegible no queda cacheado: se reintenta en el próximo fetch
+      entry.agents.catch(() => {
+        if (this.agents.get(key) === entry) this.agents.delete(key);
+        for (const entryOwner of entry.owners) this.owners.delete(entryOwner);
+      });
+    }
+
+    const entry = this.agents.get(key);
+    entry.owners.add(owner);
+    this.owners.set(owner, key);
+
+    return { ...(await entry.agents), proxy: false };
+  }
+
+  /**
+   * Deja de usar los agentes de una fuente (ej: al eliminarla o cambiar su
+   * configuración) y los destruye si ninguna otra fuente los comparte
+   * @param {string} owner - ID de la fuente
+   */
+  release(owner) {
+    const key = this.owners.get(owner);
+    if (key === undefined) return;
+
+    this.owners.delete(owner);
+    const entry = this.agents.get(key);
+    if (!entry) return;
+
+    entry.owners.delete(owner);
+    if (entry.owners.size === 0) {
+      this.agents.delete(key);
+      entry.agents.then(agents => this.releaseAgents(agents), () => {});
+    }
+  }
+
+  /**
+   * Destruye un par de agentes (cierra sus sockets keep-alive)
+   * @param {Object} agents - { httpAgent, httpsAgent }
+   */
+  releaseAgents(agents) {
+    agents.httpAgent?.destroy();
+    agents.httpsAgent?.destroy();
+  }
+
+  /**
+   * Crea el par de agentes HTTP/HTTPS, leyendo los certificados configurados
+   * @param {string|null} proxyUrl - Proxy a usar o null para conexión directa
+   * @param {Object} tlsConfig - Configuración TLS (getTlsConfig)
+   * @returns {Promise<Object>} { httpAgent, httpsAgent }
+   */
+  async createAgents(proxyUrl, tlsConfig) {
+    const tlsOptions = await this.loadTlsOptions(tlsConfig);
+
+    if (proxyUrl) {
+      return {
+        httpAgent: new HttpProxyAgent(proxyUrl, { keepAlive: true }),
+        httpsAgent: new HttpsProxyAgent(proxyUrl, { keepAlive: true, ...tlsOptions })
+      };
+    }
+
+    return {
+      httpAgent: new http.Agent({ keepAlive: true }),
+      httpsAgent: new https.Agent({ keepAlive: true, ...tlsOptions })
+    };
+  }
+
+  /**
+   * Determina el proxy para una URL: el de la fuente, el global o el de las
+   * variables de entorno (HTTPS_PROXY / HTTP_PROXY), respetando NO_PROXY
+   * @param {string} url - URL destino
+   * @param {Object|boolean|null} sourceProxy - Proxy de la fuente (false = conexión directa)
+   * @param {Object} globalProxy - { url, username, password, noProxy }
+   * @returns {string|null} URL del proxy con credenciales o null
+   */
+  resolveProxy(url, sourceProxy, globalProxy) {
+    if (sourceProxy === false) return null;
+
+    const target = new URL(url);
+    const isHttps = target.protocol === 'https:';
+
+    // Cada proxy trae su propia lista de exclusiones
+    const proxy = sourceProxy?.url
+      ? sourceProxy
+      : globalProxy?.url
+        ? globalProxy
+        : { url: isHttps ? this.getEnv('https_proxy') || this.getEnv('http_proxy') : this.getEnv('http_proxy') };
+    if (!proxy.url) return null;
+
+    const noProxy = sourceProxy?.url || globalProxy?.url
+      ? proxy.noProxy || []
+      : (this.getEnv('no_proxy') || '').split(',');
+
+    const port = target.port || (isHttps ? '443' : '80');
+    if (this.matchesNoProxy(target.hostname, port, noProxy)) return null;
+
+    return this.buildProxyUrl(proxy);
+  }
+
+  /**
+   * Verifica si un host está excluido del proxy. Acepta "*", dominios
+   * (ejemplo.com cubre sus subdominios), ".ejemplo.com", "*.ejemplo.com" y host:puerto
+   * @param {string} hostname - Host destino
+   * @param {string} port - Puerto destino
+   * @param {Array} noProxy - Entradas NO_PROXY
+   * @returns {boolean}
+   */
+  matchesNoProxy(hostname, port, noProxy) {
+    const host = hostname.toLowerCase().replace(/^\[|\]$/g, '');
+
+    return noProxy
+      .map(entry => String(entry).trim().toLowerCase())
+      .filter(Boolean)
+      .some(entry => {
+        if (entry === '*') return true;
+
+        const [, entryHost, entryPort] = entry.match(/^(.+?)(?::(\d+))?$/);
+        if (entryPort && entryPort !== port) return false;
+
+        const domain = entryHost.replace(/^\*?\./, '');
+        return host === domain || host.endsWith(`.${domain}`);
+      });
+  }
+
+  /**
+   * Arma la URL del proxy con sus credenciales
+   * @param {Object} proxy - { url, username, password }
+   * @returns {string} URL del proxy
+   */
+  buildProxyUrl(proxy) {
+    const proxyUrl = new URL(proxy.url);
+    if (proxy.username) {
+      proxyUrl.username = proxy.username;
+      proxyUrl.password = proxy.password || '';
+    }
+    return proxyUrl.toString();
+  }
+
+  /**
+   * Lee una variable de entorno en minúsculas o mayúsculas
+   * @param {string} name - Nombre en minúsculas
+   * @returns {string|undefined}
+   */
+  getEnv(name) {
+    return process.env[name] || process.env[name.toUpperCase()];
+  }
+
+  /**
+   * Resuelve la configuración TLS de una fuente sin leer archivos. La firma
+   * identifica la combinación (rutas, passphrase, verificación) para reutilizar agentes
+   * @param {Object} sourceTls - { caFile, certFile, keyFile, passphrase, rejectUnauthorized }
+   * @param {Object} globalTls - { caFile }
+   * @returns {Object} { caFiles, certFile, keyFile, passphrase, rejectUnauthorized, signature }
+   */
+  getTlsConfig(sourceTls = {}, globalTls = {}) {
+    const caFiles = [globalTls?.caFile, sourceTls?.caFile].filter(Boolean).map(file => this.resolvePemPath(file));
+
+    if (Boolean(sourceTls?.certFile) !== Boolean(sourceTls?.keyFile)) {
+      throw new Error('mTLS requiere certFile y keyFile');
+    }
+
+    const config = {
+      caFiles,
+      certFile: sourceTls?.certFile ? this.resolvePemPath(sourceTls.certFile) : null,
+      keyFile: sourceTls?.keyFile ? this.resolvePemPath(sourceTls.keyFile) : null,
+      passphrase: sourceTls?.certFile && sourceTls.passphrase ? sourceTls.passphrase : null,
+      rejectUnauthorized: sourceTls?.rejectUnauthorized !== false
+    };
+
+    config.signature = [
+      ...caFiles,
+      config.certFile,
+      config.keyFile,
+      config.passphrase ? crypto.createHash('sha256').update(config.passphrase).digest('hex') : null,
+      config.rejectUnauthorized ? null : 'insecure'
+    ].filter(Boolean);
+
+    return config;
+  }
+
+  /**
+   * Lee los certificados y arma las opciones TLS de los agentes. El CA propio se
+   * suma a las raíces del sistema para no romper los sitios públicos ni un proxy HTTPS
+   * @param {Object} tlsConfig - Configuración TLS (getTlsConfig)
+   * @returns {Promise<Object>} ca, cert, key, passphrase, rejectUnauthorized
+   */
+  async loadTlsOptions(tlsConfig) {
+    const options = {};
+
+    if (tlsConfig.caFiles.length > 0) {
+      const cas = await Promise.all(tlsConfig.caFiles.map(file => this.readPem(file)));
+      options.ca = [...tls.rootCertificates, ...cas];
+    }
+
+    if (tlsConfig.certFile) {
+      [options.cert, options.key] = await Promise.all([
+        this.readPem(tlsConfig.certFile),
+        this.readPem(tlsConfig.keyFile)
+      ]);
+      if (tlsConfig.passphrase) {
+        options.passphrase = tlsConfig.passphrase;
+      }
+    }
+
+    if (!tlsConfig.rejectUnauthorized) {
+      options.rejectUnauthorized = false;
+    }
+
+    return options;
+  }
+
+  /**
+   * Resuelve la ruta de un certificado dentro de config/ (relativa o absoluta)
+   * @param {string} file - Ruta configurada
+   * @returns {string} Ruta absoluta
+   */
+  resolvePemPath(file) {
+    const filePath = path.resolve(this.baseDir, String(file));
+    const relative = path.relative(this.baseDir, filePath);
+
+    if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) {
+      throw new Error(`El certificado ${file} debe estar dentro de config/`);
+    }
+
+    return filePath;
+  }
+
+  /**
+   * Lee un archivo PEM
+   * @param {string} filePath - Ruta absoluta (resolvePemPath)
+   * @returns {Promise<string>} Contenido PEM
+   */
+  async readPem(filePath) {
+    try {
+      return await fs.readFile(filePath, 'utf8');
+    } catch (error) {
+      throw new Error(`No se pudo leer el certificado ${path.relative(this.baseDir, filePath)}: ${error.message}`);
+    }
+  }
+}
+
+module.exports = AgentManager;
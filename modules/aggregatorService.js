@@ -2,35 +2,122 @@
 const DataFetcher = require('./dataFetcher');
 const XmlProcessor = require('./xmlProcessor');
 const ConfigManager = require('./configManager');
+const CacheManager = require('./cacheManager');
+const TransformManager = require('./transformManager');
+const SchemaManager = require('./schemaManager');
+const RecordMapper = require('./recordMapper');
+const ExportManager = require('./exportManager');
+const CalendarManager = require('./calendarManager');
+const FeedManager = require('./feedManager');
+const SnapshotManager = require('./snapshotManager');
+const CharsetDecoder = require('./charsetDecoder');
 
 class AggregatorService {
-  constructor() {
-    this.dataFetcher = new DataFetcher();
-    this.xmlProcessor = new XmlProcessor();
-    this.configManager = new ConfigManager();
+  /**
+   * @param {Object} dependencies - Instancias compartidas opcionales
+   *   (configManager, dataFetcher, xmlProcessor, cacheManager, transformManager, schemaManager,
+   *   recordMapper, exportManager, calendarManager, feedManager, snapshotManager, scheduler)
+   */
+  constructor(dependencies = {}) {
+    this.configManager = dependencies.configManager || new ConfigManager();
+    this.cacheManager = dependencies.cacheManager || new CacheManager();
+    this.dataFetcher = dependencies.dataFetcher || new DataFetcher({
+      configManager: this.configManager,
+      cacheManager: this.cacheManager
+    });
+    this.xmlProcessor = dependencies.xmlProcessor || new XmlProcessor();
+    this.transformManager = dependencies.transformManager || new TransformManager();
+    this.schemaManager = dependencies.schemaManager || new SchemaManager();
+    this.recordMapper = dependencies.recordMapper || new RecordMapper();
+    this.exportManager = dependencies.exportManager || new ExportManager();
+    this.calendarManager = dependencies.calendarManager || new CalendarManager();
+    this.feedManager = dependencies.feedManager || new FeedManager();
+    this.snapshotManager = dependencies.snapshotManager || new SnapshotManager();
+    this.scheduler = dependencies.scheduler || null; // Para el TTL hasta la próxima ejecución
+    this.charsetDecoder = new CharsetDecoder();
+
+    this.revalidating = new Set(); // Fuentes con revalidación en segundo plano
+    this.pendingAggregations = new Map(); // Agregaciones en curso por opciones (single-flight)
     
     // Estadísticas del servicio
     this.stats = {
       totalAggregations: 0,
       successfulAggregations: 0,
       failedAggregations: 0,
+      coalescedAggregations: 0,
       totalProcessingTime: 0,
       lastReset: new Date().toISOString()
     };
   }
 
   /**
-   * Agrega XMLs de todas las fuentes habilitadas
+   * Agrega XMLs de todas las fuentes habilitadas. Las llamadas simultáneas con
+   * las mismas opciones de construcción comparten una única agregación
    * @param {Object} options - Opciones de agregación
    * @returns {Promise<Object>} Resultado de la agregación
    */
   async aggregateAllSources(options = {}) {
+    const key = this._getAggregationKey(options);
+    const pending = this.pendingAggregations.get(key);
+
+    if (pending) {
+      this.stats.coalescedAggregations++;
+      console.log('⏳ Agregación en curso con las mismas opciones, compartiendo resultado');
+
+      const result = await pending;
+      return result.summary
+        ? { ...result, summary: { ...result.summary, options, coalesced: true } }
+        : result;
+    }
+
+    const build = this._buildAggregation(options);
+    this.pendingAggregations.set(key, build);
+
+    try {
+      return await build;
+    } finally {
+      if (this.pendingAggregations.get(key) === build) {
+        this.pendingAggregations.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Clave de single-flight: solo las opciones que cambian el documento construido
+   * (format e include se aplican después, en la ruta)
+   * @param {Object} options - Opciones de agregación
+   * @returns {string} Clave
+   */
+  _getAggregationKey(options) {
+    return JSON.stringify([
+      options.fresh === true,
+      options.sequential === true,
+      options.timeout || null,
+      options.mergeStrategy || null,
+      options.mergeKey || null
+    ]);
+  }
+
+  /**
+   * Construye la agregación (fetch, transformaciones, validación y documento final)
+   * @param {Object} options - Opciones de agregación
+   * @returns {Promise<Object>} Resultado de la agregación
+   */
+  async _buildAggregation(options) {
     const startTime = Date.now();
     
     try {
       console.log('🔄 Iniciando agregación de fuentes XML...');
       this.stats.totalAggregations++;
 
+      if (options.mergeStrategy && !this.xmlProcessor.mergeStrategies.includes(options.mergeStrategy)) {
+        return this._createErrorResponse(
+          `Estrategia de merge no soportada: ${options.mergeStrategy}`,
+          400,
+          { supportedStrategies: this.xmlProcessor.mergeStrategies }
+        );
+      }
+
       // Paso 1: Validar que hay APIs habilitadas
       const enabledApis = await this.configManager.getEnabledApis();
       
@@ -43,14 +130,18 @@ class AggregatorService {
 
       console.log(`📡 Obteniendo datos de ${enabledApis.length} APIs...`);
 
-      // Paso 2: Obtener datos de todas las APIs
+      // Paso 2: Obtener datos (cache del scheduler salvo ?fresh=true)
       const fetchOptions = {
         sequential: options.sequential === true,
         timeout: options.timeout
       };
-      
-      const fetchResults = await this.dataFetcher.fetchAllApis(fetchOptions);
+
+      const fetchResults = options.fresh === true
+        ? await this._fetchFreshSources(enabledApis, fetchOptions)
+        : await this._collectSources(enabledApis);
       const successfulFetches = fetchResults.results.filter(r => r.success);
+      const cachedSources = successfulFetches.filter(r => r.fromCache).length;
+      const staleSources = successfulFetches.filter(r => r.stale).length;
 
       if (successfulFetches.length === 0) {
         return this._createErrorResponse(
@@ -71,9 +162,18 @@ class AggregatorService {
 
       console.log(`✅ Datos obtenidos de ${successfulFetches.length}/${enabledApis.length} APIs`);
 
-      // Paso 3: Validar XMLs (sin parsear completamente)
-      const validatedSources = await this._validateXmlSources(successfulFetches);
+      // Paso 3: Aplicar hojas XSLT por fuente y validar XMLs (sin parsear completamente)
+      const transformedSources = await this._applyTransforms(successfulFetches, enabledApis);
+      const validatedSources = await this._validateXmlSources(transformedSources, enabledApis);
       const validSources = validatedSources.filter(s => s.isValid);
+      const transformErrors = validatedSources
+        .filter(s => s.transformError)
+        .map(s => ({
+          apiId: s.apiId,
+          apiName: s.apiName,
+          transform: s.transform,
+          error: s.transformError
+        }));
 
       if (validSources.length === 0) {
         return this._createErrorResponse(
@@ -82,19 +182,18 @@ class AggregatorService {
           {
             totalSources: enabledApis.length,
             fetchedSources: successfulFetches.length,
-            validationErrors: validatedSources.map(s => ({
-              apiId: s.apiId,
-              apiName: s.apiName,
-              error: s.validationError
-            }))
+            validationErrors: validatedSources.map(s => this._describeValidationError(s)),
+            transformErrors
           }
         );
       }
 
       console.log(`🔍 XMLs validados: ${validSources.length}/${successfulFetches.length} válidos`);
 
-      // Paso 4: Crear XML agregado manteniendo estructura original
-      const aggregationResult = await this._createAggregatedXml(validSources, options);
+      // Paso 4: Crear XML agregado (estructura original o documento mergeado)
+      const aggregationResult = options.mergeStrategy && options.mergeStrategy !== 'none'
+        ? await this._createMergedXml(validSources, enabledApis, options)
+        : await this._createAggregatedXml(validSources, options);
 
       if (!aggregationResult.success) {
         return this._createErrorResponse(
@@ -114,7 +213,14 @@ class AggregatorService {
       return this._createSuccessResponse(aggregationResult, {
         totalConfiguredApis: enabledApis.length,
         successfulFetches: successfulFetches.length,
+        cachedSources,
+        staleSources,
+        transformedSources: validSources.filter(s => s.transform).length,
         validSources: validSources.length,
+        validationErrors: validatedSources
+          .filter(s => (!s.isValid && !s.transformError) || s.schemaValid === false)
+          .map(s => this._describeValidationError(s)),
+        transformErrors,
         processingTime,
         fetchStats: fetchResults.stats,
         options
@@ -137,15 +243,650 @@ class AggregatorService {
     }
   }
 
+  /**
+   * Representación JSON real del agregado: cada fuente parseada a objetos
+   * (o el documento mergeado completo si se usó una estrategia de merge)
+   * @param {Object} result - Respuesta exitosa de aggregateAllSources
+   * @param {Object} jsonOptions - Opciones de XmlProcessor.toJson (convention, alwaysArray)
+   * @returns {Object} Datos en JSON
+   */
+  toJsonData(result, jsonOptions = {}) {
+    const root = result.aggregatedStructure['xml-aggregator'];
+
+    if (root['@_merge-strategy']) {
+      return this.xmlProcessor.toJson(result.aggregatedXml, jsonOptions);
+    }
+
+    return {
+      sources: root.sources.map(source => {
+        const { xmlContent, ...attributes } = source;
+        const info = {};
+
+        for (const [key, value] of Object.entries(attributes)) {
+          info[key.replace(/^@_/, '')] = value;
+        }
+
+        return {
+          ...info,
+          content: this.xmlProcessor.toJson(xmlContent, jsonOptions)
+        };
+      })
+    };
+  }
+
+  /**
+   * Estructura del agregado con el contenido de cada fuente parseado en lugar de xmlContent
+   * @param {Object} result - Respuesta exitosa de aggregateAllSources
+   * @param {Object} jsonOptions - Opciones de XmlProcessor.toJson (convention, alwaysArray)
+   * @returns {Object} Estructura para respuestas JSON
+   */
+  toJsonStructure(result, jsonOptions = {}) {
+    const root = result.aggregatedStructure['xml-aggregator'];
+    if (!root.sources) {
+      return result.aggregatedStructure;
+    }
+
+    return {
+      'xml-aggregator': {
+        ...root,
+        sources: root.sources.map(({ xmlContent, ...source }) => ({
+          ...source,
+          content: this.xmlProcessor.toJson(xmlContent, jsonOptions)
+        }))
+      }
+    };
+  }
+
+  /**
+   * Evalúa una expresión XPath sobre el documento agregado o sobre una sola fuente
+   * @param {string} expression - Expresión XPath 1.0
+   * @param {Object} options - Opciones de agregación más source, namespaces y format
+   * @returns {Promise<Object>} Resultado de la consulta
+   */
+  async queryAggregated(expression, options = {}) {
+    if (!expression) {
+      return this._createErrorResponse('Parámetro xpath requerido', 400);
+    }
+
+    if (options.source && options.mergeStrategy && options.mergeStrategy !== 'none') {
+      return this._createErrorResponse('source no se puede combinar con mergeStrategy', 400);
+    }
+
+    const aggregation = await this.aggregateAllSources(options);
+    if (aggregation.status !== 'success') {
+      return aggregation;
+    }
+
+    let xml = aggregation.aggregatedXml;
+
+    if (options.source) {
+      const source = aggregation.aggregatedStructure['xml-aggregator'].sources
+        .find(s => s['@_id'] === options.source);
+
+      if (!source) {
+        return this._createErrorResponse(`Fuente no encontrada en el agregado: ${options.source}`, 404);
+      }
+
+      xml = source.xmlContent;
+    }
+
+    let result;
+    try {
+      result = this.xmlProcessor.queryXPath(xml, expression, options.namespaces);
+    } catch (error) {
+      return this._createErrorResponse(error.message, 400, { xpath: expression });
+    }
+
+    // En JSON los elementos se devuelven parseados en lugar de como XML
+    if (options.format === 'json' && result.type === 'nodeset') {
+      result.nodes = result.nodes.map(node => node.type === 'element'
+        ? { type: node.type, name: node.name, value: this.xmlProcessor.parser.parse(node.xml) }
+        : node);
+    }
+
+    return {
+      status: 'success',
+      timestamp: new Date().toISOString(),
+      xpath: expression,
+      source: options.source || null,
+      resultType: result.type,
+      count: result.type === 'nodeset' ? result.nodes.length : 1,
+      result,
+      resultXml: options.format === 'json' ? null : this._createXPathResultXml(expression, options.source, result)
+    };
+  }
+
+  /**
+   * Serializa el resultado de una consulta XPath como documento XML
+   * @param {string} expression - Expresión evaluada
+   * @param {string} source - ID de la fuente consultada (opcional)
+   * @param {Object} result - Resultado de queryXPath
+   * @returns {string} XML del resultado
+   */
+  _createXPathResultXml(expression, source, result) {
+    const attrs = [
+      `expression="${this._escapeXml(expression)}"`,
+      ...(source ? [`source="${this._escapeXml(source)}"`] : []),
+      `type="${result.type}"`,
+      ...(result.type === 'nodeset' ? [`count="${result.nodes.length}"`] : [])
+    ];
+
+    let xml = '<?xml version="1.0" encoding="UTF-8"?>\n';
+
+    if (result.type !== 'nodeset') {
+      return xml + `<xpath-result ${attrs.join(' ')}>${this._escapeXml(String(result.value))}</xpath-result>`;
+    }
+
+    xml += `<xpath-result ${attrs.join(' ')}>\n`;
+    for (const node of result.nodes) {
+      if (node.type === 'element') {
+        xml += this._indentXml(node.xml, '  ') + '\n';
+      } else if (node.type === 'attribute') {
+        xml += `  <attribute name="${this._escapeXml(node.name)}">${this._escapeXml(node.value)}</attribute>\n`;
+      } else {
+        xml += `  <${node.type}>${this._escapeXml(node.value)}</${node.type}>\n`;
+      }
+    }
+
+    return xml + '</xpath-result>';
+  }
+
+  /**
+   * Obtiene los registros de todas las fuentes mapeados al esquema canónico
+   * @param {Object} options - Opciones (source, format, fresh)
+   * @returns {Promise<Object>} Registros canónicos
+   */
+  async getRecords(options = {}) {
+    const config = await this.configManager.loadConfig();
+    const canonical = config.canonical;
+
+    if (!canonical?.fields?.length) {
+      return this._createErrorResponse('No hay un esquema canónico configurado (canonical.fields)', 422);
+    }
+
+    const aggregation = await this.aggregateAllSources({ fresh: options.fresh });
+    if (aggregation.status !== 'success') {
+      return aggregation;
+    }
+
+    const apisById = new Map(config.apis.map(api => [api.id, api]));
+    const records = [];
+    const sources = [];
+    const mappingErrors = [];
+
+    for (const source of aggregation.aggregatedStructure['xml-aggregator'].sources) {
+      const apiId = source['@_id'];
+      const api = apisById.get(apiId);
+
+      if (options.source && apiId !== options.source) continue;
+
+      if (!api?.mapping) {
+        sources.push({ id: apiId, name: source['@_name'], mapped: false, records: 0 });
+        continue;
+      }
+
+      try {
+        const sourceRecords = this.recordMapper.mapRecords(source.xmlContent, api.mapping, canonical);
+        records.push(...sourceRecords.map(record => ({ source: apiId, ...record })));
+        sources.push({ id: apiId, name: source['@_name'], mapped: true, records: sourceRecords.length });
+      } catch (error) {
+        mappingErrors.push({ apiId, apiName: source['@_name'], error: error.message });
+      }
+    }
+
+    if (options.source && sources.length === 0 && mappingErrors.length === 0) {
+      return this._createErrorResponse(`Fuente no encontrada en el agregado: ${options.source}`, 404);
+    }
+
+    return {
+      status: 'success',
+      timestamp: new Date().toISOString(),
+      canonical,
+      count: records.length,
+      sources,
+      mappingErrors,
+      records,
+      recordsXml: options.format === 'json' ? null : this._createRecordsXml(records, canonical)
+    };
+  }
+
+  /**
+   * Obtiene las filas de exportación: los elementos que selecciona el recordXPath
+   * de cada fuente, aplanados en columnas con la fuente como primera columna
+   * @param {Object} options - Opciones (profile, source, fresh)
+   * @returns {Promise<Object>} Filas y columnas a exportar
+   */
+  async getExportRows(options = {}) {
+    const config = await this.configManager.loadConfig();
+    let profile = null;
+
+    if (options.profile) {
+      profile = config.exportProfiles.find(p => p.id === options.profile);
+      if (!profile) {
+        return this._createErrorResponse(`Perfil de exportación no encontrado: ${options.profile}`, 404);
+      }
+    }
+
+    const aggregation = await this.aggregateAllSources({ fresh: options.fresh });
+    if (aggregation.status !== 'success') {
+      return aggregation;
+    }
+
+    const apisById = new Map(config.apis.map(api => [api.id, api]));
+    const rows = [];
+    const sources = [];
+    const exportErrors = [];
+
+    for (const source of aggregation.aggregatedStructure['xml-aggregator'].sources) {
+      const apiId = source['@_id'];
+      const recordXPath = apisById.get(apiId)?.recordXPath;
+
+      if (options.source && apiId !== options.source) continue;
+      if (profile?.sources.length && !profile.sources.includes(apiId)) continue;
+
+      if (!recordXPath) {
+        sources.push({ id: apiId, name: source['@_name'], exported: false, rows: 0 });
+        continue;
+      }
+
+      try {
+        const result = this.xmlProcessor.queryXPath(source.xmlContent, recordXPath);
+        if (result.type !== 'nodeset') {
+          throw new Error(`recordXPath must select nodes: ${recordXPath}`);
+        }
+
+        const elements = result.nodes.filter(node => node.type === 'element');
+        for (const element of elements) {
+          const parsed = this.xmlProcessor.parser.parse(element.xml);
+          const record = Object.values(parsed)[0];
+
+          rows.push({
+            [this.exportManager.sourceColumn]: apiId,
+            ...this.exportManager.flattenRecord(record)
+          });
+        }
+
+        sources.push({ id: apiId, name: source['@_name'], exported: true, rows: elements.length });
+      } catch (error) {
+        exportErrors.push({ apiId, apiName: source['@_name'], error: error.message });
+      }
+    }
+
+    return {
+      status: 'success',
+      timestamp: new Date().toISOString(),
+      profile,
+      count: rows.length,
+      sources,
+      exportErrors,
+      columns: this.exportManager.resolveColumns(rows, profile),
+      rows
+    };
+  }
+
+  /**
+   * Obtiene los partidos de las fuentes con mapeo de calendario como eventos.
+   * Usa el agregado cacheado, así el calendario refleja cada actualización del scheduler.
+   * @param {Object} options - Opciones (teams, competitions, source, fresh)
+   * @returns {Promise<Object>} Eventos y contenido .ics
+   */
+  async getCalendar(options = {}) {
+    const config = await this.configManager.loadConfig();
+    const calendarApis = config.apis.filter(api => api.enabled && api.calendar);
+
+    if (calendarApis.length === 0) {
+      return this._createErrorResponse('Ninguna fuente tiene mapeo de calendario (calendar)', 422);
+    }
+
+    const aggregation = await this.aggregateAllSources({ fresh: options.fresh });
+    if (aggregation.status !== 'success') {
+      return aggregation;
+    }
+
+    const apisById = new Map(calendarApis.map(api => [api.id, api]));
+    const filters = { teams: options.teams || [], competitions: options.competitions || [] };
+    const events = [];
+    const sources = [];
+    const calendarErrors = [];
+
+    for (const source of aggregation.aggregatedStructure['xml-aggregator'].sources) {
+      const apiId = source['@_id'];
+      const api = apisById.get(apiId);
+
+      if (!api) continue;
+      if (options.source && apiId !== options.source) continue;
+
+      try {
+        const records = this.recordMapper.mapRecords(
+          source.xmlContent,
+          api.calendar,
+          this.calendarManager.eventSchema
+        );
+        const sourceEvents = this.calendarManager.createEvents(records, {
+          sourceId: apiId,
+          timezone: api.calendar.timezone || api.timezone || config.settings.timezone,
+          duration: api.calendar.duration,
+          competition: api.calendar.competition,
+          updated: source['@_timestamp']
+        });
+
+        events.push(...sourceEvents.filter(event => this.calendarManager.matchesFilters(event, filters)));
+        sources.push({
+          id: apiId,
+          name: source['@_name'],
+          records: records.length,
+          events: sourceEvents.length,
+          skipped: records.length - sourceEvents.length
+        });
+      } catch (error) {
+        calendarErrors.push({ apiId, apiName: source['@_name'], error: error.message });
+      }
+    }
+
+    if (options.source && sources.length === 0 && calendarErrors.length === 0) {
+      return this._createErrorResponse(`Fuente sin calendario en el agregado: ${options.source}`, 404);
+    }
+
+    events.sort((a, b) => new Date(a.start) - new Date(b.start));
+
+    // Los clientes suscriptos consultan al ritmo de la fuente más frecuente
+    const refreshInterval = Math.min(...calendarApis.map(api => api.interval));
+
+    return {
+      status: 'success',
+      timestamp: new Date().toISOString(),
+      count: events.length,
+      sources,
+      calendarErrors,
+      events,
+      ics: this.calendarManager.buildCalendar(events, {
+        name: options.name,
+        timezone: config.settings.timezone,
+        refreshInterval
+      })
+    };
+  }
+
+  /**
+   * Obtiene las entradas de los feeds de cambios a partir del historial
+   * de hashes que guarda el SnapshotManager por fuente
+   * @param {Object} options - Opciones (source, limit)
+   * @returns {Promise<Object>} Entradas, de la más nueva a la más vieja
+   */
+  async getFeedEntries(options = {}) {
+    const config = await this.configManager.loadConfig();
+    const apis = options.source
+      ? config.apis.filter(api => api.id === options.source)
+      : config.apis;
+
+    if (options.source && apis.length === 0) {
+      return this._createErrorResponse(`Fuente no encontrada: ${options.source}`, 404);
+    }
+
+    const entries = [];
+    for (const api of apis) {
+      const history = await this.snapshotManager.getContentHistory(api.id);
+      entries.push(...this.feedManager.createEntries({ id: api.id, name: api.name }, history));
+    }
+
+    entries.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+
+    const limit = Math.max(1, parseInt(options.limit) || this.feedManager.defaultLimit);
+
+    return {
+      status: 'success',
+      timestamp: new Date().toISOString(),
+      count: Math.min(entries.length, limit),
+      total: entries.length,
+      entries: entries.slice(0, limit)
+    };
+  }
+
+  /**
+   * Compara estructuralmente dos snapshots de una fuente
+   * @param {string} apiId - ID de la API
+   * @param {Object} options - { from, to } (por defecto la última versión contra la anterior)
+   * @returns {Promise<Object>} Resumen y cambios (agregados, eliminados, modificados)
+   */
+  async diffSnapshots(apiId, options = {}) {
+    const versions = await this.snapshotManager.listVersions(apiId);
+
+    if (versions.length === 0) {
+      return this._createErrorResponse(`No hay snapshots de la fuente: ${apiId}`, 404);
+    }
+
+    const toVersion = options.to ? parseInt(options.to, 10) : versions[0].version;
+    const fromVersion = options.from
+      ? parseInt(options.from, 10)
+      : versions.find(v => v.version < toVersion)?.version;
+
+    if (!Number.isFinite(toVersion) || !Number.isFinite(fromVersion)) {
+      return this._createErrorResponse('Se necesitan dos versiones para comparar (from y to)', 400);
+    }
+
+    const [from, to] = await Promise.all([
+      this.snapshotManager.getSnapshot(apiId, fromVersion),
+      this.snapshotManager.getSnapshot(apiId, toVersion)
+    ]);
+
+    if (!from || !to) {
+      return this._createErrorResponse(`Versión no encontrada: ${!from ? fromVersion : toVersion}`, 404);
+    }
+
+    try {
+      const diff = this.xmlProcessor.diffXml(from.content, to.content);
+
+      return {
+        status: 'success',
+        timestamp: new Date().toISOString(),
+        apiId,
+        from: { version: from.version, timestamp: from.timestamp, hash: from.hash },
+        to: { version: to.version, timestamp: to.timestamp, hash: to.hash },
+        identical: from.hash === to.hash,
+        ...diff
+      };
+    } catch (error) {
+      return this._createErrorResponse(error.message, 422);
+    }
+  }
+
+  /**
+   * Serializa registros canónicos como XML
+   * @param {Array} records - Registros ({ source, ...campos })
+   * @param {Object} canonical - Esquema canónico
+   * @returns {string} XML de los registros
+   */
+  _createRecordsXml(records, canonical) {
+    let xml = '<?xml version="1.0" encoding="UTF-8"?>\n';
+    xml += `<records timestamp="${new Date().toISOString()}" count="${records.length}">\n`;
+
+    for (const record of records) {
+      xml += `  <${canonical.recordName} source="${this._escapeXml(record.source)}">\n`;
+
+      for (const field of canonical.fields) {
+        const value = record[field.name];
+        xml += value === null || value === undefined
+          ? `    <${field.name}/>\n`
+          : `    <${field.name}>${this._escapeXml(String(value))}</${field.name}>\n`;
+      }
+
+      xml += `  </${canonical.recordName}>\n`;
+    }
+
+    return xml + '</records>';
+  }
+
+  /**
+   * Obtiene los datos de cada fuente desde el cache que llena el scheduler,
+   * consultando en vivo solo las fuentes sin datos cacheados
+   * @param {Array} enabledApis - APIs habilitadas
+   * @returns {Promise<Object>} Resultados con el mismo formato que fetchAllApis
+   */
+  async _collectSources(enabledApis) {
+    const results = await Promise.all(enabledApis.map(async (api) => {
+      const cached = await this.cacheManager.getApiData(api.id);
+
+      if (cached && cached.success && cached.rawData) {
+        return {
+          success: true,
+          apiId: api.id,
+          apiName: api.name,
+          data: cached.rawData,
+          metadata: cached.originalMetadata,
+          fromCache: true
+        };
+      }
+
+      // Stale-while-revalidate: responder con la última copia y refrescar aparte
+      const staleResult = await this._getStaleSource(api);
+      if (staleResult) {
+        this._revalidateInBackground(api);
+        return staleResult;
+      }
+
+      console.log(`📡 Sin datos cacheados para ${api.name}, consultando en vivo`);
+      return await this.dataFetcher.fetchApiData(api);
+    }));
+
+    return this._createFetchSummary(results);
+  }
+
+  /**
+   * Consulta todas las fuentes en vivo (?fresh=true), usando la última copia
+   * buena de las que fallen (stale-if-error)
+   * @param {Array} enabledApis - APIs habilitadas
+   * @param {Object} fetchOptions - Opciones del fetcher
+   * @returns {Promise<Object>} Resultados con el mismo formato que fetchAllApis
+   */
+  async _fetchFreshSources(enabledApis, fetchOptions) {
+    const fetchResults = await this.dataFetcher.fetchAllApis(fetchOptions);
+
+    const results = await Promise.all(fetchResults.results.map(async (result) => {
+      const api = enabledApis.find(a => a.id === result.apiId);
+
+      if (result.success) {
+        // Dejar el resultado fresco en el cache por fuente
+        if (api) await this._cacheFetchResult(api, result);
+        return result;
+      }
+
+      const staleResult = api ? await this._getStaleSource(api) : null;
+      return staleResult ? { ...staleResult, fetchError: result.error } : result;
+    }));
+
+    return this._createFetchSummary(results);
+  }
+
+  /**
+   * Obtiene la última copia buena de una fuente si no supera su staleness máxima
+   * @param {Object} api - Configuración de la API
+   * @returns {Promise<Object|null>} Resultado marcado como stale o null
+   */
+  async _getStaleSource(api) {
+    const lastResponse = await this.cacheManager.getLastResponse(api.id);
+    if (!lastResponse || typeof lastResponse.data !== 'string') {
+      return null;
+    }
+
+    const age = Math.round((Date.now() - new Date(lastResponse.storedAt).getTime()) / 1000);
+    const maxStale = api.maxStale ?? 0;
+
+    if (age > maxStale) {
+      return null;
+    }
+
+    console.log(`🕰️ Sirviendo copia vieja de ${api.name} (${age}s)`);
+
+    return {
+      success: true,
+      apiId: api.id,
+      apiName: api.name,
+      data: lastResponse.data,
+      metadata: {
+        url: api.url,
+        contentType: lastResponse.contentType || 'application/xml',
+        contentLength: lastResponse.data.length,
+        timestamp: lastResponse.storedAt
+      },
+      stale: true,
+      age
+    };
+  }
+
+  /**
+   * Revalida una fuente en segundo plano y actualiza su cache
+   * @param {Object} api - Configuración de la API
+   */
+  _revalidateInBackground(api) {
+    if (this.revalidating.has(api.id)) return;
+    this.revalidating.add(api.id);
+
+    (async () => {
+      const fetchResult = await this.dataFetcher.fetchApiData(api);
+      if (fetchResult.success && await this._cacheFetchResult(api, fetchResult)) {
+        console.log(`🔄 Fuente ${api.name} revalidada en segundo plano`);
+      }
+    })()
+      .catch(error => {
+        console.error(`❌ Error revalidando ${api.name}:`, error.message);
+      })
+      .finally(() => {
+        this.revalidating.delete(api.id);
+      });
+  }
+
+  /**
+   * Procesa un resultado del fetcher y lo guarda en el cache por fuente
+   * @param {Object} api - Configuración de la API
+   * @param {Object} fetchResult - Resultado exitoso del fetcher
+   * @returns {Promise<boolean>} True si se cacheó
+   */
+  async _cacheFetchResult(api, fetchResult) {
+    const processedResult = await this.xmlProcessor.processXmlData(fetchResult);
+    if (!processedResult.success) return false;
+
+    const ttl = this.scheduler
+      ? this.scheduler.getCacheTtl(api)
+      : Math.max(30000, (api.interval || 300) * 1000 * 1.5);
+
+    return await this.cacheManager.setApiData(api.id, processedResult, ttl);
+  }
+
+  /**
+   * Crea el resumen de resultados con el formato de fetchAllApis
+   * @param {Array} results - Resultados por fuente
+   * @returns {Object} Resumen
+   */
+  _createFetchSummary(results) {
+    return {
+      timestamp: new Date().toISOString(),
+      total: results.length,
+      successful: results.filter(r => r.success).length,
+      failed: results.filter(r => !r.success).length,
+      results,
+      stats: this.dataFetcher.getStats()
+    };
+  }
+
   /**
    * Valida que las fuentes contengan XML válido
    * @param {Array} fetchResults - Resultados del fetch
    * @returns {Promise<Array>} Fuentes validadas
    */
-  async _validateXmlSources(fetchResults) {
+  async _validateXmlSources(fetchResults, enabledApis = []) {
     const validatedSources = [];
+    const apisById = new Map(enabledApis.map(api => [api.id, api]));
 
     for (const fetchResult of fetchResults) {
+      if (fetchResult.transformError) {
+        validatedSources.push({
+          ...fetchResult,
+          isValid: false,
+          validationError: `Transform error: ${fetchResult.transformError}`
+        });
+        continue;
+      }
+
       try {
         // Validación básica sin parsear completamente
         const validation = this.xmlProcessor.validateXml(fetchResult.data);
@@ -154,11 +895,31 @@ class AggregatorService {
           ...fetchResult,
           isValid: validation.isValid,
           validationError: validation.error || null,
+          validationLine: validation.line || null,
+          validationColumn: validation.column || null,
           xmlPreview: validation.isValid 
             ? this._getXmlPreview(fetchResult.data)
             : null
         };
 
+        // Validación contra el XSD de la fuente (después de la transformación XSLT)
+        const api = apisById.get(fetchResult.apiId);
+        if (validation.isValid && api?.schema) {
+          const schemaValidation = await this._validateSchema(fetchResult.data, api.schema);
+
+          sourceInfo.schema = api.schema;
+          sourceInfo.schemaValid = schemaValidation.isValid;
+          sourceInfo.schemaErrors = schemaValidation.errors;
+
+          if (!schemaValidation.isValid) {
+            // reject: la fuente queda fuera; flag: se incluye marcada
+            sourceInfo.onInvalid = api.onInvalid || 'reject';
+            sourceInfo.isValid = sourceInfo.onInvalid === 'flag';
+            sourceInfo.validationError = `Schema validation failed against ${api.schema} ` +
+              `(${schemaValidation.totalErrors || schemaValidation.errors.length} violations)`;
+          }
+        }
+
         validatedSources.push(sourceInfo);
 
       } catch (error) {
@@ -173,6 +934,83 @@ class AggregatorService {
     return validatedSources;
   }
 
+  /**
+   * Aplica la hoja XSLT configurada en cada fuente antes de embeber su XML.
+   * Los errores se informan por fuente (transformError) y la fuente queda fuera del agregado.
+   * @param {Array} fetchResults - Resultados exitosos de obtención
+   * @param {Array} enabledApis - APIs habilitadas
+   * @returns {Promise<Array>} Resultados con el XML transformado
+   */
+  async _applyTransforms(fetchResults, enabledApis) {
+    const apisById = new Map(enabledApis.map(api => [api.id, api]));
+
+    return Promise.all(fetchResults.map(async (fetchResult) => {
+      const api = apisById.get(fetchResult.apiId);
+
+      // Sin hoja asociada o XML de entrada inválido (lo informa la validación)
+      if (!api?.transform || !this.xmlProcessor.validateXml(fetchResult.data).isValid) {
+        return fetchResult;
+      }
+
+      try {
+        const data = await this.transformManager.transform(fetchResult.data, api.transform, api.id);
+
+        return {
+          ...fetchResult,
+          data,
+          transform: api.transform,
+          metadata: { ...fetchResult.metadata, contentLength: Buffer.byteLength(data) }
+        };
+      } catch (error) {
+        console.error(`❌ Error aplicando ${api.transform} a ${api.name}:`, error.message);
+
+        return {
+          ...fetchResult,
+          transform: api.transform,
+          transformError: error.message
+        };
+      }
+    }));
+  }
+
+  /**
+   * Valida el XML de una fuente contra su XSD
+   * @param {string} xml - XML de la fuente
+   * @param {string} schema - Nombre del esquema
+   * @returns {Promise<Object>} { isValid, errors, totalErrors }
+   */
+  async _validateSchema(xml, schema) {
+    try {
+      return await this.schemaManager.validate(xml, schema);
+    } catch (error) {
+      // Esquema inexistente o inválido: se informa como violación
+      return {
+        isValid: false,
+        schema,
+        errors: [{ message: error.message, line: null, column: null }]
+      };
+    }
+  }
+
+  /**
+   * Describe el error de validación de una fuente para las respuestas
+   * @param {Object} source - Fuente validada
+   * @returns {Object} Error de validación
+   */
+  _describeValidationError(source) {
+    return {
+      apiId: source.apiId,
+      apiName: source.apiName,
+      error: source.validationError,
+      ...(source.validationLine ? { line: source.validationLine, column: source.validationColumn } : {}),
+      ...(source.schemaErrors && source.schemaValid === false ? {
+        schema: source.schema,
+        policy: source.onInvalid,
+        violations: source.schemaErrors
+      } : {})
+    };
+  }
+
   /**
    * Crea el XML agregado manteniendo estructura original
    * @param {Array} validSources - Fuentes XML válidas
@@ -210,7 +1048,16 @@ class AggregatorService {
           `url="${this._escapeXml(source.metadata?.url || 'unknown')}"`,
           `timestamp="${this._escapeXml(source.metadata?.timestamp || timestamp)}"`,
           `status="success"`,
-          `content-type="${this._escapeXml(source.metadata?.contentType || 'application/xml')}"`,
+          ...(source.transform ? [`transform="${this._escapeXml(source.transform)}"`] : []),
+          ...(source.schemaValid === false ? ['schema-valid="false"'] : []),
+          ...(source.stale ? ['stale="true"', `age="${source.age}"`] : []),
+          // El cuerpo ya está en UTF-8: el charset original queda solo en source-encoding
+          `content-type="${this._escapeXml(
+            this.charsetDecoder.rewriteContentType(source.metadata?.contentType || 'application/xml')
+          )}"`,
+          ...(source.metadata?.encoding && source.metadata.encoding !== 'utf-8'
+            ? [`source-encoding="${this._escapeXml(source.metadata.encoding)}"`]
+            : []),
           `content-length="${source.metadata?.contentLength || source.data.length}"`
         ];
 
@@ -251,6 +1098,9 @@ class AggregatorService {
             '@_url': s.metadata?.url || 'unknown',
             '@_timestamp': s.metadata?.timestamp || timestamp,
             '@_status': 'success',
+            ...(s.transform ? { '@_transform': s.transform } : {}),
+            ...(s.schemaValid === false ? { '@_schema-valid': false } : {}),
+            ...(s.stale ? { '@_stale': true, '@_age': s.age } : {}),
             xmlContent: s.data // XML original como string
           }))
         }
@@ -260,14 +1110,59 @@ class AggregatorService {
         success: true,
         xml: aggregatedXml,
         structure: structure,
-        sources: validSources.map(s => ({
-          id: s.apiId,
-          name: s.apiName,
-          url: s.metadata?.url,
-          timestamp: s.metadata?.timestamp,
-          contentLength: s.data.length,
-          preview: this._getXmlPreview(s.data, 200)
-        }))
+        sources: this._describeSources(validSources)
+      };
+
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Crea un único documento plano aplicando una estrategia de merge
+   * (flatten, group-by-type o merge-by-key) en lugar de un wrapper por fuente
+   * @param {Array} validSources - Fuentes XML válidas
+   * @param {Array} enabledApis - APIs habilitadas (para la clave de merge de cada fuente)
+   * @param {Object} options - Opciones de agregación (mergeStrategy, mergeKey)
+   * @returns {Promise<Object>} XML mergeado
+   */
+  async _createMergedXml(validSources, enabledApis, options = {}) {
+    try {
+      const processedResults = validSources.map(s => ({
+        success: true,
+        apiId: s.apiId,
+        apiName: s.apiName,
+        timestamp: s.metadata?.timestamp,
+        originalMetadata: s.metadata,
+        stale: s.stale === true,
+        age: s.stale ? s.age : 0,
+        parsedData: this.xmlProcessor.parser.parse(s.data)
+      }));
+
+      // Clave de merge configurada por fuente (con fallback a ?mergeKey=)
+      const mergeKeys = {};
+      for (const api of enabledApis) {
+        if (api.mergeKey) mergeKeys[api.id] = api.mergeKey;
+      }
+
+      const result = await this.xmlProcessor.aggregateXmlSources(processedResults, {
+        mergeStrategy: options.mergeStrategy,
+        mergeKey: options.mergeKey,
+        mergeKeys
+      });
+
+      if (!result.success) {
+        return { success: false, error: result.error };
+      }
+
+      return {
+        success: true,
+        xml: '<?xml version="1.0" encoding="UTF-8"?>\n' + result.xml,
+        structure: result.structure,
+        sources: this._describeSources(validSources)
       };
 
     } catch (error) {
@@ -278,6 +1173,26 @@ class AggregatorService {
     }
   }
 
+  /**
+   * Resume las fuentes incluidas en un agregado
+   * @param {Array} validSources - Fuentes XML válidas
+   * @returns {Array} Información de cada fuente
+   */
+  _describeSources(validSources) {
+    return validSources.map(s => ({
+      id: s.apiId,
+      name: s.apiName,
+      url: s.metadata?.url,
+      timestamp: s.metadata?.timestamp,
+      contentLength: s.data.length,
+      transform: s.transform || null,
+      schemaValid: s.schemaValid ?? null,
+      stale: s.stale === true,
+      age: s.stale ? s.age : 0,
+      preview: this._getXmlPreview(s.data, 200)
+    }));
+  }
+
   /**
    * Indenta XML para incluirlo dentro del agregado
    * @param {string} xmlString - XML a indentar
@@ -410,6 +1325,7 @@ class AggregatorService {
       totalAggregations: 0,
       successfulAggregations: 0,
       failedAggregations: 0,
+      coalescedAggregations: 0,
       totalProcessingTime: 0,
       lastReset: new Date().toISOString()
     };
@@ -433,7 +1349,8 @@ class AggregatorService {
           name: api.name,
           url: api.url,
           enabled: api.enabled,
-          lastStatus: api.lastStatus || 'unknown'
+          lastStatus: api.lastStatus || 'unknown',
+          circuit: this.dataFetcher.circuitBreaker.getState(api.id)
         }))
       };
     } catch (error) {
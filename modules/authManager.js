@@ -0,0 +1,167 @@
+// modules/authManager.js
+const axios = require('axios');
+
+class AuthManager {
+  constructor() {
+    this.tokens = new Map(); // Tokens OAuth2 por API
+    this.pendingTokens = new Map(); // Peticiones de token en curso
+    this.tokenSkew = 60000; // Renovar 1 minuto antes de expirar
+  }
+
+  /**
+   * Aplica el perfil de autenticación a una configuración de axios
+   * @param {Object} auth - Bloque auth de la API
+   * @param {Object} axiosConfig - Configuración de axios a modificar
+   * @param {string} cacheKey - Clave para cachear tokens (ID de la API)
+   * @returns {Promise<Object>} Configuración de axios con autenticación
+   */
+  async applyAuth(auth, axiosConfig, cacheKey) {
+    if (!auth || !auth.type || auth.type === 'none') {
+      return axiosConfig;
+    }
+
+    const headers = { ...axiosConfig.headers };
+    const params = { ...axiosConfig.params };
+
+    switch (auth.type) {
+      case 'basic': {
+        const credentials = Buffer
+          .from(`${auth.username || ''}:${auth.password || ''}`)
+          .toString('base64');
+        headers['Authorization'] = `Basic ${credentials}`;
+        break;
+      }
+
+      case 'bearer':
+        headers['Authorization'] = `Bearer ${auth.token || ''}`;
+        break;
+
+      case 'apiKey':
+        if (auth.in === 'query') {
+          params[auth.name] = auth.value;
+        } else {
+          headers[auth.name] = auth.value;
+        }
+        break;
+
+      case 'oauth2': {
+        // El token se pide por el mismo proxy/TLS que la fuente
+        const { httpAgent, httpsAgent, proxy } = axiosConfig;
+        const token = await this.getOAuth2Token(auth, cacheKey, { httpAgent, httpsAgent, proxy });
+        headers['Authorization'] = `${token.tokenType} ${token.accessToken}`;
+        break;
+      }
+
+      default:
+        throw new Error(`Unsupported auth type: ${auth.type}`);
+    }
+
+    return { ...axiosConfig, headers, params };
+  }
+
+  /**
+   * Obtiene un token OAuth2 (client credentials), usando cache si es válido
+   * @param {Object} auth - Bloque auth de tipo oauth2
+   * @param {string} cacheKey - Clave de cache del token
+   * @param {Object} transport - Agentes de axios (proxy/TLS) opcionales
+   * @returns {Promise<Object>} Token { accessToken, tokenType, expiresAt }
+   */
+  async getOAuth2Token(auth, cacheKey, transport = {}) {
+    const cached = this.tokens.get(cacheKey);
+    if (cached && cached.expiresAt - this.tokenSkew > Date.now()) {
+      return cached;
+    }
+
+    // Compartir la petición de token si ya hay una en curso
+    if (this.pendingTokens.has(cacheKey)) {
+      return await this.pendingTokens.get(cacheKey);
+    }
+
+    const request = this.requestOAuth2Token(auth, transport)
+      .then(token => {
+        this.tokens.set(cacheKey, token);
+        return token;
+      })
+      .finally(() => {
+        this.pendingTokens.delete(cacheKey);
+      });
+
+    this.pendingTokens.set(cacheKey, request);
+    return await request;
+  }
+
+  /**
+   * Solicita un token nuevo al endpoint OAuth2
+   * @param {Object} auth - Bloque auth de tipo oauth2
+   * @param {Object} transport - Agentes de axios (proxy/TLS) opcionales
+   * @returns {Promise<Object>} Token obtenido
+   */
+  async requestOAuth2Token(auth, transport = {}) {
+    if (!auth.tokenUrl) {
+      throw new Error('OAuth2 tokenUrl is required');
+    }
+
+    const body = new URLSearchParams({ grant_type: 'client_credentials' });
+    if (auth.scope) body.set('scope', auth.scope);
+    if (auth.audience) body.set('audience', auth.audience);
+
+    const headers = {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      'Accept': 'application/json'
+    };
+
+    if (auth.clientAuthMethod === 'body') {
+      body.set('client_id', auth.clientId || '');
+      body.set('client_secret', auth.clientSecret || '');
+    } else {
+      const credentials = Buffer
+        .from(`${encodeURIComponent(auth.clientId || '')}:${encodeURIComponent(auth.clientSecret || '')}`)
+        .toString('base64');
+      headers['Authorization'] = `Basic ${credentials}`;
+    }
+
+    console.log(`🔑 Solicitando token OAuth2 a ${auth.tokenUrl}`);
+
+    const response = await axios.post(auth.tokenUrl, body.toString(), {
+      ...transport,
+      headers,
+      timeout: 10000
+    });
+
+    const data = response.data || {};
+    if (!data.access_token) {
+      throw new Error('OAuth2 token response without access_token');
+    }
+
+    const expiresIn = parseInt(data.expires_in) || 3600;
+
+    return {
+      accessToken: data.access_token,
+      tokenType: /^bearer$/i.test(data.token_type || 'Bearer') ? 'Bearer' : data.token_type,
+      expiresAt: Date.now() + expiresIn * 1000
+    };
+  }
+
+  /**
+   * Invalida el token cacheado (por ejemplo tras un 401)
+   * @param {string} cacheKey - Clave de cache del token
+   */
+  invalidateToken(cacheKey) {
+    this.tokens.delete(cacheKey);
+  }
+
+  /**
+   * Obtiene información de los tokens cacheados (sin el secreto)
+   * @returns {Array} Lista de tokens
+   */
+  getTokensInfo() {
+    return Array.from(this.tokens.entries()).map(([key, token]) => ({
+      key,
+      tokenType: token.tokenType,
+      expiresAt: new Date(token.expiresAt).toISOString(),
+      expired: token.expiresAt <= Date.now()
+    }));
+  }
+}
+
+module.exports = AuthManager;
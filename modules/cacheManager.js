@@ -9,6 +9,7 @@ class CacheManager {
     this.memoryCache = new Map();
     this.defaultTtl = 300000; // 5 minutos en ms
     this.maxMemorySize = 50; // Máximo 50 elementos en memoria
+    this.responseTtl = 7 * 24 * 60 * 60 * 1000; // Última respuesta buena: 7 días
     this.stats = {
       hits: 0,
       misses: 0,
@@ -233,15 +234,13 @@ class CacheManager {
   }
 
   /**
-   * Almacena datos específicos de API con TTL inteligente
+   * Almacena datos específicos de API
    * @param {string} apiId - ID de la API
    * @param {Object} data - Datos de la API
-   * @param {number} interval - Intervalo de fetch de la API
+   * @param {number} ttl - Tiempo de vida en ms (el scheduler lo calcula hasta la próxima ejecución)
    * @returns {Promise<boolean>}
    */
-  async setApiData(apiId, data, interval = 300) {
-    // TTL basado en el intervalo de la API (50% del intervalo)
-    const ttl = Math.max(30000, (interval * 1000) * 0.5);
+  async setApiData(apiId, data, ttl = this.defaultTtl) {
     const key = `api_${apiId}`;
     
     return await this.set(key, {
@@ -261,6 +260,30 @@ class CacheManager {
     return await this.get(key);
   }
 
+  /**
+   * Guarda la última respuesta buena de una API junto con sus validadores HTTP
+   * @param {string} apiId - ID de la API
+   * @param {Object} response - Respuesta ({ data, etag, lastModified, contentType })
+   * @returns {Promise<boolean>}
+   */
+  async setLastResponse(apiId, response) {
+    const key = `response_${apiId}`;
+    return await this.set(key, {
+      ...response,
+      storedAt: new Date().toISOString()
+    }, this.responseTtl);
+  }
+
+  /**
+   * Obtiene la última respuesta buena de una API
+   * @param {string} apiId - ID de la API
+   * @returns {Promise<Object|null>}
+   */
+  async getLastResponse(apiId) {
+    const key = `response_${apiId}`;
+    return await this.get(key);
+  }
+
   /**
    * Cachea datos agregados
    * @param {Object} aggregatedData - Datos agregados
@@ -320,6 +343,7 @@ class CacheManager {
    */
   async setOnDisk(key, data) {
     const filePath = this.getDiskPath(key);
+    await fs.mkdir(this.cacheDir, { recursive: true });
     await fs.writeFile(filePath, JSON.stringify(data), 'utf8');
   }
 
@@ -378,6 +402,7 @@ class CacheManager {
   configure(config) {
     if (config.defaultTtl) this.defaultTtl = config.defaultTtl;
     if (config.maxMemorySize) this.maxMemorySize = config.maxMemorySize;
+    if (config.responseTtl) this.responseTtl = config.responseTtl;
   }
 
   /**
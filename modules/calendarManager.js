@@ -0,0 +1,306 @@
+// modules/calendarManager.js
+const crypto = require('crypto');
+
+class CalendarManager {
+  constructor() {
+    this.productId = '-//XML-API-Aggregator//Calendar 1.0//ES';
+    this.uidDomain = 'xml-api-aggregator';
+    this.defaultDuration = 120; // Minutos por partido si la fuente no indica otra cosa
+
+    // Esquema de registro de un partido (se mapea con RecordMapper como el canónico)
+    this.eventSchema = {
+      recordName: 'event',
+      fields: [
+        { name: 'id', type: 'string' },
+        { name: 'home', type: 'string' },
+        { name: 'away', type: 'string' },
+        { name: 'venue', type: 'string' },
+        { name: 'start', type: 'date' },
+        { name: 'competition', type: 'string' },
+        { name: 'round', type: 'string' }
+      ]
+    };
+  }
+
+  /**
+   * Convierte los registros mapeados de una fuente en eventos
+   * @param {Array} records - Registros con los campos de eventSchema
+   * @param {Object} options - { sourceId, timezone, duration, competition, updated }
+   * @returns {Array} Eventos { uid, summary, start, end, allDay, ... } (los que no tienen fecha se descartan)
+   */
+  createEvents(records, options = {}) {
+    const duration = options.duration || this.defaultDuration;
+
+    return records
+      .filter(record => record.start)
+      .map(record => {
+        const competition = record.competition || options.competition || null;
+        const allDay = /^\d{4}-\d{2}-\d{2}$/.test(record.start);
+        const start = allDay
+          ? record.start
+          : this.toUtc(record.start, options.timezone);
+
+        return {
+          uid: this.createUid(options.sourceId, record, competition),
+          source: options.sourceId,
+          summary: this.createSummary(record),
+          home: record.home,
+          away: record.away,
+          venue: record.venue,
+          competition,
+          round: record.round,
+          allDay,
+          start,
+          end: allDay
+            ? this.addDays(start, 1)
+            : new Date(new Date(start).getTime() + duration * 60000).toISOString(),
+          updated: options.updated || null
+        };
+      });
+  }
+
+  /**
+   * Genera un UID estable: el ID del partido si la fuente lo informa,
+   * si no los equipos y la competición (así un cambio de horario no duplica el evento)
+   * @param {string} sourceId - ID de la fuente
+   * @param {Object} record - Registro del partido
+   * @param {string} competition - Competición
+   * @returns {string} UID
+   */
+  createUid(sourceId, record, competition) {
+    const identity = record.id || [record.home, record.away, competition].join('|');
+    const hash = crypto
+      .createHash('sha1')
+      .update(`${sourceId}\u0000${identity}`)
+      .digest('hex')
+      .slice(0, 24);
+
+    return `${hash}@${this.uidDomain}`;
+  }
+
+  /**
+   * Arma el título del evento ("Local vs Visitante")
+   * @param {Object} record - Registro del partido
+   * @returns {string} Título
+   */
+  createSummary(record) {
+    if (record.home && record.away) {
+      return `${record.home} vs ${record.away}`;
+    }
+    return record.home || record.away || 'Partido';
+  }
+
+  /**
+   * Convierte una fecha local (YYYY-MM-DDTHH:mm:ss) de una zona horaria a UTC
+   * @param {string} value - Fecha local o ISO en UTC
+   * @param {string} timezone - Zona horaria IANA de la fuente
+   * @returns {string} Fecha ISO en UTC
+   */
+  toUtc(value, timezone) {
+    if (/Z$/.test(value)) {
+      return value;
+    }
+
+    const [datePart, timePart] = value.split('T');
+    const [year, month, day] = datePart.split('-').map(Number);
+    const [hours, minutes, seconds] = timePart.split(':').map(Number);
+    const guess = Date.UTC(year, month - 1, day, hours, minutes, seconds || 0);
+
+    // Se corrige dos veces por si el offset cambia en la hora buscada (horario de verano)
+    let utc = guess - this.getOffset(guess, timezone);
+    utc = guess - this.getOffset(utc, timezone);
+
+    return new Date(utc).toISOString();
+  }
+
+  /**
+   * Calcula el offset de una zona horaria en un instante
+   * @param {number} timestamp - Instante en milisegundos
+   * @param {string} timezone - Zona horaria IANA
+   * @returns {number} Offset en milisegundos (local - UTC)
+   */
+  getOffset(timestamp, timezone) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(new Date(timestamp)).forEach(part => {
+      parts[part.type] = part.value;
+    });
+
+    const local = Date.UTC(
+      parseInt(parts.year, 10),
+      parseInt(parts.month, 10) - 1,
+      parseInt(parts.day, 10),
+      parseInt(parts.hour, 10),
+      parseInt(parts.minute, 10),
+      parseInt(parts.second, 10)
+    );
+
+    return local - Math.floor(timestamp / 1000) * 1000;
+  }
+
+  /**
+   * Suma días a una fecha YYYY-MM-DD
+   * @param {string} date - Fecha
+   * @param {number} days - Días a sumar
+   * @returns {string} Fecha YYYY-MM-DD
+   */
+  addDays(date, days) {
+    const [year, month, day] = date.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+  }
+
+  /**
+   * Verifica si un evento cumple los filtros (sin distinguir mayúsculas ni acentos)
+   * @param {Object} event - Evento
+   * @param {Object} filters - { teams: [], competitions: [] }
+   * @returns {boolean}
+   */
+  matchesFilters(event, filters = {}) {
+    const matches = (values, terms) => terms.some(term =>
+      values.some(value => value && this.normalize(value).includes(this.normalize(term)))
+    );
+
+    if (filters.teams?.length && !matches([event.home, event.away], filters.teams)) {
+      return false;
+    }
+
+    if (filters.competitions?.length && !matches([event.competition, event.source], filters.competitions)) {
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Normaliza un texto para comparar (minúsculas, sin acentos)
+   * @param {string} value - Texto
+   * @returns {string} Texto normalizado
+   */
+  normalize(value) {
+    return String(value).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+  }
+
+  /**
+   * Genera el calendario iCalendar (RFC 5545)
+   * @param {Array} events - Eventos
+   * @param {Object} options - { name, timezone, refreshInterval (segundos) }
+   * @returns {string} Contenido .ics
+   */
+  buildCalendar(events, options = {}) {
+    const stamp = this.formatDateTime(new Date().toISOString());
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      `PRODID:${this.productId}`,
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      `X-WR-CALNAME:${this.escapeText(options.name || 'XML API Aggregator')}`
+    ];
+
+    if (options.timezone) {
+      lines.push(`X-WR-TIMEZONE:${options.timezone}`);
+    }
+
+    if (options.refreshInterval) {
+      // Sugerencia a los clientes suscriptos para que vuelvan a consultar al ritmo del scheduler
+      const minutes = Math.max(1, Math.ceil(options.refreshInterval / 60));
+      lines.push(`REFRESH-INTERVAL;VALUE=DURATION:PT${minutes}M`);
+      lines.push(`X-PUBLISHED-TTL:PT${minutes}M`);
+    }
+
+    for (const event of events) {
+      lines.push('BEGIN:VEVENT');
+      lines.push(`UID:${event.uid}`);
+      // Con la fecha de la fuente el .ics no cambia entre actualizaciones (ETag estable)
+      lines.push(`DTSTAMP:${event.updated ? this.formatDateTime(event.updated) : stamp}`);
+
+      if (event.allDay) {
+        lines.push(`DTSTART;VALUE=DATE:${event.start.replace(/-/g, '')}`);
+        lines.push(`DTEND;VALUE=DATE:${event.end.replace(/-/g, '')}`);
+      } else {
+        lines.push(`DTSTART:${this.formatDateTime(event.start)}`);
+        lines.push(`DTEND:${this.formatDateTime(event.end)}`);
+      }
+
+      lines.push(`SUMMARY:${this.escapeText(event.summary)}`);
+
+      if (event.venue) {
+        lines.push(`LOCATION:${this.escapeText(event.venue)}`);
+      }
+
+      const description = [event.competition, event.round].filter(Boolean).join(' - ');
+      if (description) {
+        lines.push(`DESCRIPTION:${this.escapeText(description)}`);
+      }
+
+      if (event.competition) {
+        lines.push(`CATEGORIES:${this.escapeText(event.competition)}`);
+      }
+
+      lines.push('END:VEVENT');
+    }
+
+    lines.push('END:VCALENDAR');
+
+    return lines.map(line => this.foldLine(line)).join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Formatea una fecha ISO como fecha-hora UTC de iCalendar (YYYYMMDDTHHMMSSZ)
+   * @param {string} iso - Fecha ISO
+   * @returns {string} Fecha iCalendar
+   */
+  formatDateTime(iso) {
+    return new Date(iso).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  }
+
+  /**
+   * Escapa un texto para propiedades iCalendar
+   * @param {string} value - Texto
+   * @returns {string} Texto escapado
+   */
+  escapeText(value) {
+    return String(value)
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+  }
+
+  /**
+   * Pliega una línea a 75 octetos como exige RFC 5545 (sin cortar caracteres UTF-8)
+   * @param {string} line - Línea
+   * @returns {string} Línea plegada
+   */
+  foldLine(line) {
+    if (Buffer.byteLength(line) <= 75) {
+      return line;
+    }
+
+    const parts = [];
+    let current = '';
+    let limit = 75;
+
+    for (const char of line) {
+      if (Buffer.byteLength(current + char) > limit) {
+        parts.push(current);
+        current = '';
+        limit = 74; // Las continuaciones empiezan con un espacio
+      }
+      current += char;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+  }
+}
+
+module.exports = CalendarManager;
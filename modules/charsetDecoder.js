@@ -0,0 +1,132 @@
+// modules/charsetDecoder.js
+
+class CharsetDecoder {
+  constructor() {
+    this.defaultEncoding = 'utf-8';
+  }
+
+  /**
+   * Decodifica el cuerpo de una respuesta a texto UTF-8. La codificación se
+   * toma del BOM, del charset del Content-Type o de la declaración XML (en ese
+   * orden) y la declaración se reescribe a UTF-8
+   * @param {Buffer|string} body - Cuerpo crudo
+   * @param {string} contentType - Header Content-Type
+   * @returns {Object} { text, encoding, detectedFrom }
+   */
+  decode(body, contentType) {
+    if (typeof body === 'string') {
+      return { text: this.rewriteDeclaration(body), encoding: this.defaultEncoding, detectedFrom: 'text' };
+    }
+
+    const buffer = Buffer.isBuffer(body) ? body : Buffer.from(body || []);
+    const detected = this.detectEncoding(buffer, contentType);
+
+    let decoder;
+    try {
+      // TextDecoder descarta el BOM por defecto
+      decoder = new TextDecoder(detected.encoding);
+    } catch (error) {
+      console.warn(`⚠️ Codificación no soportada "${detected.encoding}", se usa UTF-8`);
+      decoder = new TextDecoder(this.defaultEncoding);
+    }
+
+    return {
+      text: this.rewriteDeclaration(decoder.decode(buffer)),
+      // Nombre canónico (utf8, UTF8 o unicode-1-1-utf-8 son todos "utf-8")
+      encoding: decoder.encoding,
+      detectedFrom: detected.detectedFrom
+    };
+  }
+
+  /**
+   * Detecta la codificación de un cuerpo en bytes
+   * @param {Buffer} buffer - Cuerpo crudo
+   * @param {string} contentType - Header Content-Type
+   * @returns {Object} { encoding, detectedFrom }
+   */
+  detectEncoding(buffer, contentType) {
+    const bom = this.detectBom(buffer);
+    if (bom) {
+      return { encoding: bom, detectedFrom: 'bom' };
+    }
+
+    const charset = this.getCharset(contentType);
+    if (charset) {
+      return { encoding: charset, detectedFrom: 'content-type' };
+    }
+
+    const declared = this.getDeclaredEncoding(buffer);
+    if (declared) {
+      return { encoding: declared, detectedFrom: 'xml-declaration' };
+    }
+
+    return { encoding: this.defaultEncoding, detectedFrom: 'default' };
+  }
+
+  /**
+   * Detecta un BOM de UTF-8 o UTF-16
+   * @param {Buffer} buffer - Cuerpo crudo
+   * @returns {string|null} Codificación o null
+   */
+  detectBom(buffer) {
+    if (buffer.length >= 3 && buffer[0] === 0xEF && buffer[1] === 0xBB && buffer[2] === 0xBF) return 'utf-8';
+    if (buffer.length >= 2 && buffer[0] === 0xFF && buffer[1] === 0xFE) return 'utf-16le';
+    if (buffer.length >= 2 && buffer[0] === 0xFE && buffer[1] === 0xFF) return 'utf-16be';
+    return null;
+  }
+
+  /**
+   * Extrae el charset de un Content-Type
+   * @param {string} contentType - Header Content-Type
+   * @returns {string|null} Charset o null
+   */
+  getCharset(contentType) {
+    const match = String(contentType || '').match(/;\s*charset\s*=\s*"?([^";\s]+)"?/i);
+    return match ? match[1].trim() : null;
+  }
+
+  /**
+   * Reescribe el charset de un Content-Type a UTF-8 (el cuerpo ya está transcodificado)
+   * @param {string} contentType - Header Content-Type original
+   * @returns {string} Content-Type con charset=utf-8 o sin cambios si no declaraba charset
+   */
+  rewriteContentType(contentType) {
+    return String(contentType || '').replace(/(;\s*charset\s*=\s*)(?:"[^"]*"|[^;\s]*)/i, '$1utf-8');
+  }
+
+  /**
+   * Lee la codificación de la declaración XML. La declaración es ASCII, así
+   * que alcanza con leer el inicio del cuerpo (UTF-16 sin BOM se reconoce
+   * por los bytes nulos de "<?")
+   * @param {Buffer} buffer - Cuerpo crudo
+   * @returns {string|null} Codificación declarada o null
+   */
+  getDeclaredEncoding(buffer) {
+    if (buffer.length >= 4 && buffer[0] === 0x3C && buffer[1] === 0x00 && buffer[2] === 0x3F && buffer[3] === 0x00) {
+      return 'utf-16le';
+    }
+    if (buffer.length >= 4 && buffer[0] === 0x00 && buffer[1] === 0x3C && buffer[2] === 0x00 && buffer[3] === 0x3F) {
+      return 'utf-16be';
+    }
+
+    const head = buffer.subarray(0, 1024).toString('latin1');
+    const declaration = head.match(/^\s*<\?xml[^>]*\?>/);
+    const encodingMatch = declaration && declaration[0].match(/encoding\s*=\s*["']([^"']+)["']/);
+
+    return encodingMatch ? encodingMatch[1].trim() : null;
+  }
+
+  /**
+   * Reescribe la codificación de la declaración XML a UTF-8 (el texto ya está
+   * decodificado) y quita un BOM sobrante
+   * @param {string} text - XML decodificado
+   * @returns {string} XML con la declaración en UTF-8
+   */
+  rewriteDeclaration(text) {
+    return text
+      .replace(/^\uFEFF/, '')
+      .replace(/^(\s*<\?xml[^>]*?encoding\s*=\s*)(["'])[^"']*\2/, '$1$2UTF-8$2');
+  }
+}
+
+module.exports = CharsetDecoder;
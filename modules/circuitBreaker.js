@@ -0,0 +1,188 @@
+// modules/circuitBreaker.js
+
+class CircuitBreaker {
+  constructor() {
+    this.circuits = new Map(); // Estado por fuente
+
+    this.stats = {
+      trips: 0,
+      skippedRequests: 0,
+      probes: 0
+    };
+  }
+
+  /**
+   * Obtiene (o crea) el circuito de una fuente
+   * @param {string} apiId - ID de la API
+   * @returns {Object} Circuito
+   */
+  getCircuit(apiId) {
+    if (!this.circuits.has(apiId)) {
+      this.circuits.set(apiId, {
+        state: 'closed',
+        consecutiveFailures: 0,
+        outcomes: [], // true = éxito, últimos windowSize resultados
+        openedAt: null,
+        retryAt: null,
+        trips: 0,
+        lastError: null
+      });
+    }
+    return this.circuits.get(apiId);
+  }
+
+  /**
+   * Indica si se puede consultar la fuente. Pasado el cooldown de un circuito
+   * abierto, deja pasar una única prueba (half-open)
+   * @param {string} apiId - ID de la API
+   * @returns {boolean}
+   */
+  allowRequest(apiId) {
+    const circuit = this.getCircuit(apiId);
+
+    if (circuit.state === 'closed') return true;
+
+    if (circuit.state === 'open' && Date.now() >= circuit.retryAt) {
+      circuit.state = 'half-open';
+      this.stats.probes++;
+      console.log(`🔌 Circuito de ${apiId} en half-open, enviando prueba`);
+      return true;
+    }
+
+    this.stats.skippedRequests++;
+    return false;
+  }
+
+  /**
+   * Registra un fetch exitoso (cierra el circuito si estaba probando)
+   * @param {string} apiId - ID de la API
+   * @param {number} windowSize - Resultados recordados
+   */
+  recordSuccess(apiId, windowSize) {
+    const circuit = this.getCircuit(apiId);
+
+    if (circuit.state !== 'closed') {
+      console.log(`🔌 Circuito de ${apiId} cerrado, la fuente respondió`);
+    }
+
+    circuit.state = 'closed';
+    circuit.consecutiveFailures = 0;
+    circuit.openedAt = null;
+    circuit.retryAt = null;
+    this.pushOutcome(circuit, true, windowSize);
+  }
+
+  /**
+   * Registra un fetch fallido (con todos sus reintentos) y abre el circuito
+   * si se supera algún umbral
+   * @param {string} apiId - ID de la API
+   * @param {string} error - Mensaje de error
+   * @param {Object} settings - { failureThreshold, failureRate, windowSize, cooldown }
+   */
+  recordFailure(apiId, error, settings) {
+    const circuit = this.getCircuit(apiId);
+
+    circuit.consecutiveFailures++;
+    circuit.lastError = error;
+    this.pushOutcome(circuit, false, settings.windowSize);
+
+    const failureRate = this.getFailureRate(circuit);
+    const windowFull = circuit.outcomes.length >= settings.windowSize;
+    const shouldTrip = circuit.state === 'half-open' ||
+      circuit.consecutiveFailures >= settings.failureThreshold ||
+      (windowFull && failureRate >= settings.failureRate);
+
+    if (shouldTrip) {
+      this.trip(apiId, circuit, settings.cooldown);
+    }
+  }
+
+  /**
+   * Abre el circuito durante el cooldown
+   * @param {string} apiId - ID de la API
+   * @param {Object} circuit - Circuito
+   * @param {number} cooldown - Segundos abierto
+   */
+  trip(apiId, circuit, cooldown) {
+    const wasOpen = circuit.state !== 'closed';
+
+    circuit.state = 'open';
+    circuit.openedAt = new Date().toISOString();
+    circuit.retryAt = Date.now() + cooldown * 1000;
+
+    if (!wasOpen) {
+      circuit.trips++;
+      this.stats.trips++;
+    }
+
+    console.warn(`🔌 Circuito de ${apiId} abierto por ${cooldown}s (${circuit.consecutiveFailures} fallos consecutivos)`);
+  }
+
+  /**
+   * Agrega un resultado a la ventana deslizante
+   * @param {Object} circuit - Circuito
+   * @param {boolean} success - Resultado
+   * @param {number} windowSize - Tamaño de la ventana
+   */
+  pushOutcome(circuit, success, windowSize) {
+    circuit.outcomes.push(success);
+    while (circuit.outcomes.length > windowSize) {
+      circuit.outcomes.shift();
+    }
+  }
+
+  /**
+   * Porcentaje de fallos en la ventana
+   * @param {Object} circuit - Circuito
+   * @returns {number} 0-100
+   */
+  getFailureRate(circuit) {
+    if (circuit.outcomes.length === 0) return 0;
+    const failures = circuit.outcomes.filter(success => !success).length;
+    return Math.round((failures / circuit.outcomes.length) * 100);
+  }
+
+  /**
+   * Vuelve a cerrar el circuito de una fuente (ej: al editar su configuración)
+   * @param {string} apiId - ID de la API
+   */
+  reset(apiId) {
+    this.circuits.delete(apiId);
+  }
+
+  /**
+   * Estado público del circuito de una fuente
+   * @param {string} apiId - ID de la API
+   * @returns {Object} { state, consecutiveFailures, failureRate, openedAt, retryAt, trips, lastError }
+   */
+  getState(apiId) {
+    const circuit = this.getCircuit(apiId);
+
+    // Un circuito abierto con el cooldown vencido espera la próxima consulta para probar
+    return {
+      state: circuit.state,
+      consecutiveFailures: circuit.consecutiveFailures,
+      failureRate: this.getFailureRate(circuit),
+      openedAt: circuit.openedAt,
+      retryAt: circuit.retryAt ? new Date(circuit.retryAt).toISOString() : null,
+      trips: circuit.trips,
+      lastError: circuit.lastError
+    };
+  }
+
+  /**
+   * Obtiene estadísticas y la cantidad de circuitos por estado
+   * @returns {Object} Estadísticas
+   */
+  getStats() {
+    const circuits = Array.from(this.circuits.values());
+
+    return {
+      ...this.stats,
+      open: circuits.filter(circuit => circuit.state === 'open').length,
+      halfOpen: circuits.filter(circuit => circuit.state === 'half-open').length
+    };
+  }
+}
+
+module.exports = CircuitBreaker;
@@ -1,21 +1,76 @@
 // modules/configManager.js
 const fs = require('fs').promises;
 const path = require('path');
+const cron = require('node-cron');
+const SecretManager = require('./secretManager');
+const TransformManager = require('./transformManager');
+const SchemaManager = require('./schemaManager');
+
+// Escrituras en curso por archivo: todas las instancias comparten la cola
+const writeQueues = new Map();
 
 class ConfigManager {
   constructor() {
     this.configPath = path.join(__dirname, '../config/apis.json');
+    this.secretManager = new SecretManager();
     this.defaultConfig = {
       apis: [],
       settings: {
         cacheTime: 300,        // 5 minutos por defecto
         timeout: 5000,         // 5 segundos timeout
         retries: 3,            // 3 reintentos
+        maxStale: 86400,       // Servir copias viejas de hasta 24 horas
         userAgent: 'XML-Aggregator/1.0',
         enableCors: true,
         port: 8080,
-        logLevel: 'info'
+        logLevel: 'info',
+        timezone: 'America/Argentina/Buenos_Aires',
+        snapshotRetention: {
+          maxVersions: 50,     // Versiones guardadas por fuente
+          maxAge: 604800       // Segundos (7 días, 0 = sin límite)
+        },
+        circuitBreaker: {
+          failureThreshold: 5, // Fallos consecutivos que abren el circuito
+          failureRate: 50,     // % de fallos en la ventana que abre el circuito
+          windowSize: 10,      // Últimos resultados considerados para el %
+          cooldown: 60         // Segundos abierto antes de la prueba (half-open)
+        },
+        retryPolicy: {
+          baseDelay: 1000,     // ms, backoff exponencial con full jitter
+          maxDelay: 5000,      // ms, tope de cada espera
+          retryOn: ['timeout', 'connection_refused', 'connection_reset', 'server_error', 'rate_limited'],
+          respectRetryAfter: true,
+          maxRetryAfter: 60    // Segundos; un Retry-After mayor corta los reintentos
+        },
+        retryBudget: {
+          ratio: 20,           // Reintentos permitidos como % de los requests de la ventana
+          minRetries: 10,      // Reintentos permitidos siempre por ventana
+          window: 60           // Segundos
+        },
+        fetchQueue: {
+          maxConcurrent: 6,    // Requests simultáneos en total
+          perHost: {
+            maxConcurrent: 2,  // Requests simultáneos por host
+            requestsPerSecond: 5 // 0 = sin límite
+          },
+          hosts: {}            // Límites propios por hostname: { "host": { maxConcurrent, requestsPerSecond } }
+        },
+        proxy: {
+          url: null,           // Sin proxy usa HTTPS_PROXY / HTTP_PROXY / NO_PROXY del entorno
+          username: null,
+          password: null,      // Se guarda cifrado
+          noProxy: []          // Hosts sin proxy (ej: "localhost", ".interno.local", "*")
+        },
+        tls: {
+          caFile: null         // Bundle PEM de CAs propias (relativo a config/), se suma a las del sistema
+        }
+      },
+      canonical: {
+        recordName: 'record', // Elemento de cada registro en GET /api/records
+        fields: []            // [{ name, type: string|int|bool|date, default }]
       },
+      exportProfiles: [],     // Perfiles de /api/export.csv y /api/export.xlsx
+      webhooks: [],           // Suscripciones a eventos (content-changed, fetch-failed, recovered)
       lastModified: new Date().toISOString()
     };
   }
@@ -37,7 +92,7 @@ class ConfigManager {
       if (error.code === 'ENOENT') {
         // Archivo no existe, crear configuración por defecto
         console.log('📁 Archivo de configuración no encontrado, creando uno nuevo...');
-        await this.saveConfig(this.defaultConfig);
+        await this.writeConfig(this.defaultConfig);
         return this.defaultConfig;
       }
       throw new Error(`Error al cargar configuración: ${error.message}`);
@@ -49,6 +104,35 @@ class ConfigManager {
    * @param {Object} config - Configuración a guardar
    */
   async saveConfig(config) {
+    return this.withWriteLock(() => this.writeConfig(config));
+  }
+
+  /**
+   * Ejecuta una lectura-modificación-escritura de la configuración en orden,
+   * para que los cambios simultáneos (admin y estado de los fetches) no se pisen
+   * @param {Function} task - Función async que lee y guarda la configuración
+   * @returns {Promise<*>} Resultado de la tarea
+   */
+  async withWriteLock(task) {
+    const previous = writeQueues.get(this.configPath) || Promise.resolve();
+    const run = previous.then(task, task);
+    const tail = run.catch(() => {});
+
+    writeQueues.set(this.configPath, tail);
+    tail.then(() => {
+      if (writeQueues.get(this.configPath) === tail) {
+        writeQueues.delete(this.configPath);
+      }
+    });
+
+    return run;
+  }
+
+  /**
+   * Escribe la configuración en disco (sin tomar la cola de escritura)
+   * @param {Object} config - Configuración a guardar
+   */
+  async writeConfig(config) {
     try {
       // Crear directorio si no existe
       await fs.mkdir(path.dirname(this.configPath), { recursive: true });
@@ -58,13 +142,45 @@ class ConfigManager {
       
       // Validar antes de guardar
       const validConfig = this.validateConfig(config);
+
+      // Conservar secretos que llegaron enmascarados (***)
+      if (this.secretManager.hasMaskedValues(validConfig.apis)) {
+        const previousApis = await this.readStoredApis();
+        validConfig.apis = validConfig.apis.map(api => this.secretManager.restoreMaskedApi(
+          api,
+          previousApis.find(previous => previous.id === api.id)
+        ));
+      }
+
+      if (validConfig.webhooks.some(webhook => this.secretManager.isMasked(webhook.secret))) {
+        const previousWebhooks = await this.readStoredWebhooks();
+        validConfig.webhooks = validConfig.webhooks.map(webhook => this.secretManager.restoreMaskedWebhook(
+          webhook,
+          previousWebhooks.find(previous => previous.id === webhook.id)
+        ));
+      }
+
+      if (this.secretManager.isMasked(validConfig.settings.proxy?.password)) {
+        validConfig.settings = this.secretManager.restoreMaskedSettings(
+          validConfig.settings,
+          await this.readStoredSettings()
+        );
+      }
+
+      // Cifrar secretos antes de escribir en disco
+      validConfig.settings = this.secretManager.encryptSettings(validConfig.settings);
+      validConfig.apis = validConfig.apis.map(api => this.secretManager.encryptApi(api));
+      validConfig.webhooks = validConfig.webhooks.map(webhook => this.secretManager.encryptWebhook(webhook));
       
-      // Guardar con formato legible
+      // Guardar con formato legible (archivo temporal + rename para que
+      // una lectura concurrente nunca vea el archivo a medio escribir)
+      const tempPath = `${this.configPath}.${process.pid}.${Date.now()}.${Math.random().toString(36).slice(2)}.tmp`;
       await fs.writeFile(
-        this.configPath, 
-        JSON.stringify(validConfig, null, 2), 
+        tempPath,
+        JSON.stringify(validConfig, null, 2),
         'utf8'
       );
+      await fs.rename(tempPath, this.configPath);
       
       console.log('💾 Configuración guardada correctamente');
     } catch (error) {
@@ -72,6 +188,32 @@ class ConfigManager {
     }
   }
 
+  /**
+   * Lee los settings guardados en disco sin validar (secretos cifrados)
+   * @returns {Promise<Object>} Settings guardados
+   */
+  async readStoredSettings() {
+    try {
+      const data = await fs.readFile(this.configPath, 'utf8');
+      return JSON.parse(data).settings || {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  /**
+   * Lee las APIs guardadas en disco sin validar (secretos cifrados)
+   * @returns {Promise<Array>} APIs guardadas
+   */
+  async readStoredApis() {
+    try {
+      const data = await fs.readFile(this.configPath, 'utf8');
+      return JSON.parse(data).apis || [];
+    } catch (error) {
+      return [];
+    }
+  }
+
   /**
    * Valida y normaliza la configuración
    * @param {Object} config - Configuración a validar
@@ -83,6 +225,30 @@ class ConfigManager {
       ...config
     };
 
+    // Staleness máxima por defecto para las APIs
+    const settingsMaxStale = parseInt(config.settings?.maxStale);
+    const defaultMaxStale = Number.isFinite(settingsMaxStale)
+      ? Math.max(0, settingsMaxStale)
+      : this.defaultConfig.settings.maxStale;
+
+    // Política de reintentos por defecto para las APIs
+    const defaultRetryPolicy = this.validateRetryPolicy(
+      config.settings?.retryPolicy,
+      this.defaultConfig.settings.retryPolicy
+    );
+
+    // Umbrales del circuit breaker por defecto para las APIs
+    const defaultCircuitBreaker = this.validateCircuitBreaker(
+      config.settings?.circuitBreaker,
+      this.defaultConfig.settings.circuitBreaker
+    );
+
+    // Retención de snapshots por defecto para las APIs
+    const defaultRetention = this.validateSnapshotRetention(
+      config.settings?.snapshotRetention,
+      this.defaultConfig.settings.snapshotRetention
+    );
+
     // Validar APIs
     if (Array.isArray(config.apis)) {
       validConfig.apis = config.apis.map((api, index) => {
@@ -91,17 +257,42 @@ class ConfigManager {
           name: api.name || `API ${index + 1}`,
           url: api.url || '',
           interval: Math.max(30, parseInt(api.interval) || 300), // Mínimo 30 segundos
+          cron: this.validateCron(api.cron),
+          timezone: this.validateTimezone(api.timezone),
+          windows: this.validateWindows(api.windows),
+          adaptive: this.validateAdaptive(api.adaptive, api.interval),
           enabled: api.enabled !== false, // True por defecto
           order: api.order || index,
           headers: api.headers || {},
+          sensitiveHeaders: Array.isArray(api.sensitiveHeaders) ? api.sensitiveHeaders : [],
+          auth: this.validateAuth(api.auth),
           timeout: api.timeout || validConfig.settings.timeout,
           retries: api.retries || validConfig.settings.retries,
+          retryPolicy: this.validateRetryPolicy(api.retryPolicy, defaultRetryPolicy),
+          circuitBreaker: this.validateCircuitBreaker(api.circuitBreaker, defaultCircuitBreaker),
+          proxy: api.proxy === false ? false : this.validateProxy(api.proxy),
+          tls: this.validateTls(api.tls),
+          maxStale: this.parseMaxStale(api.maxStale, defaultMaxStale),
+          snapshotRetention: this.validateSnapshotRetention(api.snapshotRetention, defaultRetention),
+          mergeKey: api.mergeKey ? String(api.mergeKey).trim() : null,
+          transform: this.validateTransform(api.transform),
+          schema: this.validateSchema(api.schema),
+          onInvalid: this.validateOnInvalid(api.onInvalid),
+          mapping: this.validateMapping(api.mapping),
+          recordXPath: api.recordXPath ? String(api.recordXPath).trim() : null,
+          calendar: this.validateCalendar(api.calendar),
           lastFetch: api.lastFetch || null,
-          lastStatus: api.lastStatus || 'pending'
+          lastStatus: api.lastStatus || 'pending',
+          lastResponseTime: api.lastResponseTime || null
         };
       });
     }
 
+    // Validar esquema canónico de registros y perfiles de exportación
+    validConfig.canonical = this.validateCanonical(config.canonical);
+    validConfig.exportProfiles = this.validateExportProfiles(config.exportProfiles);
+    validConfig.webhooks = this.validateWebhooks(config.webhooks);
+
     // Validar settings
     if (config.settings) {
       validConfig.settings = {
@@ -110,39 +301,690 @@ class ConfigManager {
         cacheTime: Math.max(30, parseInt(config.settings.cacheTime) || 300),
         timeout: Math.max(1000, parseInt(config.settings.timeout) || 5000),
         retries: Math.max(1, parseInt(config.settings.retries) || 3),
-        port: Math.max(1024, parseInt(config.settings.port) || 8080)
+        maxStale: defaultMaxStale,
+        snapshotRetention: defaultRetention,
+        circuitBreaker: defaultCircuitBreaker,
+        retryPolicy: defaultRetryPolicy,
+        retryBudget: this.validateRetryBudget(config.settings.retryBudget),
+        fetchQueue: this.validateFetchQueue(config.settings.fetchQueue),
+        proxy: this.validateProxy(config.settings.proxy) || this.defaultConfig.settings.proxy,
+        tls: { caFile: this.validateTls(config.settings.tls)?.caFile || null },
+        port: Math.max(1024, parseInt(config.settings.port) || 8080),
+        timezone: this.validateTimezone(config.settings.timezone) || this.defaultConfig.settings.timezone
       };
     }
 
     return validConfig;
   }
 
+  /**
+   * Lee los webhooks guardados en disco sin validar (secretos cifrados)
+   * @returns {Promise<Array>} Webhooks guardados
+   */
+  async readStoredWebhooks() {
+    try {
+      const data = await fs.readFile(this.configPath, 'utf8');
+      return JSON.parse(data).webhooks || [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * Normaliza la staleness máxima (segundos) de una API
+   * @param {*} value - Valor configurado
+   * @param {number} fallback - Valor por defecto
+   * @returns {number} Segundos (0 = nunca servir copias viejas)
+   */
+  parseMaxStale(value, fallback) {
+    const parsed = parseInt(value);
+    return Number.isFinite(parsed) ? Math.max(0, parsed) : fallback;
+  }
+
+  /**
+   * Normaliza la retención de snapshots (por cantidad y antigüedad)
+   * @param {Object} retention - { maxVersions, maxAge (segundos) }
+   * @param {Object} fallback - Retención por defecto
+   * @returns {Object} { maxVersions, maxAge }
+   */
+  validateSnapshotRetention(retention, fallback) {
+    const maxVersions = parseInt(retention?.maxVersions);
+    const maxAge = parseInt(retention?.maxAge);
+
+    return {
+      maxVersions: Number.isFinite(maxVersions) ? Math.max(1, maxVersions) : fallback.maxVersions,
+      maxAge: Number.isFinite(maxAge) ? Math.max(0, maxAge) : fallback.maxAge
+    };
+  }
+
+  /**
+   * Valida los umbrales del circuit breaker (globales o de una fuente)
+   * @param {Object} circuitBreaker - { failureThreshold, failureRate, windowSize, cooldown }
+   * @param {Object} fallback - Umbrales por defecto para los campos faltantes
+   * @returns {Object} Umbrales validados
+   */
+  validateCircuitBreaker(circuitBreaker, fallback = this.defaultConfig.settings.circuitBreaker) {
+    const read = (field, min, max = Infinity) => {
+      const value = parseInt(circuitBreaker?.[field]);
+      return Number.isFinite(value) ? Math.min(max, Math.max(min, value)) : fallback[field];
+    };
+
+    return {
+      failureThreshold: read('failureThreshold', 1),
+      failureRate: read('failureRate', 1, 100),
+      windowSize: read('windowSize', 1),
+      cooldown: read('cooldown', 1)
+    };
+  }
+
+  /**
+   * Valida la política de reintentos de una fuente
+   * @param {Object} policy - { baseDelay, maxDelay, retryOn, respectRetryAfter, maxRetryAfter }
+   * @param {Object} fallback - Política por defecto para los campos faltantes
+   * @returns {Object} Política validada
+   */
+  validateRetryPolicy(policy, fallback) {
+    const errorTypes = [
+      'timeout', 'dns_error', 'connection_refused', 'connection_reset',
+      'rate_limited', 'client_error', 'server_error', 'ssl_error', 'unknown'
+    ];
+    const baseDelay = parseInt(policy?.baseDelay);
+    const maxDelay = parseInt(policy?.maxDelay);
+    const maxRetryAfter = parseInt(policy?.maxRetryAfter);
+
+    const retryOn = Array.isArray(policy?.retryOn) ? policy.retryOn : fallback.retryOn;
+    const invalidType = retryOn.find(type => !errorTypes.includes(type));
+    if (invalidType) {
+      throw new Error(`Tipo de error inválido en retryOn: ${invalidType} (válidos: ${errorTypes.join(', ')})`);
+    }
+
+    return {
+      baseDelay: Number.isFinite(baseDelay) ? Math.max(0, baseDelay) : fallback.baseDelay,
+      maxDelay: Number.isFinite(maxDelay) ? Math.max(0, maxDelay) : fallback.maxDelay,
+      retryOn: Array.from(new Set(retryOn)),
+      respectRetryAfter: typeof policy?.respectRetryAfter === 'boolean'
+        ? policy.respectRetryAfter
+        : fallback.respectRetryAfter,
+      maxRetryAfter: Number.isFinite(maxRetryAfter) ? Math.max(0, maxRetryAfter) : fallback.maxRetryAfter
+    };
+  }
+
+  /**
+   * Valida el presupuesto global de reintentos
+   * @param {Object} budget - { ratio, minRetries, window }
+   * @returns {Object} Presupuesto validado (los faltantes toman el valor por defecto)
+   */
+  validateRetryBudget(budget) {
+    const defaults = this.defaultConfig.settings.retryBudget;
+    const ratio = parseInt(budget?.ratio);
+    const minRetries = parseInt(budget?.minRetries);
+    const window = parseInt(budget?.window);
+
+    return {
+      ratio: Number.isFinite(ratio) ? Math.min(100, Math.max(0, ratio)) : defaults.ratio,
+      minRetries: Number.isFinite(minRetries) ? Math.max(0, minRetries) : defaults.minRetries,
+      window: Number.isFinite(window) ? Math.max(1, window) : defaults.window
+    };
+  }
+
+  /**
+   * Valida los límites de la cola de fetches
+   * @param {Object} queue - { maxConcurrent, perHost: { maxConcurrent, requestsPerSecond }, hosts }
+   * @returns {Object} Límites validados (los faltantes toman el valor por defecto)
+   */
+  validateFetchQueue(queue) {
+    const defaults = this.defaultConfig.settings.fetchQueue;
+    const validateHost = (limits, fallback) => {
+      const maxConcurrent = parseInt(limits?.maxConcurrent);
+      const requestsPerSecond = parseFloat(limits?.requestsPerSecond);
+
+      return {
+        maxConcurrent: Number.isFinite(maxConcurrent) ? Math.max(1, maxConcurrent) : fallback.maxConcurrent,
+        requestsPerSecond: Number.isFinite(requestsPerSecond)
+          ? Math.max(0, requestsPerSecond)
+          : fallback.requestsPerSecond
+      };
+    };
+
+    const maxConcurrent = parseInt(queue?.maxConcurrent);
+    const perHost = validateHost(queue?.perHost, defaults.perHost);
+    const hosts = {};
+
+    for (const [host, limits] of Object.entries(queue?.hosts || {})) {
+      hosts[host.trim().toLowerCase()] = validateHost(limits, perHost);
+    }
+
+    return {
+      maxConcurrent: Number.isFinite(maxConcurrent) ? Math.max(1, maxConcurrent) : defaults.maxConcurrent,
+      perHost,
+      hosts
+    };
+  }
+
+  /**
+   * Valida la configuración de un proxy saliente
+   * @param {Object} proxy - { url, username, password, noProxy }
+   * @returns {Object|null} Proxy validado o null si no hay
+   */
+  validateProxy(proxy) {
+    if (!proxy || typeof proxy !== 'object' || !proxy.url) {
+      return null;
+    }
+
+    let parsed;
+    try {
+      parsed = new URL(proxy.url);
+    } catch (error) {
+      throw new Error(`URL de proxy inválida: ${proxy.url}`);
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      throw new Error(`URL de proxy inválida: ${proxy.url} (se espera http o https)`);
+    }
+
+    const noProxy = typeof proxy.noProxy === 'string' ? proxy.noProxy.split(',') : proxy.noProxy;
+
+    return {
+      url: String(proxy.url).trim(),
+      username: proxy.username ? String(proxy.username) : null,
+      password: proxy.password ? String(proxy.password) : null,
+      noProxy: Array.isArray(noProxy)
+        ? noProxy.map(entry => String(entry).trim()).filter(Boolean)
+        : []
+    };
+  }
+
+  /**
+   * Valida las opciones TLS de una fuente (rutas PEM dentro de config/)
+   * @param {Object} tlsOptions - { caFile, certFile, keyFile, passphrase, rejectUnauthorized }
+   * @returns {Object|null} Opciones validadas o null si no hay
+   */
+  validateTls(tlsOptions) {
+    if (!tlsOptions || typeof tlsOptions !== 'object') {
+      return null;
+    }
+
+    const configDir = path.dirname(this.configPath);
+    const file = value => {
+      if (!value || !String(value).trim()) return null;
+
+      const relative = path.relative(configDir, path.resolve(configDir, String(value).trim()));
+      if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) {
+        throw new Error(`El certificado ${value} debe estar dentro de config/`);
+      }
+      return String(value).trim();
+    };
+    const validated = {
+      caFile: file(tlsOptions.caFile),
+      certFile: file(tlsOptions.certFile),
+      keyFile: file(tlsOptions.keyFile),
+      passphrase: tlsOptions.passphrase ? String(tlsOptions.passphrase) : null,
+      rejectUnauthorized: tlsOptions.rejectUnauthorized !== false
+    };
+
+    if (Boolean(validated.certFile) !== Boolean(validated.keyFile)) {
+      throw new Error('mTLS requiere certFile y keyFile');
+    }
+
+    return validated;
+  }
+
+  /**
+   * Valida una expresión cron (5 o 6 campos)
+   * @param {string} expression - Expresión cron
+   * @returns {string|null} Expresión validada o null si no hay
+   */
+  validateCron(expression) {
+    if (!expression || !String(expression).trim()) {
+      return null;
+    }
+
+    const trimmed = String(expression).trim();
+    if (!cron.validate(trimmed)) {
+      throw new Error(`Expresión cron inválida: ${trimmed}`);
+    }
+
+    return trimmed;
+  }
+
+  /**
+   * Valida una zona horaria IANA
+   * @param {string} timezone - Zona horaria (ej: America/Argentina/Buenos_Aires)
+   * @returns {string|null} Zona horaria validada o null si no hay
+   */
+  validateTimezone(timezone) {
+    if (!timezone || !String(timezone).trim()) {
+      return null;
+    }
+
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: String(timezone).trim() });
+      return String(timezone).trim();
+    } catch (error) {
+      throw new Error(`Zona horaria inválida: ${timezone}`);
+    }
+  }
+
+  /**
+   * Valida las ventanas horarias de una API
+   * @param {Array} windows - Ventanas ({ days, dates, start, end, cron })
+   * @returns {Array} Ventanas normalizadas
+   */
+  validateWindows(windows) {
+    if (!Array.isArray(windows)) {
+      return [];
+    }
+
+    const dayNames = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+    const timePattern = /^([01]?\d|2[0-3]):[0-5]\d$/; // 24:00 solo como fin de ventana
+
+    return windows.map((window, index) => {
+      const windowCron = this.validateCron(window.cron);
+      if (!windowCron) {
+        throw new Error(`La ventana horaria ${index + 1} requiere una expresión cron`);
+      }
+
+      if (window.start && !timePattern.test(window.start)) {
+        throw new Error(`Hora inválida en ventana ${index + 1}: ${window.start} (formato HH:MM, 00:00 a 23:59)`);
+      }
+      if (window.end && window.end !== '24:00' && !timePattern.test(window.end)) {
+        throw new Error(`Hora inválida en ventana ${index + 1}: ${window.end} (formato HH:MM, 00:00 a 24:00)`);
+      }
+
+      const days = (Array.isArray(window.days) ? window.days : [])
+        .map(day => typeof day === 'number' ? day : dayNames.indexOf(String(day).toLowerCase().slice(0, 3)))
+        .filter(day => day >= 0 && day <= 6);
+
+      const dates = (Array.isArray(window.dates) ? window.dates : [])
+        .filter(date => /^\d{4}-\d{2}-\d{2}$/.test(date));
+
+      return {
+        days,
+        dates,
+        start: window.start || '00:00',
+        end: window.end || '24:00',
+        cron: windowCron
+      };
+    });
+  }
+
+  /**
+   * Valida el nombre de la hoja XSLT asociada a una API (archivo en config/transforms)
+   * @param {string} name - Nombre del archivo
+   * @returns {string|null} Nombre validado o null si no hay
+   */
+  validateTransform(name) {
+    if (!name || !String(name).trim()) {
+      return null;
+    }
+
+    const trimmed = String(name).trim();
+    if (!TransformManager.isValidName(trimmed)) {
+      throw new Error(`Hoja de estilo inválida: ${trimmed} (se espera nombre.xsl o nombre.xslt)`);
+    }
+
+    return trimmed;
+  }
+
+  /**
+   * Valida el nombre del XSD asociado a una API (archivo en config/schemas)
+   * @param {string} name - Nombre del archivo
+   * @returns {string|null} Nombre validado o null si no hay
+   */
+  validateSchema(name) {
+    if (!name || !String(name).trim()) {
+      return null;
+    }
+
+    const trimmed = String(name).trim();
+    if (!SchemaManager.isValidName(trimmed)) {
+      throw new Error(`Esquema inválido: ${trimmed} (se espera nombre.xsd)`);
+    }
+
+    return trimmed;
+  }
+
+  /**
+   * Valida la política ante documentos que no cumplen el XSD
+   * @param {string} policy - 'reject' (excluir la fuente) o 'flag' (incluirla marcada)
+   * @returns {string} Política validada
+   */
+  validateOnInvalid(policy) {
+    if (!policy) {
+      return 'reject';
+    }
+
+    if (!['reject', 'flag'].includes(policy)) {
+      throw new Error(`Política onInvalid inválida: ${policy} (reject o flag)`);
+    }
+
+    return policy;
+  }
+
+  /**
+   * Valida el esquema canónico de registros
+   * @param {Object} canonical - Esquema ({ recordName, fields: [{ name, type, default }] })
+   * @returns {Object} Esquema normalizado
+   */
+  validateCanonical(canonical) {
+    if (!canonical) {
+      return { ...this.defaultConfig.canonical };
+    }
+
+    const recordName = canonical.recordName || this.defaultConfig.canonical.recordName;
+    if (!/^[A-Za-z_][\w.-]*$/.test(recordName)) {
+      throw new Error(`Nombre de registro canónico inválido: ${recordName}`);
+    }
+
+    const fields = (Array.isArray(canonical.fields) ? canonical.fields : []).map(field => {
+      if (!field?.name || !/^[A-Za-z_][\w.-]*$/.test(field.name)) {
+        throw new Error(`Campo canónico inválido: ${field?.name}`);
+      }
+      if (field.name === 'source') {
+        throw new Error('El campo canónico "source" está reservado para la procedencia');
+      }
+
+      return {
+        name: field.name,
+        type: this.validateFieldType(field.type),
+        ...(field.default !== undefined ? { default: field.default } : {})
+      };
+    });
+
+    const names = fields.map(field => field.name);
+    const duplicated = names.find((name, index) => names.indexOf(name) !== index);
+    if (duplicated) {
+      throw new Error(`Campo canónico duplicado: ${duplicated}`);
+    }
+
+    return { recordName, fields };
+  }
+
+  /**
+   * Valida el mapeo de una API al esquema canónico
+   * @param {Object} mapping - Mapeo ({ recordPath, fields: { campo: 'ruta' | { path, type, default } } })
+   * @returns {Object|null} Mapeo normalizado o null si no hay
+   */
+  validateMapping(mapping) {
+    if (!mapping) {
+      return null;
+    }
+
+    if (!mapping.recordPath || typeof mapping.recordPath !== 'string') {
+      throw new Error('El mapeo requiere recordPath (ej: fixture/partido)');
+    }
+
+    const fields = {};
+    for (const [name, fieldMapping] of Object.entries(mapping.fields || {})) {
+      if (typeof fieldMapping === 'string' || Array.isArray(fieldMapping)) {
+        fields[name] = fieldMapping;
+      } else if (fieldMapping && typeof fieldMapping === 'object') {
+        fields[name] = {
+          ...(fieldMapping.path ? { path: fieldMapping.path } : {}),
+          ...(fieldMapping.type ? { type: this.validateFieldType(fieldMapping.type) } : {}),
+          ...(fieldMapping.default !== undefined ? { default: fieldMapping.default } : {})
+        };
+      } else {
+        throw new Error(`Mapeo inválido para el campo ${name}`);
+      }
+    }
+
+    return { recordPath: mapping.recordPath.trim(), fields };
+  }
+
+  /**
+   * Valida el mapeo de una API a eventos de calendario (/api/calendar.ics)
+   * @param {Object} calendar - Mapeo ({ recordPath, fields: { id, home, away, venue, start, competition, round },
+   *                            competition, timezone, duration })
+   * @returns {Object|null} Mapeo normalizado o null si no hay
+   */
+  validateCalendar(calendar) {
+    if (!calendar) {
+      return null;
+    }
+
+    const mapping = this.validateMapping(calendar);
+    if (!mapping.fields.start) {
+      throw new Error('El mapeo de calendario requiere el campo start (ej: ["@fecha", "hora"])');
+    }
+
+    const duration = parseInt(calendar.duration);
+    if (calendar.duration !== undefined && calendar.duration !== null &&
+        (!Number.isFinite(duration) || duration <= 0)) {
+      throw new Error(`Duración de calendario inválida: ${calendar.duration} (minutos)`);
+    }
+
+    return {
+      ...mapping,
+      competition: calendar.competition ? String(calendar.competition).trim() : null,
+      timezone: this.validateTimezone(calendar.timezone),
+      duration: Number.isFinite(duration) ? duration : null
+    };
+  }
+
+  /**
+   * Valida las suscripciones de webhooks
+   * @param {Array} webhooks - Webhooks ({ id, name, url, secret, sources, events, enabled })
+   * @returns {Array} Webhooks normalizados
+   */
+  validateWebhooks(webhooks) {
+    if (!Array.isArray(webhooks)) {
+      return [];
+    }
+
+    const validEvents = ['content-changed', 'fetch-failed', 'recovered'];
+
+    return webhooks.map((webhook, index) => {
+      let url;
+      try {
+        url = new URL(webhook?.url);
+      } catch (error) {
+        throw new Error(`URL de webhook inválida: ${webhook?.url}`);
+      }
+      if (!['http:', 'https:'].includes(url.protocol)) {
+        throw new Error(`URL de webhook inválida: ${webhook.url} (se espera http o https)`);
+      }
+
+      const events = Array.isArray(webhook.events) && webhook.events.length > 0
+        ? webhook.events
+        : validEvents;
+      const invalidEvent = events.find(event => !validEvents.includes(event));
+      if (invalidEvent) {
+        throw new Error(`Evento de webhook inválido: ${invalidEvent} (válidos: ${validEvents.join(', ')})`);
+      }
+
+      return {
+        id: webhook.id || `wh_${Date.now()}_${index}`,
+        name: webhook.name || `Webhook ${index + 1}`,
+        url: url.toString(),
+        secret: webhook.secret ? String(webhook.secret) : null,
+        sources: Array.isArray(webhook.sources) ? webhook.sources.map(String).filter(Boolean) : [],
+        events: Array.from(new Set(events)),
+        enabled: webhook.enabled !== false
+      };
+    });
+  }
+
+  /**
+   * Valida los perfiles de exportación CSV/XLSX
+   * @param {Array} profiles - Perfiles ({ id, name, sources, columns: ['col' | { name, label }], delimiter })
+   * @returns {Array} Perfiles normalizados
+   */
+  validateExportProfiles(profiles) {
+    if (!Array.isArray(profiles)) {
+      return [];
+    }
+
+    const ids = new Set();
+
+    return profiles.map(profile => {
+      if (!profile?.id || !/^[\w-]+$/.test(profile.id)) {
+        throw new Error(`ID de perfil de exportación inválido: ${profile?.id}`);
+      }
+      if (ids.has(profile.id)) {
+        throw new Error(`Perfil de exportación duplicado: ${profile.id}`);
+      }
+      ids.add(profile.id);
+
+      const delimiter = profile.delimiter || ',';
+      if (![',', ';', '\t', '|'].includes(delimiter)) {
+        throw new Error(`Separador CSV inválido en el perfil ${profile.id}: ${delimiter}`);
+      }
+
+      return {
+        id: profile.id,
+        name: profile.name || profile.id,
+        sources: Array.isArray(profile.sources) ? profile.sources.map(String) : [],
+        columns: (Array.isArray(profile.columns) ? profile.columns : []).map(column => {
+          const name = typeof column === 'string' ? column : column?.name;
+          if (!name) {
+            throw new Error(`Columna sin nombre en el perfil ${profile.id}`);
+          }
+          return { name, label: (typeof column === 'object' && column.label) || name };
+        }),
+        delimiter
+      };
+    });
+  }
+
+  /**
+   * Valida el tipo de un campo canónico
+   * @param {string} type - Tipo (string, int, bool, date)
+   * @returns {string} Tipo validado
+   */
+  validateFieldType(type) {
+    if (!type) {
+      return 'string';
+    }
+
+    if (!['string', 'int', 'bool', 'date'].includes(type)) {
+      throw new Error(`Tipo de campo inválido: ${type} (string, int, bool o date)`);
+    }
+
+    return type;
+  }
+
+  /**
+   * Valida la configuración de polling adaptativo de una API
+   * @param {Object} adaptive - Bloque adaptive ({ enabled, minInterval, maxInterval, ... })
+   * @param {number} interval - Intervalo base de la API (segundos)
+   * @returns {Object} Bloque adaptive normalizado
+   */
+  validateAdaptive(adaptive, interval) {
+    const baseInterval = Math.max(30, parseInt(interval) || 300);
+
+    if (!adaptive || typeof adaptive !== 'object' || !adaptive.enabled) {
+      return { enabled: false };
+    }
+
+    const minInterval = Math.max(30, parseInt(adaptive.minInterval) || baseInterval);
+    const maxInterval = Math.max(minInterval, parseInt(adaptive.maxInterval) || baseInterval * 4);
+    const increaseFactor = parseFloat(adaptive.increaseFactor);
+    const decreaseFactor = parseFloat(adaptive.decreaseFactor);
+
+    return {
+      enabled: true,
+      minInterval,
+      maxInterval,
+      increaseFactor: increaseFactor > 1 ? increaseFactor : 1.5,  // Sin cambios: espaciar
+      decreaseFactor: decreaseFactor > 0 && decreaseFactor < 1 ? decreaseFactor : 0.5 // Con cambios: acelerar
+    };
+  }
+
+  /**
+   * Valida y normaliza el bloque de autenticación de una API
+   * @param {Object} auth - Bloque auth a validar
+   * @returns {Object} Bloque auth normalizado
+   */
+  validateAuth(auth) {
+    if (!auth || typeof auth !== 'object' || !auth.type || auth.type === 'none') {
+      return { type: 'none' };
+    }
+
+    switch (auth.type) {
+      case 'basic':
+        return {
+          type: 'basic',
+          username: auth.username || '',
+          password: auth.password || ''
+        };
+
+      case 'bearer':
+        return {
+          type: 'bearer',
+          token: auth.token || ''
+        };
+
+      case 'apiKey':
+        return {
+          type: 'apiKey',
+          in: auth.in === 'query' ? 'query' : 'header',
+          name: auth.name || (auth.in === 'query' ? 'api_key' : 'X-API-Key'),
+          value: auth.value || ''
+        };
+
+      case 'oauth2':
+        return {
+          type: 'oauth2',
+          tokenUrl: auth.tokenUrl || '',
+          clientId: auth.clientId || '',
+          clientSecret: auth.clientSecret || '',
+          scope: auth.scope || '',
+          audience: auth.audience || '',
+          clientAuthMethod: auth.clientAuthMethod === 'body' ? 'body' : 'basic'
+        };
+
+      default:
+        throw new Error(`Tipo de autenticación no soportado: ${auth.type}`);
+    }
+  }
+
   /**
    * Agrega una nueva API a la configuración
    * @param {Object} apiData - Datos de la nueva API
    * @returns {Object} API agregada con ID generado
    */
   async addApi(apiData) {
-    const config = await this.loadConfig();
-    
-    const newApi = {
-      id: `api_${Date.now()}`,
-      name: apiData.name || 'Nueva API',
-      url: apiData.url || '',
-      interval: Math.max(30, parseInt(apiData.interval) || 300),
-      enabled: apiData.enabled !== false,
-      order: config.apis.length,
-      headers: apiData.headers || {},
-      timeout: apiData.timeout || config.settings.timeout,
-      retries: apiData.retries || config.settings.retries,
-      lastFetch: null,
-      lastStatus: 'pending'
-    };
+    return this.withWriteLock(async () => {
+      const config = await this.loadConfig();
 
-    config.apis.push(newApi);
-    await this.saveConfig(config);
-    
-    return newApi;
+      const newApi = {
+        id: `api_${Date.now()}`,
+        name: apiData.name || 'Nueva API',
+        url: apiData.url || '',
+        interval: Math.max(30, parseInt(apiData.interval) || 300),
+        cron: this.validateCron(apiData.cron),
+        timezone: this.validateTimezone(apiData.timezone),
+        windows: this.validateWindows(apiData.windows),
+        adaptive: this.validateAdaptive(apiData.adaptive, apiData.interval),
+        enabled: apiData.enabled !== false,
+        order: config.apis.length,
+        headers: apiData.headers || {},
+        sensitiveHeaders: Array.isArray(apiData.sensitiveHeaders) ? apiData.sensitiveHeaders : [],
+        auth: this.validateAuth(apiData.auth),
+        timeout: apiData.timeout || config.settings.timeout,
+        retries: apiData.retries || config.settings.retries,
+        retryPolicy: this.validateRetryPolicy(apiData.retryPolicy, config.settings.retryPolicy),
+        circuitBreaker: this.validateCircuitBreaker(apiData.circuitBreaker, config.settings.circuitBreaker),
+        proxy: apiData.proxy === false ? false : this.validateProxy(apiData.proxy),
+        tls: this.validateTls(apiData.tls),
+        maxStale: this.parseMaxStale(apiData.maxStale, config.settings.maxStale),
+        snapshotRetention: this.validateSnapshotRetention(apiData.snapshotRetention, config.settings.snapshotRetention),
+        mergeKey: apiData.mergeKey ? String(apiData.mergeKey).trim() : null,
+        transform: this.validateTransform(apiData.transform),
+        schema: this.validateSchema(apiData.schema),
+        onInvalid: this.validateOnInvalid(apiData.onInvalid),
+        mapping: this.validateMapping(apiData.mapping),
+        recordXPath: apiData.recordXPath ? String(apiData.recordXPath).trim() : null,
+        calendar: this.validateCalendar(apiData.calendar),
+        lastFetch: null,
+        lastStatus: 'pending'
+      };
+
+      config.apis.push(newApi);
+      await this.writeConfig(config);
+
+      return newApi;
+    });
   }
 
   /**
@@ -151,17 +993,19 @@ class ConfigManager {
    * @returns {boolean} True si se eliminó correctamente
    */
   async removeApi(apiId) {
-    const config = await this.loadConfig();
-    const initialLength = config.apis.length;
-    
-    config.apis = config.apis.filter(api => api.id !== apiId);
-    
-    if (config.apis.length < initialLength) {
-      await this.saveConfig(config);
-      return true;
-    }
-    
-    return false;
+    return this.withWriteLock(async () => {
+      const config = await this.loadConfig();
+      const initialLength = config.apis.length;
+
+      config.apis = config.apis.filter(api => api.id !== apiId);
+
+      if (config.apis.length < initialLength) {
+        await this.writeConfig(config);
+        return true;
+      }
+
+      return false;
+    });
   }
 
   /**
@@ -171,23 +1015,89 @@ class ConfigManager {
    * @returns {Object|null} API actualizada o null si no existe
    */
   async updateApi(apiId, updateData) {
-    const config = await this.loadConfig();
-    const apiIndex = config.apis.findIndex(api => api.id === apiId);
-    
-    if (apiIndex === -1) {
-      return null;
-    }
+    return this.withWriteLock(async () => {
+      const config = await this.loadConfig();
+      const apiIndex = config.apis.findIndex(api => api.id === apiId);
 
-    // Actualizar campos específicos
-    config.apis[apiIndex] = {
-      ...config.apis[apiIndex],
-      ...updateData,
-      id: apiId, // Preservar ID
-      lastModified: new Date().toISOString()
-    };
+      if (apiIndex === -1) {
+        return null;
+      }
+
+      // Actualizar campos específicos
+      config.apis[apiIndex] = {
+        ...config.apis[apiIndex],
+        ...updateData,
+        id: apiId, // Preservar ID
+        lastModified: new Date().toISOString()
+      };
+
+      // Validar antes de guardar para informar el error tal cual (400 en la API)
+      this.validateConfig({ settings: config.settings, apis: [config.apis[apiIndex]] });
+
+      await this.writeConfig(config);
+      return config.apis[apiIndex];
+    });
+  }
+
+  /**
+   * Agrega una suscripción de webhook
+   * @param {Object} webhookData - Datos del webhook
+   * @returns {Object} Webhook agregado con ID generado
+   */
+  async addWebhook(webhookData) {
+    return this.withWriteLock(async () => {
+      const config = await this.loadConfig();
+      const [webhook] = this.validateWebhooks([{ ...webhookData, id: `wh_${Date.now()}` }]);
+
+      config.webhooks.push(webhook);
+      await this.writeConfig(config);
+
+      return webhook;
+    });
+  }
+
+  /**
+   * Actualiza una suscripción de webhook
+   * @param {string} webhookId - ID del webhook
+   * @param {Object} updateData - Campos a actualizar
+   * @returns {Object|null} Webhook actualizado o null si no existe
+   */
+  async updateWebhook(webhookId, updateData) {
+    return this.withWriteLock(async () => {
+      const config = await this.loadConfig();
+      const index = config.webhooks.findIndex(webhook => webhook.id === webhookId);
+
+      if (index === -1) {
+        return null;
+      }
 
-    await this.saveConfig(config);
-    return config.apis[apiIndex];
+      const [webhook] = this.validateWebhooks([{ ...config.webhooks[index], ...updateData, id: webhookId }]);
+      config.webhooks[index] = webhook;
+      await this.writeConfig(config);
+
+      return webhook;
+    });
+  }
+
+  /**
+   * Elimina una suscripción de webhook
+   * @param {string} webhookId - ID del webhook
+   * @returns {boolean} True si se eliminó
+   */
+  async removeWebhook(webhookId) {
+    return this.withWriteLock(async () => {
+      const config = await this.loadConfig();
+      const initialLength = config.webhooks.length;
+
+      config.webhooks = config.webhooks.filter(webhook => webhook.id !== webhookId);
+
+      if (config.webhooks.length < initialLength) {
+        await this.writeConfig(config);
+        return true;
+      }
+
+      return false;
+    });
   }
 
   /**
@@ -195,20 +1105,22 @@ class ConfigManager {
    * @param {Array} orderedIds - Array con el orden deseado de IDs
    */
   async reorderApis(orderedIds) {
-    const config = await this.loadConfig();
-    
-    const reorderedApis = orderedIds
-      .map(id => config.apis.find(api => api.id === id))
-      .filter(Boolean)
-      .map((api, index) => ({ ...api, order: index }));
+    return this.withWriteLock(async () => {
+      const config = await this.loadConfig();
+
+      const reorderedApis = orderedIds
+        .map(id => config.apis.find(api => api.id === id))
+        .filter(Boolean)
+        .map((api, index) => ({ ...api, order: index }));
 
-    // Agregar APIs que no estaban en la lista ordenada
-    const missingApis = config.apis
-      .filter(api => !orderedIds.includes(api.id))
-      .map((api, index) => ({ ...api, order: reorderedApis.length + index }));
+      // Agregar APIs que no estaban en la lista ordenada
+      const missingApis = config.apis
+        .filter(api => !orderedIds.includes(api.id))
+        .map((api, index) => ({ ...api, order: reorderedApis.length + index }));
 
-    config.apis = [...reorderedApis, ...missingApis];
-    await this.saveConfig(config);
+      config.apis = [...reorderedApis, ...missingApis];
+      await this.writeConfig(config);
+    });
   }
 
   /**
@@ -229,23 +1141,25 @@ class ConfigManager {
    * @param {Object} metadata - Metadatos adicionales
    */
   async updateApiStatus(apiId, status, metadata = {}) {
-    const config = await this.loadConfig();
-    const apiIndex = config.apis.findIndex(api => api.id === apiId);
-    
-    if (apiIndex !== -1) {
-      config.apis[apiIndex].lastFetch = new Date().toISOString();
-      config.apis[apiIndex].lastStatus = status;
-      
-      if (metadata.responseTime) {
-        config.apis[apiIndex].lastResponseTime = metadata.responseTime;
-      }
-      
-      if (metadata.error) {
-        config.apis[apiIndex].lastError = metadata.error;
-      }
+    return this.withWriteLock(async () => {
+      const config = await this.loadConfig();
+      const apiIndex = config.apis.findIndex(api => api.id === apiId);
 
-      await this.saveConfig(config);
-    }
+      if (apiIndex !== -1) {
+        config.apis[apiIndex].lastFetch = new Date().toISOString();
+        config.apis[apiIndex].lastStatus = status;
+
+        if (metadata.responseTime) {
+          config.apis[apiIndex].lastResponseTime = metadata.responseTime;
+        }
+
+        if (metadata.error) {
+          config.apis[apiIndex].lastError = metadata.error;
+        }
+
+        await this.writeConfig(config);
+      }
+    });
   }
 }
 
@@ -1,45 +1,133 @@
 // modules/dataFetcher.js
 const axios = require('axios');
+const crypto = require('crypto');
 const ConfigManager = require('./configManager');
+const CacheManager = require('./cacheManager');
+const AuthManager = require('./authManager');
+const SecretManager = require('./secretManager');
+const SnapshotManager = require('./snapshotManager');
+const EventStream = require('./eventStream');
+const WebhookManager = require('./webhookManager');
+const CircuitBreaker = require('./circuitBreaker');
+const RetryPolicy = require('./retryPolicy');
+const FetchQueue = require('./fetchQueue');
+const AgentManager = require('./agentManager');
+const CharsetDecoder = require('./charsetDecoder');
 
 class DataFetcher {
-  constructor() {
-    this.configManager = new ConfigManager();
-    this.activeRequests = new Map(); // Para evitar requests duplicados
+  /**
+   * @param {Object} dependencies - Instancias compartidas opcionales (configManager, cacheManager, snapshotManager, eventStream, webhookManager, circuitBreaker, retryPolicy, fetchQueue)
+   */
+  constructor(dependencies = {}) {
+    this.configManager = dependencies.configManager || new ConfigManager();
+    this.cacheManager = dependencies.cacheManager || new CacheManager();
+    this.snapshotManager = dependencies.snapshotManager || new SnapshotManager();
+    this.eventStream = dependencies.eventStream || new EventStream();
+    this.webhookManager = dependencies.webhookManager || new WebhookManager({
+      configManager: this.configManager
+    });
+    this.circuitBreaker = dependencies.circuitBreaker || new CircuitBreaker();
+    this.retryPolicy = dependencies.retryPolicy || new RetryPolicy();
+    this.fetchQueue = dependencies.fetchQueue || new FetchQueue();
+    this.authManager = new AuthManager();
+    this.secretManager = new SecretManager();
+    this.agentManager = new AgentManager();
+    this.charsetDecoder = new CharsetDecoder();
+    this.activeRequests = new Map(); // Requests en curso por fuente, compartidos entre llamadas simultáneas
     this.stats = {
       totalRequests: 0,
       successfulRequests: 0,
       failedRequests: 0,
+      notModifiedResponses: 0,
+      transcodedResponses: 0,
+      coalescedRequests: 0,
       totalResponseTime: 0,
       lastReset: new Date().toISOString()
     };
   }
 
   /**
-   * Obtiene datos de una API específica
+   * Obtiene datos de una API específica. Si ya hay un request en curso para
+   * la misma fuente, la llamada espera ese mismo request y recibe su resultado
    * @param {Object} apiConfig - Configuración de la API
    * @returns {Promise<Object>} Resultado del fetch
    */
-  async fetchApiData(apiConfig) {
-    const startTime = Date.now();
-    const requestId = `${apiConfig.id}_${startTime}`;
+  fetchApiData(apiConfig) {
+    const active = this.activeRequests.get(apiConfig.id);
+
+    if (active) {
+      active.waiters++;
+      this.stats.coalescedRequests++;
+      console.log(`⏳ Request ya en progreso para ${apiConfig.name}, compartiendo resultado`);
+      return active.promise;
+    }
 
-    // Evitar requests duplicados simultáneos
-    if (this.activeRequests.has(apiConfig.id)) {
-      console.log(`⏳ Request ya en progreso para ${apiConfig.name}`);
-      return {
+    // Circuito abierto: no consultar la fuente hasta que pase el cooldown
+    if (!this.circuitBreaker.allowRequest(apiConfig.id)) {
+      const circuit = this.circuitBreaker.getState(apiConfig.id);
+      console.log(`🔌 Circuito abierto para ${apiConfig.name}, se omite la consulta hasta ${circuit.retryAt}`);
+      return Promise.resolve({
         success: false,
-        error: 'Request already in progress',
         apiId: apiConfig.id,
+        apiName: apiConfig.name,
+        error: `Circuit breaker open (retry at ${circuit.retryAt})`,
+        errorType: 'circuit_open',
+        circuit,
         timestamp: new Date().toISOString()
-      };
+      });
     }
 
-    this.activeRequests.set(apiConfig.id, requestId);
+    const startTime = Date.now();
+    const request = {
+      requestId: `${apiConfig.id}_${startTime}`,
+      startTime,
+      waiters: 0,
+      promise: null
+    };
+
+    this.activeRequests.set(apiConfig.id, request);
+    this.eventStream.publish('fetch-started', {
+      apiId: apiConfig.id,
+      apiName: apiConfig.name,
+      url: apiConfig.url
+    });
+
+    request.promise = this.performFetch(apiConfig, startTime).finally(() => {
+      // Limpiar request activo
+      if (this.activeRequests.get(apiConfig.id) === request) {
+        this.activeRequests.delete(apiConfig.id);
+      }
+    });
+
+    return request.promise;
+  }
+
+  /**
+   * Realiza el request a una API con reintentos
+   * @param {Object} apiConfig - Configuración de la API
+   * @param {number} startTime - Inicio del request (ms)
+   * @returns {Promise<Object>} Resultado del fetch
+   */
+  async performFetch(apiConfig, startTime) {
+    let settings = this.configManager.defaultConfig.settings;
 
     try {
+      settings = (await this.configManager.loadConfig()).settings;
+      const retryPolicy = apiConfig.retryPolicy || settings.retryPolicy;
+
       console.log(`🔄 Fetching data from ${apiConfig.name} (${apiConfig.url})`);
-      
+
+      // Descifrar secretos solo para esta petición
+      const secrets = this.secretManager.decryptApi(apiConfig);
+
+      // Agentes con proxy, CA propia y certificado cliente (mTLS)
+      const transport = await this.agentManager.getAxiosOptions(
+        apiConfig.url, secrets, this.secretManager.decryptSettings(settings), apiConfig.id
+      );
+
+      // Última respuesta buena para peticiones condicionales
+      const lastResponse = await this.cacheManager.getLastResponse(apiConfig.id);
+
       // Configurar axios
       const axiosConfig = {
         timeout: apiConfig.timeout || 5000,
@@ -47,91 +135,119 @@ class DataFetcher {
           'User-Agent': 'XML-Aggregator/1.0',
           'Accept': 'application/xml, text/xml, */*',
           'Cache-Control': 'no-cache',
-          ...apiConfig.headers
+          ...this.getConditionalHeaders(lastResponse),
+          ...secrets.headers
         },
         validateStatus: function (status) {
-          return status >= 200 && status < 300;
+          return (status >= 200 && status < 300) || status === 304;
         },
         maxRedirects: 5,
-        responseType: 'text' // Siempre como texto para procesar XML
+        responseType: 'arraybuffer', // Bytes crudos: se decodifican según el charset
+        ...transport
       };
 
-      // Realizar request con reintentos
+      // Realizar request con reintentos según la política de la fuente
       let lastError;
-      const maxRetries = apiConfig.retries || 3;
+      let attemptsMade = 0;
+      let tokenRefreshed = false;
+      // La prueba de un circuito half-open es un único intento
+      const maxRetries = this.circuitBreaker.getState(apiConfig.id).state === 'half-open'
+        ? 1
+        : apiConfig.retries || 3;
 
-      for (let attempt = 1; attempt <= maxRetries; attempt++) {
-        try {
-          const response = await axios.get(apiConfig.url, axiosConfig);
-          const responseTime = Date.now() - startTime;
+      this.retryPolicy.recordRequest(settings.retryBudget);
 
-          // Actualizar estadísticas
-          this.updateStats(true, responseTime);
+      let response = null;
+      let requestStart = startTime; // Salida de la cola del último intento
 
-          // Actualizar estado en configuración
-          await this.configManager.updateApiStatus(apiConfig.id, 'success', {
-            responseTime,
-            contentLength: response.data.length,
-            attempt
+      for (let attempt = 1; attempt <= maxRetries; attempt++) {
+        attemptsMade = attempt;
+        try {
+          // Aplicar autenticación en cada intento (el token OAuth2 puede renovarse)
+          const requestConfig = await this.authManager.applyAuth(secrets.auth, axiosConfig, apiConfig.id);
+          // Cada intento pasa por la cola (límites globales y por host)
+          // (el tiempo de respuesta se mide desde que sale de la cola, sin la espera)
+          const attemptResponse = await this.fetchQueue.schedule(apiConfig.url, () => {
+            requestStart = Date.now();
+            return axios.get(apiConfig.url, requestConfig);
           });
 
-          console.log(`✅ Success: ${apiConfig.name} (${responseTime}ms, attempt ${attempt})`);
-
-          const result = {
-            success: true,
-            apiId: apiConfig.id,
-            apiName: apiConfig.name,
-            data: response.data,
-            metadata: {
-              url: apiConfig.url,
-              status: response.status,
-              statusText: response.statusText,
-              responseTime,
-              contentType: response.headers['content-type'] || 'unknown',
-              contentLength: response.data.length,
-              timestamp: new Date().toISOString(),
-              attempt,
-              headers: response.headers
-            }
-          };
-
-          return result;
+          if (attemptResponse.status === 304 && !lastResponse) {
+            throw new Error('Received 304 Not Modified without a cached body');
+          }
+
+          response = attemptResponse;
+          break;
 
         } catch (error) {
           lastError = error;
           console.log(`❌ Attempt ${attempt}/${maxRetries} failed for ${apiConfig.name}: ${error.message}`);
-          
-          // Si no es el último intento, esperar antes de reintentar
-          if (attempt < maxRetries) {
-            const delay = Math.min(1000 * Math.pow(2, attempt - 1), 5000); // Backoff exponencial
-            console.log(`⏱️ Waiting ${delay}ms before retry...`);
-            await new Promise(resolve => setTimeout(resolve, delay));
+
+          if (attempt >= maxRetries) break;
+
+          // Token OAuth2 rechazado: forzar uno nuevo y reintentar enseguida (una sola vez)
+          if (error.response?.status === 401 && apiConfig.auth?.type === 'oauth2' && !tokenRefreshed) {
+            this.authManager.invalidateToken(apiConfig.id);
+            tokenRefreshed = true;
+            continue;
           }
+
+          const decision = this.retryPolicy.evaluate(
+            error, this.categorizeError(error), attempt, retryPolicy, settings.retryBudget
+          );
+
+          if (!decision.retry) {
+            console.log(`🛑 No se reintenta ${apiConfig.name}: ${decision.reason}`);
+            break;
+          }
+
+          console.log(`⏱️ Waiting ${decision.delay}ms before retry...`);
+          await new Promise(resolve => setTimeout(resolve, decision.delay));
         }
       }
 
+      if (response) {
+        return await this.handleSuccessfulFetch(apiConfig, response, {
+          lastResponse,
+          settings,
+          attempt: attemptsMade,
+          responseTime: Date.now() - requestStart
+        });
+      }
+
       // Todos los reintentos fallaron
-      const responseTime = Date.now() - startTime;
+      const responseTime = Date.now() - requestStart;
       this.updateStats(false, responseTime);
 
       const errorType = this.categorizeError(lastError);
-      
+      this.circuitBreaker.recordFailure(apiConfig.id, lastError.message, this.getCircuitSettings(apiConfig, settings));
+
       await this.configManager.updateApiStatus(apiConfig.id, 'error', {
         responseTime,
         error: lastError.message,
         errorType,
-        attempts: maxRetries
+        attempts: attemptsMade
       });
 
       console.log(`💥 All attempts failed for ${apiConfig.name}: ${lastError.message}`);
 
+      this.eventStream.publish('fetch-failed', {
+        apiId: apiConfig.id,
+        apiName: apiConfig.name,
+        error: lastError.message,
+        errorType,
+        responseTime,
+        lastFetch: new Date().toISOString(),
+        circuit: this.circuitBreaker.getState(apiConfig.id).state
+      });
+
       return {
         success: false,
         apiId: apiConfig.id,
         apiName: apiConfig.name,
         error: lastError.message,
         errorType,
-        attempts: maxRetries,
+        attempts: attemptsMade,
         responseTime,
         timestamp: new Date().toISOString()
       };
@@ -141,6 +257,7 @@ class DataFetcher {
       this.updateStats(false, responseTime);
 
       console.error(`💥 Unexpected error fetching ${apiConfig.name}:`, error.message);
+      this.circuitBreaker.recordFailure(apiConfig.id, error.message, this.getCircuitSettings(apiConfig, settings));
 
       await this.configManager.updateApiStatus(apiConfig.id, 'error', {
         responseTime,
@@ -148,6 +265,16 @@ class DataFetcher {
         errorType: 'unexpected'
       });
 
+      this.eventStream.publish('fetch-failed', {
+        apiId: apiConfig.id,
+        apiName: apiConfig.name,
+        error: error.message,
+        errorType: 'unexpected',
+        responseTime,
+        lastFetch: new Date().toISOString(),
+        circuit: this.circuitBreaker.getState(apiConfig.id).state
+      });
+
       return {
         success: false,
         apiId: apiConfig.id,
@@ -157,11 +284,148 @@ class DataFetcher {
         responseTime,
         timestamp: new Date().toISOString()
       };
+    }
+  }
 
-    } finally {
-      // Limpiar request activo
-      this.activeRequests.delete(apiConfig.id);
+  /**
+   * Registra un fetch exitoso y arma su resultado. El guardado de cuerpo,
+   * historial, snapshot y estado no cambia el resultado: si alguno falla se
+   * avisa, pero el fetch sigue siendo exitoso (no se reintenta ni cuenta
+   * como fallo para el circuit breaker)
+   * @param {Object} apiConfig - Configuración de la API
+   * @param {Object} response - Respuesta de axios
+   * @param {Object} context - { lastResponse, settings, attempt, responseTime }
+   * @returns {Promise<Object>} Resultado del fetch
+   */
+  async handleSuccessfulFetch(apiConfig, response, { lastResponse, settings, attempt, responseTime }) {
+    const notModified = response.status === 304;
+    const contentType = response.headers['content-type'] ||
+      (notModified ? lastResponse.contentType : null) || 'unknown';
+
+    // 304: reutilizar el último cuerpo bueno (ya guardado en UTF-8)
+    const decoded = notModified
+      ? { text: lastResponse.data, encoding: lastResponse.encoding || 'utf-8' }
+      : this.charsetDecoder.decode(response.data, response.headers['content-type']);
+    const data = decoded.text;
+
+    if (!notModified && decoded.encoding !== 'utf-8') {
+      this.stats.transcodedResponses++;
+      console.log(`🔤 ${apiConfig.name} transcodificado de ${decoded.encoding} a UTF-8 (${decoded.detectedFrom})`);
     }
+
+    // Actualizar estadísticas
+    this.updateStats(true, responseTime);
+    this.circuitBreaker.recordSuccess(apiConfig.id, this.getCircuitSettings(apiConfig, settings).windowSize);
+    if (notModified) {
+      this.stats.notModifiedResponses++;
+    }
+
+    const warn = step => error => {
+      console.warn(`⚠️ No se pudo ${step} de ${apiConfig.name}:`, error.message);
+    };
+
+    // Recordar validadores y cuerpo para la próxima petición
+    await this.cacheManager.setLastResponse(apiConfig.id, {
+      data,
+      contentType,
+      encoding: decoded.encoding,
+      etag: response.headers['etag'] || (notModified ? lastResponse.etag : null) || null,
+      lastModified: response.headers['last-modified'] ||
+        (notModified ? lastResponse.lastModified : null) || null
+    }).catch(warn('guardar la última respuesta'));
+
+    // Historial de hashes para los feeds de cambios y snapshots versionados
+    // (un 304 no cambia el contenido). Es el único historial: de él salen el
+    // evento content-changed del stream, los webhooks y el modo adaptativo,
+    // sea cual sea el camino del fetch (scheduler, fresh o revalidación)
+    let contentChange = null;
+    if (!notModified) {
+      contentChange = (await this.snapshotManager.recordContentHash(apiConfig.id, data)
+        .catch(warn('registrar el historial de contenido'))) || null;
+      if (contentChange?.previousHash) {
+        this.notifyContentChanged(apiConfig, contentChange, data.length);
+      }
+
+      await this.snapshotManager.saveSnapshot(apiConfig.id, data, {
+        contentType,
+        retention: apiConfig.snapshotRetention
+      }).catch(warn('guardar el snapshot'));
+    }
+
+    // Actualizar estado en configuración
+    await this.configManager.updateApiStatus(apiConfig.id, 'success', {
+      responseTime,
+      contentLength: data.length,
+      attempt,
+      notModified
+    }).catch(warn('actualizar el estado'));
+
+    console.log(notModified
+      ? `✅ Not modified: ${apiConfig.name} (${responseTime}ms, attempt ${attempt})`
+      : `✅ Success: ${apiConfig.name} (${responseTime}ms, attempt ${attempt})`);
+
+    this.eventStream.publish('fetch-finished', {
+      apiId: apiConfig.id,
+      apiName: apiConfig.name,
+      status: response.status,
+      responseTime,
+      notModified,
+      contentLength: data.length,
+      lastFetch: new Date().toISOString(),
+      circuit: this.circuitBreaker.getState(apiConfig.id).state
+    });
+
+    return {
+      success: true,
+      apiId: apiConfig.id,
+      apiName: apiConfig.name,
+      data,
+      metadata: {
+        url: apiConfig.url,
+        status: response.status,
+        statusText: response.statusText,
+        responseTime,
+        contentType,
+        encoding: decoded.encoding,
+        contentLength: data.length,
+        timestamp: new Date().toISOString(),
+        attempt,
+        notModified,
+        contentChange,
+        headers: response.headers
+      }
+    };
+  }
+
+  /**
+   * Umbrales del circuit breaker de una fuente (los propios o los globales)
+   * @param {Object} apiConfig - Configuración de la API
+   * @param {Object} settings - Configuración global
+   * @returns {Object} { failureThreshold, failureRate, windowSize, cooldown }
+   */
+  getCircuitSettings(apiConfig, settings) {
+    return apiConfig.circuitBreaker || settings.circuitBreaker;
+  }
+
+  /**
+   * Publica un cambio de contenido en el stream de eventos y en los webhooks
+   * (las entregas siguen en segundo plano)
+   * @param {Object} apiConfig - Configuración de la API
+   * @param {Object} change - Entrada del historial { hash, previousHash }
+   * @param {number} contentLength - Largo del cuerpo nuevo
+   */
+  notifyContentChanged(apiConfig, change, contentLength) {
+    const data = { previousHash: change.previousHash, hash: change.hash, contentLength };
+
+    this.eventStream.publish('content-changed', {
+      apiId: apiConfig.id,
+      apiName: apiConfig.name,
+      ...data
+    });
+
+    this.webhookManager.emit('content-changed', apiConfig, data).catch(error => {
+      console.warn('⚠️ Error notificando webhooks (content-changed):', error.message);
+    });
   }
 
   /**
@@ -180,20 +444,18 @@ class DataFetcher {
 
       console.log(`🚀 Fetching data from ${enabledApis.length} APIs...`);
 
-      const fetchPromises = enabledApis.map(api => 
-        this.fetchApiData(api).catch(error => ({
-          success: false,
-          apiId: api.id,
-          apiName: api.name,
-          error: error.message,
-          timestamp: new Date().toISOString()
-        }))
-      );
+      const fetchApi = api => this.fetchApiData(api).catch(error => ({
+        success: false,
+        apiId: api.id,
+        apiName: api.name,
+        error: error.message,
+        timestamp: new Date().toISOString()
+      }));
 
-      // Ejecutar todos los requests
-      const results = options.sequential 
-        ? await this.fetchSequentially(fetchPromises)
-        : await Promise.all(fetchPromises);
+      // Ejecutar todos los requests (la cola aplica los límites de concurrencia y RPS)
+      const results = options.sequential
+        ? await this.fetchSequentially(enabledApis, fetchApi)
+        : await Promise.all(enabledApis.map(fetchApi));
 
       const successful = results.filter(r => r.success);
       const failed = results.filter(r => !r.success);
@@ -216,21 +478,38 @@ class DataFetcher {
   }
 
   /**
-   * Ejecuta requests de forma secuencial
-   * @param {Array} promises - Array de promesas
+   * Ejecuta requests de a uno (el siguiente empieza cuando termina el anterior)
+   * @param {Array} apis - APIs a consultar
+   * @param {Function} fetchApi - Función de fetch por API
    * @returns {Promise<Array>} Resultados secuenciales
    */
-  async fetchSequentially(promises) {
+  async fetchSequentially(apis, fetchApi) {
     const results = [];
-    for (const promise of promises) {
-      const result = await promise;
-      results.push(result);
-      // Pequeña pausa entre requests
-      await new Promise(resolve => setTimeout(resolve, 100));
+    for (const api of apis) {
+      results.push(await fetchApi(api));
     }
     return results;
   }
 
+  /**
+   * Construye los headers condicionales a partir de la última respuesta buena
+   * @param {Object|null} lastResponse - Última respuesta cacheada
+   * @returns {Object} Headers If-None-Match / If-Modified-Since
+   */
+  getConditionalHeaders(lastResponse) {
+    const headers = {};
+
+    // Sin cuerpo guardado un 304 no serviría de nada
+    if (!lastResponse || typeof lastResponse.data !== 'string') {
+      return headers;
+    }
+
+    if (lastResponse.etag) headers['If-None-Match'] = lastResponse.etag;
+    if (lastResponse.lastModified) headers['If-Modified-Since'] = lastResponse.lastModified;
+
+    return headers;
+  }
+
   /**
    * Categoriza el tipo de error
    * @param {Error} error - Error a categorizar
@@ -241,6 +520,7 @@ class DataFetcher {
     if (error.code === 'ENOTFOUND') return 'dns_error';
     if (error.code === 'ECONNREFUSED') return 'connection_refused';
     if (error.code === 'ECONNRESET') return 'connection_reset';
+    if (error.response?.status === 429) return 'rate_limited';
     if (error.response?.status >= 400 && error.response?.status < 500) return 'client_error';
     if (error.response?.status >= 500) return 'server_error';
     if (error.message.includes('certificate')) return 'ssl_error';
@@ -276,7 +556,10 @@ class DataFetcher {
       successRate: this.stats.totalRequests > 0
         ? Math.round((this.stats.successfulRequests / this.stats.totalRequests) * 100)
         : 0,
-      activeRequests: this.activeRequests.size
+      activeRequests: this.activeRequests.size,
+      circuitBreaker: this.circuitBreaker.getStats(),
+      retries: this.retryPolicy.getStats(),
+      queue: this.fetchQueue.getStats()
     };
   }
 
@@ -288,6 +571,9 @@ class DataFetcher {
       totalRequests: 0,
       successfulRequests: 0,
       failedRequests: 0,
+      notModifiedResponses: 0,
+      transcodedResponses: 0,
+      coalescedRequests: 0,
       totalResponseTime: 0,
       lastReset: new Date().toISOString()
     };
@@ -296,24 +582,45 @@ class DataFetcher {
   /**
    * Prueba conectividad de una URL
    * @param {string} url - URL a probar
-   * @param {Object} options - Opciones adicionales
+   * @param {Object} options - Opciones adicionales (timeout, headers, sensitiveHeaders, auth, proxy, tls, includeBody)
    * @returns {Promise<Object>} Resultado de la prueba
    */
   async testConnection(url, options = {}) {
     const startTime = Date.now();
+    let transport = null;
     
     try {
-      const response = await axios.get(url, {
+      const secrets = this.secretManager.decryptApi({
+        auth: options.auth,
+        headers: options.headers,
+        sensitiveHeaders: options.sensitiveHeaders,
+        proxy: options.proxy,
+        tls: options.tls
+      });
+
+      const { settings } = await this.configManager.loadConfig();
+      // Agentes propios de la prueba (se destruyen al terminar)
+      transport = await this.agentManager.getAxiosOptions(
+        url, secrets, this.secretManager.decryptSettings(settings)
+      );
+
+      const requestConfig = await this.authManager.applyAuth(secrets.auth, {
+        ...transport,
         timeout: options.timeout || 5000,
         headers: {
           'User-Agent': 'XML-Aggregator/1.0',
-          ...options.headers
+          ...secrets.headers
         },
-        validateStatus: () => true // Aceptar cualquier status
-      });
+        validateStatus: () => true, // Aceptar cualquier status
+        responseType: 'arraybuffer'
+      }, this.getTestTokenKey(url, secrets.auth));
+
+      const response = await axios.get(url, requestConfig);
 
       const responseTime = Date.now() - startTime;
       const isXml = (response.headers['content-type'] || '').toLowerCase().includes('xml');
+      const decoded = this.charsetDecoder.decode(response.data, response.headers['content-type']);
+      const data = decoded.text;
 
       return {
         success: true,
@@ -321,11 +628,11 @@ class DataFetcher {
         statusText: response.statusText,
         responseTime,
         contentType: response.headers['content-type'] || 'unknown',
-        contentLength: typeof response.data === 'string' ? response.data.length : 0,
+        encoding: decoded.encoding,
+        contentLength: data.length,
         isXml,
-        preview: typeof response.data === 'string' 
-          ? response.data.substring(0, 200) + (response.data.length > 200 ? '...' : '')
-          : 'Binary data'
+        preview: data.substring(0, 200) + (data.length > 200 ? '...' : ''),
+        ...(options.includeBody ? { data } : {})
       };
 
     } catch (error) {
@@ -337,18 +644,35 @@ class DataFetcher {
         errorType: this.categorizeError(error),
         responseTime
       };
+    } finally {
+      if (transport) this.agentManager.releaseAgents(transport);
     }
   }
 
+  /**
+   * Clave de cache del token OAuth2 de una prueba: propia de la URL y las
+   * credenciales probadas, para no reutilizar ni pisar el token de una fuente
+   * @param {string} url - URL probada
+   * @param {Object} auth - Bloque auth (en claro)
+   * @returns {string} Clave de cache
+   */
+  getTestTokenKey(url, auth) {
+    const fingerprint = crypto.createHash('sha256')
+      .update(JSON.stringify([url, auth || null]))
+      .digest('hex');
+    return `test_${fingerprint.substring(0, 16)}`;
+  }
+
   /**
    * Obtiene información de requests activos
    * @returns {Array} Lista de requests activos
    */
   getActiveRequests() {
-    return Array.from(this.activeRequests.entries()).map(([apiId, requestId]) => ({
+    return Array.from(this.activeRequests.entries()).map(([apiId, request]) => ({
       apiId,
-      requestId,
-      startTime: new Date(parseInt(requestId.split('_')[1])).toISOString()
+      requestId: request.requestId,
+      startTime: new Date(request.startTime).toISOString(),
+      waiters: request.waiters
     }));
   }
 }
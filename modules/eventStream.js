@@ -0,0 +1,211 @@
+// modules/eventStream.js
+const { WebSocketServer } = require('ws');
+
+class EventStream {
+  constructor() {
+    this.types = ['fetch-started', 'fetch-finished', 'fetch-failed', 'content-changed', 'config-changed'];
+    this.clients = new Set(); // Suscriptores SSE y WebSocket
+    this.history = []; // Últimos eventos, para reanudar SSE con Last-Event-ID
+    this.maxHistory = 100;
+    this.lastId = 0;
+    this.heartbeatMs = 25000; // Mantiene vivas las conexiones detrás de proxies
+    this.heartbeat = null;
+    this.wss = null;
+
+    this.stats = {
+      publishedEvents: 0,
+      totalConnections: 0
+    };
+  }
+
+  /**
+   * Publica un evento a todos los suscriptores interesados
+   * @param {string} type - Tipo de evento
+   * @param {Object} data - Datos del evento
+   * @returns {Object} Evento publicado { id, type, timestamp, data }
+   */
+  publish(type, data = {}) {
+    const event = {
+      id: ++this.lastId,
+      type,
+      timestamp: new Date().toISOString(),
+      data
+    };
+
+    this.history.push(event);
+    if (this.history.length > this.maxHistory) {
+      this.history.shift();
+    }
+
+    for (const client of this.clients) {
+      if (this.accepts(client, event)) {
+        client.send(event);
+      }
+    }
+
+    this.stats.publishedEvents++;
+    return event;
+  }
+
+  /**
+   * Interpreta el filtro de tipos (?types=fetch-failed,content-changed)
+   * @param {string} value - Tipos separados por coma
+   * @returns {Array|null} Tipos pedidos o null para todos
+   */
+  parseTypes(value) {
+    if (!value) return null;
+
+    const types = String(value).split(',').map(type => type.trim()).filter(Boolean);
+    const invalid = types.find(type => !this.types.includes(type));
+    if (invalid) {
+      throw new Error(`Tipo de evento inválido: ${invalid} (válidos: ${this.types.join(', ')})`);
+    }
+
+    return types;
+  }
+
+  /**
+   * Verifica si un cliente está suscripto al tipo del evento
+   * @param {Object} client - Cliente
+   * @param {Object} event - Evento
+   * @returns {boolean}
+   */
+  accepts(client, event) {
+    return !client.types || client.types.includes(event.type);
+  }
+
+  /**
+   * Atiende una conexión Server-Sent Events
+   * @param {Object} req - Request de Express
+   * @param {Object} res - Response de Express
+   */
+  handleSse(req, res) {
+    const types = this.parseTypes(req.query.types);
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.write('retry: 5000\n\n');
+
+    const client = {
+      kind: 'sse',
+      types,
+      send: event => res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`),
+      ping: () => res.write(': ping\n\n'),
+      close: () => res.end()
+    };
+
+    // Reanudar desde el último evento recibido por el cliente
+    const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.lastEventId);
+    if (Number.isFinite(lastEventId)) {
+      this.history
+        .filter(event => event.id > lastEventId && this.accepts(client, event))
+        .forEach(event => client.send(event));
+    }
+
+    this.addClient(client);
+    req.on('close', () => this.removeClient(client));
+  }
+
+  /**
+   * Acepta conexiones WebSocket en la misma ruta que SSE
+   * @param {Object} server - Servidor HTTP
+   * @param {string} path - Ruta (ej: /api/stream)
+   */
+  attachWebSocket(server, path) {
+    this.wss = new WebSocketServer({ server, path });
+
+    this.wss.on('connection', (socket, req) => {
+      let types;
+      try {
+        types = this.parseTypes(new URL(req.url, 'http://localhost').searchParams.get('types'));
+      } catch (error) {
+        socket.close(1008, error.message);
+        return;
+      }
+
+      const client = {
+        kind: 'ws',
+        types,
+        send: event => {
+          if (socket.readyState === socket.OPEN) socket.send(JSON.stringify(event));
+        },
+        ping: () => socket.ping(),
+        close: () => socket.close(1001, 'Servidor cerrando')
+      };
+
+      this.addClient(client);
+      socket.on('close', () => this.removeClient(client));
+      socket.on('error', () => this.removeClient(client));
+    });
+  }
+
+  /**
+   * Registra un cliente y arranca el heartbeat si es el primero
+   * @param {Object} client - Cliente
+   */
+  addClient(client) {
+    this.clients.add(client);
+    this.stats.totalConnections++;
+
+    if (!this.heartbeat) {
+      this.heartbeat = setInterval(() => {
+        for (const connected of this.clients) connected.ping();
+      }, this.heartbeatMs);
+      this.heartbeat.unref();
+    }
+  }
+
+  /**
+   * Quita un cliente y detiene el heartbeat si no quedan
+   * @param {Object} client - Cliente
+   */
+  removeClient(client) {
+    this.clients.delete(client);
+
+    if (this.clients.size === 0 && this.heartbeat) {
+      clearInterval(this.heartbeat);
+      this.heartbeat = null;
+    }
+  }
+
+  /**
+   * Cierra todas las conexiones (al detener el servidor)
+   */
+  close() {
+    for (const client of this.clients) {
+      client.close();
+    }
+    this.clients.clear();
+
+    if (this.heartbeat) {
+      clearInterval(this.heartbeat);
+      this.heartbeat = null;
+    }
+    if (this.wss) {
+      this.wss.close();
+    }
+  }
+
+  /**
+   * Obtiene estadísticas del stream
+   * @returns {Object} Estadísticas
+   */
+  getStats() {
+    const clients = Array.from(this.clients);
+
+    return {
+      ...this.stats,
+      lastEventId: this.lastId,
+      connectedClients: {
+        sse: clients.filter(client => client.kind === 'sse').length,
+        ws: clients.filter(client => client.kind === 'ws').length
+      }
+    };
+  }
+}
+
+module.exports = EventStream;
@@ -0,0 +1,166 @@
+// modules/exportManager.js
+const ExcelJS = require('exceljs');
+
+class ExportManager {
+  constructor() {
+    this.sourceColumn = 'source'; // Columna inicial con el ID de la fuente
+    this.valueSeparator = '; ';   // Separador para elementos repetidos dentro de una celda
+  }
+
+  /**
+   * Aplana un registro parseado en columnas: atributos e hijos por nombre,
+   * hijos anidados con punto (equipo.nombre) y repetidos unidos en una celda
+   * @param {Object} record - Registro parseado (estilo fast-xml-parser)
+   * @param {string} prefix - Prefijo de columna (uso interno)
+   * @returns {Object} Fila { columna: valor }
+   */
+  flattenRecord(record, prefix = '') {
+    const row = {};
+
+    if (record === null || typeof record !== 'object') {
+      this.addValue(row, prefix || 'value', record);
+      return row;
+    }
+
+    const childNames = new Set(Object.keys(record).filter(key => !key.startsWith('@_')));
+
+    for (const [key, value] of Object.entries(record)) {
+      if (key.startsWith('@_')) {
+        // Atributo: usa el nombre sin prefijo salvo que choque con un hijo
+        const name = key.slice(2);
+        this.addValue(row, prefix + (childNames.has(name) ? `@${name}` : name), value);
+        continue;
+      }
+
+      if (key === '#text') {
+        this.addValue(row, prefix ? prefix.slice(0, -1) : 'text', value);
+        continue;
+      }
+
+      for (const item of Array.isArray(value) ? value : [value]) {
+        if (item !== null && typeof item === 'object') {
+          for (const [column, nested] of Object.entries(this.flattenRecord(item, `${prefix}${key}.`))) {
+            this.addValue(row, column, nested);
+          }
+        } else {
+          this.addValue(row, prefix + key, item);
+        }
+      }
+    }
+
+    return row;
+  }
+
+  /**
+   * Agrega un valor a una columna, uniendo valores repetidos
+   * @param {Object} row - Fila
+   * @param {string} column - Columna
+   * @param {*} value - Valor
+   */
+  addValue(row, column, value) {
+    if (value === undefined || value === null || value === '') return;
+
+    row[column] = column in row
+      ? `${row[column]}${this.valueSeparator}${value}`
+      : value;
+  }
+
+  /**
+   * Determina las columnas a exportar
+   * @param {Array} rows - Filas aplanadas
+   * @param {Object} profile - Perfil de exportación (columns: [{ name, label }]) o null
+   * @returns {Array} Columnas [{ name, label }] empezando por la fuente
+   */
+  resolveColumns(rows, profile = null) {
+    const source = { name: this.sourceColumn, label: this.sourceColumn };
+
+    if (profile?.columns?.length) {
+      const selected = profile.columns.filter(column => column.name !== this.sourceColumn);
+      const sourceLabel = profile.columns.find(column => column.name === this.sourceColumn)?.label;
+
+      return [
+        { ...source, label: sourceLabel || source.label },
+        ...selected.map(column => ({ name: column.name, label: column.label || column.name }))
+      ];
+    }
+
+    // Sin perfil: todas las columnas en orden de aparición
+    const names = new Set();
+    for (const row of rows) {
+      for (const name of Object.keys(row)) {
+        if (name !== this.sourceColumn) names.add(name);
+      }
+    }
+
+    return [source, ...Array.from(names).map(name => ({ name, label: name }))];
+  }
+
+  /**
+   * Genera CSV (RFC 4180, con BOM para que Excel detecte UTF-8)
+   * @param {Array} rows - Filas aplanadas
+   * @param {Array} columns - Columnas [{ name, label }]
+   * @param {Object} options - { delimiter }
+   * @returns {string} CSV
+   */
+  toCsv(rows, columns, options = {}) {
+    const delimiter = options.delimiter || ',';
+    const lines = [
+      columns.map(column => this.escapeCsv(column.label, delimiter)).join(delimiter),
+      ...rows.map(row => columns
+        .map(column => this.escapeCsv(row[column.name], delimiter))
+        .join(delimiter))
+    ];
+
+    return '\uFEFF' + lines.join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Escapa un valor para CSV, neutralizando fórmulas (=, +, -, @) al abrir en planillas
+   * @param {*} value - Valor
+   * @param {string} delimiter - Separador de campos
+   * @returns {string} Valor escapado
+   */
+  escapeCsv(value, delimiter = ',') {
+    if (value === undefined || value === null) return '';
+
+    let text = String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+      text = `'${text}`;
+    }
+
+    return text.includes(delimiter) || /["\r\n]/.test(text)
+      ? `"${text.replace(/"/g, '""')}"`
+      : text;
+  }
+
+  /**
+   * Genera una planilla XLSX
+   * @param {Array} rows - Filas aplanadas
+   * @param {Array} columns - Columnas [{ name, label }]
+   * @param {Object} options - { sheetName }
+   * @returns {Promise<Buffer>} Archivo XLSX
+   */
+  async toXlsx(rows, columns, options = {}) {
+    const workbook = new ExcelJS.Workbook();
+    workbook.creator = 'XML-API-Aggregator';
+    workbook.created = new Date();
+
+    const sheet = workbook.addWorksheet(String(options.sheetName || 'Export').slice(0, 31));
+    sheet.columns = columns.map(column => ({
+      header: column.label,
+      key: column.name,
+      width: Math.min(60, Math.max(10, String(column.label).length + 2))
+    }));
+
+    sheet.getRow(1).font = { bold: true };
+    sheet.views = [{ state: 'frozen', ySplit: 1 }];
+
+    for (const row of rows) {
+      sheet.addRow(columns.map(column => row[column.name] ?? null));
+    }
+
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+  }
+}
+
+module.exports = ExportManager;
@@ -0,0 +1,168 @@
+// modules/feedManager.js
+
+class FeedManager {
+  constructor() {
+    this.title = 'XML API Aggregator - cambios';
+    this.feedId = 'urn:xml-api-aggregator:feed';
+    this.defaultLimit = 50; // Entradas por feed
+    this.maxElementChanges = 10; // Elementos detallados en el resumen de cada cambio
+  }
+
+  /**
+   * Convierte el historial de hashes de una fuente en entradas de feed
+   * @param {Object} source - Fuente ({ id, name })
+   * @param {Array} history - Historial de SnapshotManager.getContentHistory
+   * @returns {Array} Entradas { id, sourceId, sourceName, timestamp, title, summary }
+   */
+  createEntries(source, history) {
+    return history.map((entry, index) => {
+      const previous = index > 0 ? history[index - 1] : null;
+      const isFirst = !previous && !entry.previousHash;
+
+      return {
+        id: `urn:xml-api-aggregator:${encodeURIComponent(source.id)}:${entry.hash}`,
+        sourceId: source.id,
+        sourceName: source.name,
+        timestamp: entry.timestamp,
+        hash: entry.hash,
+        title: `${source.name}: ${isFirst ? 'primera versión' : 'contenido actualizado'}`,
+        summary: this.describeChange(entry, previous)
+      };
+    });
+  }
+
+  /**
+   * Resume qué cambió entre dos versiones (cantidad de elementos y tamaño)
+   * @param {Object} entry - Entrada actual del historial
+   * @param {Object} previous - Entrada anterior o null
+   * @returns {string} Resumen
+   */
+  describeChange(entry, previous) {
+    if (!previous) {
+      return entry.previousHash
+        ? `Contenido actualizado (${entry.size} bytes)`
+        : `Primera versión registrada (${entry.size} bytes)`;
+    }
+
+    const names = new Set([...Object.keys(previous.elements || {}), ...Object.keys(entry.elements || {})]);
+    const changes = [];
+
+    for (const name of names) {
+      const before = previous.elements?.[name] || 0;
+      const after = entry.elements?.[name] || 0;
+      if (before !== after) {
+        changes.push(`<${name}>: ${before} → ${after}`);
+      }
+    }
+
+    const delta = entry.size - previous.size;
+    const parts = [];
+
+    if (changes.length > 0) {
+      const shown = changes.slice(0, this.maxElementChanges);
+      const hidden = changes.length - shown.length;
+      parts.push(`Elementos ${shown.join(', ')}${hidden > 0 ? ` y ${hidden} más` : ''}`);
+    } else {
+      parts.push('Cambiaron valores sin variar la cantidad de elementos');
+    }
+
+    parts.push(`tamaño ${previous.size} → ${entry.size} bytes (${delta >= 0 ? '+' : ''}${delta})`);
+
+    return parts.join('; ');
+  }
+
+  /**
+   * Genera un feed Atom 1.0 (RFC 4287)
+   * @param {Array} entries - Entradas (más nuevas primero)
+   * @param {Object} options - { selfUrl, alternateUrl }
+   * @returns {string} XML del feed
+   */
+  toAtom(entries, options = {}) {
+    const updated = entries.length > 0 ? entries[0].timestamp : new Date().toISOString();
+    let xml = '<?xml version="1.0" encoding="UTF-8"?>\n';
+
+    xml += '<feed xmlns="http://www.w3.org/2005/Atom">\n';
+    xml += `  <title>${this.escapeXml(this.title)}</title>\n`;
+    xml += `  <id>${this.feedId}</id>\n`;
+    xml += `  <updated>${updated}</updated>\n`;
+    xml += '  <generator>XML-API-Aggregator</generator>\n';
+    if (options.selfUrl) {
+      xml += `  <link rel="self" type="application/atom+xml" href="${this.escapeXml(options.selfUrl)}"/>\n`;
+    }
+    if (options.alternateUrl) {
+      xml += `  <link rel="alternate" type="application/xml" href="${this.escapeXml(options.alternateUrl)}"/>\n`;
+    }
+
+    for (const entry of entries) {
+      xml += '  <entry>\n';
+      xml += `    <id>${this.escapeXml(entry.id)}</id>\n`;
+      xml += `    <title>${this.escapeXml(entry.title)}</title>\n`;
+      xml += `    <updated>${entry.timestamp}</updated>\n`;
+      xml += `    <author><name>${this.escapeXml(entry.sourceName)}</name></author>\n`;
+      xml += `    <category term="${this.escapeXml(entry.sourceId)}" label="${this.escapeXml(entry.sourceName)}"/>\n`;
+      if (options.alternateUrl) {
+        xml += `    <link rel="alternate" href="${this.escapeXml(options.alternateUrl)}"/>\n`;
+      }
+      xml += `    <summary>${this.escapeXml(entry.summary)}</summary>\n`;
+      xml += '  </entry>\n';
+    }
+
+    xml += '</feed>\n';
+    return xml;
+  }
+
+  /**
+   * Genera un feed RSS 2.0
+   * @param {Array} entries - Entradas (más nuevas primero)
+   * @param {Object} options - { selfUrl, alternateUrl }
+   * @returns {string} XML del feed
+   */
+  toRss(entries, options = {}) {
+    const updated = entries.length > 0 ? entries[0].timestamp : new Date().toISOString();
+    let xml = '<?xml version="1.0" encoding="UTF-8"?>\n';
+
+    xml += '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">\n';
+    xml += '  <channel>\n';
+    xml += `    <title>${this.escapeXml(this.title)}</title>\n`;
+    xml += `    <link>${this.escapeXml(options.alternateUrl || '')}</link>\n`;
+    xml += '    <description>Cambios de contenido de las fuentes XML agregadas</description>\n';
+    xml += `    <lastBuildDate>${new Date(updated).toUTCString()}</lastBuildDate>\n`;
+    xml += '    <generator>XML-API-Aggregator</generator>\n';
+    if (options.selfUrl) {
+      xml += `    <atom:link rel="self" type="application/rss+xml" href="${this.escapeXml(options.selfUrl)}"/>\n`;
+    }
+
+    for (const entry of entries) {
+      xml += '    <item>\n';
+      xml += `      <title>${this.escapeXml(entry.title)}</title>\n`;
+      xml += `      <guid isPermaLink="false">${this.escapeXml(entry.id)}</guid>\n`;
+      xml += `      <pubDate>${new Date(entry.timestamp).toUTCString()}</pubDate>\n`;
+      xml += `      <category>${this.escapeXml(entry.sourceName)}</category>\n`;
+      if (options.alternateUrl) {
+        xml += `      <link>${this.escapeXml(options.alternateUrl)}</link>\n`;
+      }
+      xml += `      <description>${this.escapeXml(entry.summary)}</description>\n`;
+      xml += '    </item>\n';
+    }
+
+    xml += '  </channel>\n';
+    xml += '</rss>\n';
+    return xml;
+  }
+
+  /**
+   * Escapa caracteres especiales XML
+   * @param {string} str - Texto
+   * @returns {string} Texto escapado
+   */
+  escapeXml(str) {
+    return String(str ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+  }
+}
+
+module.exports = FeedManager;
@@ -0,0 +1,189 @@
+// modules/fetchQueue.js
+
+class FetchQueue {
+  constructor() {
+    // Límites vigentes (la configuración los pisa con configure)
+    this.limits = {
+      maxConcurrent: 6,
+      perHost: { maxConcurrent: 2, requestsPerSecond: 5 },
+      hosts: {}
+    };
+
+    this.queue = [];          // Requests esperando turno, en orden de llegada
+    this.active = 0;          // Requests en curso (global)
+    this.hosts = new Map();   // Por host: { active, nextStartAt }
+    this.timer = null;        // Próximo intento de despachar por límite de RPS
+    this.timerAt = null;
+
+    this.stats = {
+      scheduled: 0,
+      completed: 0,
+      queued: 0,              // Requests que tuvieron que esperar
+      totalWaitTime: 0,
+      maxWaitTime: 0,
+      maxQueueDepth: 0
+    };
+  }
+
+  /**
+   * Actualiza los límites (se aplican a los requests que esperan)
+   * @param {Object} limits - { maxConcurrent, perHost: { maxConcurrent, requestsPerSecond }, hosts }
+   */
+  configure(limits) {
+    if (limits) {
+      this.limits = limits;
+    }
+  }
+
+  /**
+   * Encola un request y lo ejecuta cuando los límites lo permiten
+   * @param {string} url - URL destino (define el host)
+   * @param {Function} task - Función async que hace el request
+   * @returns {Promise<*>} Resultado de la tarea
+   */
+  schedule(url, task) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({
+        host: this.getHost(url),
+        task,
+        enqueuedAt: Date.now(),
+        resolve,
+        reject
+      });
+
+      this.stats.scheduled++;
+      this.stats.maxQueueDepth = Math.max(this.stats.maxQueueDepth, this.queue.length);
+      this.pump();
+    });
+  }
+
+  /**
+   * Despacha los requests que entran en los límites. Un host saturado no
+   * frena a los que esperan para otros hosts
+   */
+  pump() {
+    const now = Date.now();
+    let nextWakeUp = null;
+
+    for (let index = 0; index < this.queue.length && this.active < this.limits.maxConcurrent;) {
+      const item = this.queue[index];
+      const limits = this.getHostLimits(item.host);
+      const host = this.getHostState(item.host);
+
+      if (host.active >= limits.maxConcurrent) {
+        index++;
+        continue;
+      }
+
+      if (host.nextStartAt > now) {
+        nextWakeUp = Math.min(nextWakeUp ?? Infinity, host.nextStartAt);
+        index++;
+        continue;
+      }
+
+      this.queue.splice(index, 1);
+      this.start(item, host, limits);
+    }
+
+    if (nextWakeUp !== null && (!this.timer || nextWakeUp < this.timerAt)) {
+      clearTimeout(this.timer);
+      this.timerAt = nextWakeUp;
+      this.timer = setTimeout(() => {
+        this.timer = null;
+        this.pump();
+      }, nextWakeUp - now);
+      this.timer.unref();
+    }
+  }
+
+  /**
+   * Ejecuta un request y libera su lugar al terminar
+   * @param {Object} item - Request encolado
+   * @param {Object} host - Estado del host
+   * @param {Object} limits - Límites del host
+   */
+  start(item, host, limits) {
+    const waitTime = Date.now() - item.enqueuedAt;
+    if (waitTime > 0) {
+      this.stats.queued++;
+      this.stats.totalWaitTime += waitTime;
+      this.stats.maxWaitTime = Math.max(this.stats.maxWaitTime, waitTime);
+    }
+
+    this.active++;
+    host.active++;
+    host.nextStartAt = limits.requestsPerSecond > 0
+      ? Date.now() + 1000 / limits.requestsPerSecond
+      : 0;
+
+    Promise.resolve()
+      .then(item.task)
+      .then(item.resolve, item.reject)
+      .finally(() => {
+        this.active--;
+        host.active--;
+        this.stats.completed++;
+        this.pump();
+      });
+  }
+
+  /**
+   * Obtiene el host de una URL (clave de los límites por host)
+   * @param {string} url - URL
+   * @returns {string} Hostname en minúsculas
+   */
+  getHost(url) {
+    try {
+      return new URL(url).hostname.toLowerCase();
+    } catch (error) {
+      return 'unknown';
+    }
+  }
+
+  /**
+   * Límites de un host (override por host o los generales)
+   * @param {string} host - Hostname
+   * @returns {Object} { maxConcurrent, requestsPerSecond }
+   */
+  getHostLimits(host) {
+    return { ...this.limits.perHost, ...(this.limits.hosts[host] || {}) };
+  }
+
+  /**
+   * Obtiene (o crea) el estado de un host
+   * @param {string} host - Hostname
+   * @returns {Object} { active, nextStartAt }
+   */
+  getHostState(host) {
+    if (!this.hosts.has(host)) {
+      this.hosts.set(host, { active: 0, nextStartAt: 0 });
+    }
+    return this.hosts.get(host);
+  }
+
+  /**
+   * Obtiene estadísticas de la cola
+   * @returns {Object} Estadísticas
+   */
+  getStats() {
+    const hosts = {};
+    for (const [name, host] of this.hosts) {
+      const queued = this.queue.filter(item => item.host === name).length;
+      if (host.active > 0 || queued > 0) {
+        hosts[name] = { active: host.active, queued };
+      }
+    }
+
+    return {
+      ...this.stats,
+      averageWaitTime: this.stats.queued > 0
+        ? Math.round(this.stats.totalWaitTime / this.stats.queued)
+        : 0,
+      queueDepth: this.queue.length,
+      active: this.active,
+      hosts
+    };
+  }
+}
+
+module.exports = FetchQueue;
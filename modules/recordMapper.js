@@ -0,0 +1,220 @@
+// modules/recordMapper.js
+const { XMLParser } = require('fast-xml-parser');
+
+class RecordMapper {
+  constructor() {
+    // Parser sin conversión automática de tipos: la coerción la define el mapeo
+    this.parser = new XMLParser({
+      ignoreAttributes: false,
+      attributeNamePrefix: '@_',
+      textNodeName: '#text',
+      parseTagValue: false,
+      parseAttributeValue: false,
+      trimValues: true
+    });
+
+    this.types = ['string', 'int', 'bool', 'date'];
+    this.trueValues = ['true', '1', 'yes', 'y', 'si', 'sí', 's'];
+    this.falseValues = ['false', '0', 'no', 'n'];
+  }
+
+  /**
+   * Extrae los registros de un XML y los emite en el esquema canónico
+   * @param {string} xml - XML de la fuente
+   * @param {Object} mapping - Mapeo de la fuente ({ recordPath, fields })
+   * @param {Object} canonical - Esquema canónico ({ recordName, fields })
+   * @returns {Array} Registros con los campos canónicos en orden
+   */
+  mapRecords(xml, mapping, canonical) {
+    const tree = this.parser.parse(xml);
+    const nodes = this.selectNodes(tree, mapping.recordPath);
+
+    return nodes.map(node => {
+      const record = {};
+
+      for (const field of canonical.fields) {
+        const fieldMapping = this.normalizeFieldMapping(mapping.fields[field.name]);
+        const type = fieldMapping.type || field.type;
+        const fallback = fieldMapping.default !== undefined ? fieldMapping.default : field.default;
+
+        const raw = fieldMapping.path ? this.getFieldValue(node, fieldMapping.path) : null;
+        const value = raw === null ? null : this.coerce(raw, type);
+
+        record[field.name] = value !== null
+          ? value
+          : (fallback !== undefined && fallback !== null ? this.coerce(String(fallback), type) : null);
+      }
+
+      return record;
+    });
+  }
+
+  /**
+   * Normaliza el mapeo de un campo ('ruta' o { path, type, default })
+   * @param {string|Array|Object} fieldMapping - Mapeo del campo
+   * @returns {Object} { path, type, default }
+   */
+  normalizeFieldMapping(fieldMapping) {
+    if (fieldMapping === undefined || fieldMapping === null) {
+      return {};
+    }
+
+    if (typeof fieldMapping === 'string' || Array.isArray(fieldMapping)) {
+      return { path: fieldMapping };
+    }
+
+    return fieldMapping;
+  }
+
+  /**
+   * Selecciona los nodos de registro siguiendo una ruta ('fixture/partido')
+   * @param {Object} tree - Árbol parseado
+   * @param {string} recordPath - Ruta de los registros desde la raíz del documento
+   * @returns {Array} Nodos encontrados
+   */
+  selectNodes(tree, recordPath) {
+    let current = [tree];
+
+    for (const step of String(recordPath).split('/').filter(Boolean)) {
+      const next = [];
+
+      for (const node of current) {
+        if (!node || typeof node !== 'object' || !(step in node)) continue;
+
+        const value = node[step];
+        next.push(...(Array.isArray(value) ? value : [value]));
+      }
+
+      current = next;
+    }
+
+    return current;
+  }
+
+  /**
+   * Obtiene el valor de un campo; con varias rutas se unen con espacio (ej: fecha + hora)
+   * @param {Object} node - Nodo del registro
+   * @param {string|Array} fieldPath - Ruta o rutas relativas al registro
+   * @returns {string|null} Valor en texto o null
+   */
+  getFieldValue(node, fieldPath) {
+    const values = (Array.isArray(fieldPath) ? fieldPath : [fieldPath])
+      .map(path => this.resolvePath(node, path))
+      .filter(value => value !== null && value !== '');
+
+    return values.length > 0 ? values.join(' ') : null;
+  }
+
+  /**
+   * Resuelve una ruta relativa ('equipo/nombre', '@id' o '.') a un valor de texto
+   * @param {Object} node - Nodo del registro
+   * @param {string} path - Ruta relativa
+   * @returns {string|null} Valor o null
+   */
+  resolvePath(node, path) {
+    let current = node;
+
+    for (const step of String(path).split('/').filter(Boolean)) {
+      if (step === '.') continue;
+
+      const key = step.startsWith('@') ? `@_${step.slice(1)}` : step;
+
+      if (Array.isArray(current)) current = current[0];
+      if (!current || typeof current !== 'object' || !(key in current)) {
+        return null;
+      }
+      current = current[key];
+    }
+
+    if (Array.isArray(current)) current = current[0];
+    if (current && typeof current === 'object') current = current['#text'];
+
+    return current === undefined || current === null ? null : String(current).trim();
+  }
+
+  /**
+   * Convierte un valor de texto al tipo canónico
+   * @param {string} value - Valor en texto
+   * @param {string} type - Tipo (string, int, bool, date)
+   * @returns {*} Valor convertido o null si no es válido
+   */
+  coerce(value, type = 'string') {
+    switch (type) {
+      case 'int': {
+        const parsed = parseInt(value, 10);
+        return /^[+-]?\d+/.test(value) && Number.isFinite(parsed) ? parsed : null;
+      }
+
+      case 'bool': {
+        const normalized = value.toLowerCase();
+        if (this.trueValues.includes(normalized)) return true;
+        if (this.falseValues.includes(normalized)) return false;
+        return null;
+      }
+
+      case 'date':
+        return this.parseDate(value);
+
+      default:
+        return value;
+    }
+  }
+
+  /**
+   * Normaliza fechas en formatos habituales de los proveedores.
+   * Sin zona horaria se emite la hora local tal cual (YYYY-MM-DDTHH:mm:ss);
+   * con zona horaria o epoch se emite en UTC.
+   * @param {string} value - Fecha (ISO 8601, YYYYMMDD[ HH:mm], DD/MM/YYYY[ HH:mm] o epoch)
+   * @returns {string|null} Fecha normalizada o null si no se reconoce
+   */
+  parseDate(value) {
+    const text = value.trim();
+    let match;
+
+    // Epoch en segundos o milisegundos
+    if (/^\d{10}$|^\d{13}$/.test(text)) {
+      const millis = text.length === 10 ? parseInt(text, 10) * 1000 : parseInt(text, 10);
+      return new Date(millis).toISOString();
+    }
+
+    // ISO 8601 con zona horaria
+    if (/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})$/.test(text)) {
+      const date = new Date(text);
+      return isNaN(date.getTime()) ? null : date.toISOString();
+    }
+
+    if ((match = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/.exec(text))) {
+      return this.formatLocalDate(match[1], match[2], match[3], match[4], match[5], match[6]);
+    }
+
+    if ((match = /^(\d{4})(\d{2})(\d{2})(?:[T ]?(\d{2}):?(\d{2})(?::?(\d{2}))?)?$/.exec(text))) {
+      return this.formatLocalDate(match[1], match[2], match[3], match[4], match[5], match[6]);
+    }
+
+    if ((match = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/.exec(text))) {
+      return this.formatLocalDate(match[3], match[2], match[1], match[4], match[5], match[6]);
+    }
+
+    return null;
+  }
+
+  /**
+   * Arma una fecha local validando sus componentes
+   * @returns {string|null} YYYY-MM-DD o YYYY-MM-DDTHH:mm:ss
+   */
+  formatLocalDate(year, month, day, hours, minutes, seconds) {
+    const [y, m, d] = [year, month, day].map(part => parseInt(part, 10));
+    const [h, min, s] = [hours, minutes, seconds].map(part => parseInt(part || '0', 10));
+    const date = new Date(Date.UTC(y, m - 1, d, h, min, s));
+
+    if (date.getUTCFullYear() !== y || date.getUTCMonth() !== m - 1 || date.getUTCDate() !== d ||
+        h > 23 || min > 59 || s > 59) {
+      return null;
+    }
+
+    const iso = date.toISOString();
+    return hours === undefined ? iso.slice(0, 10) : iso.slice(0, 19);
+  }
+}
+
+module.exports = RecordMapper;
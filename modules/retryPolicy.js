@@ -0,0 +1,138 @@
+// modules/retryPolicy.js
+
+class RetryPolicy {
+  constructor() {
+    // Ventana del presupuesto global: timestamps de requests y de reintentos
+    this.requests = [];
+    this.retries = [];
+
+    this.stats = {
+      retries: 0,
+      notRetried: 0,       // Errores fuera de retryOn (ej: client_error)
+      budgetExhausted: 0,  // Reintentos negados por el presupuesto global
+      retryAfterHonored: 0,
+      retryAfterTooLong: 0
+    };
+  }
+
+  /**
+   * Registra un request nuevo (primer intento) en la ventana del presupuesto
+   * @param {Object} budget - { ratio, minRetries, window }
+   */
+  recordRequest(budget) {
+    this.prune(budget.window);
+    this.requests.push(Date.now());
+  }
+
+  /**
+   * Decide si reintentar y cuánto esperar
+   * @param {Error} error - Error del intento
+   * @param {string} errorType - Categoría (DataFetcher.categorizeError)
+   * @param {number} attempt - Intento que falló (desde 1)
+   * @param {Object} policy - Política de la fuente
+   * @param {Object} budget - Presupuesto global { ratio, minRetries, window }
+   * @returns {Object} { retry: boolean, delay, reason }
+   */
+  evaluate(error, errorType, attempt, policy, budget) {
+    if (!policy.retryOn.includes(errorType)) {
+      this.stats.notRetried++;
+      return { retry: false, reason: `${errorType} no se reintenta` };
+    }
+
+    let delay = this.getBackoff(attempt, policy);
+
+    // 429/503 con Retry-After: esperar lo que pide el servidor
+    const status = error.response?.status;
+    if (policy.respectRetryAfter && (status === 429 || status === 503)) {
+      const retryAfter = this.parseRetryAfter(error.response.headers?.['retry-after']);
+
+      if (retryAfter !== null) {
+        if (retryAfter > policy.maxRetryAfter * 1000) {
+          this.stats.retryAfterTooLong++;
+          return { retry: false, reason: `Retry-After de ${Math.round(retryAfter / 1000)}s supera el máximo` };
+        }
+        delay = retryAfter;
+        this.stats.retryAfterHonored++;
+      }
+    }
+
+    if (!this.withdraw(budget)) {
+      this.stats.budgetExhausted++;
+      return { retry: false, reason: 'presupuesto de reintentos agotado' };
+    }
+
+    this.stats.retries++;
+    return { retry: true, delay };
+  }
+
+  /**
+   * Backoff exponencial con full jitter: aleatorio entre 0 y min(maxDelay, base * 2^(n-1))
+   * @param {number} attempt - Intento que falló (desde 1)
+   * @param {Object} policy - { baseDelay, maxDelay }
+   * @returns {number} Espera en ms
+   */
+  getBackoff(attempt, policy) {
+    const ceiling = Math.min(policy.maxDelay, policy.baseDelay * Math.pow(2, attempt - 1));
+    return Math.round(Math.random() * ceiling);
+  }
+
+  /**
+   * Interpreta un header Retry-After (segundos o fecha HTTP)
+   * @param {string} value - Valor del header
+   * @returns {number|null} Espera en ms o null si no es válido
+   */
+  parseRetryAfter(value) {
+    if (value === undefined || value === null || value === '') return null;
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  /**
+   * Consume un reintento del presupuesto global si hay disponible
+   * @param {Object} budget - { ratio, minRetries, window }
+   * @returns {boolean} True si se puede reintentar
+   */
+  withdraw(budget) {
+    this.prune(budget.window);
+
+    const allowed = Math.max(budget.minRetries, Math.floor(this.requests.length * budget.ratio / 100));
+    if (this.retries.length >= allowed) {
+      return false;
+    }
+
+    this.retries.push(Date.now());
+    return true;
+  }
+
+  /**
+   * Descarta los registros fuera de la ventana
+   * @param {number} window - Segundos
+   */
+  prune(window) {
+    const since = Date.now() - window * 1000;
+    while (this.requests.length > 0 && this.requests[0] < since) this.requests.shift();
+    while (this.retries.length > 0 && this.retries[0] < since) this.retries.shift();
+  }
+
+  /**
+   * Obtiene estadísticas de reintentos
+   * @returns {Object} Estadísticas
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      window: {
+        requests: this.requests.length,
+        retries: this.retries.length
+      }
+    };
+  }
+}
+
+module.exports = RetryPolicy;
@@ -1,20 +1,40 @@
 // modules/scheduler.js
 const cron = require('node-cron');
+const cronParser = require('cron-parser');
 const ConfigManager = require('./configManager');
 const DataFetcher = require('./dataFetcher');
 const XmlProcessor = require('./xmlProcessor');
 const CacheManager = require('./cacheManager');
+const WebhookManager = require('./webhookManager');
 
 class Scheduler {
-  constructor() {
-    this.configManager = new ConfigManager();
-    this.dataFetcher = new DataFetcher();
-    this.xmlProcessor = new XmlProcessor();
-    this.cacheManager = new CacheManager();
+  /**
+   * @param {Object} dependencies - Instancias compartidas opcionales
+   *   (configManager, dataFetcher, xmlProcessor, cacheManager, webhookManager)
+   */
+  constructor(dependencies = {}) {
+    this.configManager = dependencies.configManager || new ConfigManager();
+    this.cacheManager = dependencies.cacheManager || new CacheManager();
+    this.webhookManager = dependencies.webhookManager || new WebhookManager({
+      configManager: this.configManager
+    });
+    this.dataFetcher = dependencies.dataFetcher || new DataFetcher({
+      configManager: this.configManager,
+      cacheManager: this.cacheManager,
+      webhookManager: this.webhookManager
+    });
+    this.xmlProcessor = dependencies.xmlProcessor || new XmlProcessor();
     
     this.jobs = new Map(); // Trabajos cron activos
     this.intervals = new Map(); // Intervalos personalizados
+    this.contentHistory = new Map(); // Hash y cambios de contenido por API (sobrevive a recargas)
+    this.maxHistoryEntries = 50;
+    this.sourceStatus = new Map(); // Último resultado por API ('success' | 'error') para detectar transiciones
     this.isRunning = false;
+    this.timezone = 'America/Argentina/Buenos_Aires'; // Se toma de settings.timezone
+    this.zonedFormatters = new Map(); // Un Intl.DateTimeFormat por zona horaria
+    this.nextRunHorizon = 366 * 24 * 60 * 60 * 1000; // Hasta dónde buscar la próxima ejecución (ms)
+    this.cacheTtlMargin = 60 * 1000; // Margen del cache por fuente sobre la próxima ejecución (ms)
     
     this.stats = {
       totalExecutions: 0,
@@ -33,6 +53,10 @@ class Scheduler {
   async initialize() {
     try {
       await this.cacheManager.initialize();
+
+      const config = await this.configManager.loadConfig();
+      this.timezone = config.settings.timezone || this.timezone;
+
       console.log('⏰ Scheduler inicializado correctamente');
       this.isRunning = true;
       
@@ -55,11 +79,12 @@ class Scheduler {
     try {
       const config = await this.configManager.loadConfig();
       const enabledApis = config.apis.filter(api => api.enabled && api.url);
+      this.timezone = config.settings.timezone || this.timezone;
 
       console.log(`📋 Programando ${enabledApis.length} APIs para ejecución automática`);
 
-      // Limpiar trabajos existentes
-      this.clearAllJobs();
+      // Limpiar trabajos existentes (se conserva el mantenimiento)
+      this.clearApiJobs();
 
       // Crear trabajos individuales para cada API
       for (const api of enabledApis) {
@@ -83,49 +108,104 @@ class Scheduler {
    */
   async scheduleApiJob(api) {
     const jobId = `api_${api.id}`;
+    let windowTasks = [];
     
     try {
-      // Convertir intervalo a expresión cron
-      const cronExpression = this.intervalToCron(api.interval);
+      const timezone = api.timezone || this.timezone;
+      const windows = api.windows || [];
+
+      // Expresión cron propia de la API o derivada del intervalo
+      const cronExpression = api.adaptive?.enabled
+        ? null
+        : api.cron || this.intervalToCron(api.interval);
+
+      // Ventanas horarias: cada una con su propio cron, activo solo dentro de la ventana
+      windowTasks = windows.map((window, index) => cron.schedule(window.cron, async () => {
+        if (this.getActiveWindow(api, new Date()) === index) {
+          await this.executeApiJob(api);
+        }
+      }, {
+        scheduled: true,
+        timezone
+      }));
       
-      if (cronExpression) {
-        // Usar cron para intervalos estándar
+      if (api.adaptive?.enabled) {
+        // Modo adaptativo: el intervalo se ajusta según la frecuencia de cambios
+        const history = this.getContentHistory(api.id);
+        history.effectiveIntervalMs = this.clampAdaptiveInterval(
+          api,
+          history.effectiveIntervalMs || api.interval * 1000
+        );
+
+        const jobData = {
+          timeoutId: null,
+          tasks: windowTasks,
+          api,
+          type: 'adaptive',
+          timezone,
+          windows,
+          nextRunAt: null,
+          lastRun: null
+        };
+
+        this.intervals.set(jobId, jobData);
+        this.scheduleAdaptiveRun(jobId, jobData);
+
+        console.log(`⏰ API ${api.name} programada en modo adaptativo: ${api.adaptive.minInterval}s - ${api.adaptive.maxInterval}s`);
+
+      } else if (cronExpression) {
+        // Usar cron (fuera de las ventanas horarias)
         const job = cron.schedule(cronExpression, async () => {
-          await this.executeApiJob(api);
+          if (this.getActiveWindow(api, new Date()) === -1) {
+            await this.executeApiJob(api);
+          }
         }, {
           scheduled: false,
-          timezone: 'America/Argentina/Buenos_Aires'
+          timezone
         });
 
         job.start();
         this.jobs.set(jobId, {
           job,
+          tasks: windowTasks,
           api,
           type: 'cron',
           expression: cronExpression,
+          timezone,
+          windows,
           lastRun: null
         });
 
-        console.log(`⏰ API ${api.name} programada con cron: ${cronExpression}`);
+        console.log(`⏰ API ${api.name} programada con cron: ${cronExpression} (${timezone})`);
         
       } else {
         // Usar setInterval para intervalos personalizados
         const intervalMs = api.interval * 1000;
         const intervalId = setInterval(async () => {
-          await this.executeApiJob(api);
+          if (this.getActiveWindow(api, new Date()) === -1) {
+            await this.executeApiJob(api);
+          }
         }, intervalMs);
 
         this.intervals.set(jobId, {
           intervalId,
+          tasks: windowTasks,
           api,
           type: 'interval',
           intervalMs,
+          timezone,
+          windows,
+          scheduledAt: Date.now(),
           lastRun: null
         });
 
         console.log(`⏰ API ${api.name} programada con intervalo: ${api.interval}s`);
       }
 
+      if (windows.length > 0) {
+        console.log(`🕒 API ${api.name} con ${windows.length} ventana(s) horaria(s)`);
+      }
+
       // Ejecutar inmediatamente si no hay datos cacheados
       const cachedData = await this.cacheManager.getApiData(api.id);
       if (!cachedData) {
@@ -136,7 +216,255 @@ class Scheduler {
 
     } catch (error) {
       console.error(`❌ Error programando API ${api.name}:`, error.message);
+
+      // No dejar corriendo las ventanas de un trabajo que no quedó registrado
+      if (!this.jobs.has(jobId) && !this.intervals.has(jobId)) {
+        windowTasks.forEach(task => task.stop());
+      }
+    }
+  }
+
+  /**
+   * Programa la próxima ejecución de un trabajo adaptativo
+   * @param {string} jobId - ID del trabajo
+   * @param {Object} jobData - Datos del trabajo
+   */
+  scheduleAdaptiveRun(jobId, jobData) {
+    const api = jobData.api;
+    const delay = this.getContentHistory(api.id).effectiveIntervalMs;
+
+    jobData.nextRunAt = Date.now() + delay;
+    jobData.timeoutId = setTimeout(async () => {
+      if (this.getActiveWindow(api, new Date()) === -1) {
+        await this.executeApiJob(api);
+      }
+
+      // Reprogramar solo si el trabajo sigue vigente (no hubo recarga)
+      if (this.intervals.get(jobId) === jobData) {
+        this.scheduleAdaptiveRun(jobId, jobData);
+      }
+    }, delay);
+  }
+
+  /**
+   * Limita un intervalo adaptativo al rango configurado de la API
+   * @param {Object} api - Configuración de la API
+   * @param {number} intervalMs - Intervalo en milisegundos
+   * @returns {number} Intervalo limitado
+   */
+  clampAdaptiveInterval(api, intervalMs) {
+    const min = api.adaptive.minInterval * 1000;
+    const max = api.adaptive.maxInterval * 1000;
+    return Math.round(Math.min(max, Math.max(min, intervalMs)));
+  }
+
+  /**
+   * Obtiene (o crea) el historial de contenido de una API
+   * @param {string} apiId - ID de la API
+   * @returns {Object} Historial { lastHash, checks, changes, lastChange, effectiveIntervalMs, entries }
+   */
+  getContentHistory(apiId) {
+    if (!this.contentHistory.has(apiId)) {
+      this.contentHistory.set(apiId, {
+        lastHash: null,
+        checks: 0,
+        changes: 0,
+        lastChange: null,
+        effectiveIntervalMs: null,
+        entries: []
+      });
+    }
+    return this.contentHistory.get(apiId);
+  }
+
+  /**
+   * Registra el resultado de una consulta y, en modo adaptativo, ajusta el intervalo
+   * @param {Object} api - Configuración de la API
+   * @param {Object|null} change - Entrada nueva del historial de contenido del data fetcher
+   *   ({ hash, previousHash }) o null si el contenido no cambió
+   * @returns {boolean} True si el contenido cambió respecto a la versión anterior
+   */
+  recordContentCheck(api, change) {
+    const history = this.getContentHistory(api.id);
+    // Sin versión anterior guardada no hay contra qué comparar
+    const isFirstCheck = Boolean(change) && !change.previousHash;
+    const changed = Boolean(change?.previousHash);
+
+    history.checks++;
+    if (change) {
+      history.lastHash = change.hash;
+    }
+    if (changed) {
+      history.changes++;
+      history.lastChange = new Date().toISOString();
+    }
+
+    // Cambió: consultar más seguido; sin cambios: espaciar las consultas
+    if (api.adaptive?.enabled && !isFirstCheck) {
+      const current = history.effectiveIntervalMs || api.interval * 1000;
+      history.effectiveIntervalMs = this.clampAdaptiveInterval(
+        api,
+        changed ? current * api.adaptive.decreaseFactor : current * api.adaptive.increaseFactor
+      );
     }
+
+    history.entries.push({
+      timestamp: new Date().toISOString(),
+      changed,
+      hash: history.lastHash ? history.lastHash.substring(0, 12) : null,
+      intervalSeconds: history.effectiveIntervalMs ? Math.round(history.effectiveIntervalMs / 1000) : null
+    });
+    if (history.entries.length > this.maxHistoryEntries) {
+      history.entries.shift();
+    }
+
+    return changed;
+  }
+
+  /**
+   * Obtiene el intervalo efectivo (segundos) de una API
+   * @param {Object} api - Configuración de la API
+   * @returns {number} Intervalo efectivo
+   */
+  getEffectiveInterval(api) {
+    const history = this.contentHistory.get(api.id);
+    return api.adaptive?.enabled && history?.effectiveIntervalMs
+      ? Math.round(history.effectiveIntervalMs / 1000)
+      : api.interval;
+  }
+
+  /**
+   * Calcula el TTL del cache de una API: hasta su próxima ejecución programada
+   * (cron, ventanas o intervalo) más un margen, para que no venza antes de refrescarse
+   * @param {Object} api - Configuración de la API (al menos su id)
+   * @param {Date} from - Momento desde el cual calcular
+   * @returns {number} TTL en ms
+   */
+  getCacheTtl(api, from = new Date()) {
+    const jobId = `api_${api.id}`;
+    const jobData = this.jobs.get(jobId) || this.intervals.get(jobId);
+    const nextRun = jobData ? this.getNextRun(jobData, from) : null;
+
+    // Sin próxima ejecución pendiente (adaptativo en curso o API sin programar): intervalo efectivo
+    const untilNextRun = nextRun && nextRun > from
+      ? nextRun.getTime() - from.getTime()
+      : (this.getEffectiveInterval(jobData?.api || api) || 300) * 1000;
+
+    return untilNextRun + this.cacheTtlMargin;
+  }
+
+  /**
+   * Obtiene la ventana horaria activa de una API en un momento dado
+   * @param {Object} api - Configuración de la API
+   * @param {Date} date - Momento a evaluar
+   * @returns {number} Índice de la ventana activa o -1 si no hay ninguna
+   */
+  getActiveWindow(api, date) {
+    const windows = api.windows || [];
+    if (windows.length === 0) return -1;
+
+    const zoned = this.getZonedTime(date, api.timezone || this.timezone);
+
+    return windows.findIndex(window => {
+      const days = window.days || [];
+      const dates = window.dates || [];
+      const dayMatches = (days.length === 0 && dates.length === 0) ||
+        days.includes(zoned.weekday) ||
+        dates.includes(zoned.date);
+
+      if (!dayMatches) return false;
+
+      const start = this.timeToMinutes(window.start || '00:00');
+      const end = this.timeToMinutes(window.end || '24:00');
+
+      // Ventanas que cruzan la medianoche (ej: 22:00 - 02:00)
+      return start <= end
+        ? zoned.minutes >= start && zoned.minutes < end
+        : zoned.minutes >= start || zoned.minutes < end;
+    });
+  }
+
+  /**
+   * Obtiene fecha, día de la semana y minutos del día en una zona horaria
+   * @param {Date} date - Momento a convertir
+   * @param {string} timezone - Zona horaria IANA
+   * @returns {Object} { date: 'YYYY-MM-DD', weekday: 0-6, minutes }
+   */
+  getZonedTime(date, timezone) {
+    const parts = {};
+    this.getZonedFormatter(timezone).formatToParts(date).forEach(part => {
+      parts[part.type] = part.value;
+    });
+
+    const weekdays = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+    return {
+      date: `${parts.year}-${parts.month}-${parts.day}`,
+      weekday: weekdays.indexOf(parts.weekday),
+      minutes: parseInt(parts.hour) * 60 + parseInt(parts.minute)
+    };
+  }
+
+  /**
+   * Obtiene (o crea) el formateador de fechas de una zona horaria
+   * @param {string} timezone - Zona horaria IANA
+   * @returns {Intl.DateTimeFormat}
+   */
+  getZonedFormatter(timezone) {
+    if (!this.zonedFormatters.has(timezone)) {
+      this.zonedFormatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        weekday: 'short',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+      }));
+    }
+    return this.zonedFormatters.get(timezone);
+  }
+
+  /**
+   * Próximo momento en que puede cambiar la ventana activa de una API:
+   * el inicio o fin de alguna ventana, o la medianoche local
+   * @param {Object} api - Configuración de la API
+   * @param {Date} date - Momento desde el cual buscar
+   * @returns {Date} Próximo límite (siempre posterior a date)
+   */
+  getNextWindowBoundary(api, date) {
+    const timezone = api.timezone || this.timezone;
+    const zoned = this.getZonedTime(date, timezone);
+    const target = Math.min(...(api.windows || [])
+      .flatMap(window => [
+        this.timeToMinutes(window.start || '00:00'),
+        this.timeToMinutes(window.end || '24:00')
+      ])
+      .concat(24 * 60)
+      .filter(minutes => minutes > zoned.minutes));
+
+    const minuteStart = date.getTime() - (date.getTime() % 60000);
+    let next = minuteStart + (target - zoned.minutes) * 60000;
+
+    // Si en el medio hubo un cambio de horario el salto puede pasarse de la hora buscada
+    const landed = this.getZonedTime(new Date(next), timezone);
+    const overshoot = (landed.date === zoned.date ? landed.minutes : landed.minutes + 24 * 60) - target;
+    if (overshoot > 0 && next - overshoot * 60000 > date.getTime()) {
+      next -= overshoot * 60000;
+    }
+
+    return new Date(next);
+  }
+
+  /**
+   * Convierte una hora 'HH:MM' a minutos desde medianoche
+   * @param {string} time - Hora en formato HH:MM
+   * @returns {number} Minutos
+   */
+  timeToMinutes(time) {
+    const [hours, minutes] = String(time).split(':').map(n => parseInt(n) || 0);
+    return hours * 60 + minutes;
   }
 
   /**
@@ -153,16 +481,30 @@ class Scheduler {
       const fetchResult = await this.dataFetcher.fetchApiData(api);
       
       if (fetchResult.success) {
+        // Sin cambios (304): reutilizar el resultado procesado sin reparsear
+        const cachedResult = fetchResult.metadata?.notModified
+          ? await this.cacheManager.getApiData(api.id)
+          : null;
+
         // Procesar XML
-        const processedResult = await this.xmlProcessor.processXmlData(fetchResult);
+        const processedResult = cachedResult && cachedResult.success
+          ? { ...cachedResult, originalMetadata: fetchResult.metadata }
+          : await this.xmlProcessor.processXmlData(fetchResult);
         
         if (processedResult.success) {
+          // Registrar si el contenido cambió (ajusta el intervalo adaptativo); el cambio
+          // lo detecta el data fetcher, que también avisa al stream y a los webhooks
+          this.recordContentCheck(api, fetchResult.metadata?.contentChange || null);
+
           // Cachear resultado
-          await this.cacheManager.setApiData(api.id, processedResult, api.interval);
+          await this.cacheManager.setApiData(api.id, processedResult, this.getCacheTtl(api));
           
           // Actualizar estadísticas
           this.updateJobStats(`api_${api.id}`, true);
           this.stats.successfulExecutions++;
+
+          // Webhooks: recuperación tras un fallo
+          this.recordStatusTransition(api, true);
           
           const executionTime = Date.now() - startTime;
           console.log(`✅ Trabajo completado para ${api.name} (${executionTime}ms)`);
@@ -178,12 +520,47 @@ class Scheduler {
       console.error(`❌ Error ejecutando trabajo ${api.name}:`, error.message);
       this.updateJobStats(`api_${api.id}`, false);
       this.stats.failedExecutions++;
+      this.recordStatusTransition(api, false, error.message);
     } finally {
       this.stats.totalExecutions++;
       this.stats.lastExecution = new Date().toISOString();
     }
   }
 
+  /**
+   * Registra el resultado de una ejecución y notifica las transiciones
+   * (fetch-failed al pasar a error, recovered al volver a funcionar)
+   * @param {Object} api - Configuración de la API
+   * @param {boolean} success - Si la ejecución fue exitosa
+   * @param {string} error - Mensaje de error (si falló)
+   */
+  recordStatusTransition(api, success, error = null) {
+    // Al arrancar se parte del último estado guardado en la configuración
+    const previous = this.sourceStatus.has(api.id)
+      ? this.sourceStatus.get(api.id)
+      : (api.lastStatus === 'error' ? 'error' : null);
+
+    this.sourceStatus.set(api.id, success ? 'success' : 'error');
+
+    if (!success && previous !== 'error') {
+      this.notifyWebhooks('fetch-failed', api, { error, previousStatus: previous });
+    } else if (success && previous === 'error') {
+      this.notifyWebhooks('recovered', api, { previousStatus: previous });
+    }
+  }
+
+  /**
+   * Notifica un evento a los webhooks sin demorar el trabajo
+   * @param {string} event - Evento
+   * @param {Object} api - Configuración de la API
+   * @param {Object} data - Datos del evento
+   */
+  notifyWebhooks(event, api, data) {
+    this.webhookManager.emit(event, api, data).catch(error => {
+      console.warn(`⚠️ Error notificando webhooks (${event}):`, error.message);
+    });
+  }
+
   /**
    * Programa el trabajo de agregación
    */
@@ -195,7 +572,7 @@ class Scheduler {
       await this.executeAggregationJob();
     }, {
       scheduled: false,
-      timezone: 'America/Argentina/Buenos_Aires'
+      timezone: this.timezone
     });
 
     job.start();
@@ -203,6 +580,7 @@ class Scheduler {
       job,
       type: 'aggregation',
       expression: '*/5 * * * *',
+      timezone: this.timezone,
       lastRun: null
     });
 
@@ -260,13 +638,14 @@ class Scheduler {
       console.log(`✅ Limpieza completada: ${cleaned} entradas eliminadas`);
     }, {
       scheduled: true,
-      timezone: 'America/Argentina/Buenos_Aires'
+      timezone: this.timezone
     });
 
     this.jobs.set('cache_cleanup', {
       job,
       type: 'maintenance',
       expression: '0 */2 * * *',
+      timezone: this.timezone,
       lastRun: null
     });
 
@@ -325,7 +704,7 @@ class Scheduler {
         // Cachear resultados individuales
         for (const processed of processedResult.results) {
           if (processed.success) {
-            await this.cacheManager.setApiData(processed.apiId, processed);
+            await this.cacheManager.setApiData(processed.apiId, processed, this.getCacheTtl({ id: processed.apiId }));
           }
         }
 
@@ -373,16 +752,14 @@ class Scheduler {
    */
   clearAllJobs() {
     // Limpiar trabajos cron
-    for (const [jobId, jobData] of this.jobs.entries()) {
-      if (jobData.job && typeof jobData.job.destroy === 'function') {
-        jobData.job.destroy();
-      }
+    for (const jobData of this.jobs.values()) {
+      this.stopJob(jobData);
     }
     this.jobs.clear();
 
     // Limpiar intervalos
-    for (const [intervalId, intervalData] of this.intervals.entries()) {
-      clearInterval(intervalData.intervalId);
+    for (const intervalData of this.intervals.values()) {
+      this.stopJob(intervalData);
     }
     this.intervals.clear();
 
@@ -390,6 +767,47 @@ class Scheduler {
     console.log('🧹 Todos los trabajos programados han sido limpiados');
   }
 
+  /**
+   * Limpia los trabajos de APIs y agregación, conservando los de mantenimiento
+   */
+  clearApiJobs() {
+    for (const [jobId, jobData] of this.jobs.entries()) {
+      if (jobData.type === 'maintenance') continue;
+      this.stopJob(jobData);
+      this.jobs.delete(jobId);
+    }
+
+    for (const intervalData of this.intervals.values()) {
+      this.stopJob(intervalData);
+    }
+    this.intervals.clear();
+
+    this.stats.activeJobs = this.jobs.size;
+  }
+
+  /**
+   * Detiene las tareas cron, ventanas horarias e intervalo de un trabajo
+   * @param {Object} jobData - Datos del trabajo
+   */
+  stopJob(jobData) {
+    // node-cron 3 expone stop() (no destroy())
+    if (jobData.job && typeof jobData.job.stop === 'function') {
+      jobData.job.stop();
+    }
+
+    for (const task of jobData.tasks || []) {
+      task.stop();
+    }
+
+    if (jobData.intervalId) {
+      clearInterval(jobData.intervalId);
+    }
+
+    if (jobData.timeoutId) {
+      clearTimeout(jobData.timeoutId);
+    }
+  }
+
   /**
    * Detiene el scheduler
    */
@@ -397,6 +815,7 @@ class Scheduler {
     console.log('🛑 Deteniendo scheduler...');
     this.isRunning = false;
     this.clearAllJobs();
+    this.webhookManager.stop();
     console.log('✅ Scheduler detenido');
   }
 
@@ -409,6 +828,9 @@ class Scheduler {
       id,
       type: data.type,
       expression: data.expression,
+      timezone: data.timezone,
+      windows: data.windows || [],
+      activeWindow: data.api ? this.getActiveWindow(data.api, new Date()) : -1,
       lastRun: data.lastRun,
       lastSuccess: data.lastSuccess,
       apiName: data.api?.name || 'System'
@@ -417,13 +839,37 @@ class Scheduler {
     const intervalJobs = Array.from(this.intervals.entries()).map(([id, data]) => ({
       id,
       type: data.type,
-      intervalMs: data.intervalMs,
-      intervalSeconds: Math.round(data.intervalMs / 1000),
+      intervalMs: data.type === 'adaptive'
+        ? this.getContentHistory(data.api.id).effectiveIntervalMs
+        : data.intervalMs,
+      intervalSeconds: this.getEffectiveInterval(data.api),
+      adaptive: data.api.adaptive?.enabled ? data.api.adaptive : null,
+      timezone: data.timezone,
+      windows: data.windows || [],
+      activeWindow: data.api ? this.getActiveWindow(data.api, new Date()) : -1,
       lastRun: data.lastRun,
       lastSuccess: data.lastSuccess,
       apiName: data.api?.name || 'System'
     }));
 
+    // Intervalo efectivo e historial de cambios de cada trabajo de API
+    for (const job of [...cronJobs, ...intervalJobs]) {
+      const data = this.jobs.get(job.id) || this.intervals.get(job.id);
+      if (!data.api) continue;
+
+      const history = this.getContentHistory(data.api.id);
+      job.effectiveIntervalSeconds = data.type === 'cron' ? null : this.getEffectiveInterval(data.api);
+      job.changeHistory = {
+        checks: history.checks,
+        changes: history.changes,
+        changeRate: history.checks > 1
+          ? Math.round((history.changes / (history.checks - 1)) * 100)
+          : 0,
+        lastChange: history.lastChange,
+        entries: history.entries
+      };
+    }
+
     return {
       isRunning: this.isRunning,
       totalJobs: cronJobs.length + intervalJobs.length,
@@ -472,21 +918,97 @@ class Scheduler {
     const upcoming = [];
     const now = new Date();
 
-    // Para trabajos cron, calcular próxima ejecución
-    for (const [id, data] of this.jobs.entries()) {
-      if (data.expression) {
-        // Esto es una aproximación simple, en producción usarías una librería como cron-parser
-        upcoming.push({
-          jobId: id,
-          apiName: data.api?.name || 'System',
-          type: data.type,
-          nextRun: 'Calculando...' // Placeholder
-        });
-      }
+    for (const [id, data] of [...this.jobs.entries(), ...this.intervals.entries()]) {
+      const nextRun = this.getNextRun(data, now);
+
+      upcoming.push({
+        jobId: id,
+        apiName: data.api?.name || 'System',
+        type: data.type,
+        timezone: data.timezone,
+        nextRun: nextRun ? nextRun.toISOString() : null
+      });
     }
 
+    upcoming.sort((a, b) => (a.nextRun || '\uffff').localeCompare(b.nextRun || '\uffff'));
+    this.stats.nextExecution = upcoming.find(item => item.nextRun)?.nextRun || null;
+
     return upcoming;
   }
+
+  /**
+   * Calcula la próxima ejecución real de un trabajo, respetando sus ventanas horarias
+   * @param {Object} data - Datos del trabajo
+   * @param {Date} from - Momento desde el cual calcular
+   * @returns {Date|null} Próxima ejecución o null si no hay
+   */
+  getNextRun(data, from) {
+    const candidates = [];
+    const api = data.api;
+
+    // Ejecución base: solo cuenta fuera de las ventanas horarias
+    if (data.type === 'adaptive') {
+      if (data.nextRunAt) candidates.push(new Date(data.nextRunAt));
+    } else if (data.type === 'interval') {
+      const lastRun = data.lastRun ? new Date(data.lastRun).getTime() : data.scheduledAt;
+      let next = lastRun + data.intervalMs;
+      while (next < from.getTime()) next += data.intervalMs;
+      candidates.push(new Date(next));
+    } else if (data.expression) {
+      candidates.push(this.findNextCronRun(data.expression, data.timezone, from,
+        date => !api || this.getActiveWindow(api, date) === -1,
+        api ? date => this.getNextWindowBoundary(api, date) : null));
+    }
+
+    // Cada ventana horaria solo dispara dentro de sí misma
+    (data.windows || []).forEach((window, index) => {
+      candidates.push(this.findNextCronRun(window.cron, data.timezone, from,
+        date => this.getActiveWindow(api, date) === index,
+        date => this.getNextWindowBoundary(api, date)));
+    });
+
+    const valid = candidates.filter(Boolean).sort((a, b) => a - b);
+    return valid[0] || null;
+  }
+
+  /**
+   * Busca la próxima fecha de una expresión cron que cumpla una condición,
+   * dentro del horizonte de búsqueda (nextRunHorizon)
+   * @param {string} expression - Expresión cron
+   * @param {string} timezone - Zona horaria IANA
+   * @param {Date} from - Momento desde el cual buscar
+   * @param {Function} accept - Condición sobre la fecha candidata
+   * @param {Function} skip - Opcional: dado un candidato rechazado, devuelve el
+   *   próximo momento en que la condición puede cambiar (evita probar minuto a minuto)
+   * @returns {Date|null} Fecha encontrada o null
+   */
+  findNextCronRun(expression, timezone, from, accept = () => true, skip = null) {
+    const options = {
+      endDate: new Date(from.getTime() + this.nextRunHorizon),
+      tz: timezone || this.timezone
+    };
+
+    try {
+      let iterator = cronParser.parseExpression(expression, { ...options, currentDate: from });
+
+      while (iterator.hasNext()) {
+        const candidate = iterator.next().toDate();
+        if (accept(candidate)) return candidate;
+
+        if (skip) {
+          const resumeAt = skip(candidate);
+          iterator = cronParser.parseExpression(expression, {
+            ...options,
+            currentDate: new Date(resumeAt.getTime() - 1)
+          });
+        }
+      }
+    } catch (error) {
+      console.warn(`⚠️ No se pudo calcular la próxima ejecución de '${expression}':`, error.message);
+    }
+
+    return null;
+  }
 }
 
 module.exports = Scheduler;
\ No newline at end of file
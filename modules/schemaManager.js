@@ -0,0 +1,254 @@
+// modules/schemaManager.js
+const fs = require('fs').promises;
+const path = require('path');
+const libxmljs = require('libxmljs2');
+
+class SchemaManager {
+  constructor() {
+    this.schemasDir = path.join(__dirname, '../config/schemas');
+    this.schemas = new Map(); // Esquemas parseados por nombre (invalidados por mtime)
+    this.maxErrors = 50; // Máximo de violaciones reportadas por documento
+
+    // Estadísticas de validación
+    this.stats = {
+      totalValidations: 0,
+      failedValidations: 0
+    };
+  }
+
+  /**
+   * Verifica si un nombre de esquema es válido (sin rutas)
+   * @param {string} name - Nombre del archivo
+   * @returns {boolean}
+   */
+  static isValidName(name) {
+    return typeof name === 'string' && /^[\w-][\w.-]*\.xsd$/i.test(name);
+  }
+
+  /**
+   * Obtiene la ruta completa de un esquema
+   * @param {string} name - Nombre del archivo (ej: fixture.xsd)
+   * @returns {string} Ruta absoluta dentro de config/schemas
+   */
+  getPath(name) {
+    if (!SchemaManager.isValidName(name)) {
+      throw new Error(`Nombre de esquema inválido: ${name} (se espera nombre.xsd)`);
+    }
+    return path.join(this.schemasDir, name);
+  }
+
+  /**
+   * Lista los esquemas disponibles
+   * @returns {Promise<Array>} Esquemas { name, size, modified }
+   */
+  async listSchemas() {
+    try {
+      const files = await fs.readdir(this.schemasDir);
+      const schemas = [];
+
+      for (const name of files.filter(file => SchemaManager.isValidName(file))) {
+        const stats = await fs.stat(path.join(this.schemasDir, name));
+        schemas.push({
+          name,
+          size: stats.size,
+          modified: stats.mtime.toISOString()
+        });
+      }
+
+      return schemas.sort((a, b) => a.name.localeCompare(b.name));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  /**
+   * Lee el contenido de un esquema
+   * @param {string} name - Nombre del archivo
+   * @returns {Promise<string|null>} Contenido o null si no existe
+   */
+  async getSchema(name) {
+    try {
+      return await fs.readFile(this.getPath(name), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Guarda un esquema (compilado previamente para detectar errores)
+   * @param {string} name - Nombre del archivo
+   * @param {string} content - Contenido XSD
+   */
+  async saveSchema(name, content) {
+    const filePath = this.getPath(name);
+    this.compileSchema(content);
+
+    await fs.mkdir(this.schemasDir, { recursive: true });
+
+    // Escritura atómica, igual que la configuración
+    const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+    await fs.writeFile(tempPath, content);
+    await fs.rename(tempPath, filePath);
+
+    this.schemas.delete(name);
+    console.log(`💾 Esquema guardado: ${name}`);
+  }
+
+  /**
+   * Elimina un esquema
+   * @param {string} name - Nombre del archivo
+   * @returns {Promise<boolean>} true si existía
+   */
+  async deleteSchema(name) {
+    try {
+      await fs.unlink(this.getPath(name));
+      this.schemas.delete(name);
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  }
+
+  /**
+   * Parsea un XSD y verifica que libxml pueda compilarlo
+   * @param {string} content - Contenido XSD
+   * @returns {Object} Documento del esquema
+   */
+  compileSchema(content) {
+    if (!content || typeof content !== 'string' || !content.trim()) {
+      throw new Error('El esquema está vacío');
+    }
+
+    let schemaDoc;
+    try {
+      schemaDoc = libxmljs.parseXml(content);
+    } catch (error) {
+      throw new Error(`XSD mal formado: ${error.message.trim()} (línea ${error.line}, columna ${error.column})`);
+    }
+
+    // libxml compila el esquema al validar: probar con un documento vacío
+    try {
+      libxmljs.parseXml('<_/>').validate(schemaDoc);
+    } catch (error) {
+      throw new Error(`XSD inválido: ${error.message.trim()}`);
+    }
+
+    return schemaDoc;
+  }
+
+  /**
+   * Carga un esquema usando cache por fecha de modificación
+   * @param {string} name - Nombre del archivo
+   * @returns {Promise<Object>} Documento del esquema
+   */
+  async loadSchema(name) {
+    const filePath = this.getPath(name);
+    let stats;
+
+    try {
+      stats = await fs.stat(filePath);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error(`Esquema no encontrado: ${name}`);
+      }
+      throw error;
+    }
+
+    const cached = this.schemas.get(name);
+    if (cached && cached.version === stats.mtimeMs) {
+      return cached.document;
+    }
+
+    const document = this.compileSchema(await fs.readFile(filePath, 'utf8'));
+    this.schemas.set(name, { document, version: stats.mtimeMs });
+
+    return document;
+  }
+
+  /**
+   * Valida un XML contra un esquema guardado
+   * @param {string} xml - XML a validar
+   * @param {string} name - Nombre del esquema
+   * @returns {Promise<Object>} { isValid, schema, errors: [{ message, line, column }] }
+   */
+  async validate(xml, name) {
+    const schemaDoc = await this.loadSchema(name);
+    this.stats.totalValidations++;
+
+    let document;
+    try {
+      document = libxmljs.parseXml(xml);
+    } catch (error) {
+      this.stats.failedValidations++;
+      return {
+        isValid: false,
+        schema: name,
+        errors: [{
+          message: error.message.trim(),
+          line: error.line || null,
+          column: error.column || null
+        }]
+      };
+    }
+
+    const isValid = document.validate(schemaDoc);
+    if (isValid) {
+      return { isValid: true, schema: name, errors: [] };
+    }
+
+    this.stats.failedValidations++;
+
+    const lines = xml.split('\n');
+    const errors = document.validationErrors.slice(0, this.maxErrors).map(error => ({
+      message: error.message.trim(),
+      line: error.line || null,
+      column: error.column || this.locateColumn(lines[error.line - 1], error.message)
+    }));
+
+    return {
+      isValid: false,
+      schema: name,
+      errors,
+      totalErrors: document.validationErrors.length
+    };
+  }
+
+  /**
+   * Estima la columna de una violación (libxml solo informa la línea en errores de esquema)
+   * buscando el elemento y atributo mencionados en el mensaje
+   * @param {string} line - Línea del documento
+   * @param {string} message - Mensaje de libxml ("Element 'x', attribute 'y': ...")
+   * @returns {number|null} Columna (base 1) o null
+   */
+  locateColumn(line, message) {
+    const match = /^Element '(?:\{[^}]*\})?([^']+)'(?:, attribute '(?:\{[^}]*\})?([^']+)')?/.exec(message);
+    if (!line || !match) return null;
+
+    const [, element, attribute] = match;
+    const elementMatch = new RegExp(`<([\\w.-]+:)?${element.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}[\\s/>]`).exec(line);
+    if (!elementMatch) return null;
+
+    if (attribute) {
+      const attributeIndex = line.indexOf(`${attribute}=`, elementMatch.index);
+      if (attributeIndex !== -1) return attributeIndex + 1;
+    }
+
+    return elementMatch.index + 1;
+  }
+
+  /**
+   * Obtiene estadísticas de validación
+   * @returns {Object} Estadísticas
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      cachedSchemas: this.schemas.size
+    };
+  }
+}
+
+module.exports = SchemaManager;
@@ -0,0 +1,343 @@
+// modules/secretManager.js
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const ENCRYPTED_PREFIX = 'enc:v1:';
+const MASK = '***';
+
+class SecretManager {
+  constructor() {
+    this.keyFile = process.env.XML_AGGREGATOR_SECRET_KEY_FILE ||
+      path.join(__dirname, '../config/secret.key');
+    this.key = null; // Se carga la primera vez que se necesita
+
+    // Campos secretos dentro del bloque auth
+    this.authSecretFields = ['password', 'token', 'value', 'clientSecret'];
+
+    // Headers que siempre se consideran sensibles
+    this.defaultSensitiveHeaders = ['authorization', 'proxy-authorization', 'cookie'];
+  }
+
+  /**
+   * Obtiene la clave de cifrado (variable de entorno o archivo de clave)
+   * @returns {Buffer} Clave AES-256
+   */
+  getKey() {
+    if (this.key) return this.key;
+
+    let rawKey = process.env.XML_AGGREGATOR_SECRET_KEY;
+
+    if (!rawKey) {
+      try {
+        rawKey = fs.readFileSync(this.keyFile, 'utf8').trim();
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw new Error(`Error leyendo archivo de clave: ${error.message}`);
+        }
+
+        // Primera ejecución: generar archivo de clave
+        rawKey = crypto.randomBytes(32).toString('hex');
+        fs.mkdirSync(path.dirname(this.keyFile), { recursive: true });
+        fs.writeFileSync(this.keyFile, rawKey + '\n', { mode: 0o600 });
+        console.log(`🔐 Clave de cifrado generada en ${this.keyFile}`);
+      }
+    }
+
+    // Clave hexadecimal de 32 bytes o frase de paso
+    this.key = /^[0-9a-f]{64}$/i.test(rawKey)
+      ? Buffer.from(rawKey, 'hex')
+      : crypto.scryptSync(rawKey, 'xml-api-aggregator', 32);
+
+    return this.key;
+  }
+
+  /**
+   * Verifica si un valor ya está cifrado
+   * @param {*} value - Valor a verificar
+   * @returns {boolean}
+   */
+  isEncrypted(value) {
+    return typeof value === 'string' && value.startsWith(ENCRYPTED_PREFIX);
+  }
+
+  /**
+   * Verifica si un valor es la máscara de un secreto
+   * @param {*} value - Valor a verificar
+   * @returns {boolean}
+   */
+  isMasked(value) {
+    return value === MASK;
+  }
+
+  /**
+   * Cifra un valor con AES-256-GCM
+   * @param {string} value - Valor en claro
+   * @returns {string} Valor cifrado
+   */
+  encrypt(value) {
+    if (!value || this.isEncrypted(value) || this.isMasked(value)) {
+      return value;
+    }
+
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.getKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+    const tag = cipher.getAuthTag();
+
+    return ENCRYPTED_PREFIX + [iv, tag, encrypted].map(part => part.toString('base64')).join(':');
+  }
+
+  /**
+   * Descifra un valor cifrado
+   * @param {string} value - Valor cifrado
+   * @returns {string} Valor en claro
+   */
+  decrypt(value) {
+    if (!this.isEncrypted(value)) {
+      return value;
+    }
+
+    try {
+      const [iv, tag, encrypted] = value
+        .slice(ENCRYPTED_PREFIX.length)
+        .split(':')
+        .map(part => Buffer.from(part, 'base64'));
+
+      const decipher = crypto.createDecipheriv('aes-256-gcm', this.getKey(), iv);
+      decipher.setAuthTag(tag);
+
+      return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+    } catch (error) {
+      throw new Error('No se pudo descifrar un secreto (¿cambió la clave?)');
+    }
+  }
+
+  /**
+   * Aplica una transformación a cada valor secreto de una API
+   * @param {Object} api - Configuración de la API
+   * @param {Function} transform - Función (valor, valorPrevio) => nuevoValor
+   * @param {Object} previous - Configuración previa de la API (opcional)
+   * @returns {Object} Copia de la API transformada
+   */
+  transformApiSecrets(api, transform, previous = {}) {
+    if (!api) return api;
+
+    const result = { ...api };
+
+    if (api.auth) {
+      result.auth = { ...api.auth };
+      for (const field of this.authSecretFields) {
+        if (result.auth[field]) {
+          result.auth[field] = transform(result.auth[field], previous.auth?.[field]);
+        }
+      }
+    }
+
+    // Credenciales del proxy y passphrase de la clave mTLS
+    if (api.proxy?.password) {
+      result.proxy = { ...api.proxy, password: transform(api.proxy.password, previous.proxy?.password) };
+    }
+
+    if (api.tls?.passphrase) {
+      result.tls = { ...api.tls, passphrase: transform(api.tls.passphrase, previous.tls?.passphrase) };
+    }
+
+    if (api.headers) {
+      const sensitive = this.getSensitiveHeaders(api);
+      result.headers = { ...api.headers };
+      for (const name of Object.keys(result.headers)) {
+        if (sensitive.includes(name.toLowerCase()) && result.headers[name]) {
+          result.headers[name] = transform(result.headers[name], previous.headers?.[name]);
+        }
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Obtiene los nombres (en minúsculas) de headers sensibles de una API
+   * @param {Object} api - Configuración de la API
+   * @returns {Array} Nombres de headers sensibles
+   */
+  getSensitiveHeaders(api) {
+    return [
+      ...this.defaultSensitiveHeaders,
+      ...(api.sensitiveHeaders || []).map(name => String(name).toLowerCase())
+    ];
+  }
+
+  /**
+   * Cifra los secretos de una API para guardarla en disco
+   * @param {Object} api - Configuración de la API
+   * @returns {Object} API con secretos cifrados
+   */
+  encryptApi(api) {
+    return this.transformApiSecrets(api, value => this.encrypt(value));
+  }
+
+  /**
+   * Descifra los secretos de una API (solo para uso interno del fetcher)
+   * @param {Object} api - Configuración de la API
+   * @returns {Object} API con secretos en claro
+   */
+  decryptApi(api) {
+    return this.transformApiSecrets(api, value => this.decrypt(value));
+  }
+
+  /**
+   * Enmascara los secretos de una API para respuestas
+   * @param {Object} api - Configuración de la API
+   * @returns {Object} API con secretos enmascarados
+   */
+  maskApi(api) {
+    return this.transformApiSecrets(api, () => MASK);
+  }
+
+  /**
+   * Reemplaza valores enmascarados por los valores guardados previamente
+   * @param {Object} api - Configuración nueva de la API
+   * @param {Object} previous - Configuración guardada de la API
+   * @returns {Object} API sin valores enmascarados
+   */
+  restoreMaskedApi(api, previous = {}) {
+    return this.transformApiSecrets(api, (value, previousValue) => {
+      return this.isMasked(value) ? (previousValue || '') : value;
+    }, previous || {});
+  }
+
+  /**
+   * Verifica si una URL tiene el mismo origen (protocolo, host y puerto) que
+   * la de una API guardada. Los secretos guardados solo se envían a su origen
+   * @param {string} url - URL destino
+   * @param {string} storedUrl - URL de la API guardada
+   * @returns {boolean}
+   */
+  isSameOrigin(url, storedUrl) {
+    try {
+      return new URL(url).origin === new URL(storedUrl).origin;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Verifica si alguna API contiene valores enmascarados
+   * @param {Array} apis - Lista de APIs
+   * @returns {boolean}
+   */
+  hasMaskedValues(apis = []) {
+    let found = false;
+    for (const api of apis) {
+      this.transformApiSecrets(api, value => {
+        if (this.isMasked(value)) found = true;
+        return value;
+      });
+    }
+    return found;
+  }
+
+  /**
+   * Aplica una transformación al secreto de firma de un webhook
+   * @param {Object} webhook - Suscripción
+   * @param {Function} transform - Función (valor, valorPrevio) => nuevoValor
+   * @param {Object} previous - Suscripción previa (opcional)
+   * @returns {Object} Copia del webhook transformada
+   */
+  transformWebhookSecret(webhook, transform, previous = {}) {
+    if (!webhook || !webhook.secret) return webhook;
+    return { ...webhook, secret: transform(webhook.secret, previous.secret) };
+  }
+
+  /**
+   * Cifra el secreto de un webhook para guardarlo en disco
+   * @param {Object} webhook - Suscripción
+   * @returns {Object} Webhook con el secreto cifrado
+   */
+  encryptWebhook(webhook) {
+    return this.transformWebhookSecret(webhook, value => this.encrypt(value));
+  }
+
+  /**
+   * Enmascara el secreto de un webhook para respuestas
+   * @param {Object} webhook - Suscripción
+   * @returns {Object} Webhook con el secreto enmascarado
+   */
+  maskWebhook(webhook) {
+    return this.transformWebhookSecret(webhook, () => MASK);
+  }
+
+  /**
+   * Reemplaza un secreto enmascarado por el guardado previamente
+   * @param {Object} webhook - Suscripción nueva
+   * @param {Object} previous - Suscripción guardada
+   * @returns {Object} Webhook sin valores enmascarados
+   */
+  restoreMaskedWebhook(webhook, previous = {}) {
+    return this.transformWebhookSecret(webhook, (value, previousValue) => {
+      return this.isMasked(value) ? (previousValue || '') : value;
+    }, previous || {});
+  }
+
+  /**
+   * Aplica una transformación a la contraseña del proxy global
+   * @param {Object} settings - Settings
+   * @param {Function} transform - Función (valor, valorPrevio) => nuevoValor
+   * @param {Object} previous - Settings previos (opcional)
+   * @returns {Object} Copia de los settings transformada
+   */
+  transformSettingsSecrets(settings, transform, previous = {}) {
+    if (!settings?.proxy?.password) return settings;
+    return {
+      ...settings,
+      proxy: { ...settings.proxy, password: transform(settings.proxy.password, previous?.proxy?.password) }
+    };
+  }
+
+  /**
+   * Cifra los secretos de los settings para guardarlos en disco
+   * @param {Object} settings - Settings
+   * @returns {Object} Settings con secretos cifrados
+   */
+  encryptSettings(settings) {
+    return this.transformSettingsSecrets(settings, value => this.encrypt(value));
+  }
+
+  /**
+   * Descifra los secretos de los settings (solo para uso interno del fetcher)
+   * @param {Object} settings - Settings
+   * @returns {Object} Settings con secretos en claro
+   */
+  decryptSettings(settings) {
+    return this.transformSettingsSecrets(settings, value => this.decrypt(value));
+  }
+
+  /**
+   * Reemplaza secretos enmascarados de los settings por los guardados
+   * @param {Object} settings - Settings nuevos
+   * @param {Object} previous - Settings guardados
+   * @returns {Object} Settings sin valores enmascarados
+   */
+  restoreMaskedSettings(settings, previous = {}) {
+    return this.transformSettingsSecrets(settings, (value, previousValue) => {
+      return this.isMasked(value) ? (previousValue || '') : value;
+    }, previous || {});
+  }
+
+  /**
+   * Enmascara los secretos de una configuración completa
+   * @param {Object} config - Configuración
+   * @returns {Object} Configuración enmascarada
+   */
+  maskConfig(config) {
+    return {
+      ...config,
+      settings: this.transformSettingsSecrets(config.settings, () => MASK),
+      apis: (config.apis || []).map(api => this.maskApi(api)),
+      webhooks: (config.webhooks || []).map(webhook => this.maskWebhook(webhook))
+    };
+  }
+}
+
+module.exports = SecretManager;
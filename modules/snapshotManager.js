@@ -0,0 +1,264 @@
+// modules/snapshotManager.js
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+class SnapshotManager {
+  constructor() {
+    this.snapshotsDir = path.join(__dirname, '../data/snapshots');
+    this.locks = new Map(); // Escrituras encadenadas por fuente (el índice se reescribe completo)
+
+    // Retención por defecto (la configuración la pisa por fuente)
+    this.defaultRetention = {
+      maxVersions: 50,
+      maxAge: 7 * 24 * 60 * 60 // Segundos (0 = sin límite de antigüedad)
+    };
+    this.historyLimit = 100; // Máximo de cambios de contenido guardados por fuente
+
+    this.stats = {
+      savedSnapshots: 0,
+      prunedSnapshots: 0
+    };
+  }
+
+  /**
+   * Obtiene el directorio de snapshots de una fuente
+   * @param {string} apiId - ID de la API
+   * @returns {string} Ruta absoluta
+   */
+  getSourceDir(apiId) {
+    if (typeof apiId !== 'string' || !/^[\w-]+$/.test(apiId)) {
+      throw new Error(`ID de fuente inválido para snapshots: ${apiId}`);
+    }
+    return path.join(this.snapshotsDir, apiId);
+  }
+
+  /**
+   * Lee el índice de versiones de una fuente
+   * @param {string} apiId - ID de la API
+   * @returns {Promise<Object>} { lastVersion, versions: [{ version, hash, timestamp, size, contentType }] }
+   */
+  async readIndex(apiId) {
+    try {
+      const content = await fs.readFile(path.join(this.getSourceDir(apiId), 'index.json'), 'utf8');
+      return JSON.parse(content);
+    } catch (error) {
+      if (error.code === 'ENOENT') return { lastVersion: 0, versions: [] };
+      throw error;
+    }
+  }
+
+  /**
+   * Escribe un archivo de forma atómica, igual que la configuración
+   * @param {string} filePath - Ruta destino
+   * @param {string} content - Contenido
+   */
+  async writeAtomic(filePath, content) {
+    const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+    await fs.writeFile(tempPath, content);
+    await fs.rename(tempPath, filePath);
+  }
+
+  /**
+   * Ejecuta una operación sobre los snapshots de una fuente sin solaparse con otra
+   * @param {string} apiId - ID de la API
+   * @param {Function} operation - Operación async
+   * @returns {Promise<*>} Resultado de la operación
+   */
+  withLock(apiId, operation) {
+    const previous = this.locks.get(apiId) || Promise.resolve();
+    const current = previous.catch(() => {}).then(operation);
+
+    this.locks.set(apiId, current);
+    current.finally(() => {
+      if (this.locks.get(apiId) === current) this.locks.delete(apiId);
+    }).catch(() => {});
+
+    return current;
+  }
+
+  /**
+   * Guarda el cuerpo de una fuente como nueva versión si difiere de la última
+   * @param {string} apiId - ID de la API
+   * @param {string} body - Cuerpo obtenido
+   * @param {Object} options - { contentType, retention: { maxVersions, maxAge } }
+   * @returns {Promise<Object|null>} Versión creada o null si el contenido no cambió
+   */
+  async saveSnapshot(apiId, body, options = {}) {
+    const content = String(body || '');
+    const hash = crypto.createHash('sha256').update(content).digest('hex');
+
+    return this.withLock(apiId, async () => {
+      const sourceDir = this.getSourceDir(apiId);
+      const index = await this.readIndex(apiId);
+      const last = index.versions[index.versions.length - 1];
+
+      if (last && last.hash === hash) {
+        return null;
+      }
+
+      const entry = {
+        version: index.lastVersion + 1,
+        hash,
+        timestamp: new Date().toISOString(),
+        size: Buffer.byteLength(content),
+        contentType: options.contentType || null
+      };
+
+      await fs.mkdir(sourceDir, { recursive: true });
+      await this.writeAtomic(path.join(sourceDir, `${entry.version}.xml`), content);
+
+      index.lastVersion = entry.version;
+      index.versions.push(entry);
+
+      const pruned = this.selectPruned(index.versions, options.retention || this.defaultRetention);
+      index.versions = index.versions.filter(version => !pruned.includes(version));
+
+      await this.writeAtomic(path.join(sourceDir, 'index.json'), JSON.stringify(index, null, 2));
+
+      for (const version of pruned) {
+        await fs.unlink(path.join(sourceDir, `${version.version}.xml`)).catch(() => {});
+      }
+
+      this.stats.savedSnapshots++;
+      this.stats.prunedSnapshots += pruned.length;
+      console.log(`📸 Snapshot v${entry.version} guardado para ${apiId}`);
+
+      return entry;
+    });
+  }
+
+  /**
+   * Determina qué versiones eliminar según la retención (la última se conserva siempre)
+   * @param {Array} versions - Versiones, de la más vieja a la más nueva
+   * @param {Object} retention - { maxVersions, maxAge (segundos) }
+   * @returns {Array} Versiones a eliminar
+   */
+  selectPruned(versions, retention) {
+    const maxVersions = Math.max(1, retention.maxVersions || this.defaultRetention.maxVersions);
+    const oldestAllowed = retention.maxAge > 0 ? Date.now() - retention.maxAge * 1000 : null;
+
+    return versions.filter((version, index) => {
+      const isLatest = index === versions.length - 1;
+      if (isLatest) return false;
+
+      const exceedsCount = index < versions.length - maxVersions;
+      const exceedsAge = oldestAllowed !== null && new Date(version.timestamp).getTime() < oldestAllowed;
+
+      return exceedsCount || exceedsAge;
+    });
+  }
+
+  /**
+   * Lista las versiones guardadas de una fuente
+   * @param {string} apiId - ID de la API
+   * @returns {Promise<Array>} Versiones, de la más nueva a la más vieja
+   */
+  async listVersions(apiId) {
+    const index = await this.readIndex(apiId);
+    return index.versions.slice().reverse();
+  }
+
+  /**
+   * Obtiene una versión guardada
+   * @param {string} apiId - ID de la API
+   * @param {number|string} version - Número de versión o 'latest'
+   * @returns {Promise<Object|null>} { version, hash, timestamp, size, contentType, content } o null
+   */
+  async getSnapshot(apiId, version) {
+    const index = await this.readIndex(apiId);
+    const entry = version === 'latest'
+      ? index.versions[index.versions.length - 1]
+      : index.versions.find(v => v.version === parseInt(version, 10));
+
+    if (!entry) return null;
+
+    try {
+      const content = await fs.readFile(path.join(this.getSourceDir(apiId), `${entry.version}.xml`), 'utf8');
+      return { ...entry, content };
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Registra el hash del cuerpo de una fuente si cambió respecto al último guardado.
+   * El historial vive junto a los snapshots (no en el caché), así que sobrevive a
+   * reinicios, a la expulsión LRU y a la limpieza del caché
+   * @param {string} apiId - ID de la API
+   * @param {string} body - Cuerpo obtenido
+   * @returns {Promise<Object|null>} Entrada agregada o null si el contenido no cambió
+   */
+  async recordContentHash(apiId, body) {
+    const content = String(body || '');
+    const hash = crypto.createHash('sha256').update(content).digest('hex');
+
+    return this.withLock(apiId, async () => {
+      const sourceDir = this.getSourceDir(apiId);
+      const history = await this.getContentHistory(apiId);
+      const last = history[history.length - 1];
+
+      if (last && last.hash === hash) {
+        return null;
+      }
+
+      const entry = {
+        hash,
+        previousHash: last ? last.hash : null,
+        timestamp: new Date().toISOString(),
+        size: Buffer.byteLength(content),
+        elements: this.countElements(content)
+      };
+
+      history.push(entry);
+      await fs.mkdir(sourceDir, { recursive: true });
+      await this.writeAtomic(path.join(sourceDir, 'history.json'),
+        JSON.stringify(history.slice(-this.historyLimit), null, 2));
+
+      return entry;
+    });
+  }
+
+  /**
+   * Obtiene el historial de cambios de contenido de una fuente
+   * @param {string} apiId - ID de la API
+   * @returns {Promise<Array>} Entradas { hash, previousHash, timestamp, size, elements }, de la más vieja a la más nueva
+   */
+  async getContentHistory(apiId) {
+    try {
+      const content = await fs.readFile(path.join(this.getSourceDir(apiId), 'history.json'), 'utf8');
+      return JSON.parse(content);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  /**
+   * Cuenta los elementos de un XML por nombre (para resumir qué cambió)
+   * @param {string} xml - Contenido XML
+   * @returns {Object} { nombre: cantidad }
+   */
+  countElements(xml) {
+    const counts = {};
+    const pattern = /<([A-Za-z_][\w.:-]*)/g;
+    let match;
+
+    while ((match = pattern.exec(xml)) !== null) {
+      counts[match[1]] = (counts[match[1]] || 0) + 1;
+    }
+
+    return counts;
+  }
+
+  /**
+   * Obtiene estadísticas de snapshots
+   * @returns {Object} Estadísticas
+   */
+  getStats() {
+    return { ...this.stats };
+  }
+}
+
+module.exports = SnapshotManager;
@@ -0,0 +1,273 @@
+// modules/transformManager.js
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { Xslt, XmlParser } = require('xslt-processor');
+const { XMLValidator } = require('fast-xml-parser');
+
+const XSLT_NAMESPACE = 'http://www.w3.org/1999/XSL/Transform';
+
+class TransformManager {
+  constructor() {
+    this.transformsDir = path.join(__dirname, '../config/transforms');
+    this.xmlParser = new XmlParser();
+    this.stylesheets = new Map(); // Contenido de hojas de estilo por nombre (invalidado por mtime)
+    this.results = new Map(); // Último resultado por fuente, para no transformar de nuevo el mismo cuerpo
+
+    // Estadísticas de transformación
+    this.stats = {
+      totalTransforms: 0,
+      failedTransforms: 0,
+      cacheHits: 0
+    };
+  }
+
+  /**
+   * Valida el nombre de archivo de una hoja de estilo
+   * @param {string} name - Nombre del archivo (ej: fuente-b.xsl)
+   * @returns {string} Nombre validado
+   */
+  validateName(name) {
+    if (!TransformManager.isValidName(name)) {
+      throw new Error(`Nombre de hoja de estilo inválido: ${name} (se espera nombre.xsl o nombre.xslt)`);
+    }
+    return name;
+  }
+
+  /**
+   * Verifica si un nombre de hoja de estilo es válido (sin rutas)
+   * @param {string} name - Nombre del archivo
+   * @returns {boolean}
+   */
+  static isValidName(name) {
+    return typeof name === 'string' && /^[\w-][\w.-]*\.xslt?$/i.test(name);
+  }
+
+  /**
+   * Obtiene la ruta completa de una hoja de estilo
+   * @param {string} name - Nombre del archivo
+   * @returns {string} Ruta absoluta dentro de config/transforms
+   */
+  getPath(name) {
+    return path.join(this.transformsDir, this.validateName(name));
+  }
+
+  /**
+   * Lista las hojas de estilo disponibles
+   * @returns {Promise<Array>} Hojas de estilo { name, size, modified }
+   */
+  async listTransforms() {
+    try {
+      const files = await fs.readdir(this.transformsDir);
+      const transforms = [];
+
+      for (const name of files.filter(file => TransformManager.isValidName(file))) {
+        const stats = await fs.stat(path.join(this.transformsDir, name));
+        transforms.push({
+          name,
+          size: stats.size,
+          modified: stats.mtime.toISOString()
+        });
+      }
+
+      return transforms.sort((a, b) => a.name.localeCompare(b.name));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  /**
+   * Lee el contenido de una hoja de estilo
+   * @param {string} name - Nombre del archivo
+   * @returns {Promise<string|null>} Contenido o null si no existe
+   */
+  async getTransform(name) {
+    try {
+      return await fs.readFile(this.getPath(name), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Guarda una hoja de estilo (validada) en config/transforms
+   * @param {string} name - Nombre del archivo
+   * @param {string} content - Contenido XSLT
+   */
+  async saveTransform(name, content) {
+    const filePath = this.getPath(name);
+    const validation = this.validateStylesheet(content);
+
+    if (!validation.isValid) {
+      throw new Error(validation.error);
+    }
+
+    await fs.mkdir(this.transformsDir, { recursive: true });
+
+    // Escritura atómica, igual que la configuración
+    const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+    await fs.writeFile(tempPath, content);
+    await fs.rename(tempPath, filePath);
+
+    this.stylesheets.delete(name);
+    console.log(`💾 Hoja de estilo guardada: ${name}`);
+  }
+
+  /**
+   * Elimina una hoja de estilo
+   * @param {string} name - Nombre del archivo
+   * @returns {Promise<boolean>} true si existía
+   */
+  async deleteTransform(name) {
+    try {
+      await fs.unlink(this.getPath(name));
+      this.stylesheets.delete(name);
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  }
+
+  /**
+   * Valida que un contenido sea una hoja de estilo XSLT 1.0 bien formada
+   * @param {string} content - Contenido XSLT
+   * @returns {Object} { isValid, error }
+   */
+  validateStylesheet(content) {
+    if (!content || typeof content !== 'string' || !content.trim()) {
+      return { isValid: false, error: 'La hoja de estilo está vacía' };
+    }
+
+    const result = XMLValidator.validate(content);
+    if (result !== true) {
+      return {
+        isValid: false,
+        error: `XSLT mal formado: ${result.err.msg} (línea ${result.err.line}, columna ${result.err.col})`
+      };
+    }
+
+    const root = content.match(/<([\w.-]+):(stylesheet|transform)\b[^>]*>/);
+    if (!root || !root[0].includes(XSLT_NAMESPACE)) {
+      return { isValid: false, error: 'El elemento raíz debe ser xsl:stylesheet o xsl:transform con el namespace XSLT' };
+    }
+
+    return { isValid: true, error: null };
+  }
+
+  /**
+   * Carga el contenido de una hoja de estilo usando cache por fecha de modificación
+   * @param {string} name - Nombre del archivo
+   * @returns {Promise<Object>} { content, version }
+   */
+  async loadStylesheet(name) {
+    const filePath = this.getPath(name);
+    let stats;
+
+    try {
+      stats = await fs.stat(filePath);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error(`Hoja de estilo no encontrada: ${name}`);
+      }
+      throw error;
+    }
+
+    const cached = this.stylesheets.get(name);
+    if (cached && cached.version === stats.mtimeMs) {
+      return cached;
+    }
+
+    const stylesheet = {
+      content: await fs.readFile(filePath, 'utf8'),
+      version: stats.mtimeMs
+    };
+
+    this.stylesheets.set(name, stylesheet);
+    return stylesheet;
+  }
+
+  /**
+   * Aplica una hoja de estilo guardada al XML de una fuente
+   * @param {string} xml - XML original de la fuente
+   * @param {string} name - Nombre de la hoja de estilo
+   * @param {string} cacheKey - Clave para reutilizar el último resultado (ID de la API)
+   * @returns {Promise<string>} XML transformado
+   */
+  async transform(xml, name, cacheKey = null) {
+    const stylesheet = await this.loadStylesheet(name);
+    const resultKey = crypto
+      .createHash('sha256')
+      .update(`${name}\u0000${stylesheet.version}\u0000${xml}`)
+      .digest('hex');
+
+    const cached = cacheKey ? this.results.get(cacheKey) : null;
+    if (cached && cached.key === resultKey) {
+      this.stats.cacheHits++;
+      return cached.output;
+    }
+
+    const output = await this.applyStylesheet(xml, stylesheet.content);
+
+    if (cacheKey) {
+      this.results.set(cacheKey, { key: resultKey, output });
+    }
+
+    return output;
+  }
+
+  /**
+   * Aplica el contenido de una hoja de estilo a un XML
+   * @param {string} xml - XML de entrada
+   * @param {string} stylesheetContent - Contenido XSLT
+   * @returns {Promise<string>} XML transformado
+   */
+  async applyStylesheet(xml, stylesheetContent) {
+    this.stats.totalTransforms++;
+
+    try {
+      const validation = this.validateStylesheet(stylesheetContent);
+      if (!validation.isValid) {
+        throw new Error(validation.error);
+      }
+
+      const output = await new Xslt().xsltProcess(
+        this.xmlParser.xmlParse(xml),
+        this.xmlParser.xmlParse(stylesheetContent)
+      );
+
+      if (!output || !output.trim()) {
+        throw new Error('La transformación no produjo salida');
+      }
+
+      return output;
+    } catch (error) {
+      this.stats.failedTransforms++;
+      throw error;
+    }
+  }
+
+  /**
+   * Olvida el último resultado cacheado de una fuente
+   * @param {string} cacheKey - Clave de la fuente
+   */
+  clearResult(cacheKey) {
+    this.results.delete(cacheKey);
+  }
+
+  /**
+   * Obtiene estadísticas de transformación
+   * @returns {Object} Estadísticas
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      cachedStylesheets: this.stylesheets.size,
+      cachedResults: this.results.size
+    };
+  }
+}
+
+module.exports = TransformManager;
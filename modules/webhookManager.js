@@ -0,0 +1,266 @@
+// modules/webhookManager.js
+const axios = require('axios');
+const crypto = require('crypto');
+const ConfigManager = require('./configManager');
+const SecretManager = require('./secretManager');
+
+class WebhookManager {
+  /**
+   * @param {Object} dependencies - Instancias compartidas opcionales (configManager, secretManager)
+   */
+  constructor(dependencies = {}) {
+    this.configManager = dependencies.configManager || new ConfigManager();
+    this.secretManager = dependencies.secretManager || new SecretManager();
+
+    this.events = ['content-changed', 'fetch-failed', 'recovered'];
+    this.signatureHeader = 'X-Webhook-Signature';
+    this.maxAttempts = 5;
+    this.baseDelay = 2000; // Backoff exponencial: 2s, 4s, 8s, 16s
+    this.timeout = 10000;
+    this.maxDeliveries = 200; // Entregas recordadas para el panel
+
+    this.deliveries = []; // Registro de entregas, las más nuevas primero
+    this.retryTimers = new Set();
+
+    this.stats = {
+      totalDeliveries: 0,
+      delivered: 0,
+      failed: 0,
+      retries: 0
+    };
+  }
+
+  /**
+   * Notifica un evento a los webhooks suscriptos (las entregas siguen en segundo plano)
+   * @param {string} event - Evento (content-changed, fetch-failed, recovered)
+   * @param {Object} api - Configuración de la API que originó el evento
+   * @param {Object} data - Datos del evento
+   * @returns {Promise<Array>} Entregas creadas
+   */
+  async emit(event, api, data = {}) {
+    const config = await this.configManager.loadConfig();
+    const webhooks = (config.webhooks || []).filter(webhook =>
+      webhook.enabled &&
+      webhook.events.includes(event) &&
+      (webhook.sources.length === 0 || webhook.sources.includes(api.id))
+    );
+
+    return webhooks.map(webhook => this.dispatch(webhook, event, api, data));
+  }
+
+  /**
+   * Envía un evento de prueba a un webhook, sin aplicar sus filtros
+   * @param {string} webhookId - ID del webhook
+   * @returns {Promise<Object|null>} Entrega creada o null si no existe
+   */
+  async sendTest(webhookId) {
+    const config = await this.configManager.loadConfig();
+    const webhook = (config.webhooks || []).find(w => w.id === webhookId);
+
+    if (!webhook) return null;
+
+    return this.dispatch(webhook, 'test', { id: null, name: null, url: null }, {
+      message: 'Entrega de prueba desde el panel de administración'
+    });
+  }
+
+  /**
+   * Crea una entrega y hace el primer intento
+   * @param {Object} webhook - Suscripción
+   * @param {string} event - Evento
+   * @param {Object} api - API de origen
+   * @param {Object} data - Datos del evento
+   * @returns {Object} Entrega
+   */
+  dispatch(webhook, event, api, data) {
+    const id = crypto.randomUUID();
+    const body = JSON.stringify({
+      id,
+      event,
+      timestamp: new Date().toISOString(),
+      source: { id: api.id, name: api.name, url: api.url },
+      data
+    });
+
+    const delivery = {
+      id,
+      webhookId: webhook.id,
+      webhookName: webhook.name,
+      url: webhook.url,
+      event,
+      apiId: api.id,
+      status: 'pending',
+      attempts: 0,
+      maxAttempts: this.maxAttempts,
+      responseStatus: null,
+      error: null,
+      createdAt: new Date().toISOString(),
+      lastAttemptAt: null,
+      nextAttemptAt: null,
+      duration: null
+    };
+
+    this.deliveries.unshift(delivery);
+    this.deliveries.length = Math.min(this.deliveries.length, this.maxDeliveries);
+    this.stats.totalDeliveries++;
+
+    this.deliverInBackground(delivery, webhook, body);
+    return delivery;
+  }
+
+  /**
+   * Lanza un intento de entrega sin esperarlo; un error inesperado marca la
+   * entrega como fallida en lugar de quedar como rechazo no manejado
+   * @param {Object} delivery - Entrega
+   * @param {Object} webhook - Suscripción
+   * @param {string} body - Cuerpo JSON
+   */
+  deliverInBackground(delivery, webhook, body) {
+    this.attemptDelivery(delivery, webhook, body).catch(error => {
+      delivery.error = error.message;
+      this.markFailed(delivery, webhook);
+    });
+  }
+
+  /**
+   * Intenta una entrega y programa el reintento si corresponde
+   * @param {Object} delivery - Entrega
+   * @param {Object} webhook - Suscripción
+   * @param {string} body - Cuerpo JSON (el mismo en cada intento)
+   */
+  async attemptDelivery(delivery, webhook, body) {
+    const startTime = Date.now();
+    delivery.attempts++;
+    delivery.lastAttemptAt = new Date().toISOString();
+    delivery.nextAttemptAt = null;
+
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': 'XML-Aggregator-Webhooks/1.0',
+      'X-Webhook-Event': delivery.event,
+      'X-Webhook-Delivery': delivery.id
+    };
+
+    // Un secreto que no se puede descifrar (clave cambiada) no se arregla reintentando
+    try {
+      if (webhook.secret) {
+        headers[this.signatureHeader] = this.sign(body, this.secretManager.decrypt(webhook.secret));
+      }
+    } catch (error) {
+      delivery.duration = Date.now() - startTime;
+      delivery.error = `No se pudo firmar la entrega: ${error.message}`;
+      return this.markFailed(delivery, webhook);
+    }
+
+    try {
+      const response = await axios.post(webhook.url, body, {
+        headers,
+        timeout: this.timeout,
+        maxRedirects: 0,
+        validateStatus: () => true
+      });
+
+      delivery.responseStatus = response.status;
+      delivery.duration = Date.now() - startTime;
+
+      if (response.status >= 200 && response.status < 300) {
+        delivery.status = 'delivered';
+        delivery.error = null;
+        this.stats.delivered++;
+        console.log(`📤 Webhook entregado: ${webhook.name} (${delivery.event}, intento ${delivery.attempts})`);
+        return;
+      }
+
+      delivery.error = `HTTP ${response.status}`;
+      if (!this.isRetryableStatus(response.status)) {
+        return this.markFailed(delivery, webhook);
+      }
+    } catch (error) {
+      delivery.duration = Date.now() - startTime;
+      delivery.error = error.message;
+    }
+
+    if (delivery.attempts >= this.maxAttempts) {
+      return this.markFailed(delivery, webhook);
+    }
+
+    const delay = this.baseDelay * Math.pow(2, delivery.attempts - 1);
+    delivery.status = 'retrying';
+    delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+    this.stats.retries++;
+
+    const timer = setTimeout(() => {
+      this.retryTimers.delete(timer);
+      this.deliverInBackground(delivery, webhook, body);
+    }, delay);
+    timer.unref();
+    this.retryTimers.add(timer);
+  }
+
+  /**
+   * Marca una entrega como fallida definitivamente
+   * @param {Object} delivery - Entrega
+   * @param {Object} webhook - Suscripción
+   */
+  markFailed(delivery, webhook) {
+    delivery.status = 'failed';
+    this.stats.failed++;
+    console.warn(`⚠️ Webhook fallido: ${webhook.name} (${delivery.event}): ${delivery.error}`);
+  }
+
+  /**
+   * Indica si vale la pena reintentar ante un status HTTP
+   * (errores del servidor, timeouts y rate limit; el resto de 4xx no cambiaría)
+   * @param {number} status - Status HTTP
+   * @returns {boolean}
+   */
+  isRetryableStatus(status) {
+    return status >= 500 || status === 408 || status === 429;
+  }
+
+  /**
+   * Firma el cuerpo con HMAC-SHA256
+   * @param {string} body - Cuerpo JSON
+   * @param {string} secret - Secreto del webhook
+   * @returns {string} Valor del header de firma (sha256=<hex>)
+   */
+  sign(body, secret) {
+    return 'sha256=' + crypto.createHmac('sha256', secret).update(body).digest('hex');
+  }
+
+  /**
+   * Obtiene el registro de entregas
+   * @param {Object} options - { webhookId, limit }
+   * @returns {Array} Entregas, las más nuevas primero
+   */
+  getDeliveries(options = {}) {
+    const limit = Math.max(1, parseInt(options.limit) || 50);
+
+    return this.deliveries
+      .filter(delivery => !options.webhookId || delivery.webhookId === options.webhookId)
+      .slice(0, limit);
+  }
+
+  /**
+   * Cancela los reintentos pendientes
+   */
+  stop() {
+    for (const timer of this.retryTimers) {
+      clearTimeout(timer);
+    }
+    this.retryTimers.clear();
+  }
+
+  /**
+   * Obtiene estadísticas de entregas
+   * @returns {Object} Estadísticas
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      pendingRetries: this.retryTimers.size
+    };
+  }
+}
+
+module.exports = WebhookManager;
@@ -1,5 +1,6 @@
 // modules/xmlProcessor.js
-const { XMLParser, XMLBuilder } = require('fast-xml-parser');
+const { XMLParser, XMLBuilder, XMLValidator } = require('fast-xml-parser');
+const libxmljs = require('libxmljs2');
 
 class XmlProcessor {
   constructor() {
@@ -34,6 +35,16 @@ class XmlProcessor {
     this.parser = new XMLParser(this.parserOptions);
     this.builder = new XMLBuilder(this.builderOptions);
 
+    // Estrategias de merge soportadas por applyMergeStrategy
+    this.mergeStrategies = ['none', 'flatten', 'group-by-type', 'merge-by-key'];
+
+    // Atributo de procedencia agregado a cada elemento mergeado
+    this.provenanceAttribute = '@_source-id';
+
+    // Convenciones de salida JSON soportadas por toJson
+    this.jsonConventions = ['fxp', 'badgerfish', 'compact'];
+    this.diffKeyAttributes = ['id', 'key', 'code']; // Atributos que identifican hermanos al comparar
+
     // Estadísticas de procesamiento
     this.stats = {
       totalProcessed: 0,
@@ -187,7 +198,9 @@ class XmlProcessor {
               name: r.apiName,
               url: r.originalMetadata?.url || 'unknown',
               lastFetch: r.originalMetadata?.timestamp || new Date().toISOString(),
-              status: 'success'
+              status: 'success',
+              // Copia vieja servida por stale-while-revalidate / stale-if-error
+              ...(r.stale ? { stale: true, age: r.age } : {})
             }))
           },
           data: {
@@ -210,7 +223,7 @@ class XmlProcessor {
 
       // Aplicar opciones de agregación
       if (options.mergeStrategy) {
-        this.applyMergeStrategy(aggregatedStructure, options.mergeStrategy);
+        this.applyMergeStrategy(aggregatedStructure, options.mergeStrategy, options);
       }
 
       // Generar XML final
@@ -262,6 +275,17 @@ class XmlProcessor {
         return { isValid: false, error: 'Does not start with XML declaration or tag' };
       }
 
+      // Verificar buena formación (el parser por sí solo tolera XML mal formado)
+      const wellFormed = XMLValidator.validate(xmlString);
+      if (wellFormed !== true) {
+        return {
+          isValid: false,
+          error: `${wellFormed.err.msg} (line ${wellFormed.err.line}, column ${wellFormed.err.col})`,
+          line: wellFormed.err.line,
+          column: wellFormed.err.col
+        };
+      }
+
       // Intentar parsear
       this.parser.parse(xmlString);
 
@@ -355,22 +379,200 @@ class XmlProcessor {
   }
 
   /**
-   * Aplica estrategia de merge personalizada
+   * Aplica estrategia de merge personalizada, reemplazando los wrappers por
+   * fuente de data.sources por un único documento plano
    * @param {Object} structure - Estructura a modificar
-   * @param {string} strategy - Estrategia de merge
+   * @param {string} strategy - Estrategia de merge (flatten, group-by-type, merge-by-key)
+   * @param {Object} options - Opciones (mergeKeys por ID de fuente, mergeKey por defecto)
    */
-  applyMergeStrategy(structure, strategy) {
+  applyMergeStrategy(structure, strategy, options = {}) {
+    const root = structure['xml-aggregator'];
+    const sources = root.data?.sources || [];
+
     switch (strategy) {
       case 'flatten':
-        // Implementar lógica de aplanamiento
+        // Hijos de la raíz de cada fuente, concatenados en orden de fuente
+        root.data = this.flattenSources(sources);
         break;
       case 'group-by-type':
-        // Implementar agrupación por tipo
+        // Elementos agrupados por nombre de tag a través de las fuentes
+        root.data = this.groupSourcesByType(sources);
+        break;
+      case 'merge-by-key':
+        // Registros con la misma clave fusionados en uno solo
+        root.data = this.mergeSourcesByKey(sources, options.mergeKeys || {}, options.mergeKey);
         break;
       default:
         // Sin cambios
-        break;
+        return;
     }
+
+    root['@_merge-strategy'] = strategy;
+  }
+
+  /**
+   * Extrae los hijos del elemento raíz de una fuente, marcados con su procedencia
+   * @param {Object} source - Fuente ({ '@_id', content })
+   * @returns {Array} Registros [{ tag, element }]
+   */
+  getSourceRecords(source) {
+    const content = source.content || {};
+    const rootKey = Object.keys(content).find(key => !key.startsWith('?'));
+    const rootElement = rootKey ? content[rootKey] : null;
+
+    if (!rootElement || typeof rootElement !== 'object') {
+      return [];
+    }
+
+    const records = [];
+    for (const [tag, value] of Object.entries(rootElement)) {
+      if (tag.startsWith(this.parserOptions.attributeNamePrefix) || tag === this.parserOptions.textNodeName) {
+        continue;
+      }
+
+      for (const item of Array.isArray(value) ? value : [value]) {
+        const element = item !== null && typeof item === 'object'
+          ? { ...item }
+          : { [this.parserOptions.textNodeName]: item };
+
+        element[this.provenanceAttribute] = source['@_id'];
+        records.push({ tag, element });
+      }
+    }
+
+    return records;
+  }
+
+  /**
+   * Estrategia flatten: un único data con los hijos de todas las fuentes
+   * @param {Array} sources - Fuentes de la estructura agregada
+   * @returns {Object} Contenido de data
+   */
+  flattenSources(sources) {
+    const data = {};
+
+    for (const source of sources) {
+      for (const { tag, element } of this.getSourceRecords(source)) {
+        (data[tag] = data[tag] || []).push(element);
+      }
+    }
+
+    return data;
+  }
+
+  /**
+   * Estrategia group-by-type: un grupo por nombre de tag
+   * @param {Array} sources - Fuentes de la estructura agregada
+   * @returns {Object} Contenido de data
+   */
+  groupSourcesByType(sources) {
+    const groups = new Map();
+
+    for (const source of sources) {
+      for (const { tag, element } of this.getSourceRecords(source)) {
+        if (!groups.has(tag)) groups.set(tag, []);
+        groups.get(tag).push(element);
+      }
+    }
+
+    return {
+      group: Array.from(groups.entries()).map(([tag, elements]) => ({
+        '@_name': tag,
+        '@_count': elements.length,
+        [tag]: elements
+      }))
+    };
+  }
+
+  /**
+   * Estrategia merge-by-key: fusiona registros del mismo tag que comparten clave.
+   * Ante valores en conflicto prevalece la fuente con mayor prioridad (orden de fuentes).
+   * @param {Array} sources - Fuentes de la estructura agregada
+   * @param {Object} mergeKeys - Ruta de clave por ID de fuente (ej: '@id', 'info/codigo')
+   * @param {string} defaultKey - Ruta de clave para fuentes sin configuración propia
+   * @returns {Object} Contenido de data
+   */
+  mergeSourcesByKey(sources, mergeKeys = {}, defaultKey = null) {
+    const data = {};
+    const merged = new Map(); // tag + clave -> elemento mergeado
+
+    for (const source of sources) {
+      const keyPath = mergeKeys[source['@_id']] || defaultKey;
+
+      for (const { tag, element } of this.getSourceRecords(source)) {
+        const key = keyPath ? this.getValueAtPath(element, keyPath) : null;
+        const mapKey = key !== null && key !== undefined ? `${tag}\u0000${key}` : null;
+
+        if (mapKey && merged.has(mapKey)) {
+          const target = merged.get(mapKey);
+          const provenance = target[this.provenanceAttribute].split(' ');
+          if (!provenance.includes(source['@_id'])) provenance.push(source['@_id']);
+
+          this.mergeElements(target, element);
+          target[this.provenanceAttribute] = provenance.join(' ');
+          continue;
+        }
+
+        (data[tag] = data[tag] || []).push(element);
+        if (mapKey) merged.set(mapKey, element);
+      }
+    }
+
+    return data;
+  }
+
+  /**
+   * Completa un elemento con los valores de otro sin pisar los existentes
+   * @param {Object} target - Elemento destino (se modifica)
+   * @param {Object} source - Elemento con valores adicionales
+   */
+  mergeElements(target, source) {
+    for (const [key, value] of Object.entries(source)) {
+      if (key === this.provenanceAttribute) continue;
+
+      if (!(key in target)) {
+        target[key] = value;
+      } else if (this.isPlainObject(target[key]) && this.isPlainObject(value)) {
+        target[key] = { ...target[key] };
+        this.mergeElements(target[key], value);
+      }
+    }
+  }
+
+  /**
+   * Obtiene un valor escalar siguiendo una ruta relativa ('tag/subtag' o '@atributo')
+   * @param {Object} element - Elemento parseado
+   * @param {string} keyPath - Ruta de la clave
+   * @returns {*} Valor encontrado o null
+   */
+  getValueAtPath(element, keyPath) {
+    let current = element;
+
+    for (const step of String(keyPath).split('/').filter(Boolean)) {
+      const key = step.startsWith('@')
+        ? this.parserOptions.attributeNamePrefix + step.slice(1)
+        : step;
+
+      if (Array.isArray(current)) current = current[0];
+      if (!current || typeof current !== 'object' || !(key in current)) {
+        return null;
+      }
+      current = current[key];
+    }
+
+    if (Array.isArray(current)) current = current[0];
+    if (this.isPlainObject(current)) current = current[this.parserOptions.textNodeName];
+
+    return current === undefined ? null : current;
+  }
+
+  /**
+   * Verifica si un valor es un objeto plano (no array ni null)
+   * @param {*} value - Valor a verificar
+   * @returns {boolean}
+   */
+  isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
   }
 
   /**
@@ -441,6 +643,338 @@ class XmlProcessor {
     }
   }
 
+  /**
+   * Convierte un XML a JSON según una convención
+   *  - fxp: estilo fast-xml-parser (atributos con prefijo @_, texto mixto en #text, tipos parseados)
+   *  - badgerfish: atributos con @, texto siempre en $, valores como string, namespaces en @xmlns
+   *  - compact: estilo fxp con los atributos como propiedades sin prefijo
+   * @param {string} xmlString - XML a convertir
+   * @param {Object} options - { convention, alwaysArray: true | ['tag', ...] }
+   * @returns {Object} Representación JSON del documento
+   */
+  toJson(xmlString, options = {}) {
+    const convention = options.convention || 'fxp';
+    if (!this.jsonConventions.includes(convention)) {
+      throw new Error(`Unsupported JSON convention: ${convention}`);
+    }
+
+    // Elementos (nunca la raíz ni atributos) que se devuelven siempre como array
+    const arrayTags = Array.isArray(options.alwaysArray) ? new Set(options.alwaysArray) : null;
+    const isArray = (name, jpath, isLeafNode, isAttribute) => {
+      if (isAttribute || !options.alwaysArray || !jpath.includes('.')) return false;
+      return arrayTags ? arrayTags.has(name) : true;
+    };
+
+    if (convention === 'badgerfish') {
+      const parser = new XMLParser({
+        ignoreAttributes: false,
+        attributeNamePrefix: '@',
+        textNodeName: '$',
+        alwaysCreateTextNode: true,
+        parseTagValue: false,
+        parseAttributeValue: false,
+        trimValues: true,
+        ignoreDeclaration: true,
+        isArray
+      });
+
+      return this.toBadgerFish(parser.parse(xmlString));
+    }
+
+    const parser = new XMLParser({ ...this.parserOptions, ignoreDeclaration: true, isArray });
+    const parsed = parser.parse(xmlString);
+
+    return convention === 'compact' ? this.foldAttributes(parsed) : parsed;
+  }
+
+  /**
+   * Ajusta la salida del parser a BadgerFish: elementos vacíos como objetos
+   * y declaraciones de namespace agrupadas en @xmlns ({ $: default, prefijo: uri })
+   * @param {*} node - Nodo parseado
+   * @returns {*} Nodo en BadgerFish
+   */
+  toBadgerFish(node) {
+    if (Array.isArray(node)) {
+      return node.map(item => this.toBadgerFish(item));
+    }
+
+    if (node === '' || node === null || node === undefined) {
+      return {};
+    }
+
+    if (typeof node !== 'object') {
+      return { $: String(node) };
+    }
+
+    const result = {};
+    for (const [key, value] of Object.entries(node)) {
+      if (key === '@xmlns' || key.startsWith('@xmlns:')) {
+        result['@xmlns'] = result['@xmlns'] || {};
+        result['@xmlns'][key === '@xmlns' ? '$' : key.slice('@xmlns:'.length)] = value;
+      } else if (key === '$') {
+        // alwaysCreateTextNode deja $: '' en los elementos sin texto
+        if (value !== '') result.$ = value;
+      } else if (key.startsWith('@')) {
+        result[key] = value;
+      } else {
+        result[key] = this.toBadgerFish(value);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Pasa los atributos a propiedades sin prefijo (si no chocan con un hijo del mismo nombre)
+   * @param {*} node - Nodo parseado (estilo fxp)
+   * @returns {*} Nodo compacto
+   */
+  foldAttributes(node) {
+    if (Array.isArray(node)) {
+      return node.map(item => this.foldAttributes(item));
+    }
+
+    if (!this.isPlainObject(node)) {
+      return node;
+    }
+
+    const prefix = this.parserOptions.attributeNamePrefix;
+    const childNames = new Set(Object.keys(node).filter(key => !key.startsWith(prefix)));
+    const result = {};
+
+    for (const [key, value] of Object.entries(node)) {
+      if (key.startsWith(prefix)) {
+        const name = key.slice(prefix.length);
+        result[childNames.has(name) ? `@${name}` : name] = value;
+      } else {
+        result[key] = this.foldAttributes(value);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Evalúa una expresión XPath 1.0 sobre un documento XML
+   * @param {string} xmlString - XML a consultar
+   * @param {string} expression - Expresión XPath
+   * @param {Object} namespaces - Prefijos de namespace (prefijo -> URI)
+   * @returns {Object} { type: 'nodeset', nodes } o { type: 'number'|'string'|'boolean', value }
+   */
+  queryXPath(xmlString, expression, namespaces = {}) {
+    let document;
+    try {
+      document = libxmljs.parseXml(xmlString);
+    } catch (error) {
+      throw new Error(`Invalid XML: ${error.message.trim()}`);
+    }
+
+    // libxml devuelve undefined ante expresiones inválidas
+    const result = document.find(expression, namespaces);
+    if (result === undefined) {
+      throw new Error(`Invalid XPath expression: ${expression}`);
+    }
+
+    if (!Array.isArray(result)) {
+      return { type: typeof result, value: result };
+    }
+
+    return {
+      type: 'nodeset',
+      nodes: result.map(node => {
+        switch (node.type()) {
+          case 'element':
+            return { type: 'element', name: node.name(), xml: node.toString() };
+          case 'attribute':
+            return { type: 'attribute', name: node.name(), value: node.value() };
+          default:
+            return { type: node.type(), value: node.text() };
+        }
+      })
+    };
+  }
+
+  /**
+   * Compara estructuralmente dos documentos XML. Los hermanos con el mismo nombre
+   * se emparejan por atributo identificador (id, key, code) o, si no lo tienen, por posición
+   * @param {string} oldXml - Versión anterior
+   * @param {string} newXml - Versión nueva
+   * @returns {Object} { summary: { added, removed, changed }, changes: [{ type, node, path, oldValue, newValue }] }
+   */
+  diffXml(oldXml, newXml) {
+    const parse = (xml, label) => {
+      try {
+        return libxmljs.parseXml(xml).root();
+      } catch (error) {
+        throw new Error(`Invalid XML (${label}): ${error.message.trim()}`);
+      }
+    };
+
+    const changes = [];
+    const oldRoot = parse(oldXml, 'from');
+    const newRoot = parse(newXml, 'to');
+
+    if (oldRoot.name() !== newRoot.name()) {
+      changes.push({
+        type: 'changed',
+        node: 'element',
+        path: '/',
+        oldValue: oldRoot.name(),
+        newValue: newRoot.name()
+      });
+    } else {
+      this.diffElements(oldRoot, newRoot, `/${oldRoot.name()}`, changes);
+    }
+
+    const summary = { added: 0, removed: 0, changed: 0 };
+    changes.forEach(change => summary[change.type]++);
+
+    return { summary, changes };
+  }
+
+  /**
+   * Compara dos elementos emparejados (atributos, texto propio e hijos)
+   * @param {Object} oldElement - Elemento anterior (libxmljs)
+   * @param {Object} newElement - Elemento nuevo (libxmljs)
+   * @param {string} elementPath - Ruta del elemento
+   * @param {Array} changes - Acumulador de cambios
+   */
+  diffElements(oldElement, newElement, elementPath, changes) {
+    const oldAttrs = new Map(oldElement.attrs().map(attr => [attr.name(), attr.value()]));
+    const newAttrs = new Map(newElement.attrs().map(attr => [attr.name(), attr.value()]));
+
+    for (const [name, value] of oldAttrs) {
+      if (!newAttrs.has(name)) {
+        changes.push({ type: 'removed', node: 'attribute', path: `${elementPath}/@${name}`, oldValue: value });
+      } else if (newAttrs.get(name) !== value) {
+        changes.push({
+          type: 'changed',
+          node: 'attribute',
+          path: `${elementPath}/@${name}`,
+          oldValue: value,
+          newValue: newAttrs.get(name)
+        });
+      }
+    }
+    for (const [name, value] of newAttrs) {
+      if (!oldAttrs.has(name)) {
+        changes.push({ type: 'added', node: 'attribute', path: `${elementPath}/@${name}`, newValue: value });
+      }
+    }
+
+    const oldText = this.getOwnText(oldElement);
+    const newText = this.getOwnText(newElement);
+    if (oldText !== newText) {
+      changes.push({ type: 'changed', node: 'text', path: `${elementPath}/text()`, oldValue: oldText, newValue: newText });
+    }
+
+    const oldChildren = this.groupChildren(oldElement);
+    const newChildren = this.groupChildren(newElement);
+
+    for (const name of new Set([...oldChildren.keys(), ...newChildren.keys()])) {
+      const pairs = this.pairSiblings(oldChildren.get(name) || [], newChildren.get(name) || []);
+
+      for (const { oldChild, newChild, selector } of pairs) {
+        const childPath = `${elementPath}/${name}${selector}`;
+
+        if (!newChild) {
+          changes.push({ type: 'removed', node: 'element', path: childPath, oldValue: oldChild.toString() });
+        } else if (!oldChild) {
+          changes.push({ type: 'added', node: 'element', path: childPath, newValue: newChild.toString() });
+        } else {
+          this.diffElements(oldChild, newChild, childPath, changes);
+        }
+      }
+    }
+  }
+
+  /**
+   * Agrupa los hijos elemento por nombre
+   * @param {Object} element - Elemento (libxmljs)
+   * @returns {Map} nombre -> [elementos]
+   */
+  groupChildren(element) {
+    const groups = new Map();
+
+    for (const child of element.childNodes()) {
+      if (child.type() !== 'element') continue;
+      if (!groups.has(child.name())) groups.set(child.name(), []);
+      groups.get(child.name()).push(child);
+    }
+
+    return groups;
+  }
+
+  /**
+   * Arma un literal XPath 1.0 para un valor (sin secuencias de escape: se elige la
+   * comilla que no aparece o se usa concat() si tiene ambas)
+   * @param {string} value - Valor del atributo
+   * @returns {string} Literal XPath
+   */
+  toXPathLiteral(value) {
+    if (!value.includes('"')) return `"${value}"`;
+    if (!value.includes("'")) return `'${value}'`;
+
+    const parts = value.split('"').map(part => `"${part}"`);
+    return `concat(${parts.join(`, '"', `)})`;
+  }
+
+  /**
+   * Empareja hermanos del mismo nombre: por atributo identificador si todos lo tienen
+   * (sin repetir), si no por posición
+   * @param {Array} oldSiblings - Hermanos anteriores
+   * @param {Array} newSiblings - Hermanos nuevos
+   * @returns {Array} Pares { oldChild, newChild, selector }
+   */
+  pairSiblings(oldSiblings, newSiblings) {
+    const all = [...oldSiblings, ...newSiblings];
+    const keyAttribute = this.diffKeyAttributes.find(attribute => {
+      const hasKey = element => element.attr(attribute) !== null;
+      const unique = siblings => new Set(siblings.map(e => e.attr(attribute).value())).size === siblings.length;
+      return all.length > 0 && all.every(hasKey) && unique(oldSiblings) && unique(newSiblings);
+    });
+
+    if (keyAttribute) {
+      const keyOf = element => element.attr(keyAttribute).value();
+      const newByKey = new Map(newSiblings.map(element => [keyOf(element), element]));
+      const oldKeys = new Set(oldSiblings.map(keyOf));
+      const selector = key => `[@${keyAttribute}=${this.toXPathLiteral(key)}]`;
+
+      return [
+        ...oldSiblings.map(oldChild => ({
+          oldChild,
+          newChild: newByKey.get(keyOf(oldChild)) || null,
+          selector: selector(keyOf(oldChild))
+        })),
+        ...newSiblings
+          .filter(newChild => !oldKeys.has(keyOf(newChild)))
+          .map(newChild => ({ oldChild: null, newChild, selector: selector(keyOf(newChild)) }))
+      ];
+    }
+
+    const length = Math.max(oldSiblings.length, newSiblings.length);
+    const single = length === 1;
+
+    return Array.from({ length }, (_, index) => ({
+      oldChild: oldSiblings[index] || null,
+      newChild: newSiblings[index] || null,
+      selector: single ? '' : `[${index + 1}]`
+    }));
+  }
+
+  /**
+   * Obtiene el texto propio de un elemento (sin el de sus descendientes)
+   * @param {Object} element - Elemento (libxmljs)
+   * @returns {string} Texto normalizado
+   */
+  getOwnText(element) {
+    return element.childNodes()
+      .filter(child => child.type() === 'text' || child.type() === 'cdata')
+      .map(child => child.text())
+      .join('')
+      .trim();
+  }
+
   /**
    * Obtiene una vista previa legible del XML
    * @param {string} xmlString - XML string
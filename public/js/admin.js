@@ -5,6 +5,9 @@ class AdminPanel {
         this.editingApiId = null;
         this.testingUrls = new Set();
         this.refreshInterval = null;
+        this.eventSource = null;
+        this.transformApiId = null;
+        this.previewTimeout = null;
         
         this.init();
     }
@@ -21,8 +24,11 @@ class AdminPanel {
         // Configurar eventos
         this.setupEventListeners();
         
-        // Auto-refresh cada 30 segundos
+        // Estado de las fuentes en vivo (/api/stream)
         this.startAutoRefresh();
+
+        // Registro de entregas de webhooks
+        this.loadWebhookDeliveries();
         
         console.log('✅ Panel inicializado correctamente');
     }
@@ -58,6 +64,7 @@ class AdminPanel {
         document.addEventListener('keydown', (e) => {
             if (e.key === 'Escape') {
                 this.closeApiModal();
+                this.closeTransformEditor();
             }
         });
 
@@ -71,22 +78,131 @@ class AdminPanel {
     }
 
     /**
-     * Inicia el auto-refresh
+     * Inicia la actualización en vivo (recarga periódica si no hay EventSource)
      */
     startAutoRefresh() {
-        this.refreshInterval = setInterval(() => {
-            this.refreshApis();
-        }, 60000); // 30 segundos
+        if (typeof EventSource === 'undefined') {
+            this.refreshInterval = setInterval(() => {
+                this.refreshApis();
+            }, 60000); // 60 segundos
+            return;
+        }
+
+        // EventSource reconecta solo y reanuda con Last-Event-ID
+        this.eventSource = new EventSource('/api/stream');
+
+        this.eventSource.addEventListener('fetch-started', (e) => {
+            const { data } = JSON.parse(e.data);
+            this.updateApiRow(data.apiId, { status: 'fetching' });
+        });
+
+        this.eventSource.addEventListener('fetch-finished', (e) => {
+            const { data } = JSON.parse(e.data);
+            this.updateApiRow(data.apiId, {
+                status: 'success',
+                lastFetch: data.lastFetch,
+                responseTime: data.responseTime,
+                circuit: data.circuit
+            });
+        });
+
+        this.eventSource.addEventListener('fetch-failed', (e) => {
+            const { data } = JSON.parse(e.data);
+            this.updateApiRow(data.apiId, {
+                status: 'error',
+                error: data.error,
+                lastFetch: data.lastFetch,
+                responseTime: data.responseTime,
+                circuit: data.circuit
+            });
+        });
+
+        this.eventSource.addEventListener('content-changed', (e) => {
+            const { data } = JSON.parse(e.data);
+            const row = document.querySelector(`tr[data-api-id="${CSS.escape(data.apiId)}"]`);
+            if (row) {
+                row.classList.add('bg-yellow-50');
+                setTimeout(() => row.classList.remove('bg-yellow-50'), 3000);
+            }
+        });
+
+        // Cambios hechos desde otra sesión: recargar salvo que haya un modal abierto
+        this.eventSource.addEventListener('config-changed', () => {
+            const overlay = document.getElementById('modal-overlay');
+            if (!overlay || overlay.classList.contains('hidden')) {
+                setTimeout(() => this.refreshApis(), 1000);
+            }
+        });
     }
 
     /**
-     * Detiene el auto-refresh
+     * Detiene la actualización en vivo
      */
     stopAutoRefresh() {
         if (this.refreshInterval) {
             clearInterval(this.refreshInterval);
             this.refreshInterval = null;
         }
+        if (this.eventSource) {
+            this.eventSource.close();
+            this.eventSource = null;
+        }
+    }
+
+    /**
+     * Actualiza en el lugar el estado de una fila de la tabla de APIs
+     * @param {string} apiId - ID de la API
+     * @param {Object} update - { status, error, lastFetch, responseTime, circuit }
+     */
+    updateApiRow(apiId, update) {
+        const row = document.querySelector(`tr[data-api-id="${CSS.escape(apiId)}"]`);
+        if (!row) return;
+
+        const badges = {
+            success: ['bg-green-100 text-green-800', 'check-circle', 'Exitoso'],
+            error: ['bg-red-100 text-red-800', 'x-circle', 'Error'],
+            fetching: ['bg-blue-100 text-blue-800', 'loader', 'Consultando']
+        };
+
+        const status = row.querySelector('[data-field="status"]');
+        if (status && badges[update.status]) {
+            const [classes, icon, label] = badges[update.status];
+            status.innerHTML = `
+                <span class="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium ${classes}">
+                    <i data-lucide="${icon}" class="w-3 h-3 mr-1"></i>
+                    ${label}
+                </span>
+            `;
+            status.title = update.error || '';
+            lucide.createIcons();
+        }
+
+        const circuits = {
+            open: ['bg-orange-100 text-orange-800', 'zap-off', 'Circuito abierto'],
+            'half-open': ['bg-yellow-100 text-yellow-800', 'zap', 'Probando']
+        };
+
+        const circuit = row.querySelector('[data-field="circuit"]');
+        if (circuit && update.circuit) {
+            const badge = circuits[update.circuit];
+            circuit.innerHTML = badge ? `
+                <span class="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium ${badge[0]}">
+                    <i data-lucide="${badge[1]}" class="w-3 h-3 mr-1"></i>
+                    ${badge[2]}
+                </span>
+            ` : '';
+            lucide.createIcons();
+        }
+
+        const lastFetch = row.querySelector('[data-field="last-fetch"]');
+        if (lastFetch && update.lastFetch) {
+            lastFetch.textContent = new Date(update.lastFetch).toLocaleString('es-ES');
+        }
+
+        const responseTime = row.querySelector('[data-field="response-time"]');
+        if (responseTime && update.responseTime !== undefined) {
+            responseTime.textContent = `${update.responseTime}ms`;
+        }
     }
 
     /**
@@ -130,6 +246,7 @@ class AdminPanel {
         document.getElementById('api-form').reset();
         document.getElementById('api-enabled').checked = true;
         document.getElementById('url-test-result').innerHTML = '';
+        this.updateAuthFields();
         this.showModal();
     }
 
@@ -153,8 +270,19 @@ class AdminPanel {
             document.getElementById('api-url').value = api.url;
             document.getElementById('api-interval').value = api.interval;
             document.getElementById('api-timeout').value = api.timeout || 5000;
+            document.getElementById('api-cron').value = api.cron || '';
+            document.getElementById('api-timezone').value = api.timezone || '';
+            document.getElementById('api-adaptive-enabled').checked = Boolean(api.adaptive?.enabled);
+            document.getElementById('api-adaptive-min').value = api.adaptive?.minInterval || '';
+            document.getElementById('api-adaptive-max').value = api.adaptive?.maxInterval || '';
+            document.getElementById('api-max-stale').value = api.maxStale ?? 86400;
+            document.getElementById('api-merge-key').value = api.mergeKey || '';
+            document.getElementById('api-record-xpath').value = api.recordXPath || '';
+            document.getElementById('api-schema').value = api.schema || '';
+            document.getElementById('api-on-invalid').value = api.onInvalid || 'reject';
             document.getElementById('api-enabled').checked = api.enabled;
             document.getElementById('url-test-result').innerHTML = '';
+            this.fillAuthFields(api.auth);
             
             this.showModal();
         } catch (error) {
@@ -174,8 +302,21 @@ class AdminPanel {
             name: formData.get('name'),
             url: formData.get('url'),
             interval: parseInt(formData.get('interval')),
+            cron: formData.get('cron').trim() || null,
+            timezone: formData.get('timezone').trim() || null,
+            adaptive: {
+                enabled: formData.has('adaptiveEnabled'),
+                minInterval: parseInt(formData.get('adaptiveMinInterval')) || undefined,
+                maxInterval: parseInt(formData.get('adaptiveMaxInterval')) || undefined
+            },
             timeout: parseInt(formData.get('timeout')),
-            enabled: formData.has('enabled')
+            maxStale: parseInt(formData.get('maxStale')),
+            mergeKey: formData.get('mergeKey').trim() || null,
+            recordXPath: formData.get('recordXPath').trim() || null,
+            schema: formData.get('schema').trim() || null,
+            onInvalid: formData.get('onInvalid'),
+            enabled: formData.has('enabled'),
+            auth: this.getAuthFromForm(formData)
         };
 
         try {
@@ -217,6 +358,80 @@ class AdminPanel {
         }
     }
 
+    /**
+     * Muestra solo los campos del tipo de autenticación seleccionado
+     */
+    updateAuthFields() {
+        const type = document.getElementById('api-auth-type').value;
+        document.querySelectorAll('.auth-fields').forEach(fields => {
+            fields.classList.toggle('hidden', fields.dataset.authType !== type);
+        });
+    }
+
+    /**
+     * Carga el bloque auth de una API en el formulario
+     */
+    fillAuthFields(auth = {}) {
+        const values = {
+            'api-auth-type': auth.type || 'none',
+            'api-auth-username': auth.username,
+            'api-auth-password': auth.password,
+            'api-auth-token': auth.token,
+            'api-auth-in': auth.in || 'header',
+            'api-auth-name': auth.name,
+            'api-auth-value': auth.value,
+            'api-auth-token-url': auth.tokenUrl,
+            'api-auth-client-id': auth.clientId,
+            'api-auth-client-secret': auth.clientSecret,
+            'api-auth-scope': auth.scope,
+            'api-auth-audience': auth.audience,
+            'api-auth-client-auth-method': auth.clientAuthMethod || 'basic'
+        };
+
+        for (const [id, value] of Object.entries(values)) {
+            document.getElementById(id).value = value || '';
+        }
+
+        this.updateAuthFields();
+    }
+
+    /**
+     * Construye el bloque auth a partir del formulario
+     */
+    getAuthFromForm(formData) {
+        const type = formData.get('authType') || 'none';
+
+        switch (type) {
+            case 'basic':
+                return {
+                    type,
+                    username: formData.get('authUsername'),
+                    password: formData.get('authPassword')
+                };
+            case 'bearer':
+                return { type, token: formData.get('authToken') };
+            case 'apiKey':
+                return {
+                    type,
+                    in: formData.get('authIn'),
+                    name: formData.get('authName'),
+                    value: formData.get('authValue')
+                };
+            case 'oauth2':
+                return {
+                    type,
+                    tokenUrl: formData.get('authTokenUrl'),
+                    clientId: formData.get('authClientId'),
+                    clientSecret: formData.get('authClientSecret'),
+                    scope: formData.get('authScope'),
+                    audience: formData.get('authAudience'),
+                    clientAuthMethod: formData.get('authClientAuthMethod')
+                };
+            default:
+                return { type: 'none' };
+        }
+    }
+
     /**
      * Elimina una API
      */
@@ -284,7 +499,7 @@ class AdminPanel {
                 return;
             }
 
-            await this.testUrl(api.url, `Probando ${api.name}...`);
+            await this.testUrl(api.url, `Probando ${api.name}...`, { apiId: api.id });
         } catch (error) {
             console.error('Error probando API:', error);
             this.showToast('Error al probar la API', 'error');
@@ -308,7 +523,7 @@ class AdminPanel {
             this.showToast(`Probando ${enabledApis.length} APIs...`, 'info');
 
             const results = await Promise.allSettled(
-                enabledApis.map(api => this.testSingleUrl(api.url))
+                enabledApis.map(api => this.testSingleUrl(api.url, { apiId: api.id }))
             );
 
             const successful = results.filter(r => r.status === 'fulfilled' && r.value.success).length;
@@ -336,13 +551,19 @@ class AdminPanel {
             return;
         }
 
-        await this.testUrl(url, 'Probando URL...');
+        const formData = new FormData(document.getElementById('api-form'));
+        await this.testUrl(url, 'Probando URL...', {
+            apiId: this.editingApiId || undefined,
+            auth: this.getAuthFromForm(formData),
+            schema: formData.get('schema').trim() || null,
+            onInvalid: formData.get('onInvalid')
+        });
     }
 
     /**
      * Prueba una URL específica y muestra el resultado
      */
-    async testUrl(url, loadingMessage = 'Probando...') {
+    async testUrl(url, loadingMessage = 'Probando...', options = {}) {
         if (this.testingUrls.has(url)) {
             return; // Ya se está probando esta URL
         }
@@ -360,7 +581,7 @@ class AdminPanel {
         }
 
         try {
-            const result = await this.testSingleUrl(url);
+            const result = await this.testSingleUrl(url, options);
             
             if (resultContainer) {
                 if (result.success) {
@@ -375,6 +596,7 @@ class AdminPanel {
                                 Tipo: ${result.contentType} |
                                 XML: ${result.isXml ? 'Sí' : 'No'}
                             </div>
+                            ${this.renderSchemaValidation(result)}
                         </div>
                     `;
                 } else {
@@ -396,9 +618,12 @@ class AdminPanel {
             }
 
             // Mostrar toast con resultado
+            const schemaFailed = result.schemaValidation && !result.schemaValidation.isValid;
             this.showToast(
-                result.success ? 'URL conectada correctamente' : 'Error de conectividad',
-                result.success ? 'success' : 'error'
+                !result.success ? 'Error de conectividad'
+                    : schemaFailed ? `URL conectada, pero no cumple ${result.schemaValidation.schema}`
+                    : 'URL conectada correctamente',
+                !result.success ? 'error' : schemaFailed ? 'warning' : 'success'
             );
 
         } catch (error) {
@@ -420,16 +645,54 @@ class AdminPanel {
         }
     }
 
+    /**
+     * Genera el detalle de la validación XSD de una prueba
+     */
+    renderSchemaValidation(result) {
+        if (result.transformError) {
+            return `<div class="mt-1 text-xs text-red-600">Error de transformación: ${this.escapeHtml(result.transformError)}</div>`;
+        }
+
+        const validation = result.schemaValidation;
+        if (!validation) return '';
+
+        if (validation.isValid) {
+            return `<div class="mt-1 text-xs text-green-600">Cumple ${this.escapeHtml(validation.schema)}</div>`;
+        }
+
+        const total = validation.totalErrors || validation.errors.length;
+        const violations = validation.errors.map(error => `
+            <li>${error.line ? `Línea ${error.line}${error.column ? `, columna ${error.column}` : ''}: ` : ''}${this.escapeHtml(error.message)}</li>
+        `).join('');
+
+        return `
+            <div class="mt-2 text-xs text-orange-700">
+                No cumple ${this.escapeHtml(validation.schema)} (${total} violaciones,
+                ${validation.onInvalid === 'flag' ? 'se incluirá marcada' : 'se rechazará'})
+                <ul class="mt-1 list-disc list-inside max-h-32 overflow-auto">${violations}</ul>
+            </div>
+        `;
+    }
+
+    /**
+     * Escapa texto para insertarlo como HTML
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = String(text ?? '');
+        return div.innerHTML;
+    }
+
     /**
      * Realiza la prueba de una URL individual
      */
-    async testSingleUrl(url) {
+    async testSingleUrl(url, options = {}) {
         const response = await fetch('/api/test-url', {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
             },
-            body: JSON.stringify({ url, timeout: 10000 })
+            body: JSON.stringify({ url, timeout: 10000, ...options })
         });
 
         return await response.json();
@@ -489,6 +752,308 @@ class AdminPanel {
         this.editingApiId = null;
     }
 
+    /**
+     * Abre el editor XSLT de una fuente
+     */
+    async openTransformEditor(apiId) {
+        try {
+            const [configResponse, transformsResponse] = await Promise.all([
+                fetch('/api/config'),
+                fetch('/api/transforms')
+            ]);
+            const config = await configResponse.json();
+            const { transforms } = await transformsResponse.json();
+            const api = config.apis.find(a => a.id === apiId);
+
+            if (!api) {
+                this.showToast('API no encontrada', 'error');
+                return;
+            }
+
+            this.transformApiId = apiId;
+            document.getElementById('transform-title').textContent = `Transformación XSLT - ${api.name}`;
+            document.getElementById('transform-names').innerHTML = transforms
+                .map(t => `<option value="${t.name}"></option>`)
+                .join('');
+            document.getElementById('transform-name').value = api.transform || `${apiId}.xsl`;
+            document.getElementById('transform-content').value = '';
+            document.getElementById('transform-before').textContent = '';
+            document.getElementById('transform-after').textContent = '';
+
+            document.getElementById('transform-overlay').classList.remove('hidden');
+            document.body.style.overflow = 'hidden';
+
+            await this.loadTransform();
+        } catch (error) {
+            console.error('Error abriendo editor XSLT:', error);
+            this.showToast('Error al abrir el editor XSLT', 'error');
+        }
+    }
+
+    /**
+     * Carga en el editor la hoja de estilo indicada (o una plantilla si no existe)
+     */
+    async loadTransform() {
+        const name = document.getElementById('transform-name').value.trim();
+        const response = name ? await fetch(`/api/transforms/${encodeURIComponent(name)}`) : null;
+
+        if (response && response.ok) {
+            const data = await response.json();
+            document.getElementById('transform-content').value = data.content;
+        } else if (!document.getElementById('transform-content').value.trim()) {
+            document.getElementById('transform-content').value = [
+                '<?xml version="1.0" encoding="UTF-8"?>',
+                '<xsl:stylesheet version="1.0" xmlns:xsl="http://www.w3.org/1999/XSL/Transform">',
+                '  <xsl:output method="xml" indent="yes"/>',
+                '  <xsl:template match="@*|node()">',
+                '    <xsl:copy><xsl:apply-templates select="@*|node()"/></xsl:copy>',
+                '  </xsl:template>',
+                '</xsl:stylesheet>'
+            ].join('\n');
+        }
+
+        await this.previewTransform();
+    }
+
+    /**
+     * Programa la vista previa mientras se edita
+     */
+    scheduleTransformPreview() {
+        clearTimeout(this.previewTimeout);
+        this.previewTimeout = setTimeout(() => this.previewTransform(), 600);
+    }
+
+    /**
+     * Aplica la hoja del editor a la última respuesta de la fuente
+     */
+    async previewTransform() {
+        const status = document.getElementById('transform-status');
+        const after = document.getElementById('transform-after');
+
+        try {
+            const response = await fetch('/api/transforms/preview', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({
+                    apiId: this.transformApiId,
+                    content: document.getElementById('transform-content').value
+                })
+            });
+            const result = await response.json();
+
+            if (!response.ok) {
+                document.getElementById('transform-before').textContent = '';
+                after.textContent = '';
+                status.textContent = result.error;
+                status.className = 'text-sm text-yellow-600';
+                return;
+            }
+
+            document.getElementById('transform-before').textContent = result.before;
+            after.textContent = result.success ? result.after : '';
+            status.textContent = result.success ? 'Vista previa actualizada' : `Error: ${result.error}`;
+            status.className = result.success ? 'text-sm text-green-600' : 'text-sm text-red-600';
+        } catch (error) {
+            console.error('Error en vista previa XSLT:', error);
+            status.textContent = 'Error obteniendo vista previa';
+            status.className = 'text-sm text-red-600';
+        }
+    }
+
+    /**
+     * Guarda la hoja de estilo y la asigna a la fuente
+     */
+    async saveTransform() {
+        const name = document.getElementById('transform-name').value.trim();
+
+        try {
+            const response = await fetch(`/api/transforms/${encodeURIComponent(name)}`, {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ content: document.getElementById('transform-content').value })
+            });
+
+            if (!response.ok) {
+                const error = await response.json();
+                throw new Error(error.error || 'Error al guardar la hoja de estilo');
+            }
+
+            await this.assignTransform(name);
+            this.showToast('Hoja de estilo guardada y asignada', 'success');
+            this.closeTransformEditor();
+            setTimeout(() => location.reload(), 1000);
+        } catch (error) {
+            console.error('Error guardando XSLT:', error);
+            this.showToast('Error al guardar la hoja de estilo: ' + error.message, 'error');
+        }
+    }
+
+    /**
+     * Quita la hoja de estilo asignada a la fuente (el archivo se conserva)
+     */
+    async detachTransform() {
+        try {
+            await this.assignTransform(null);
+            this.showToast('Transformación quitada de la fuente', 'success');
+            this.closeTransformEditor();
+            setTimeout(() => location.reload(), 1000);
+        } catch (error) {
+            console.error('Error quitando XSLT:', error);
+            this.showToast('Error al quitar la transformación', 'error');
+        }
+    }
+
+    /**
+     * Asigna (o quita) la hoja de estilo de la fuente en edición
+     */
+    async assignTransform(name) {
+        const response = await fetch(`/api/apis/${this.transformApiId}`, {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ transform: name })
+        });
+
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.error || 'Error al actualizar la API');
+        }
+    }
+
+    /**
+     * Cierra el editor XSLT
+     */
+    closeTransformEditor() {
+        clearTimeout(this.previewTimeout);
+        document.getElementById('transform-overlay').classList.add('hidden');
+        document.body.style.overflow = 'auto';
+        this.transformApiId = null;
+    }
+
+    /**
+     * Agrega una suscripción de webhook
+     */
+    async saveWebhook(event) {
+        event.preventDefault();
+
+        const formData = new FormData(event.target);
+        const webhookData = {
+            name: formData.get('name').trim(),
+            url: formData.get('url').trim(),
+            secret: formData.get('secret') || null,
+            sources: formData.get('sources').split(',').map(source => source.trim()).filter(Boolean),
+            events: formData.getAll('events')
+        };
+
+        try {
+            const response = await fetch('/api/webhooks', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(webhookData)
+            });
+
+            if (!response.ok) {
+                const error = await response.json();
+                throw new Error(error.error || 'Error al guardar webhook');
+            }
+
+            this.showToast('Webhook agregado correctamente', 'success');
+            setTimeout(() => location.reload(), 1000);
+        } catch (error) {
+            console.error('Error guardando webhook:', error);
+            this.showToast(error.message, 'error');
+        }
+    }
+
+    /**
+     * Elimina una suscripción de webhook
+     */
+    async deleteWebhook(webhookId, webhookName) {
+        if (!confirm(`¿Estás seguro de que quieres eliminar el webhook "${webhookName}"?`)) {
+            return;
+        }
+
+        try {
+            const response = await fetch(`/api/webhooks/${webhookId}`, { method: 'DELETE' });
+            if (!response.ok) {
+                throw new Error('Error al eliminar webhook');
+            }
+
+            this.showToast('Webhook eliminado correctamente', 'success');
+            setTimeout(() => location.reload(), 1000);
+        } catch (error) {
+            console.error('Error eliminando webhook:', error);
+            this.showToast('Error al eliminar el webhook', 'error');
+        }
+    }
+
+    /**
+     * Envía una entrega de prueba a un webhook
+     */
+    async testWebhook(webhookId) {
+        try {
+            const response = await fetch(`/api/webhooks/${webhookId}/test`, { method: 'POST' });
+            if (!response.ok) {
+                throw new Error('Error al enviar la prueba');
+            }
+
+            this.showToast('Entrega de prueba enviada', 'info');
+            setTimeout(() => this.loadWebhookDeliveries(), 1500);
+        } catch (error) {
+            console.error('Error probando webhook:', error);
+            this.showToast(error.message, 'error');
+        }
+    }
+
+    /**
+     * Carga el registro de entregas de webhooks
+     */
+    async loadWebhookDeliveries() {
+        const container = document.getElementById('webhook-deliveries');
+        if (!container) return;
+
+        try {
+            const response = await fetch('/api/webhooks/deliveries?limit=20');
+            const result = await response.json();
+
+            if (result.deliveries.length === 0) {
+                container.innerHTML = '<tr><td colspan="7" class="px-4 py-3 text-gray-500 text-center">Sin entregas</td></tr>';
+                return;
+            }
+
+            const badges = {
+                delivered: 'bg-green-100 text-green-800',
+                retrying: 'bg-yellow-100 text-yellow-800',
+                pending: 'bg-gray-100 text-gray-800',
+                failed: 'bg-red-100 text-red-800'
+            };
+
+            container.innerHTML = result.deliveries.map(delivery => `
+                <tr>
+                    <td class="px-4 py-2 text-gray-500">${new Date(delivery.createdAt).toLocaleString('es-ES')}</td>
+                    <td class="px-4 py-2">${this.escapeHtml(delivery.webhookName)}</td>
+                    <td class="px-4 py-2 font-mono text-xs">${delivery.event}</td>
+                    <td class="px-4 py-2">${this.escapeHtml(delivery.apiId || '-')}</td>
+                    <td class="px-4 py-2">
+                        <span class="px-2 py-1 rounded-full text-xs font-medium ${badges[delivery.status] || badges.pending}">${delivery.status}</span>
+                    </td>
+                    <td class="px-4 py-2">${delivery.attempts}/${delivery.maxAttempts}</td>
+                    <td class="px-4 py-2 text-xs text-gray-500">
+                        ${delivery.responseStatus ? `HTTP ${delivery.responseStatus}` : this.escapeHtml(delivery.error || '-')}
+                        ${delivery.nextAttemptAt ? `<br>reintento ${new Date(delivery.nextAttemptAt).toLocaleTimeString('es-ES')}` : ''}
+                    </td>
+                </tr>
+            `).join('');
+        } catch (error) {
+            console.error('Error cargando entregas de webhooks:', error);
+        }
+    }
+
     /**
      * Refresca la lista de APIs
      */
@@ -700,6 +1265,10 @@ function testCurrentUrl() {
     adminPanel.testCurrentUrl();
 }
 
+function updateAuthFields() {
+    adminPanel.updateAuthFields();
+}
+
 function saveApi(event) {
     adminPanel.saveApi(event);
 }
@@ -708,6 +1277,30 @@ function closeApiModal() {
     adminPanel.closeApiModal();
 }
 
+function openTransformEditor(apiId) {
+    adminPanel.openTransformEditor(apiId);
+}
+
+function loadTransform() {
+    adminPanel.loadTransform();
+}
+
+function scheduleTransformPreview() {
+    adminPanel.scheduleTransformPreview();
+}
+
+function saveTransform() {
+    adminPanel.saveTransform();
+}
+
+function detachTransform() {
+    adminPanel.detachTransform();
+}
+
+function closeTransformEditor() {
+    adminPanel.closeTransformEditor();
+}
+
 function refreshApis() {
     adminPanel.refreshApis();
 }
@@ -726,4 +1319,20 @@ function exportConfig() {
 
 function importConfig(input) {
     adminPanel.importConfig(input);
-}
\ No newline at end of file
+}
+
+function saveWebhook(event) {
+    adminPanel.saveWebhook(event);
+}
+
+function deleteWebhook(webhookId, webhookName) {
+    adminPanel.deleteWebhook(webhookId, webhookName);
+}
+
+function testWebhook(webhookId) {
+    adminPanel.testWebhook(webhookId);
+}
+
+function loadWebhookDeliveries() {
+    adminPanel.loadWebhookDeliveries();
+}
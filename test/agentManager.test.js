@@ -0,0 +1,111 @@
+// test/agentManager.test.js
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const AgentManager = require('../modules/agentManager');
+
+let tempDir;
+
+/**
+ * Crea un AgentManager que busca los certificados en un directorio temporal
+ * @returns {AgentManager}
+ */
+function createAgentManager() {
+  const agentManager = new AgentManager();
+  agentManager.baseDir = tempDir;
+  return agentManager;
+}
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+beforeEach(async () => {
+  tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'xml-aggregator-agents-'));
+  await fs.mkdir(path.join(tempDir, 'certs'));
+  await fs.writeFile(path.join(tempDir, 'certs/ca.pem'), '-----BEGIN CERTIFICATE-----\n');
+});
+
+afterEach(async () => {
+  await fs.rm(tempDir, { recursive: true, force: true });
+});
+
+test('el proxy de la fuente respeta su propio noProxy', () => {
+  const agentManager = createAgentManager();
+  const sourceProxy = { url: 'http://proxy.local:3128', noProxy: ['interno.test', 'api.test:8443'] };
+  const globalProxy = { url: 'http://global.local:3128', noProxy: ['otro.test'] };
+
+  assert.strictEqual(agentManager.resolveProxy('http://interno.test/a.xml', sourceProxy, globalProxy), null);
+  assert.strictEqual(agentManager.resolveProxy('https://sub.interno.test/a.xml', sourceProxy, globalProxy), null);
+  assert.strictEqual(agentManager.resolveProxy('https://api.test:8443/a.xml', sourceProxy, globalProxy), null);
+  assert.strictEqual(agentManager.resolveProxy('https://api.test/a.xml', sourceProxy, globalProxy), 'http://proxy.local:3128/');
+  assert.strictEqual(agentManager.resolveProxy('http://otro.test/a.xml', sourceProxy, globalProxy), 'http://proxy.local:3128/');
+
+  assert.strictEqual(agentManager.resolveProxy('http://otro.test/a.xml', null, globalProxy), null);
+  assert.strictEqual(agentManager.resolveProxy('http://otro.test/a.xml', false, globalProxy), null);
+});
+
+test('los certificados deben estar dentro del directorio de configuración', () => {
+  const agentManager = createAgentManager();
+
+  assert.strictEqual(agentManager.resolvePemPath('certs/ca.pem'), path.join(tempDir, 'certs/ca.pem'));
+  assert.strictEqual(agentManager.resolvePemPath(path.join(tempDir, 'certs/ca.pem')), path.join(tempDir, 'certs/ca.pem'));
+  assert.throws(() => agentManager.resolvePemPath('../secret.key'), /dentro de config/);
+  assert.throws(() => agentManager.resolvePemPath('/etc/ssl/private/key.pem'), /dentro de config/);
+  assert.throws(() => agentManager.resolvePemPath('certs/../../x.pem'), /dentro de config/);
+});
+
+test('los certificados se leen una vez al crear los agentes', async (t) => {
+  const agentManager = createAgentManager();
+  const readFile = t.mock.method(fs, 'readFile');
+  const source = { tls: { caFile: 'certs/ca.pem' } };
+
+  const first = await agentManager.getAxiosOptions('https://a.test/x', source, {}, 'api_1');
+  const second = await agentManager.getAxiosOptions('https://a.test/y', source, {}, 'api_1');
+  const shared = await agentManager.getAxiosOptions('https://b.test/x', source, {}, 'api_2');
+
+  assert.strictEqual(readFile.mock.callCount(), 1);
+  assert.strictEqual(first.httpsAgent, second.httpsAgent);
+  assert.strictEqual(first.httpsAgent, shared.httpsAgent);
+  assert.strictEqual(first.proxy, false);
+  agentManager.release('api_1');
+  agentManager.release('api_2');
+});
+
+test('al cambiar la configuración de una fuente se destruyen sus agentes si nadie más los usa', async (t) => {
+  const agentManager = createAgentManager();
+  const old = await agentManager.getAxiosOptions('https://a.test/x', {}, {}, 'api_1');
+  const shared = await agentManager.getAxiosOptions('https://a.test/x', {}, {}, 'api_2');
+  const destroy = t.mock.method(old.httpsAgent, 'destroy');
+
+  const updated = await agentManager.getAxiosOptions('https://a.test/x', { tls: { caFile: 'certs/ca.pem' } }, {}, 'api_1');
+  await tick();
+  assert.notStrictEqual(updated.httpsAgent, old.httpsAgent);
+  assert.strictEqual(destroy.mock.callCount(), 0); // api_2 todavía los usa
+
+  agentManager.release('api_2');
+  await tick();
+  assert.strictEqual(destroy.mock.callCount(), 1);
+  assert.strictEqual(shared.httpsAgent, old.httpsAgent);
+
+  agentManager.release('api_1');
+  assert.strictEqual(agentManager.agents.size, 0);
+});
+
+test('un certificado ilegible no queda cacheado', async () => {
+  const agentManager = createAgentManager();
+  const source = { tls: { certFile: 'certs/client.pem', keyFile: 'certs/client.key' } };
+
+  await assert.rejects(
+    agentManager.getAxiosOptions('https://a.test/x', source, {}, 'api_1'),
+    /No se pudo leer el certificado certs\/client.pem/
+  );
+  assert.strictEqual(agentManager.agents.size, 0);
+
+  await fs.writeFile(path.join(tempDir, 'certs/client.pem'), 'cert');
+  await fs.writeFile(path.join(tempDir, 'certs/client.key'), 'key');
+  const options = await agentManager.getAxiosOptions('https://a.test/x', source, {}, 'api_1');
+  assert.ok(options.httpsAgent);
+  agentManager.release('api_1');
+});
@@ -0,0 +1,433 @@
+// test/aggregatorService.test.js
+const { test } = require('node:test');
+const assert = require('node:assert');
+const AggregatorService = require('../modules/aggregatorService');
+
+/**
+ * Crea un AggregatorService con dependencias falsas (sin red ni disco)
+ * @param {Object} dependencies - Dependencias a reemplazar
+ * @returns {AggregatorService}
+ */
+function createAggregatorService(dependencies = {}) {
+  return new AggregatorService({
+    configManager: {},
+    cacheManager: {},
+    dataFetcher: { getStats: () => ({}) },
+    transformManager: {},
+    schemaManager: {},
+    recordMapper: {},
+    exportManager: {},
+    calendarManager: {},
+    feedManager: {},
+    snapshotManager: {},
+    ...dependencies
+  });
+}
+
+test('el content-type de una fuente transcodificada declara UTF-8', async () => {
+  const aggregatorService = createAggregatorService();
+
+  const result = await aggregatorService._createAggregatedXml([{
+    apiId: 'api_1',
+    apiName: 'Latina',
+    data: '<?xml version="1.0" encoding="UTF-8"?><a>Unión</a>',
+    metadata: { contentType: 'text/xml; charset=ISO-8859-1', encoding: 'windows-1252', contentLength: 10 }
+  }]);
+
+  assert.ok(result.success);
+  assert.match(result.xml, /content-type="text\/xml; charset=utf-8"/);
+  assert.match(result.xml, /source-encoding="windows-1252"/);
+  assert.doesNotMatch(result.xml, /ISO-8859-1/);
+});
+
+/**
+ * Crea un cache falso con una última respuesta buena de la edad indicada
+ * @param {number} age - Edad de la copia en segundos
+ * @returns {Object} Cache con getApiData, getLastResponse y setApiData
+ */
+function createStaleCache(age) {
+  const stored = new Map();
+  return {
+    stored,
+    getApiData: async () => null,
+    getLastResponse: async () => ({
+      data: '<partidos><partido id="1"/></partidos>',
+      contentType: 'application/xml',
+      storedAt: new Date(Date.now() - age * 1000).toISOString()
+    }),
+    setApiData: async (apiId, data) => stored.set(apiId, data)
+  };
+}
+
+const api = { id: 'api_1', name: 'Fuente', url: 'http://example.com/a.xml', interval: 300, maxStale: 300 };
+
+test('sin cache por fuente sirve la copia vieja y revalida en segundo plano', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const cacheManager = createStaleCache(60);
+  let revalidated;
+  const done = new Promise(resolve => { revalidated = resolve; });
+  const dataFetcher = {
+    getStats: () => ({}),
+    fetchApiData: t.mock.fn(async () => {
+      setImmediate(revalidated);
+      return { success: true, apiId: api.id, apiName: api.name, data: '<partidos/>', metadata: {} };
+    })
+  };
+  const aggregatorService = createAggregatorService({ cacheManager, dataFetcher });
+
+  const summary = await aggregatorService._collectSources([api]);
+  const [result] = summary.results;
+
+  assert.strictEqual(result.stale, true);
+  assert.ok(result.age >= 60 && result.age < 65);
+  assert.strictEqual(result.data, '<partidos><partido id="1"/></partidos>');
+
+  await done;
+  assert.strictEqual(dataFetcher.fetchApiData.mock.callCount(), 1);
+  assert.ok(cacheManager.stored.get(api.id).success, 'la revalidación no actualizó el cache');
+});
+
+test('una copia más vieja que maxStale no se sirve y se consulta en vivo', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const fresh = { success: true, apiId: api.id, apiName: api.name, data: '<partidos/>', metadata: {} };
+  const dataFetcher = { getStats: () => ({}), fetchApiData: t.mock.fn(async () => fresh) };
+  const aggregatorService = createAggregatorService({ cacheManager: createStaleCache(301), dataFetcher });
+
+  const summary = await aggregatorService._collectSources([api]);
+
+  assert.strictEqual(summary.results[0], fresh);
+  assert.strictEqual(dataFetcher.fetchApiData.mock.callCount(), 1);
+  assert.strictEqual(await aggregatorService._getStaleSource({ ...api, maxStale: 0 }), null);
+});
+
+test('con ?fresh=true una fuente que falla usa su copia vieja (stale-if-error)', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const dataFetcher = {
+    getStats: () => ({}),
+    fetchAllApis: async () => ({ results: [{ success: false, apiId: api.id, apiName: api.name, error: 'timeout' }] })
+  };
+  const aggregatorService = createAggregatorService({ cacheManager: createStaleCache(120), dataFetcher });
+
+  const summary = await aggregatorService._fetchFreshSources([api], {});
+  const [result] = summary.results;
+
+  assert.strictEqual(summary.successful, 1);
+  assert.strictEqual(result.stale, true);
+  assert.strictEqual(result.fetchError, 'timeout');
+});
+
+test('el XML mergeado marca las fuentes viejas con su edad', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const aggregatorService = createAggregatorService();
+  const sources = [
+    { apiId: 'a', apiName: 'Fresca', data: '<r><item id="1"/></r>', metadata: {} },
+    { apiId: 'b', apiName: 'Vieja', data: '<r><item id="2"/></r>', metadata: {}, stale: true, age: 120 }
+  ];
+
+  const result = await aggregatorService._createMergedXml(sources, [], { mergeStrategy: 'flatten' });
+  const described = result.structure['xml-aggregator'].metadata.sources;
+
+  assert.ok(result.success);
+  assert.strictEqual(described[0].stale, undefined);
+  assert.deepStrictEqual([described[1].stale, described[1].age], [true, 120]);
+  assert.match(result.xml, /<id>b<\/id>[\s\S]*<stale>true<\/stale>\s*<age>120<\/age>/);
+});
+
+test('la agregación sale del cache por fuente sin consultar las APIs', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const dataFetcher = {
+    getStats: () => ({}),
+    fetchApiData: t.mock.fn(async () => ({ success: false })),
+    fetchAllApis: t.mock.fn(async () => ({ results: [] }))
+  };
+  const aggregatorService = createAggregatorService({
+    configManager: { getEnabledApis: async () => [api] },
+    cacheManager: {
+      getApiData: async () => ({ success: true, rawData: '<partidos/>', originalMetadata: { url: api.url } })
+    },
+    dataFetcher
+  });
+
+  const result = await aggregatorService.aggregateAllSources();
+
+  assert.strictEqual(result.status, 'success');
+  assert.strictEqual(result.summary.cachedSources, 1);
+  assert.match(result.aggregatedXml, /<partidos\/>/);
+  assert.strictEqual(dataFetcher.fetchApiData.mock.callCount(), 0);
+  assert.strictEqual(dataFetcher.fetchAllApis.mock.callCount(), 0);
+});
+
+test('con ?fresh=true consulta en vivo y deja el resultado en el cache por fuente', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const stored = new Map();
+  const aggregatorService = createAggregatorService({
+    configManager: { getEnabledApis: async () => [api] },
+    cacheManager: {
+      getApiData: async () => ({ success: true, rawData: '<viejo/>' }),
+      setApiData: async (apiId, data, ttl) => stored.set(apiId, { data, ttl })
+    },
+    dataFetcher: {
+      getStats: () => ({}),
+      fetchAllApis: async () => ({
+        results: [{ success: true, apiId: api.id, apiName: api.name, data: '<nuevo/>', metadata: { url: api.url } }]
+      })
+    },
+    scheduler: { getCacheTtl: () => 123000 }
+  });
+
+  const result = await aggregatorService.aggregateAllSources({ fresh: true });
+
+  assert.strictEqual(result.summary.cachedSources, 0);
+  assert.match(result.aggregatedXml, /<nuevo\/>/);
+  assert.strictEqual(stored.get(api.id).data.rawData, '<nuevo/>');
+  assert.strictEqual(stored.get(api.id).ttl, 123000);
+});
+
+test('la hoja XSLT de cada fuente se aplica antes de agregar y sus errores se informan por fuente', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+  const apis = [
+    { id: 'a', name: 'Con hoja', transform: 'a.xsl' },
+    { id: 'b', name: 'Hoja rota', transform: 'rota.xsl' }
+  ];
+  const aggregatorService = createAggregatorService({
+    configManager: { getEnabledApis: async () => apis },
+    cacheManager: {
+      getApiData: async (apiId) => ({ success: true, rawData: `<origen id="${apiId}"/>` })
+    },
+    transformManager: {
+      transform: async (xml, name) => {
+        if (name === 'rota.xsl') throw new Error('Hoja de estilo no encontrada: rota.xsl');
+        return '<partidos/>';
+      }
+    }
+  });
+
+  const result = await aggregatorService.aggregateAllSources();
+
+  assert.strictEqual(result.summary.validSources, 1);
+  assert.strictEqual(result.summary.transformedSources, 1);
+  assert.match(result.aggregatedXml, /<source id="a"[^>]*transform="a.xsl"[^>]*>\s*<partidos\/>/);
+  assert.doesNotMatch(result.aggregatedXml, /<origen/);
+  assert.deepStrictEqual(result.summary.transformErrors, [
+    { apiId: 'b', apiName: 'Hoja rota', transform: 'rota.xsl', error: 'Hoja de estilo no encontrada: rota.xsl' }
+  ]);
+});
+
+test('una fuente que no cumple su XSD queda fuera con reject y marcada con flag', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const apis = [
+    { id: 'a', name: 'Estricta', schema: 'a.xsd', onInvalid: 'reject' },
+    { id: 'b', name: 'Tolerante', schema: 'a.xsd', onInvalid: 'flag' },
+    { id: 'c', name: 'Válida', schema: 'a.xsd' }
+  ];
+  const violation = { message: "Element 'otro': This element is not expected.", line: 1, column: 11 };
+  const aggregatorService = createAggregatorService({
+    configManager: { getEnabledApis: async () => apis },
+    cacheManager: {
+      getApiData: async (apiId) => ({ success: true, rawData: apiId === 'c' ? '<ok/>' : '<partidos><otro/></partidos>' })
+    },
+    schemaManager: {
+      validate: async (xml, name) => (xml === '<ok/>'
+        ? { isValid: true, schema: name, errors: [] }
+        : { isValid: false, schema: name, errors: [violation], totalErrors: 1 })
+    }
+  });
+
+  const result = await aggregatorService.aggregateAllSources();
+
+  assert.deepStrictEqual(result.metadata.sources.map(source => [source.id, source.schemaValid]), [['b', false], ['c', true]]);
+  assert.match(result.aggregatedXml, /<source id="b"[^>]*schema-valid="false"/);
+  assert.doesNotMatch(result.aggregatedXml, /<source id="c"[^>]*schema-valid/);
+  assert.deepStrictEqual(result.summary.validationErrors.map(error => [error.apiId, error.policy]), [['a', 'reject'], ['b', 'flag']]);
+  assert.deepStrictEqual(result.summary.validationErrors[0].violations, [violation]);
+});
+
+test('queryAggregated consulta el agregado completo o una sola fuente', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const apis = [{ id: 'a', name: 'A' }, { id: 'b', name: 'B' }];
+  const aggregatorService = createAggregatorService({
+    configManager: { getEnabledApis: async () => apis },
+    cacheManager: {
+      getApiData: async (apiId) => ({ success: true, rawData: `<partidos><partido id="${apiId}1"/><partido id="${apiId}2"/></partidos>` })
+    }
+  });
+
+  const all = await aggregatorService.queryAggregated('//partido/@id');
+  assert.strictEqual(all.count, 4);
+  assert.match(all.resultXml, /<xpath-result expression="\/\/partido\/@id" type="nodeset" count="4">/);
+
+  const scoped = await aggregatorService.queryAggregated('count(/partidos/partido)', { source: 'b' });
+  assert.deepStrictEqual([scoped.resultType, scoped.result.value, scoped.source], ['number', 2, 'b']);
+  assert.match(scoped.resultXml, /source="b" type="number">2<\/xpath-result>$/);
+
+  const json = await aggregatorService.queryAggregated('/partidos/partido[1]', { source: 'a', format: 'json' });
+  assert.deepStrictEqual(json.result.nodes[0].value, { partido: { '@_id': 'a1' } });
+  assert.strictEqual(json.resultXml, null);
+});
+
+test('queryAggregated responde 400 o 404 ante consultas que no se pueden resolver', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const aggregatorService = createAggregatorService({
+    configManager: { getEnabledApis: async () => [{ id: 'a', name: 'A' }] },
+    cacheManager: { getApiData: async () => ({ success: true, rawData: '<partidos/>' }) }
+  });
+
+  const statusOf = async (expression, options) => (await aggregatorService.queryAggregated(expression, options)).statusCode;
+
+  assert.strictEqual(await statusOf(''), 400);
+  assert.strictEqual(await statusOf('//partido[', {}), 400);
+  assert.strictEqual(await statusOf('/partidos', { source: 'a', mergeStrategy: 'flatten' }), 400);
+  assert.strictEqual(await statusOf('/partidos', { source: 'otra' }), 404);
+});
+
+test('getRecords mapea cada fuente al esquema canónico y lista las que no tienen mapeo', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const RecordMapper = require('../modules/recordMapper');
+  const apis = [
+    { id: 'a', name: 'A', mapping: { recordPath: 'fixture/match', fields: { id: '@code', goles: 'score' } } },
+    { id: 'b', name: 'B', mapping: { recordPath: 'partidos/partido', fields: { id: '@id', goles: 'goles' } } },
+    { id: 'c', name: 'Sin mapeo' }
+  ];
+  const bodies = {
+    a: '<fixture><match code="7"><score>2</score></match></fixture>',
+    b: '<partidos><partido id="x1"><goles>1</goles></partido><partido id="x2"/></partidos>',
+    c: '<otra/>'
+  };
+  const canonical = { recordName: 'partido', fields: [{ name: 'id' }, { name: 'goles', type: 'int', default: 0 }] };
+  const aggregatorService = createAggregatorService({
+    configManager: { loadConfig: async () => ({ apis, canonical }), getEnabledApis: async () => apis },
+    cacheManager: { getApiData: async (apiId) => ({ success: true, rawData: bodies[apiId] }) },
+    recordMapper: new RecordMapper()
+  });
+
+  const result = await aggregatorService.getRecords();
+
+  assert.deepStrictEqual(result.records, [
+    { source: 'a', id: '7', goles: 2 },
+    { source: 'b', id: 'x1', goles: 1 },
+    { source: 'b', id: 'x2', goles: 0 }
+  ]);
+  assert.deepStrictEqual(result.sources.map(source => [source.id, source.mapped, source.records]), [['a', true, 1], ['b', true, 2], ['c', false, 0]]);
+  assert.match(result.recordsXml, /<partido source="b">\s*<id>x2<\/id>\s*<goles>0<\/goles>\s*<\/partido>/);
+
+  const scoped = await aggregatorService.getRecords({ source: 'a', format: 'json' });
+  assert.deepStrictEqual([scoped.count, scoped.recordsXml], [1, null]);
+  assert.strictEqual((await aggregatorService.getRecords({ source: 'otra' })).statusCode, 404);
+
+  canonical.fields = [];
+  assert.strictEqual((await aggregatorService.getRecords()).statusCode, 422);
+});
+
+test('toJsonData devuelve cada fuente parseada o el documento mergeado completo', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const apis = [{ id: 'a', name: 'A' }, { id: 'b', name: 'B' }];
+  const aggregatorService = createAggregatorService({
+    configManager: { getEnabledApis: async () => apis },
+    cacheManager: { getApiData: async (apiId) => ({ success: true, rawData: `<partidos><partido id="${apiId}"/></partidos>` }) }
+  });
+
+  const result = await aggregatorService.aggregateAllSources();
+  const data = aggregatorService.toJsonData(result, { convention: 'compact', alwaysArray: ['partido'] });
+  assert.deepStrictEqual(data.sources.map(source => [source.id, source.name, source.content]), [
+    ['a', 'A', { partidos: { partido: [{ id: 'a' }] } }],
+    ['b', 'B', { partidos: { partido: [{ id: 'b' }] } }]
+  ]);
+
+  const merged = await aggregatorService.aggregateAllSources({ mergeStrategy: 'flatten' });
+  const mergedData = aggregatorService.toJsonData(merged);
+  assert.ok(mergedData['xml-aggregator']);
+  assert.doesNotMatch(JSON.stringify(mergedData), /xmlContent/);
+});
+
+test('getExportRows aplana los registros del recordXPath y respeta el perfil', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const ExportManager = require('../modules/exportManager');
+  const apis = [
+    { id: 'a', name: 'A', recordXPath: '//partido' },
+    { id: 'b', name: 'B', recordXPath: 'count(//partido)' },
+    { id: 'c', name: 'Sin registros' }
+  ];
+  const exportProfiles = [{ id: 'solo-a', sources: ['a'], columns: [{ name: 'id', label: 'ID' }] }];
+  const aggregatorService = createAggregatorService({
+    configManager: { loadConfig: async () => ({ apis, exportProfiles }), getEnabledApis: async () => apis },
+    cacheManager: {
+      getApiData: async () => ({ success: true, rawData: '<partidos><partido id="1"><local>Boca</local></partido><partido id="2"/></partidos>' })
+    },
+    exportManager: new ExportManager()
+  });
+
+  const result = await aggregatorService.getExportRows();
+  assert.deepStrictEqual(result.rows, [{ source: 'a', id: 1, local: 'Boca' }, { source: 'a', id: 2 }]);
+  assert.deepStrictEqual(result.columns.map(column => column.name), ['source', 'local', 'id']);
+  assert.deepStrictEqual(result.sources.map(source => [source.id, source.exported]), [['a', true], ['c', false]]);
+  assert.deepStrictEqual(result.exportErrors.map(error => error.apiId), ['b']);
+
+  const profiled = await aggregatorService.getExportRows({ profile: 'solo-a' });
+  assert.deepStrictEqual(profiled.columns, [{ name: 'source', label: 'source' }, { name: 'id', label: 'ID' }]);
+  assert.deepStrictEqual(profiled.sources.map(source => source.id), ['a']);
+  assert.strictEqual((await aggregatorService.getExportRows({ profile: 'otro' })).statusCode, 404);
+});
+
+test('getCalendar arma los eventos de las fuentes con calendario, ordenados y filtrados', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const RecordMapper = require('../modules/recordMapper');
+  const CalendarManager = require('../modules/calendarManager');
+  const calendar = { recordPath: 'fixture/partido', fields: { id: '@id', home: 'local', away: 'visitante', start: 'fecha' } };
+  const apis = [
+    { id: 'a', name: 'A', enabled: true, interval: 600, calendar: { ...calendar, competition: 'Liga' } },
+    { id: 'b', name: 'B', enabled: true, interval: 120, calendar, timezone: 'Europe/Madrid' },
+    { id: 'c', name: 'Sin calendario', enabled: true, interval: 60 }
+  ];
+  const bodies = {
+    a: '<fixture><partido id="1"><local>Boca</local><visitante>River</visitante><fecha>2024-03-16 21:00</fecha></partido><partido id="2"><local>Racing</local></partido></fixture>',
+    b: '<fixture><partido id="3"><local>Betis</local><visitante>Sevilla</visitante><fecha>2024-03-16 18:00</fecha></partido></fixture>',
+    c: '<otra/>'
+  };
+  const aggregatorService = createAggregatorService({
+    configManager: {
+      loadConfig: async () => ({ apis, settings: { timezone: 'America/Argentina/Buenos_Aires' } }),
+      getEnabledApis: async () => apis
+    },
+    cacheManager: { getApiData: async (apiId) => ({ success: true, rawData: bodies[apiId] }) },
+    recordMapper: new RecordMapper(),
+    calendarManager: new CalendarManager()
+  });
+
+  const result = await aggregatorService.getCalendar();
+  assert.deepStrictEqual(result.events.map(event => [event.summary, event.start]), [
+    ['Betis vs Sevilla', '2024-03-16T17:00:00.000Z'],
+    ['Boca vs River', '2024-03-17T00:00:00.000Z']
+  ]);
+  assert.deepStrictEqual(result.sources.map(source => [source.id, source.events, source.skipped]), [['a', 1, 1], ['b', 1, 0]]);
+  assert.match(result.ics, /REFRESH-INTERVAL;VALUE=DURATION:PT2M/);
+
+  const filtered = await aggregatorService.getCalendar({ competitions: ['liga'] });
+  assert.deepStrictEqual(filtered.events.map(event => event.source), ['a']);
+  assert.strictEqual((await aggregatorService.getCalendar({ source: 'c' })).statusCode, 404);
+});
+
+test('las agregaciones simultáneas con las mismas opciones se construyen una sola vez', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const getApiData = t.mock.fn(async () => ({ success: true, rawData: '<partidos/>' }));
+  const aggregatorService = createAggregatorService({
+    configManager: { getEnabledApis: async () => [{ id: 'a', name: 'A' }] },
+    cacheManager: { getApiData }
+  });
+
+  const [first, second, merged] = await Promise.all([
+    aggregatorService.aggregateAllSources({ format: 'xml' }),
+    aggregatorService.aggregateAllSources({ format: 'json' }),
+    aggregatorService.aggregateAllSources({ mergeStrategy: 'flatten' })
+  ]);
+
+  assert.strictEqual(getApiData.mock.callCount(), 2);
+  assert.strictEqual(second.aggregatedXml, first.aggregatedXml);
+  assert.deepStrictEqual([first.summary.coalesced, second.summary.coalesced, merged.summary.coalesced], [undefined, true, undefined]);
+  assert.strictEqual(second.summary.options.format, 'json');
+  assert.strictEqual(aggregatorService.stats.coalescedAggregations, 1);
+  assert.strictEqual(aggregatorService.pendingAggregations.size, 0);
+
+  await aggregatorService.aggregateAllSources({ format: 'xml' });
+  assert.strictEqual(getApiData.mock.callCount(), 3);
+});
@@ -0,0 +1,110 @@
+// test/authManager.test.js
+const { test } = require('node:test');
+const assert = require('node:assert');
+const axios = require('axios');
+const AuthManager = require('../modules/authManager');
+
+const oauth2 = {
+  type: 'oauth2',
+  tokenUrl: 'https://auth.example.com/token',
+  clientId: 'cliente',
+  clientSecret: 's3cr3t',
+  scope: 'read'
+};
+
+test('basic, bearer y apiKey agregan sus credenciales sin tocar la configuración original', async () => {
+  const authManager = new AuthManager();
+  const axiosConfig = { headers: { Accept: 'application/xml' }, params: { page: 1 } };
+
+  const basic = await authManager.applyAuth({ type: 'basic', username: 'user', password: 'pass' }, axiosConfig, 'a');
+  assert.strictEqual(basic.headers.Authorization, `Basic ${Buffer.from('user:pass').toString('base64')}`);
+  assert.strictEqual(basic.headers.Accept, 'application/xml');
+
+  const bearer = await authManager.applyAuth({ type: 'bearer', token: 'abc' }, axiosConfig, 'a');
+  assert.strictEqual(bearer.headers.Authorization, 'Bearer abc');
+
+  const header = await authManager.applyAuth({ type: 'apiKey', in: 'header', name: 'X-Api-Key', value: 'k' }, axiosConfig, 'a');
+  assert.strictEqual(header.headers['X-Api-Key'], 'k');
+
+  const query = await authManager.applyAuth({ type: 'apiKey', in: 'query', name: 'key', value: 'k' }, axiosConfig, 'a');
+  assert.deepStrictEqual(query.params, { page: 1, key: 'k' });
+  assert.strictEqual(query.headers['key'], undefined);
+
+  assert.deepStrictEqual(axiosConfig, { headers: { Accept: 'application/xml' }, params: { page: 1 } });
+  assert.strictEqual(await authManager.applyAuth({ type: 'none' }, axiosConfig, 'a'), axiosConfig);
+  await assert.rejects(authManager.applyAuth({ type: 'digest' }, axiosConfig, 'a'), /Unsupported auth type/);
+});
+
+test('OAuth2 pide un solo token para llamadas simultáneas y lo reutiliza', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const requests = [];
+  t.mock.method(axios, 'post', async (url, body, options) => {
+    requests.push({ url, body, headers: options.headers });
+    return { data: { access_token: 'tok-1', token_type: 'bearer', expires_in: 3600 } };
+  });
+  const authManager = new AuthManager();
+
+  const configs = await Promise.all([
+    authManager.applyAuth(oauth2, { headers: {} }, 'api_1'),
+    authManager.applyAuth(oauth2, { headers: {} }, 'api_1')
+  ]);
+  await authManager.applyAuth(oauth2, { headers: {} }, 'api_1');
+
+  assert.strictEqual(requests.length, 1);
+  assert.deepStrictEqual(configs.map(config => config.headers.Authorization), ['Bearer tok-1', 'Bearer tok-1']);
+
+  // client_secret_basic por defecto: credenciales en el header, no en el cuerpo
+  const body = new URLSearchParams(requests[0].body);
+  assert.strictEqual(body.get('grant_type'), 'client_credentials');
+  assert.strictEqual(body.get('scope'), 'read');
+  assert.strictEqual(body.get('client_secret'), null);
+  assert.strictEqual(requests[0].headers.Authorization, `Basic ${Buffer.from('cliente:s3cr3t').toString('base64')}`);
+});
+
+test('OAuth2 renueva el token cerca del vencimiento y después de invalidarlo', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  let issued = 0;
+  t.mock.method(axios, 'post', async () => ({ data: { access_token: `tok-${++issued}`, expires_in: 30 } }));
+  const authManager = new AuthManager();
+
+  // expires_in menor que el margen de renovación: cada llamada pide otro
+  await authManager.getOAuth2Token(oauth2, 'api_1');
+  const renewed = await authManager.getOAuth2Token(oauth2, 'api_1');
+  assert.strictEqual(renewed.accessToken, 'tok-2');
+
+  // Sin margen el token sigue vigente hasta su vencimiento
+  authManager.tokenSkew = 0;
+  assert.strictEqual((await authManager.getOAuth2Token(oauth2, 'api_1')).accessToken, 'tok-2');
+
+  authManager.invalidateToken('api_1');
+  assert.strictEqual((await authManager.getOAuth2Token(oauth2, 'api_1')).accessToken, 'tok-3');
+  assert.deepStrictEqual(authManager.getTokensInfo().map(token => token.key), ['api_1']);
+});
+
+test('OAuth2 con clientAuthMethod body envía las credenciales en el formulario', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  let request;
+  t.mock.method(axios, 'post', async (url, body, options) => {
+    request = { body: new URLSearchParams(body), headers: options.headers };
+    return { data: { access_token: 'tok', token_type: 'MAC' } };
+  });
+  const authManager = new AuthManager();
+
+  const token = await authManager.getOAuth2Token({ ...oauth2, clientAuthMethod: 'body' }, 'api_1');
+
+  assert.strictEqual(request.body.get('client_id'), 'cliente');
+  assert.strictEqual(request.body.get('client_secret'), 's3cr3t');
+  assert.strictEqual(request.headers.Authorization, undefined);
+  assert.strictEqual(token.tokenType, 'MAC');
+});
+
+test('OAuth2 falla sin tokenUrl o sin access_token y no cachea el error', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(axios, 'post', async () => ({ data: { error: 'invalid_client' } }));
+  const authManager = new AuthManager();
+
+  await assert.rejects(authManager.getOAuth2Token({ ...oauth2, tokenUrl: '' }, 'api_1'), /tokenUrl is required/);
+  await assert.rejects(authManager.getOAuth2Token(oauth2, 'api_1'), /without access_token/);
+  assert.strictEqual(authManager.pendingTokens.size, 0);
+  assert.deepStrictEqual(authManager.getTokensInfo(), []);
+});
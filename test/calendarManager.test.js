@@ -0,0 +1,84 @@
+// test/calendarManager.test.js
+const { test } = require('node:test');
+const assert = require('node:assert');
+const CalendarManager = require('../modules/calendarManager');
+
+test('createEvents pasa la hora local de la fuente a UTC y descarta partidos sin fecha', () => {
+  const calendarManager = new CalendarManager();
+  const records = [
+    { id: '7', home: 'Boca', away: 'River', venue: 'La Bombonera', start: '2024-03-15T21:30:00', round: 'Fecha 5' },
+    { id: null, home: 'Racing', away: null, start: '2024-03-16' },
+    { id: '9', home: 'Huracán', away: 'Lanús', start: null }
+  ];
+
+  const events = calendarManager.createEvents(records, {
+    sourceId: 'afa',
+    timezone: 'America/Argentina/Buenos_Aires',
+    competition: 'Liga',
+    duration: 105
+  });
+
+  assert.strictEqual(events.length, 2);
+  assert.deepStrictEqual(
+    [events[0].summary, events[0].start, events[0].end, events[0].allDay, events[0].competition],
+    ['Boca vs River', '2024-03-16T00:30:00.000Z', '2024-03-16T02:15:00.000Z', false, 'Liga']
+  );
+  assert.deepStrictEqual([events[1].summary, events[1].start, events[1].end, events[1].allDay], ['Racing', '2024-03-16', '2024-03-17', true]);
+});
+
+test('el UID no cambia si se reprograma el partido y distingue fuentes', () => {
+  const calendarManager = new CalendarManager();
+  const record = { home: 'Boca', away: 'River', start: '2024-03-15T21:30:00' };
+  const uidOf = (sourceId, start) => calendarManager.createEvents([{ ...record, start }], { sourceId })[0].uid;
+
+  assert.match(uidOf('afa', record.start), /^[0-9a-f]{24}@xml-api-aggregator$/);
+  assert.strictEqual(uidOf('afa', record.start), uidOf('afa', '2024-03-17T19:00:00'));
+  assert.notStrictEqual(uidOf('afa', record.start), uidOf('otra', record.start));
+});
+
+test('toUtc respeta el cambio de horario de verano de la zona', () => {
+  const calendarManager = new CalendarManager();
+
+  assert.strictEqual(calendarManager.toUtc('2024-01-15T21:00:00', 'Europe/Madrid'), '2024-01-15T20:00:00.000Z');
+  assert.strictEqual(calendarManager.toUtc('2024-03-31T03:30:00', 'Europe/Madrid'), '2024-03-31T01:30:00.000Z');
+  assert.strictEqual(calendarManager.toUtc('2024-07-01T12:00:00.000Z', 'Europe/Madrid'), '2024-07-01T12:00:00.000Z');
+});
+
+test('matchesFilters compara equipos y competiciones sin acentos ni mayúsculas', () => {
+  const calendarManager = new CalendarManager();
+  const event = { home: 'Huracán', away: 'Lanús', competition: 'Copa de la Liga', source: 'afa' };
+
+  assert.strictEqual(calendarManager.matchesFilters(event), true);
+  assert.strictEqual(calendarManager.matchesFilters(event, { teams: ['huracan'] }), true);
+  assert.strictEqual(calendarManager.matchesFilters(event, { teams: ['boca', 'LANUS'], competitions: ['copa'] }), true);
+  assert.strictEqual(calendarManager.matchesFilters(event, { competitions: ['AFA'] }), true);
+  assert.strictEqual(calendarManager.matchesFilters(event, { teams: ['huracan'], competitions: ['libertadores'] }), false);
+});
+
+test('buildCalendar genera VEVENTs RFC 5545 con texto escapado y líneas plegadas', () => {
+  const calendarManager = new CalendarManager();
+  const [timed, allDay] = calendarManager.createEvents([
+    { id: '7', home: 'Boca', away: 'River', venue: 'Brandsen 805, La Boca; CABA', start: '2024-03-16T00:30:00.000Z', round: 'Fecha 5' },
+    { id: '8', home: 'Racing', away: 'Independiente', start: '2024-03-17' }
+  ], { sourceId: 'afa', competition: 'Liga Profesional', updated: '2024-03-10T12:00:00.000Z' });
+  allDay.summary = 'Ñ'.repeat(40);
+
+  const ics = calendarManager.buildCalendar([timed, allDay], { name: 'Fútbol', timezone: 'America/Argentina/Buenos_Aires', refreshInterval: 90 });
+  const lines = ics.split('\r\n');
+
+  assert.ok(ics.endsWith('END:VCALENDAR\r\n'));
+  assert.ok(lines.includes('REFRESH-INTERVAL;VALUE=DURATION:PT2M'));
+  assert.ok(lines.includes('DTSTAMP:20240310T120000Z'));
+  assert.ok(lines.includes('DTSTART:20240316T003000Z'));
+  assert.ok(lines.includes('DTEND:20240316T023000Z'));
+  assert.ok(lines.includes('LOCATION:Brandsen 805\\, La Boca\\; CABA'));
+  assert.ok(lines.includes('DESCRIPTION:Liga Profesional - Fecha 5'));
+  assert.ok(lines.includes('DTSTART;VALUE=DATE:20240317'));
+  assert.ok(lines.includes('DTEND;VALUE=DATE:20240318'));
+
+  // SUMMARY de 88 octetos: se pliega sin partir la Ñ y la continuación empieza con un espacio
+  const summary = lines.findIndex(line => line.startsWith('SUMMARY:Ñ'));
+  assert.ok(Buffer.byteLength(lines[summary]) <= 75);
+  assert.match(lines[summary + 1], /^ Ñ+$/);
+  assert.ok(lines.every(line => Buffer.byteLength(line) <= 75));
+});
@@ -0,0 +1,67 @@
+// test/charsetDecoder.test.js
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const CharsetDecoder = require('../modules/charsetDecoder');
+
+const charsetDecoder = new CharsetDecoder();
+
+test('el BOM tiene prioridad sobre el Content-Type y la declaración', () => {
+  const body = Buffer.concat([
+    Buffer.from([0xFF, 0xFE]),
+    Buffer.from('<?xml version="1.0" encoding="ISO-8859-1"?><a>ñ</a>', 'utf16le')
+  ]);
+
+  const result = charsetDecoder.decode(body, 'text/xml; charset=windows-1252');
+
+  assert.strictEqual(result.detectedFrom, 'bom');
+  assert.strictEqual(result.encoding, 'utf-16le');
+  assert.strictEqual(result.text, '<?xml version="1.0" encoding="UTF-8"?><a>ñ</a>');
+});
+
+test('el charset del Content-Type tiene prioridad sobre la declaración XML', () => {
+  const body = Buffer.from('<?xml version="1.0" encoding="UTF-8"?><a>Col\xf3n</a>', 'latin1');
+
+  const result = charsetDecoder.decode(body, 'application/xml; charset="ISO-8859-1"');
+
+  assert.strictEqual(result.detectedFrom, 'content-type');
+  assert.strictEqual(result.encoding, 'windows-1252');
+  assert.strictEqual(result.text, '<?xml version="1.0" encoding="UTF-8"?><a>Colón</a>');
+});
+
+test('sin BOM ni charset se usa la declaración XML, incluso en UTF-16 sin BOM', () => {
+  const latin = charsetDecoder.decode(
+    Buffer.from("<?xml version='1.0' encoding='iso-8859-1'?><a>Uni\xf3n</a>", 'latin1'),
+    'application/xml'
+  );
+  assert.strictEqual(latin.detectedFrom, 'xml-declaration');
+  assert.strictEqual(latin.text, "<?xml version='1.0' encoding='UTF-8'?><a>Unión</a>");
+
+  const utf16 = charsetDecoder.decode(Buffer.from('<?xml version="1.0"?><a>é</a>', 'utf16le'), null);
+  assert.strictEqual(utf16.detectedFrom, 'xml-declaration');
+  assert.strictEqual(utf16.encoding, 'utf-16le');
+  assert.strictEqual(utf16.text, '<?xml version="1.0"?><a>é</a>');
+});
+
+test('los alias de UTF-8 se normalizan y no cuentan como transcodificación', () => {
+  for (const label of ['utf8', 'UTF8', 'Utf-8', 'unicode-1-1-utf-8']) {
+    const result = charsetDecoder.decode(Buffer.from('<a>ñ</a>'), `text/xml; charset=${label}`);
+    assert.strictEqual(result.encoding, 'utf-8', label);
+    assert.strictEqual(result.text, '<a>ñ</a>');
+  }
+
+  assert.strictEqual(charsetDecoder.decode(Buffer.from('<a/>'), null).detectedFrom, 'default');
+});
+
+test('una codificación desconocida cae a UTF-8', () => {
+  const result = charsetDecoder.decode(Buffer.from('<a>ñ</a>'), 'text/xml; charset=x-inventada');
+
+  assert.strictEqual(result.encoding, 'utf-8');
+  assert.strictEqual(result.text, '<a>ñ</a>');
+});
+
+test('rewriteContentType declara UTF-8 y conserva el resto del header', () => {
+  assert.strictEqual(charsetDecoder.rewriteContentType('text/xml; charset=ISO-8859-1'), 'text/xml; charset=utf-8');
+  assert.strictEqual(charsetDecoder.rewriteContentType('text/xml;charset="windows-1252"; v=2'), 'text/xml;charset=utf-8; v=2');
+  assert.strictEqual(charsetDecoder.rewriteContentType('application/xml'), 'application/xml');
+});
@@ -0,0 +1,99 @@
+// test/circuitBreaker.test.js
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const CircuitBreaker = require('../modules/circuitBreaker');
+
+const settings = { failureThreshold: 3, failureRate: 50, windowSize: 10, cooldown: 60 };
+
+/**
+ * Vence el cooldown de un circuito abierto
+ * @param {CircuitBreaker} circuitBreaker - Circuit breaker
+ * @param {string} apiId - ID de la API
+ */
+function expireCooldown(circuitBreaker, apiId) {
+  circuitBreaker.getCircuit(apiId).retryAt = Date.now() - 1;
+}
+
+test('se abre tras failureThreshold fallos consecutivos y bloquea hasta el cooldown', () => {
+  const circuitBreaker = new CircuitBreaker();
+
+  circuitBreaker.recordFailure('api_1', 'timeout', settings);
+  circuitBreaker.recordFailure('api_1', 'timeout', settings);
+  assert.strictEqual(circuitBreaker.getState('api_1').state, 'closed');
+  assert.strictEqual(circuitBreaker.allowRequest('api_1'), true);
+
+  circuitBreaker.recordFailure('api_1', 'timeout', settings);
+  const state = circuitBreaker.getState('api_1');
+  assert.strictEqual(state.state, 'open');
+  assert.strictEqual(state.trips, 1);
+  assert.strictEqual(state.lastError, 'timeout');
+  assert.strictEqual(circuitBreaker.allowRequest('api_1'), false);
+  assert.strictEqual(circuitBreaker.getStats().skippedRequests, 1);
+});
+
+test('pasado el cooldown deja pasar una sola prueba (half-open)', (t) => {
+  t.mock.method(console, 'log', () => {});
+  const circuitBreaker = new CircuitBreaker();
+  for (let i = 0; i < 3; i++) circuitBreaker.recordFailure('api_1', 'timeout', settings);
+
+  expireCooldown(circuitBreaker, 'api_1');
+  assert.strictEqual(circuitBreaker.allowRequest('api_1'), true);
+  assert.strictEqual(circuitBreaker.getState('api_1').state, 'half-open');
+  assert.strictEqual(circuitBreaker.allowRequest('api_1'), false);
+});
+
+test('una prueba fallida vuelve a abrir el circuito sin contar otro disparo', (t) => {
+  t.mock.method(console, 'log', () => {});
+  const circuitBreaker = new CircuitBreaker();
+  for (let i = 0; i < 3; i++) circuitBreaker.recordFailure('api_1', 'timeout', settings);
+  expireCooldown(circuitBreaker, 'api_1');
+  circuitBreaker.allowRequest('api_1');
+
+  circuitBreaker.recordFailure('api_1', 'HTTP 503', settings);
+
+  const state = circuitBreaker.getState('api_1');
+  assert.strictEqual(state.state, 'open');
+  assert.strictEqual(state.trips, 1);
+  assert.ok(new Date(state.retryAt).getTime() > Date.now());
+});
+
+test('una prueba exitosa cierra el circuito y reinicia los fallos consecutivos', (t) => {
+  t.mock.method(console, 'log', () => {});
+  const circuitBreaker = new CircuitBreaker();
+  for (let i = 0; i < 3; i++) circuitBreaker.recordFailure('api_1', 'timeout', settings);
+  expireCooldown(circuitBreaker, 'api_1');
+  circuitBreaker.allowRequest('api_1');
+
+  circuitBreaker.recordSuccess('api_1', settings.windowSize);
+
+  const state = circuitBreaker.getState('api_1');
+  assert.strictEqual(state.state, 'closed');
+  assert.strictEqual(state.consecutiveFailures, 0);
+  assert.strictEqual(state.retryAt, null);
+  assert.strictEqual(circuitBreaker.allowRequest('api_1'), true);
+});
+
+test('se abre por porcentaje de fallos solo con la ventana completa', () => {
+  const circuitBreaker = new CircuitBreaker();
+  const windowSettings = { ...settings, failureThreshold: 100, windowSize: 4 };
+
+  circuitBreaker.recordSuccess('api_1', 4);
+  circuitBreaker.recordFailure('api_1', 'e', windowSettings);
+  circuitBreaker.recordSuccess('api_1', 4);
+  assert.strictEqual(circuitBreaker.getState('api_1').state, 'closed');
+
+  circuitBreaker.recordFailure('api_1', 'e', windowSettings); // 2 de 4 = 50%
+  assert.strictEqual(circuitBreaker.getState('api_1').failureRate, 50);
+  assert.strictEqual(circuitBreaker.getState('api_1').state, 'open');
+});
+
+test('reset cierra el circuito de la fuente', () => {
+  const circuitBreaker = new CircuitBreaker();
+  for (let i = 0; i < 3; i++) circuitBreaker.recordFailure('api_1', 'timeout', settings);
+
+  circuitBreaker.reset('api_1');
+
+  assert.strictEqual(circuitBreaker.getState('api_1').state, 'closed');
+  assert.strictEqual(circuitBreaker.getStats().open, 0);
+});
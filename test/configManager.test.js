@@ -0,0 +1,120 @@
+// test/configManager.test.js
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const ConfigManager = require('../modules/configManager');
+
+let tempDir;
+
+/**
+ * Crea un ConfigManager que escribe en un directorio temporal
+ * @returns {ConfigManager}
+ */
+function createConfigManager() {
+  const configManager = new ConfigManager();
+  configManager.configPath = path.join(tempDir, 'apis.json');
+  return configManager;
+}
+
+beforeEach(async () => {
+  tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'xml-aggregator-config-'));
+});
+
+afterEach(async () => {
+  await fs.rm(tempDir, { recursive: true, force: true });
+});
+
+test('las escrituras simultáneas de estado y del admin no se pisan', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const configManager = createConfigManager();
+  const api = await configManager.addApi({ name: 'Fuente', url: 'http://example.com/a.xml' });
+
+  // Otra instancia (como la del data fetcher) sobre el mismo archivo
+  const fetcherConfig = createConfigManager();
+
+  await Promise.all([
+    fetcherConfig.updateApiStatus(api.id, 'success', { responseTime: 120 }),
+    configManager.updateApi(api.id, { name: 'Fuente renombrada' }),
+    fetcherConfig.updateApiStatus(api.id, 'error', { error: 'timeout' }),
+    configManager.addApi({ name: 'Otra', url: 'http://example.com/b.xml' })
+  ]);
+
+  const config = await configManager.loadConfig();
+  const saved = config.apis.find(item => item.id === api.id);
+
+  assert.strictEqual(config.apis.length, 2);
+  assert.strictEqual(saved.name, 'Fuente renombrada');
+  assert.strictEqual(saved.lastStatus, 'error');
+  assert.strictEqual(saved.lastResponseTime, 120);
+});
+
+test('un error en una escritura no bloquea la cola', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const configManager = createConfigManager();
+
+  await assert.rejects(
+    configManager.withWriteLock(async () => { throw new Error('falla'); }),
+    /falla/
+  );
+
+  const api = await configManager.addApi({ name: 'Fuente', url: 'http://example.com/a.xml' });
+  assert.ok(api.id);
+});
+
+test('validateWindows acepta 00:00 a 23:59 y 24:00 solo como fin', () => {
+  const configManager = createConfigManager();
+  const window = (start, end) => [{ start, end, cron: '*/5 * * * *' }];
+
+  assert.strictEqual(configManager.validateWindows(window('00:00', '24:00'))[0].end, '24:00');
+  assert.strictEqual(configManager.validateWindows(window('9:30', '23:59'))[0].start, '9:30');
+  assert.throws(() => configManager.validateWindows(window('24:59', '23:00')), /Hora inválida/);
+  assert.throws(() => configManager.validateWindows(window('08:00', '24:59')), /Hora inválida/);
+  assert.throws(() => configManager.validateWindows(window('24:00', '23:00')), /Hora inválida/);
+  assert.throws(() => configManager.validateWindows(window('08:00', '24:30')), /Hora inválida/);
+  assert.throws(() => configManager.validateWindows([{ start: '08:00', end: '09:00' }]), /cron/);
+});
+
+test('updateApi rechaza datos inválidos sin guardarlos', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const configManager = createConfigManager();
+  const api = await configManager.addApi({ name: 'Fuente', url: 'http://example.com/a.xml' });
+
+  await assert.rejects(
+    configManager.updateApi(api.id, { windows: [{ start: '24:59', end: '23:00', cron: '* * * * *' }] }),
+    /^Error: Hora inválida/
+  );
+
+  const config = await configManager.loadConfig();
+  assert.deepStrictEqual(config.apis[0].windows, []);
+});
+
+test('cada API puede tener sus propios umbrales de circuit breaker', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const configManager = createConfigManager();
+  const config = configManager.validateConfig({
+    settings: { circuitBreaker: { failureThreshold: 8, cooldown: 120 } },
+    apis: [
+      { name: 'Sensible', url: 'http://example.com/a.xml', circuitBreaker: { failureThreshold: 1, failureRate: 500 } },
+      { name: 'Normal', url: 'http://example.com/b.xml' }
+    ]
+  });
+
+  assert.deepStrictEqual(config.settings.circuitBreaker, { failureThreshold: 8, failureRate: 50, windowSize: 10, cooldown: 120 });
+  assert.deepStrictEqual(config.apis[0].circuitBreaker, { failureThreshold: 1, failureRate: 100, windowSize: 10, cooldown: 120 });
+  assert.deepStrictEqual(config.apis[1].circuitBreaker, config.settings.circuitBreaker);
+
+  const api = await configManager.addApi({ name: 'Nueva', circuitBreaker: { cooldown: 5 } });
+  assert.strictEqual(api.circuitBreaker.cooldown, 5);
+  assert.strictEqual(api.circuitBreaker.failureThreshold, 5);
+});
+
+test('validateTls rechaza certificados fuera del directorio de configuración', () => {
+  const configManager = createConfigManager();
+
+  assert.strictEqual(configManager.validateTls({ caFile: 'certs/ca.pem' }).caFile, 'certs/ca.pem');
+  assert.throws(() => configManager.validateTls({ caFile: '../ca.pem' }), /dentro de config/);
+  assert.throws(() => configManager.validateTls({ certFile: '/etc/ssl/cert.pem', keyFile: 'k.pem' }), /dentro de config/);
+});
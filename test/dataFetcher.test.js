@@ -0,0 +1,227 @@
+// test/dataFetcher.test.js
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const axios = require('axios');
+const ConfigManager = require('../modules/configManager');
+const DataFetcher = require('../modules/dataFetcher');
+
+const settings = new ConfigManager().defaultConfig.settings;
+const api = { id: 'api_1', name: 'Fuente', url: 'http://example.com/a.xml', retries: 3 };
+
+/**
+ * Crea un DataFetcher con dependencias falsas (sin red ni disco)
+ * @param {Object} overrides - Dependencias a reemplazar
+ * @returns {Object} { dataFetcher, calls }
+ */
+function createFetcher(overrides = {}) {
+  const calls = { requests: 0, statuses: [], events: [], webhooks: [] };
+
+  const dataFetcher = new DataFetcher({
+    configManager: {
+      defaultConfig: { settings },
+      loadConfig: async () => ({ settings, apis: [api] }),
+      updateApiStatus: async (apiId, status) => { calls.statuses.push(status); }
+    },
+    cacheManager: {
+      getLastResponse: async () => null,
+      setLastResponse: async () => {}
+    },
+    snapshotManager: {
+      saveSnapshot: async () => {},
+      recordContentHash: async () => null
+    },
+    eventStream: {
+      publish: (event, data) => { calls.events.push({ event, data }); }
+    },
+    webhookManager: {
+      emit: async (event, apiConfig, data) => { calls.webhooks.push({ event, data }); return []; }
+    },
+    fetchQueue: {
+      configure: () => {},
+      schedule: async () => {
+        calls.requests++;
+        return {
+          status: 200,
+          statusText: 'OK',
+          headers: { 'content-type': 'application/xml' },
+          data: Buffer.from('<root><item>1</item></root>')
+        };
+      }
+    },
+    ...overrides
+  });
+
+  return { dataFetcher, calls };
+}
+
+test('un error al guardar el snapshot no convierte el fetch en fallo', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const { dataFetcher, calls } = createFetcher({
+    snapshotManager: {
+      saveSnapshot: async () => { throw new Error('ENOSPC: no space left on device'); },
+      recordContentHash: async () => null
+    }
+  });
+
+  const result = await dataFetcher.fetchApiData(api);
+
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(result.metadata.attempt, 1);
+  assert.strictEqual(calls.requests, 1);
+  assert.deepStrictEqual(calls.statuses, ['success']);
+  assert.strictEqual(dataFetcher.circuitBreaker.getState(api.id).consecutiveFailures, 0);
+});
+
+test('un error al registrar el historial de contenido tampoco reintenta', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const { dataFetcher, calls } = createFetcher();
+  dataFetcher.snapshotManager.recordContentHash = async () => { throw new Error('EIO'); };
+
+  const result = await dataFetcher.fetchApiData(api);
+
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(calls.requests, 1);
+});
+
+test('las pruebas de conexión usan su propia clave de token OAuth2', async () => {
+  const { dataFetcher } = createFetcher();
+  const keys = [];
+  dataFetcher.authManager.applyAuth = async (auth, config, cacheKey) => {
+    keys.push(cacheKey);
+    throw new Error('sin red');
+  };
+
+  const auth = { type: 'oauth2', tokenUrl: 'http://example.com/token', clientId: 'a', clientSecret: 'b' };
+  await dataFetcher.testConnection(api.url, { auth });
+  await dataFetcher.testConnection(api.url, { auth: { ...auth, clientSecret: 'otro' } });
+  await dataFetcher.testConnection(api.url, { auth });
+
+  assert.ok(keys.every(key => key.startsWith('test_') && key !== api.id));
+  assert.notStrictEqual(keys[0], keys[1]);
+  assert.strictEqual(keys[0], keys[2]);
+});
+
+test('un 401 con OAuth2 descarta el token y reintenta enseguida con uno nuevo', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const tokens = ['viejo', 'nuevo'];
+  const sent = [];
+  const { dataFetcher, calls } = createFetcher({
+    fetchQueue: {
+      configure: () => {},
+      schedule: async () => {
+        calls.requests++;
+        if (calls.requests === 1) {
+          throw Object.assign(new Error('Request failed with status code 401'), { response: { status: 401, headers: {} } });
+        }
+        return { status: 200, headers: { 'content-type': 'application/xml' }, data: Buffer.from('<a/>') };
+      }
+    }
+  });
+  dataFetcher.authManager.applyAuth = async (auth, config) => {
+    sent.push(tokens[0]);
+    return { ...config, headers: { ...config.headers, Authorization: `Bearer ${tokens[0]}` } };
+  };
+  dataFetcher.authManager.invalidateToken = t.mock.fn(() => tokens.shift());
+  const retryDelay = t.mock.method(dataFetcher.retryPolicy, 'evaluate');
+
+  const auth = { type: 'oauth2', tokenUrl: 'http://example.com/token', clientId: 'a', clientSecret: 'b' };
+  const result = await dataFetcher.fetchApiData({ ...api, auth });
+
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(result.metadata.attempt, 2);
+  assert.deepStrictEqual(sent, ['viejo', 'nuevo']);
+  assert.deepStrictEqual(dataFetcher.authManager.invalidateToken.mock.calls.map(call => call.arguments), [[api.id]]);
+  assert.strictEqual(retryDelay.mock.callCount(), 0);
+});
+
+test('un cambio de contenido se notifica una vez al stream y a los webhooks', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const { dataFetcher, calls } = createFetcher();
+  const changes = [{ hash: 'h1', previousHash: null }, null, { hash: 'h2', previousHash: 'h1' }];
+  dataFetcher.snapshotManager.recordContentHash = async () => changes.shift();
+
+  const first = await dataFetcher.fetchApiData(api);
+  const unchanged = await dataFetcher.fetchApiData(api);
+  const changed = await dataFetcher.fetchApiData(api);
+
+  assert.deepStrictEqual(first.metadata.contentChange, { hash: 'h1', previousHash: null });
+  assert.strictEqual(unchanged.metadata.contentChange, null);
+  assert.deepStrictEqual(changed.metadata.contentChange, { hash: 'h2', previousHash: 'h1' });
+
+  const streamed = calls.events.filter(({ event }) => event === 'content-changed');
+  assert.strictEqual(streamed.length, 1);
+  assert.strictEqual(streamed[0].data.hash, 'h2');
+  assert.deepStrictEqual(calls.webhooks, [
+    { event: 'content-changed', data: { previousHash: 'h1', hash: 'h2', contentLength: 27 } }
+  ]);
+});
+
+test('el circuit breaker usa los umbrales propios de la fuente', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const { dataFetcher } = createFetcher();
+  dataFetcher.fetchQueue.schedule = async () => { throw Object.assign(new Error('refused'), { code: 'ECONNREFUSED' }); };
+
+  const sensitive = { ...api, id: 'api_2', retries: 1, circuitBreaker: { ...settings.circuitBreaker, failureThreshold: 1 } };
+  await dataFetcher.fetchApiData(sensitive);
+  await dataFetcher.fetchApiData({ ...api, retries: 1 });
+
+  assert.strictEqual(dataFetcher.circuitBreaker.getState('api_2').state, 'open');
+  assert.strictEqual(dataFetcher.circuitBreaker.getState(api.id).state, 'closed');
+});
+
+test('el tiempo de respuesta no incluye la espera en la cola', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const { dataFetcher } = createFetcher();
+  const configured = [];
+  dataFetcher.fetchQueue.configure = limits => { configured.push(limits); };
+  dataFetcher.fetchQueue.schedule = async (url, task) => {
+    await new Promise(resolve => setTimeout(resolve, 200)); // Esperando turno
+    await task();
+    return { status: 200, statusText: 'OK', headers: {}, data: Buffer.from('<a/>') };
+  };
+  t.mock.method(axios, 'get', async () => ({ status: 200 }));
+
+  const result = await dataFetcher.fetchApiData(api);
+
+  assert.strictEqual(result.success, true);
+  assert.ok(result.metadata.responseTime < 150, `responseTime ${result.metadata.responseTime}ms`);
+  assert.deepStrictEqual(configured, []);
+});
+
+test('cada fetch publica su inicio y su resultado en el stream de eventos', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const { dataFetcher, calls } = createFetcher();
+
+  await dataFetcher.fetchApiData(api);
+  assert.deepStrictEqual(calls.events.map(({ event }) => event), ['fetch-started', 'fetch-finished']);
+  assert.deepStrictEqual(calls.events[0].data, { apiId: api.id, apiName: api.name, url: api.url });
+  assert.strictEqual(calls.events[1].data.status, 200);
+  assert.strictEqual(calls.events[1].data.circuit, 'closed');
+
+  calls.events.length = 0;
+  dataFetcher.fetchQueue.schedule = async () => {
+    throw Object.assign(new Error('Request failed with status code 404'), { response: { status: 404, headers: {} } });
+  };
+
+  const result = await dataFetcher.fetchApiData(api);
+  assert.strictEqual(result.success, false);
+  assert.deepStrictEqual(calls.events.map(({ event }) => event), ['fetch-started', 'fetch-failed']);
+  assert.strictEqual(calls.events[1].data.apiId, api.id);
+});
+
+test('las llamadas simultáneas a la misma fuente comparten un único request', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const { dataFetcher, calls } = createFetcher();
+
+  const results = await Promise.all([api, api, api].map(apiConfig => dataFetcher.fetchApiData(apiConfig)));
+
+  assert.strictEqual(calls.requests, 1);
+  assert.strictEqual(results[0], results[2]);
+  assert.strictEqual(dataFetcher.stats.coalescedRequests, 2);
+  assert.strictEqual(dataFetcher.activeRequests.size, 0);
+
+  // Terminado el request, la siguiente llamada vuelve a consultar la fuente
+  await dataFetcher.fetchApiData(api);
+  assert.strictEqual(calls.requests, 2);
+});
@@ -0,0 +1,120 @@
+// test/eventStream.test.js
+const { test } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { EventEmitter, once } = require('events');
+const WebSocket = require('ws');
+const EventStream = require('../modules/eventStream');
+
+/**
+ * Crea un par request/response de Express falso para SSE
+ * @param {Object} query - Query string
+ * @param {Object} headers - Headers del request
+ * @returns {Object} { req, res } con res.chunks escritos
+ */
+function createSseRequest(query = {}, headers = {}) {
+  const req = new EventEmitter();
+  req.query = query;
+  req.get = name => headers[name];
+
+  const res = {
+    chunks: [],
+    writeHead(status, responseHeaders) {
+      this.status = status;
+      this.headers = responseHeaders;
+    },
+    write(chunk) {
+      this.chunks.push(chunk);
+    },
+    end() {
+      this.ended = true;
+    }
+  };
+
+  return { req, res };
+}
+
+test('parseTypes valida el filtro de tipos', () => {
+  const eventStream = new EventStream();
+
+  assert.strictEqual(eventStream.parseTypes(''), null);
+  assert.deepStrictEqual(eventStream.parseTypes('fetch-failed, content-changed,'), ['fetch-failed', 'content-changed']);
+  assert.throws(() => eventStream.parseTypes('fetch-failed,otro'), /Tipo de evento inválido: otro/);
+});
+
+test('SSE envía solo los tipos pedidos y se da de baja al cerrar', () => {
+  const eventStream = new EventStream();
+  const { req, res } = createSseRequest({ types: 'fetch-failed' });
+
+  eventStream.handleSse(req, res);
+  eventStream.publish('fetch-started', { apiId: 'a' });
+  eventStream.publish('fetch-failed', { apiId: 'a', error: 'timeout' });
+
+  assert.strictEqual(res.headers['Content-Type'], 'text/event-stream; charset=utf-8');
+  assert.deepStrictEqual(res.chunks.slice(0, 1), ['retry: 5000\n\n']);
+  assert.strictEqual(res.chunks.length, 2);
+  assert.match(res.chunks[1], /^id: 2\nevent: fetch-failed\ndata: \{"id":2,"type":"fetch-failed",.*"error":"timeout"\}\}\n\n$/);
+  assert.deepStrictEqual(eventStream.getStats().connectedClients, { sse: 1, ws: 0 });
+
+  req.emit('close');
+  assert.strictEqual(eventStream.clients.size, 0);
+  assert.strictEqual(eventStream.heartbeat, null);
+});
+
+test('SSE reanuda desde Last-Event-ID con el historial que cumple el filtro', () => {
+  const eventStream = new EventStream();
+  eventStream.maxHistory = 3;
+  for (const type of ['fetch-started', 'fetch-finished', 'content-changed', 'fetch-started', 'fetch-finished']) {
+    eventStream.publish(type);
+  }
+
+  const resumed = createSseRequest({}, { 'Last-Event-ID': '3' });
+  eventStream.handleSse(resumed.req, resumed.res);
+  assert.deepStrictEqual(resumed.res.chunks.slice(1).map(chunk => chunk.split('\n')[0]), ['id: 4', 'id: 5']);
+
+  // El historial solo guarda los últimos maxHistory eventos
+  const filtered = createSseRequest({ lastEventId: '0', types: 'fetch-finished,content-changed' });
+  eventStream.handleSse(filtered.req, filtered.res);
+  assert.deepStrictEqual(filtered.res.chunks.slice(1).map(chunk => chunk.split('\n')[0]), ['id: 3', 'id: 5']);
+
+  const fresh = createSseRequest();
+  eventStream.handleSse(fresh.req, fresh.res);
+  assert.strictEqual(fresh.res.chunks.length, 1);
+
+  eventStream.close();
+  assert.ok(resumed.res.ended && filtered.res.ended && fresh.res.ended);
+});
+
+test('WebSocket recibe los eventos filtrados y rechaza tipos inválidos', async () => {
+  const eventStream = new EventStream();
+  const server = http.createServer();
+  eventStream.attachWebSocket(server, '/api/stream');
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  const url = `ws://127.0.0.1:${server.address().port}/api/stream`;
+
+  try {
+    const socket = new WebSocket(`${url}?types=content-changed`);
+    await once(socket, 'open');
+    while (eventStream.clients.size === 0) await new Promise(resolve => setImmediate(resolve));
+
+    const message = once(socket, 'message');
+    eventStream.publish('fetch-started', { apiId: 'a' });
+    eventStream.publish('content-changed', { apiId: 'a' });
+    const event = JSON.parse((await message)[0]);
+    assert.deepStrictEqual([event.id, event.type, event.data], [2, 'content-changed', { apiId: 'a' }]);
+    assert.deepStrictEqual(eventStream.getStats().connectedClients, { sse: 0, ws: 1 });
+
+    socket.close();
+    await once(socket, 'close');
+    while (eventStream.clients.size > 0) await new Promise(resolve => setImmediate(resolve));
+
+    const invalid = new WebSocket(`${url}?types=otro`);
+    const [code, reason] = await once(invalid, 'close');
+    assert.strictEqual(code, 1008);
+    assert.match(reason.toString(), /Tipo de evento inválido: otro/);
+  } finally {
+    eventStream.close();
+    server.close();
+  }
+});
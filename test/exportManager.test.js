@@ -0,0 +1,65 @@
+// test/exportManager.test.js
+const { test } = require('node:test');
+const assert = require('node:assert');
+const ExcelJS = require('exceljs');
+const ExportManager = require('../modules/exportManager');
+
+test('flattenRecord aplana atributos, hijos anidados y repetidos', () => {
+  const exportManager = new ExportManager();
+
+  const row = exportManager.flattenRecord({
+    '@_id': 7,
+    '@_local': 'Boca',
+    local: { nombre: 'Boca Jrs', '@_pais': 'AR' },
+    gol: [{ '#text': 'Cavani', '@_min': 12 }, { '#text': 'Merentiel', '@_min': 80 }],
+    nota: ''
+  });
+
+  assert.deepStrictEqual(row, {
+    id: 7,
+    '@local': 'Boca',
+    'local.nombre': 'Boca Jrs',
+    'local.pais': 'AR',
+    gol: 'Cavani; Merentiel',
+    'gol.min': '12; 80'
+  });
+  assert.deepStrictEqual(exportManager.flattenRecord('suelto'), { value: 'suelto' });
+});
+
+test('resolveColumns respeta el perfil y siempre empieza por la fuente', () => {
+  const exportManager = new ExportManager();
+  const rows = [{ source: 'a', id: 1, nombre: 'x' }, { source: 'b', id: 2, precio: 5 }];
+
+  assert.deepStrictEqual(exportManager.resolveColumns(rows).map(column => column.name), ['source', 'id', 'nombre', 'precio']);
+  assert.deepStrictEqual(
+    exportManager.resolveColumns(rows, { columns: [{ name: 'precio', label: 'Precio' }, { name: 'source', label: 'Origen' }] }),
+    [{ name: 'source', label: 'Origen' }, { name: 'precio', label: 'Precio' }]
+  );
+});
+
+test('toCsv escapa separadores, comillas y fórmulas', () => {
+  const exportManager = new ExportManager();
+  const columns = [{ name: 'source', label: 'source' }, { name: 'nombre', label: 'Nombre; completo' }, { name: 'total', label: 'total' }];
+  const rows = [
+    { source: 'a', nombre: 'Pérez, "Juan"', total: -3 },
+    { source: 'b', nombre: '=HYPERLINK("x")' }
+  ];
+
+  assert.strictEqual(
+    exportManager.toCsv(rows, columns),
+    '\uFEFFsource,Nombre; completo,total\r\na,"Pérez, ""Juan""",-3\r\nb,"\'=HYPERLINK(""x"")",\r\n'
+  );
+  assert.match(exportManager.toCsv(rows, columns, { delimiter: ';' }), /^\uFEFFsource;"Nombre; completo";total\r\n/);
+});
+
+test('toXlsx genera una hoja con encabezado y una fila por registro', async () => {
+  const exportManager = new ExportManager();
+  const columns = [{ name: 'source', label: 'Fuente' }, { name: 'total', label: 'Total' }];
+
+  const buffer = await exportManager.toXlsx([{ source: 'a', total: 3 }, { source: 'b' }], columns, { sheetName: 'Partidos' });
+
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+  const sheet = workbook.getWorksheet('Partidos');
+  assert.deepStrictEqual(sheet.getSheetValues().slice(1).map(row => row.slice(1)), [['Fuente', 'Total'], ['a', 3], ['b']]);
+});
@@ -0,0 +1,106 @@
+// test/fetchQueue.test.js
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const FetchQueue = require('../modules/fetchQueue');
+
+/**
+ * Crea una tarea que queda en curso hasta que se la libera
+ * @param {Array} log - Registro de inicios
+ * @param {string} name - Nombre de la tarea
+ * @returns {Object} { task, release }
+ */
+function deferredTask(log, name) {
+  let release;
+  const done = new Promise(resolve => { release = resolve; });
+  return {
+    task: () => { log.push(name); return done.then(() => name); },
+    release: () => release()
+  };
+}
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+test('respeta el máximo global de requests simultáneos', async () => {
+  const fetchQueue = new FetchQueue();
+  fetchQueue.configure({ maxConcurrent: 2, perHost: { maxConcurrent: 10, requestsPerSecond: 0 }, hosts: {} });
+  const log = [];
+  const tasks = ['a', 'b', 'c'].map(name => deferredTask(log, name));
+
+  const results = tasks.map((item, index) => fetchQueue.schedule(`http://host${index}.test/x`, item.task));
+  await tick();
+  assert.deepStrictEqual(log, ['a', 'b']);
+  assert.strictEqual(fetchQueue.getStats().queueDepth, 1);
+
+  tasks[0].release();
+  await results[0];
+  await tick();
+  assert.deepStrictEqual(log, ['a', 'b', 'c']);
+
+  tasks[1].release();
+  tasks[2].release();
+  assert.deepStrictEqual(await Promise.all(results), ['a', 'b', 'c']);
+  assert.strictEqual(fetchQueue.getStats().active, 0);
+});
+
+test('un host saturado no frena a los requests de otros hosts', async () => {
+  const fetchQueue = new FetchQueue();
+  fetchQueue.configure({ maxConcurrent: 10, perHost: { maxConcurrent: 1, requestsPerSecond: 0 }, hosts: {} });
+  const log = [];
+  const first = deferredTask(log, 'a1');
+  const second = deferredTask(log, 'a2');
+  const other = deferredTask(log, 'b1');
+
+  const results = [
+    fetchQueue.schedule('http://a.test/1', first.task),
+    fetchQueue.schedule('http://A.test/2', second.task),
+    fetchQueue.schedule('http://b.test/1', other.task)
+  ];
+  await tick();
+  assert.deepStrictEqual(log, ['a1', 'b1']);
+  assert.deepStrictEqual(fetchQueue.getStats().hosts['a.test'], { active: 1, queued: 1 });
+
+  [first, second, other].forEach(item => item.release());
+  await Promise.all(results);
+  assert.deepStrictEqual(log, ['a1', 'b1', 'a2']);
+});
+
+test('espacia los requests de un host según requestsPerSecond y su override', async () => {
+  const fetchQueue = new FetchQueue();
+  fetchQueue.configure({
+    maxConcurrent: 10,
+    perHost: { maxConcurrent: 10, requestsPerSecond: 0 },
+    hosts: { 'lento.test': { requestsPerSecond: 10 } }
+  });
+  const starts = [];
+  const task = () => { starts.push(Date.now()); return Promise.resolve(); };
+
+  // El timer de la cola no retiene el proceso (en la app lo retiene el servidor)
+  const keepAlive = setInterval(() => {}, 1000);
+  try {
+    await Promise.all([1, 2, 3].map(() => fetchQueue.schedule('http://lento.test/x', task)));
+  } finally {
+    clearInterval(keepAlive);
+  }
+
+  assert.ok(starts[1] - starts[0] >= 90, `separación ${starts[1] - starts[0]}ms`);
+  assert.ok(starts[2] - starts[1] >= 90, `separación ${starts[2] - starts[1]}ms`);
+  assert.strictEqual(fetchQueue.getStats().queued, 2);
+
+  const fast = [];
+  await Promise.all([1, 2, 3].map(() => fetchQueue.schedule('http://rapido.test/x', () => { fast.push(Date.now()); })));
+  assert.ok(fast[2] - fast[0] < 50);
+});
+
+test('un request fallido rechaza su promesa y libera el lugar', async () => {
+  const fetchQueue = new FetchQueue();
+  fetchQueue.configure({ maxConcurrent: 1, perHost: { maxConcurrent: 1, requestsPerSecond: 0 }, hosts: {} });
+
+  const failed = fetchQueue.schedule('http://a.test/x', async () => { throw new Error('ECONNRESET'); });
+  const next = fetchQueue.schedule('http://a.test/y', async () => 'ok');
+
+  await assert.rejects(failed, /ECONNRESET/);
+  assert.strictEqual(await next, 'ok');
+  await tick();
+  assert.strictEqual(fetchQueue.getStats().completed, 2);
+});
@@ -0,0 +1,69 @@
+// test/recordMapper.test.js
+const { test } = require('node:test');
+const assert = require('node:assert');
+const RecordMapper = require('../modules/recordMapper');
+
+const canonical = {
+  recordName: 'partido',
+  fields: [
+    { name: 'id', type: 'string' },
+    { name: 'local', type: 'string' },
+    { name: 'goles', type: 'int', default: 0 },
+    { name: 'jugado', type: 'bool' },
+    { name: 'fecha', type: 'date' }
+  ]
+};
+
+test('mapRecords emite los campos canónicos en orden desde cada mapeo', () => {
+  const recordMapper = new RecordMapper();
+  const xml = `<fixture>
+    <match code="7"><home><name> Boca </name></home><score>2</score><played>si</played><day>15/03/2024</day><time>21:30</time></match>
+    <match code="9"><home><name>River</name></home><played>0</played><day>20240316</day></match>
+  </fixture>`;
+  const mapping = {
+    recordPath: 'fixture/match',
+    fields: {
+      id: '@code',
+      local: 'home/name',
+      goles: { path: 'score' },
+      jugado: 'played',
+      fecha: ['day', 'time']
+    }
+  };
+
+  const records = recordMapper.mapRecords(xml, mapping, canonical);
+
+  assert.deepStrictEqual(records, [
+    { id: '7', local: 'Boca', goles: 2, jugado: true, fecha: '2024-03-15T21:30:00' },
+    { id: '9', local: 'River', goles: 0, jugado: false, fecha: '2024-03-16' }
+  ]);
+  assert.deepStrictEqual(Object.keys(records[0]), canonical.fields.map(field => field.name));
+});
+
+test('un valor que no se puede convertir usa el default del mapeo o queda en null', () => {
+  const recordMapper = new RecordMapper();
+  const xml = '<partidos><partido><goles>muchos</goles><jugado>quizás</jugado><fecha>31/02/2024</fecha></partido></partidos>';
+  const mapping = {
+    recordPath: 'partidos/partido',
+    fields: { goles: { path: 'goles', default: -1 }, jugado: 'jugado', fecha: 'fecha' }
+  };
+
+  const [record] = recordMapper.mapRecords(xml, mapping, canonical);
+
+  assert.deepStrictEqual(record, { id: null, local: null, goles: -1, jugado: null, fecha: null });
+  assert.deepStrictEqual(recordMapper.mapRecords(xml, { ...mapping, recordPath: 'otro/partido' }, canonical), []);
+});
+
+test('parseDate normaliza ISO, epoch y formatos locales', () => {
+  const recordMapper = new RecordMapper();
+
+  assert.strictEqual(recordMapper.parseDate('2024-03-15T21:30:00-03:00'), '2024-03-16T00:30:00.000Z');
+  assert.strictEqual(recordMapper.parseDate('1710549000'), '2024-03-16T00:30:00.000Z');
+  assert.strictEqual(recordMapper.parseDate('1710549000000'), '2024-03-16T00:30:00.000Z');
+  assert.strictEqual(recordMapper.parseDate('2024-03-15 21:30'), '2024-03-15T21:30:00');
+  assert.strictEqual(recordMapper.parseDate('20240315 2130'), '2024-03-15T21:30:00');
+  assert.strictEqual(recordMapper.parseDate('5.3.2024'), '2024-03-05');
+  assert.strictEqual(recordMapper.parseDate('2024-13-01'), null);
+  assert.strictEqual(recordMapper.parseDate('2024-03-15 25:00'), null);
+  assert.strictEqual(recordMapper.parseDate('mañana'), null);
+});
@@ -0,0 +1,108 @@
+// test/retryPolicy.test.js
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const RetryPolicy = require('../modules/retryPolicy');
+
+const policy = {
+  baseDelay: 1000,
+  maxDelay: 5000,
+  retryOn: ['timeout', 'server_error', 'rate_limited'],
+  respectRetryAfter: true,
+  maxRetryAfter: 60
+};
+const budget = { ratio: 20, minRetries: 2, window: 60 };
+
+/**
+ * Crea un error como los de axios con status y headers
+ * @param {number} status - Status HTTP
+ * @param {Object} headers - Headers de la respuesta
+ * @returns {Error}
+ */
+function httpError(status, headers = {}) {
+  return Object.assign(new Error(`HTTP ${status}`), { response: { status, headers } });
+}
+
+test('el backoff usa full jitter entre 0 y el tope exponencial', (t) => {
+  const retryPolicy = new RetryPolicy();
+
+  t.mock.method(Math, 'random', () => 0.999999);
+  assert.strictEqual(retryPolicy.getBackoff(1, policy), 1000);
+  assert.strictEqual(retryPolicy.getBackoff(2, policy), 2000);
+  assert.strictEqual(retryPolicy.getBackoff(3, policy), 4000);
+  assert.strictEqual(retryPolicy.getBackoff(4, policy), 5000); // Tope maxDelay
+
+  Math.random.mock.mockImplementation(() => 0);
+  assert.strictEqual(retryPolicy.getBackoff(4, policy), 0);
+
+  Math.random.mock.mockImplementation(() => 0.5);
+  assert.strictEqual(retryPolicy.getBackoff(2, policy), 1000);
+});
+
+test('no reintenta errores fuera de retryOn', () => {
+  const retryPolicy = new RetryPolicy();
+  retryPolicy.recordRequest(budget);
+
+  const decision = retryPolicy.evaluate(httpError(404), 'client_error', 1, policy, budget);
+
+  assert.strictEqual(decision.retry, false);
+  assert.strictEqual(retryPolicy.getStats().notRetried, 1);
+  assert.strictEqual(retryPolicy.getStats().window.retries, 0);
+});
+
+test('respeta Retry-After en segundos o fecha y corta si supera el máximo', () => {
+  const retryPolicy = new RetryPolicy();
+  retryPolicy.recordRequest(budget);
+
+  const seconds = retryPolicy.evaluate(httpError(429, { 'retry-after': '7' }), 'rate_limited', 1, policy, budget);
+  assert.deepStrictEqual(seconds, { retry: true, delay: 7000 });
+
+  const date = new Date(Date.now() + 10000).toUTCString();
+  const byDate = retryPolicy.evaluate(httpError(503, { 'retry-after': date }), 'server_error', 1, policy, budget);
+  assert.ok(byDate.retry && byDate.delay > 8000 && byDate.delay <= 10000, `delay ${byDate.delay}`);
+
+  const tooLong = retryPolicy.evaluate(httpError(429, { 'retry-after': '3600' }), 'rate_limited', 1, policy, budget);
+  assert.strictEqual(tooLong.retry, false);
+  assert.strictEqual(retryPolicy.getStats().retryAfterTooLong, 1);
+
+  assert.strictEqual(retryPolicy.parseRetryAfter('no-es-fecha'), null);
+});
+
+test('el presupuesto global permite minRetries o ratio% de los requests de la ventana', () => {
+  const retryPolicy = new RetryPolicy();
+  const timeout = new Error('timeout');
+
+  // 5 requests: max(2, 20% de 5 = 1) = 2 reintentos
+  for (let i = 0; i < 5; i++) retryPolicy.recordRequest(budget);
+  assert.strictEqual(retryPolicy.evaluate(timeout, 'timeout', 1, policy, budget).retry, true);
+  assert.strictEqual(retryPolicy.evaluate(timeout, 'timeout', 1, policy, budget).retry, true);
+
+  const exhausted = retryPolicy.evaluate(timeout, 'timeout', 1, policy, budget);
+  assert.strictEqual(exhausted.retry, false);
+  assert.match(exhausted.reason, /presupuesto/);
+
+  // 20 requests: 20% = 4 reintentos
+  for (let i = 0; i < 15; i++) retryPolicy.recordRequest(budget);
+  assert.strictEqual(retryPolicy.evaluate(timeout, 'timeout', 1, policy, budget).retry, true);
+  assert.strictEqual(retryPolicy.evaluate(timeout, 'timeout', 1, policy, budget).retry, true);
+  assert.strictEqual(retryPolicy.evaluate(timeout, 'timeout', 1, policy, budget).retry, false);
+  assert.strictEqual(retryPolicy.getStats().budgetExhausted, 2);
+});
+
+test('los registros fuera de la ventana liberan el presupuesto', () => {
+  const retryPolicy = new RetryPolicy();
+  const timeout = new Error('timeout');
+  const noMinimum = { ...budget, minRetries: 0, ratio: 100 };
+
+  retryPolicy.recordRequest(noMinimum);
+  assert.strictEqual(retryPolicy.evaluate(timeout, 'timeout', 1, policy, noMinimum).retry, true);
+  assert.strictEqual(retryPolicy.evaluate(timeout, 'timeout', 1, policy, noMinimum).retry, false);
+
+  // Envejecer la ventana
+  retryPolicy.requests = retryPolicy.requests.map(time => time - 61000);
+  retryPolicy.retries = retryPolicy.retries.map(time => time - 61000);
+  retryPolicy.recordRequest(noMinimum);
+
+  assert.strictEqual(retryPolicy.evaluate(timeout, 'timeout', 1, policy, noMinimum).retry, true);
+  assert.deepStrictEqual(retryPolicy.getStats().window, { requests: 1, retries: 1 });
+});
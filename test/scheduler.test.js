@@ -0,0 +1,293 @@
+// test/scheduler.test.js
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const Scheduler = require('../modules/scheduler');
+
+/**
+ * Crea un Scheduler con dependencias falsas (sin red ni disco)
+ * @returns {Scheduler}
+ */
+function createScheduler() {
+  const scheduler = new Scheduler({
+    configManager: {},
+    cacheManager: { getApiData: async () => ({ success: true }), getStats: () => ({}) },
+    dataFetcher: {},
+    xmlProcessor: {},
+    webhookManager: { stop: () => {} }
+  });
+  scheduler.timezone = 'UTC';
+  return scheduler;
+}
+
+test('getActiveWindow respeta días, fechas y ventanas que cruzan la medianoche', () => {
+  const scheduler = createScheduler();
+  const api = {
+    timezone: 'UTC',
+    windows: [
+      { days: [1], dates: [], start: '09:00', end: '10:00', cron: '* * * * *' },
+      { days: [], dates: [], start: '22:00', end: '02:00', cron: '* * * * *' },
+      { days: [], dates: ['2026-03-07'], start: '12:00', end: '24:00', cron: '* * * * *' }
+    ]
+  };
+
+  // 2026-03-02 es lunes
+  assert.strictEqual(scheduler.getActiveWindow(api, new Date('2026-03-02T09:30:00Z')), 0);
+  assert.strictEqual(scheduler.getActiveWindow(api, new Date('2026-03-02T10:00:00Z')), -1);
+  assert.strictEqual(scheduler.getActiveWindow(api, new Date('2026-03-03T09:30:00Z')), -1);
+  assert.strictEqual(scheduler.getActiveWindow(api, new Date('2026-03-03T23:15:00Z')), 1);
+  assert.strictEqual(scheduler.getActiveWindow(api, new Date('2026-03-04T01:59:00Z')), 1);
+  assert.strictEqual(scheduler.getActiveWindow(api, new Date('2026-03-07T23:59:00Z')), 1);
+  assert.strictEqual(scheduler.getActiveWindow(api, new Date('2026-03-07T12:00:00Z')), 2);
+});
+
+test('getActiveWindow usa la zona horaria de la API', () => {
+  const scheduler = createScheduler();
+  const api = {
+    timezone: 'America/Argentina/Buenos_Aires', // UTC-3
+    windows: [{ days: [], dates: [], start: '09:00', end: '10:00', cron: '* * * * *' }]
+  };
+
+  assert.strictEqual(scheduler.getActiveWindow(api, new Date('2026-03-02T12:30:00Z')), 0);
+  assert.strictEqual(scheduler.getActiveWindow(api, new Date('2026-03-02T09:30:00Z')), -1);
+});
+
+test('la próxima ejecución de una ventana lejana se calcula sin recorrer minuto a minuto', () => {
+  const scheduler = createScheduler();
+  const api = {
+    name: 'Fuente',
+    timezone: 'UTC',
+    windows: [{ days: [], dates: ['2026-09-15'], start: '09:00', end: '11:00', cron: '*/10 * * * *' }]
+  };
+  const data = { type: 'cron', api, expression: '0 * * * *', timezone: 'UTC', windows: api.windows };
+  const from = new Date('2026-03-02T08:30:00Z');
+
+  const startedAt = Date.now();
+  const windowRun = scheduler.findNextCronRun('*/10 * * * *', 'UTC', from,
+    date => scheduler.getActiveWindow(api, date) === 0,
+    date => scheduler.getNextWindowBoundary(api, date));
+  const nextRun = scheduler.getNextRun(data, from);
+  const elapsed = Date.now() - startedAt;
+
+  assert.strictEqual(windowRun.toISOString(), '2026-09-15T09:00:00.000Z');
+  assert.strictEqual(nextRun.toISOString(), '2026-03-02T09:00:00.000Z');
+  assert.ok(elapsed < 1000, `tardó ${elapsed}ms`);
+});
+
+test('el cron base salta las horas cubiertas por una ventana', () => {
+  const scheduler = createScheduler();
+  const api = {
+    timezone: 'UTC',
+    windows: [{ days: [], dates: [], start: '09:00', end: '18:00', cron: '*/5 * * * *' }]
+  };
+  const data = { type: 'cron', api, expression: '*/30 * * * *', timezone: 'UTC', windows: api.windows };
+
+  const next = scheduler.findNextCronRun(data.expression, 'UTC', new Date('2026-03-02T09:10:00Z'),
+    date => scheduler.getActiveWindow(api, date) === -1,
+    date => scheduler.getNextWindowBoundary(api, date));
+
+  assert.strictEqual(next.toISOString(), '2026-03-02T18:00:00.000Z');
+  assert.strictEqual(scheduler.getNextRun(data, new Date('2026-03-02T09:10:00Z')).toISOString(),
+    '2026-03-02T09:15:00.000Z');
+});
+
+test('una ventana fuera del horizonte de búsqueda no tiene próxima ejecución', () => {
+  const scheduler = createScheduler();
+  const api = {
+    timezone: 'UTC',
+    windows: [{ days: [], dates: ['2030-01-01'], start: '00:00', end: '24:00', cron: '* * * * *' }]
+  };
+
+  const startedAt = Date.now();
+  const next = scheduler.findNextCronRun('* * * * *', 'UTC', new Date('2026-03-02T00:00:00Z'),
+    date => scheduler.getActiveWindow(api, date) === 0,
+    date => scheduler.getNextWindowBoundary(api, date));
+
+  assert.strictEqual(next, null);
+  assert.ok(Date.now() - startedAt < 1000);
+});
+
+test('los saltos de ventana respetan los cambios de horario', () => {
+  const scheduler = createScheduler();
+  // Madrid pasa de 02:00 a 03:00 el 2026-03-29
+  const api = {
+    timezone: 'Europe/Madrid',
+    windows: [{ days: [], dates: [], start: '04:00', end: '05:00', cron: '*/15 * * * *' }]
+  };
+
+  const next = scheduler.findNextCronRun('*/15 * * * *', 'Europe/Madrid', new Date('2026-03-28T23:30:00Z'),
+    date => scheduler.getActiveWindow(api, date) === 0,
+    date => scheduler.getNextWindowBoundary(api, date));
+
+  // 04:00 en horario de verano (UTC+2)
+  assert.strictEqual(next.toISOString(), '2026-03-29T02:00:00.000Z');
+});
+
+test('scheduleApiJob programa una fuente adaptativa con ventanas', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const scheduler = createScheduler();
+  const api = {
+    id: 'api_adaptive',
+    name: 'Adaptativa',
+    url: 'http://example.com/a.xml',
+    interval: 300,
+    timezone: 'UTC',
+    adaptive: { enabled: true, minInterval: 60, maxInterval: 900, increaseFactor: 1.5, decreaseFactor: 0.5 },
+    windows: [{ days: [], dates: [], start: '09:00', end: '10:00', cron: '*/5 * * * *' }]
+  };
+
+  try {
+    await scheduler.scheduleApiJob(api);
+
+    const job = scheduler.intervals.get('api_api_adaptive');
+    assert.ok(job, 'el trabajo adaptativo no quedó registrado');
+    assert.strictEqual(job.type, 'adaptive');
+    assert.strictEqual(job.tasks.length, 1);
+    assert.strictEqual(scheduler.getContentHistory(api.id).effectiveIntervalMs, 300000);
+    assert.ok(job.nextRunAt > Date.now());
+  } finally {
+    scheduler.clearAllJobs();
+  }
+});
+
+test('recordContentCheck acorta el intervalo adaptativo ante cambios y lo alarga sin ellos', () => {
+  const scheduler = createScheduler();
+  const api = {
+    id: 'api_adaptive',
+    interval: 300,
+    adaptive: { enabled: true, minInterval: 60, maxInterval: 900, increaseFactor: 2, decreaseFactor: 0.5 }
+  };
+
+  const entry = (hash, previousHash) => ({ hash, previousHash });
+
+  // Primera versión conocida: no hay contra qué comparar
+  assert.strictEqual(scheduler.recordContentCheck(api, entry('h1', null)), false);
+  assert.strictEqual(scheduler.getEffectiveInterval(api), 300);
+
+  scheduler.recordContentCheck(api, null);
+  assert.strictEqual(scheduler.getEffectiveInterval(api), 600);
+
+  scheduler.recordContentCheck(api, null);
+  assert.strictEqual(scheduler.getEffectiveInterval(api), 900); // Tope maxInterval
+
+  assert.strictEqual(scheduler.recordContentCheck(api, entry('h2', 'h1')), true);
+  assert.strictEqual(scheduler.getEffectiveInterval(api), 450);
+  assert.strictEqual(scheduler.getContentHistory(api.id).lastHash, 'h2');
+});
+
+test('el primer cambio tras un reinicio cuenta como cambio (historial del data fetcher)', () => {
+  const scheduler = createScheduler();
+  const api = {
+    id: 'api_adaptive',
+    interval: 300,
+    adaptive: { enabled: true, minInterval: 60, maxInterval: 900, increaseFactor: 2, decreaseFactor: 0.5 }
+  };
+
+  // Proceso recién iniciado: el historial persistido ya tenía una versión anterior
+  assert.strictEqual(scheduler.recordContentCheck(api, { hash: 'h2', previousHash: 'h1' }), true);
+  assert.strictEqual(scheduler.getEffectiveInterval(api), 150);
+  assert.strictEqual(scheduler.getContentHistory(api.id).changes, 1);
+});
+
+test('el cache de una fuente con cron dura hasta su próxima ejecución', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  // Lunes 07:00 UTC
+  t.mock.timers.enable({ apis: ['Date'], now: new Date('2026-03-02T07:00:00Z') });
+
+  const scheduler = createScheduler();
+  const stored = new Map();
+  scheduler.cacheManager.setApiData = async (apiId, data, ttl) => stored.set(apiId, ttl);
+  scheduler.dataFetcher.fetchApiData = async () => ({ success: true, data: '<a/>', metadata: {} });
+  scheduler.xmlProcessor.processXmlData = async () => ({ success: true });
+  scheduler.recordStatusTransition = () => {};
+
+  // Una vez por día, mucho más espaciado que el intervalo configurado
+  const api = { id: 'api_cron', name: 'Diaria', interval: 300, cron: '0 6 * * *', timezone: 'UTC' };
+
+  try {
+    await scheduler.scheduleApiJob(api);
+    await scheduler.executeApiJob(api);
+
+    // Próxima ejecución: martes 06:00 (23 h)
+    assert.strictEqual(stored.get('api_cron'), 23 * 60 * 60 * 1000 + scheduler.cacheTtlMargin);
+  } finally {
+    scheduler.clearAllJobs();
+  }
+});
+
+test('executeAllNow cachea cada fuente hasta su próxima ejecución', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.timers.enable({ apis: ['Date'], now: new Date('2026-03-02T07:00:00Z') });
+
+  const scheduler = createScheduler();
+  const stored = new Map();
+  scheduler.cacheManager.setApiData = async (apiId, data, ttl) => stored.set(apiId, ttl);
+  scheduler.cacheManager.setAggregatedData = async () => true;
+  scheduler.dataFetcher.fetchAllApis = async () => ({ results: [{ success: true, apiId: 'api_cron' }] });
+  scheduler.xmlProcessor.processMultipleXmlData = async () => ({
+    results: [{ success: true, apiId: 'api_cron' }, { success: true, apiId: 'api_unscheduled' }]
+  });
+  scheduler.xmlProcessor.aggregateXmlSources = async () => ({ success: true });
+
+  // Lunes 06:00: la próxima es el lunes siguiente
+  const api = { id: 'api_cron', name: 'Semanal', interval: 300, cron: '0 6 * * 1', timezone: 'UTC' };
+
+  try {
+    await scheduler.scheduleApiJob(api);
+    await scheduler.executeAllNow();
+
+    assert.strictEqual(stored.get('api_cron'), (6 * 24 + 23) * 60 * 60 * 1000 + scheduler.cacheTtlMargin);
+    assert.strictEqual(stored.get('api_unscheduled'), 300 * 1000 + scheduler.cacheTtlMargin);
+  } finally {
+    scheduler.clearAllJobs();
+  }
+});
+
+test('initialize programa las APIs habilitadas al arrancar y stop las detiene', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const scheduler = createScheduler();
+  const webhookStop = t.mock.method(scheduler.webhookManager, 'stop');
+  scheduler.cacheManager.initialize = async () => {};
+  scheduler.configManager.loadConfig = async () => ({
+    settings: { timezone: 'UTC' },
+    apis: [
+      { id: 'api_1', name: 'Habilitada', url: 'http://example.com/a.xml', enabled: true, interval: 300 },
+      { id: 'api_2', name: 'Deshabilitada', url: 'http://example.com/b.xml', enabled: false, interval: 300 },
+      { id: 'api_3', name: 'Sin URL', url: '', enabled: true, interval: 300 }
+    ]
+  });
+
+  try {
+    await scheduler.initialize();
+
+    assert.strictEqual(scheduler.isRunning, true);
+    assert.deepStrictEqual([...scheduler.jobs.keys()].sort(), ['aggregation', 'api_api_1', 'cache_cleanup']);
+    assert.strictEqual(scheduler.stats.activeJobs, 3);
+  } finally {
+    await scheduler.stop();
+  }
+
+  assert.strictEqual(scheduler.isRunning, false);
+  assert.strictEqual(scheduler.jobs.size + scheduler.intervals.size, 0);
+  assert.strictEqual(webhookStop.mock.callCount(), 1);
+});
+
+test('al arrancar ejecuta enseguida las APIs que no tienen datos cacheados', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const scheduler = createScheduler();
+  scheduler.cacheManager.getApiData = async (apiId) => (apiId === 'api_cached' ? { success: true } : null);
+  const executed = t.mock.method(scheduler, 'executeApiJob', async () => {});
+
+  try {
+    await scheduler.scheduleApiJob({ id: 'api_cached', name: 'Cacheada', interval: 300, cron: '0 * * * *' });
+    await scheduler.scheduleApiJob({ id: 'api_empty', name: 'Vacía', interval: 300, cron: '0 * * * *' });
+
+    // Demora aleatoria de hasta 5s para no consultar todo a la vez
+    t.mock.timers.tick(5000);
+
+    assert.deepStrictEqual(executed.mock.calls.map(call => call.arguments[0].id), ['api_empty']);
+  } finally {
+    scheduler.clearAllJobs();
+  }
+});
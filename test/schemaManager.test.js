@@ -0,0 +1,80 @@
+// test/schemaManager.test.js
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const SchemaManager = require('../modules/schemaManager');
+
+let tempDir;
+
+const schema = `<?xml version="1.0"?>
+<xs:schema xmlns:xs="http://www.w3.org/2001/XMLSchema">
+  <xs:element name="partidos">
+    <xs:complexType>
+      <xs:sequence>
+        <xs:element name="partido" maxOccurs="unbounded">
+          <xs:complexType>
+            <xs:attribute name="id" type="xs:integer" use="required"/>
+          </xs:complexType>
+        </xs:element>
+      </xs:sequence>
+    </xs:complexType>
+  </xs:element>
+</xs:schema>`;
+
+/**
+ * Crea un SchemaManager que guarda los esquemas en un directorio temporal
+ * @returns {SchemaManager}
+ */
+function createSchemaManager() {
+  const schemaManager = new SchemaManager();
+  schemaManager.schemasDir = tempDir;
+  return schemaManager;
+}
+
+beforeEach(async () => {
+  tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'xml-aggregator-schemas-'));
+});
+
+afterEach(async () => {
+  await fs.rm(tempDir, { recursive: true, force: true });
+});
+
+test('saveSchema rechaza nombres con rutas y XSD que libxml no compila', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const schemaManager = createSchemaManager();
+
+  assert.throws(() => schemaManager.getPath('../fuera.xsd'), /Nombre de esquema inválido/);
+  await assert.rejects(schemaManager.saveSchema('a.xsd', '<xs:schema'), /XSD mal formado/);
+  await assert.rejects(
+    schemaManager.saveSchema('a.xsd', '<xs:schema xmlns:xs="http://www.w3.org/2001/XMLSchema"><xs:element name="a" type="xs:nada"/></xs:schema>'),
+    /XSD inválido/
+  );
+  assert.deepStrictEqual(await schemaManager.listSchemas(), []);
+
+  await schemaManager.saveSchema('a.xsd', schema);
+  assert.deepStrictEqual((await schemaManager.listSchemas()).map(item => item.name), ['a.xsd']);
+});
+
+test('validate informa cada violación con línea y columna', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const schemaManager = createSchemaManager();
+  await schemaManager.saveSchema('a.xsd', schema);
+
+  const valid = await schemaManager.validate('<partidos><partido id="1"/></partidos>', 'a.xsd');
+  assert.deepStrictEqual(valid, { isValid: true, schema: 'a.xsd', errors: [] });
+
+  const invalid = await schemaManager.validate('<partidos>\n  <partido id="uno"/>\n  <otro/>\n</partidos>', 'a.xsd');
+  assert.strictEqual(invalid.isValid, false);
+  assert.strictEqual(invalid.totalErrors, 2);
+  assert.deepStrictEqual(invalid.errors.map(error => [error.line, error.column]), [[2, 12], [3, 3]]);
+  assert.match(invalid.errors[0].message, /attribute 'id'/);
+
+  const malformed = await schemaManager.validate('<partidos>', 'a.xsd');
+  assert.strictEqual(malformed.isValid, false);
+  assert.strictEqual(malformed.errors.length, 1);
+
+  await assert.rejects(schemaManager.validate('<a/>', 'otro.xsd'), /Esquema no encontrado: otro.xsd/);
+  assert.deepStrictEqual(schemaManager.getStats(), { totalValidations: 3, failedValidations: 2, cachedSchemas: 1 });
+});
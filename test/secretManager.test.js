@@ -0,0 +1,40 @@
+// test/secretManager.test.js
+process.env.XML_AGGREGATOR_SECRET_KEY = 'test-key';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const SecretManager = require('../modules/secretManager');
+
+const secretManager = new SecretManager();
+
+test('isSameOrigin compara protocolo, host y puerto', () => {
+  assert.strictEqual(secretManager.isSameOrigin('https://api.example.com/otra?x=1', 'https://api.example.com/feed.xml'), true);
+  assert.strictEqual(secretManager.isSameOrigin('https://api.example.com:443/a', 'https://api.example.com/b'), true);
+  assert.strictEqual(secretManager.isSameOrigin('http://api.example.com/a', 'https://api.example.com/a'), false);
+  assert.strictEqual(secretManager.isSameOrigin('https://api.example.com.evil.io/a', 'https://api.example.com/a'), false);
+  assert.strictEqual(secretManager.isSameOrigin('https://api.example.com:8443/a', 'https://api.example.com/a'), false);
+  assert.strictEqual(secretManager.isSameOrigin('no es una url', 'https://api.example.com/a'), false);
+});
+
+test('los secretos de una API se cifran, enmascaran y restauran', () => {
+  const api = {
+    headers: { Authorization: 'Bearer abc', 'X-Trace': 'visible' },
+    auth: { type: 'basic', username: 'user', password: 'secreto' }
+  };
+
+  const encrypted = secretManager.encryptApi(api);
+  assert.ok(secretManager.isEncrypted(encrypted.auth.password));
+  assert.ok(secretManager.isEncrypted(encrypted.headers.Authorization));
+  assert.strictEqual(encrypted.headers['X-Trace'], 'visible');
+
+  const masked = secretManager.maskApi(encrypted);
+  assert.strictEqual(masked.auth.password, '***');
+  assert.strictEqual(secretManager.hasMaskedValues([masked]), true);
+
+  const restored = secretManager.decryptApi(secretManager.restoreMaskedApi(masked, encrypted));
+  assert.strictEqual(restored.auth.password, 'secreto');
+  assert.strictEqual(restored.headers.Authorization, 'Bearer abc');
+
+  // Sin API guardada (otro origen) la máscara no se convierte en el secreto
+  assert.strictEqual(secretManager.restoreMaskedApi(masked, null).auth.password, '');
+});
@@ -0,0 +1,73 @@
+// test/snapshotManager.test.js
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const SnapshotManager = require('../modules/snapshotManager');
+const CacheManager = require('../modules/cacheManager');
+
+let tempDir;
+
+/**
+ * Crea un SnapshotManager que escribe en un directorio temporal
+ * @returns {SnapshotManager}
+ */
+function createSnapshotManager() {
+  const snapshotManager = new SnapshotManager();
+  snapshotManager.snapshotsDir = tempDir;
+  return snapshotManager;
+}
+
+beforeEach(async () => {
+  tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'xml-aggregator-snapshots-'));
+});
+
+afterEach(async () => {
+  await fs.rm(tempDir, { recursive: true, force: true });
+});
+
+test('recordContentHash solo agrega entradas cuando el contenido cambia', async () => {
+  const snapshotManager = createSnapshotManager();
+
+  const first = await snapshotManager.recordContentHash('api_1', '<a><b>1</b></a>');
+  assert.strictEqual(first.previousHash, null);
+  assert.deepStrictEqual(first.elements, { a: 1, b: 1 });
+
+  assert.strictEqual(await snapshotManager.recordContentHash('api_1', '<a><b>1</b></a>'), null);
+
+  const second = await snapshotManager.recordContentHash('api_1', '<a><b>2</b></a>');
+  assert.strictEqual(second.previousHash, first.hash);
+
+  const history = await snapshotManager.getContentHistory('api_1');
+  assert.deepStrictEqual(history.map(entry => entry.hash), [first.hash, second.hash]);
+});
+
+test('el historial sobrevive a un reinicio y a la limpieza del caché', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const cacheManager = new CacheManager();
+  cacheManager.cacheDir = path.join(tempDir, 'cache');
+  await fs.mkdir(cacheManager.cacheDir);
+  await createSnapshotManager().recordContentHash('api_1', '<a>1</a>');
+
+  await cacheManager.clear();
+
+  // Nueva instancia, como tras reiniciar el proceso
+  const snapshotManager = createSnapshotManager();
+  const change = await snapshotManager.recordContentHash('api_1', '<a>2</a>');
+
+  assert.ok(change.previousHash, 'el primer cambio tras reiniciar no se detectó');
+  assert.strictEqual((await snapshotManager.getContentHistory('api_1')).length, 2);
+});
+
+test('el historial respeta historyLimit y las escrituras simultáneas no se pisan', async () => {
+  const snapshotManager = createSnapshotManager();
+  snapshotManager.historyLimit = 3;
+
+  await Promise.all([1, 2, 3, 4, 5].map(n => snapshotManager.recordContentHash('api_1', `<a>${n}</a>`)));
+
+  const history = await snapshotManager.getContentHistory('api_1');
+  assert.strictEqual(history.length, 3);
+  history.slice(1).forEach((entry, index) => assert.strictEqual(entry.previousHash, history[index].hash));
+});
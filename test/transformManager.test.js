@@ -0,0 +1,91 @@
+// test/transformManager.test.js
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const TransformManager = require('../modules/transformManager');
+
+let tempDir;
+
+const stylesheet = `<?xml version="1.0"?>
+<xsl:stylesheet version="1.0" xmlns:xsl="http://www.w3.org/1999/XSL/Transform">
+  <xsl:template match="/">
+    <partidos><xsl:for-each select="fixture/match"><partido id="{@code}"/></xsl:for-each></partidos>
+  </xsl:template>
+</xsl:stylesheet>`;
+
+/**
+ * Crea un TransformManager que guarda las hojas en un directorio temporal
+ * @returns {TransformManager}
+ */
+function createTransformManager() {
+  const transformManager = new TransformManager();
+  transformManager.transformsDir = tempDir;
+  return transformManager;
+}
+
+beforeEach(async () => {
+  tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'xml-aggregator-transforms-'));
+});
+
+afterEach(async () => {
+  await fs.rm(tempDir, { recursive: true, force: true });
+});
+
+test('solo acepta nombres .xsl/.xslt sin rutas', () => {
+  const transformManager = createTransformManager();
+
+  assert.strictEqual(transformManager.validateName('fuente-b.xsl'), 'fuente-b.xsl');
+  assert.strictEqual(TransformManager.isValidName('Fuente_B.XSLT'), true);
+  for (const name of ['../fuera.xsl', 'sub/dir.xsl', '.oculto.xsl', 'hoja.xml', '']) {
+    assert.throws(() => transformManager.getPath(name), /Nombre de hoja de estilo inválido/, name);
+  }
+});
+
+test('saveTransform rechaza hojas mal formadas o sin el namespace XSLT', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const transformManager = createTransformManager();
+
+  await assert.rejects(transformManager.saveTransform('a.xsl', '<xsl:stylesheet'), /XSLT mal formado/);
+  await assert.rejects(transformManager.saveTransform('a.xsl', '<stylesheet/>'), /namespace XSLT/);
+  await assert.rejects(transformManager.saveTransform('a.xsl', '  '), /vacía/);
+
+  await transformManager.saveTransform('a.xsl', stylesheet);
+  assert.deepStrictEqual((await transformManager.listTransforms()).map(item => item.name), ['a.xsl']);
+  assert.strictEqual(await transformManager.getTransform('a.xsl'), stylesheet);
+  assert.strictEqual(await transformManager.getTransform('otra.xsl'), null);
+});
+
+test('transform aplica la hoja y reutiliza el resultado mientras no cambien el cuerpo ni la hoja', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const transformManager = createTransformManager();
+  await transformManager.saveTransform('a.xsl', stylesheet);
+  const xml = '<fixture><match code="7"/><match code="9"/></fixture>';
+
+  const output = await transformManager.transform(xml, 'a.xsl', 'api_1');
+  assert.match(output, /<partidos><partido id="7"\/><partido id="9"\/><\/partidos>/);
+
+  await transformManager.transform(xml, 'a.xsl', 'api_1');
+  assert.deepStrictEqual([transformManager.stats.totalTransforms, transformManager.stats.cacheHits], [1, 1]);
+
+  // Otra versión de la hoja (mtime distinto) invalida el resultado cacheado
+  await transformManager.saveTransform('a.xsl', stylesheet.replace('partido id', 'juego id'));
+  const future = new Date(Date.now() + 5000);
+  await fs.utimes(path.join(tempDir, 'a.xsl'), future, future);
+
+  assert.match(await transformManager.transform(xml, 'a.xsl', 'api_1'), /<juego id="7"\/>/);
+  assert.strictEqual(transformManager.stats.totalTransforms, 2);
+});
+
+test('transform informa hojas inexistentes y borrarlas las quita del listado', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const transformManager = createTransformManager();
+  await transformManager.saveTransform('a.xsl', stylesheet);
+
+  await assert.rejects(transformManager.transform('<a/>', 'otra.xsl'), /Hoja de estilo no encontrada: otra.xsl/);
+
+  assert.strictEqual(await transformManager.deleteTransform('a.xsl'), true);
+  assert.strictEqual(await transformManager.deleteTransform('a.xsl'), false);
+  assert.deepStrictEqual(await transformManager.listTransforms(), []);
+});
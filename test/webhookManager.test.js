@@ -0,0 +1,104 @@
+// test/webhookManager.test.js
+process.env.XML_AGGREGATOR_SECRET_KEY = 'test-key';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const axios = require('axios');
+const SecretManager = require('../modules/secretManager');
+const WebhookManager = require('../modules/webhookManager');
+
+const secretManager = new SecretManager();
+const api = { id: 'api_1', name: 'Fuente', url: 'http://example.com/a.xml' };
+
+/**
+ * Crea un WebhookManager con una configuración en memoria
+ * @param {Array} webhooks - Suscripciones
+ * @returns {WebhookManager}
+ */
+function createWebhookManager(webhooks) {
+  const webhookManager = new WebhookManager({
+    configManager: { loadConfig: async () => ({ webhooks }) },
+    secretManager
+  });
+  webhookManager.baseDelay = 5;
+  return webhookManager;
+}
+
+/**
+ * Espera a que una entrega deje de estar pendiente (como máximo 2 segundos)
+ * @param {Object} delivery - Entrega
+ */
+async function settled(delivery) {
+  const deadline = Date.now() + 2000;
+  while ((delivery.status === 'pending' || delivery.status === 'retrying') && Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+}
+
+const webhook = {
+  id: 'wh_1',
+  name: 'Receptor',
+  url: 'http://example.com/hook',
+  enabled: true,
+  events: ['content-changed'],
+  sources: [],
+  secret: secretManager.encrypt('s3cr3t')
+};
+
+test('la firma es el HMAC-SHA256 del cuerpo exacto con el secreto descifrado', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const requests = [];
+  t.mock.method(axios, 'post', async (url, body, options) => {
+    requests.push({ url, body, headers: options.headers });
+    return { status: 204 };
+  });
+
+  const webhookManager = createWebhookManager([webhook, { ...webhook, id: 'wh_2', events: ['fetch-failed'] }]);
+  const [delivery, ...rest] = await webhookManager.emit('content-changed', api, { hash: 'abc' });
+  await settled(delivery);
+
+  assert.strictEqual(rest.length, 0);
+  assert.strictEqual(delivery.status, 'delivered');
+
+  const { body, headers } = requests[0];
+  const expected = 'sha256=' + crypto.createHmac('sha256', 's3cr3t').update(body).digest('hex');
+  assert.strictEqual(headers['X-Webhook-Signature'], expected);
+  assert.strictEqual(headers['X-Webhook-Event'], 'content-changed');
+  assert.strictEqual(JSON.parse(body).data.hash, 'abc');
+});
+
+test('un secreto que no se puede descifrar marca la entrega como fallida sin enviarla', async (t) => {
+  const post = t.mock.method(axios, 'post', async () => ({ status: 204 }));
+  const otherKey = new SecretManager();
+  otherKey.getKey = () => crypto.createHash('sha256').update('otra-clave').digest();
+
+  const webhookManager = createWebhookManager([{ ...webhook, secret: otherKey.encrypt('s3cr3t') }]);
+  const [delivery] = await webhookManager.emit('content-changed', api);
+  await settled(delivery);
+
+  assert.strictEqual(delivery.status, 'failed');
+  assert.match(delivery.error, /firmar/);
+  assert.strictEqual(post.mock.callCount(), 0);
+});
+
+test('reintenta ante 5xx y no ante otros 4xx', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const statuses = [500, 503, 200];
+  t.mock.method(axios, 'post', async () => ({ status: statuses.shift() }));
+
+  const webhookManager = createWebhookManager([{ ...webhook, secret: null }]);
+  const [retried] = await webhookManager.emit('content-changed', api);
+  await settled(retried);
+
+  assert.strictEqual(retried.status, 'delivered');
+  assert.strictEqual(retried.attempts, 3);
+
+  statuses.push(404);
+  const [rejected] = await webhookManager.emit('content-changed', api);
+  await settled(rejected);
+
+  assert.strictEqual(rejected.status, 'failed');
+  assert.strictEqual(rejected.attempts, 1);
+  webhookManager.stop();
+});
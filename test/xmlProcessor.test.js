@@ -0,0 +1,191 @@
+// test/xmlProcessor.test.js
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const XmlProcessor = require('../modules/xmlProcessor');
+
+/**
+ * Arma una estructura agregada con una fuente por XML
+ * @param {XmlProcessor} xmlProcessor - Procesador (para parsear)
+ * @param {Object} sources - XML por ID de fuente
+ * @returns {Object} Estructura con data.sources
+ */
+function createStructure(xmlProcessor, sources) {
+  return {
+    'xml-aggregator': {
+      data: {
+        sources: Object.entries(sources).map(([id, xml]) => ({
+          '@_id': id,
+          content: xmlProcessor.parser.parse(xml)
+        }))
+      }
+    }
+  };
+}
+
+const sources = {
+  a: '<root><item id="1"><name>Uno</name></item><item id="2"><name>Dos</name></item><note>A</note></root>',
+  b: '<catalog><item id="2"><name>Otro</name><price>5</price></item><item id="3"><name>Tres</name></item></catalog>'
+};
+
+test('flatten concatena los hijos de cada fuente en orden y marca su procedencia', () => {
+  const xmlProcessor = new XmlProcessor();
+  const structure = createStructure(xmlProcessor, sources);
+
+  xmlProcessor.applyMergeStrategy(structure, 'flatten');
+
+  const root = structure['xml-aggregator'];
+  assert.strictEqual(root['@_merge-strategy'], 'flatten');
+  assert.deepStrictEqual(root.data.item.map(item => [item['@_id'], item['@_source-id']]), [
+    [1, 'a'], [2, 'a'], [2, 'b'], [3, 'b']
+  ]);
+  assert.deepStrictEqual(root.data.note, [{ '#text': 'A', '@_source-id': 'a' }]);
+});
+
+test('group-by-type agrupa por tag con nombre y cantidad', () => {
+  const xmlProcessor = new XmlProcessor();
+  const structure = createStructure(xmlProcessor, sources);
+
+  xmlProcessor.applyMergeStrategy(structure, 'group-by-type');
+
+  const groups = structure['xml-aggregator'].data.group;
+  assert.deepStrictEqual(groups.map(group => [group['@_name'], group['@_count']]), [['item', 4], ['note', 1]]);
+  assert.strictEqual(groups[0].item.length, 4);
+});
+
+test('merge-by-key fusiona registros con la misma clave y prevalece la primera fuente', () => {
+  const xmlProcessor = new XmlProcessor();
+  const structure = createStructure(xmlProcessor, sources);
+
+  xmlProcessor.applyMergeStrategy(structure, 'merge-by-key', { mergeKey: '@id' });
+
+  const items = structure['xml-aggregator'].data.item;
+  assert.deepStrictEqual(items.map(item => item['@_id']), [1, 2, 3]);
+  assert.strictEqual(items[1].name, 'Dos');
+  assert.strictEqual(items[1].price, 5);
+  assert.strictEqual(items[1]['@_source-id'], 'a b');
+  assert.strictEqual(items[2]['@_source-id'], 'b');
+});
+
+test('merge-by-key usa la clave de cada fuente y no fusiona registros sin clave', () => {
+  const xmlProcessor = new XmlProcessor();
+  const structure = createStructure(xmlProcessor, {
+    a: '<root><item><info><code>X</code></info><v>1</v></item><item><v>2</v></item></root>',
+    b: '<root><item code="X"><w>3</w></item><item><w>4</w></item></root>'
+  });
+
+  xmlProcessor.applyMergeStrategy(structure, 'merge-by-key', {
+    mergeKeys: { a: 'info/code', b: '@code' }
+  });
+
+  const items = structure['xml-aggregator'].data.item;
+  assert.strictEqual(items.length, 3);
+  assert.strictEqual(items[0].v, 1);
+  assert.strictEqual(items[0].w, 3);
+  assert.strictEqual(items[0]['@_source-id'], 'a b');
+});
+
+test('una estrategia desconocida deja la estructura sin cambios', () => {
+  const xmlProcessor = new XmlProcessor();
+  const structure = createStructure(xmlProcessor, sources);
+
+  xmlProcessor.applyMergeStrategy(structure, 'none');
+
+  assert.strictEqual(structure['xml-aggregator'].data.sources.length, 2);
+  assert.strictEqual(structure['xml-aggregator']['@_merge-strategy'], undefined);
+});
+
+test('diffXml empareja hermanos por id y reporta agregados, eliminados y cambios', () => {
+  const xmlProcessor = new XmlProcessor();
+  const diff = xmlProcessor.diffXml(
+    '<fixture><partido id="1" hora="20:00"><local>Colón</local></partido><partido id="2"/></fixture>',
+    '<fixture><partido id="3"/><partido id="1" hora="21:00" tv="si"><local>Unión</local></partido></fixture>'
+  );
+
+  assert.deepStrictEqual(diff.summary, { added: 2, removed: 1, changed: 2 });
+  assert.deepStrictEqual(diff.changes.map(change => [change.type, change.path]), [
+    ['changed', '/fixture/partido[@id="1"]/@hora'],
+    ['added', '/fixture/partido[@id="1"]/@tv'],
+    ['changed', '/fixture/partido[@id="1"]/local/text()'],
+    ['removed', '/fixture/partido[@id="2"]'],
+    ['added', '/fixture/partido[@id="3"]']
+  ]);
+  assert.strictEqual(diff.changes[0].oldValue, '20:00');
+  assert.strictEqual(diff.changes[0].newValue, '21:00');
+});
+
+test('diffXml empareja por posición sin atributo identificador y detecta otra raíz', () => {
+  const xmlProcessor = new XmlProcessor();
+
+  const byPosition = xmlProcessor.diffXml('<r><i>a</i><i>b</i></r>', '<r><i>a</i><i>c</i><i>d</i></r>');
+  assert.deepStrictEqual(byPosition.changes.map(change => [change.type, change.path]), [
+    ['changed', '/r/i[2]/text()'],
+    ['added', '/r/i[3]']
+  ]);
+
+  assert.deepStrictEqual(xmlProcessor.diffXml('<a/>', '<a/>').summary, { added: 0, removed: 0, changed: 0 });
+  assert.deepStrictEqual(xmlProcessor.diffXml('<a/>', '<b/>').changes, [
+    { type: 'changed', node: 'element', path: '/', oldValue: 'a', newValue: 'b' }
+  ]);
+  assert.throws(() => xmlProcessor.diffXml('<a/>', '<b>'), /Invalid XML \(to\)/);
+});
+
+test('diffXml arma selectores válidos para claves con comillas', () => {
+  const xmlProcessor = new XmlProcessor();
+  const diff = xmlProcessor.diffXml(
+    `<r><i id='say "hi"'>a</i><i id="it's">b</i><i id="both &quot;'">c</i></r>`,
+    `<r><i id='say "hi"'>x</i><i id="it's">y</i><i id="both &quot;'">z</i></r>`
+  );
+
+  assert.deepStrictEqual(diff.changes.map(change => change.path), [
+    `/r/i[@id='say "hi"']/text()`,
+    '/r/i[@id="it\'s"]/text()',
+    `/r/i[@id=concat("both ", '"', "'")]/text()`
+  ]);
+});
+
+test('queryXPath devuelve nodos o valores escalares y rechaza expresiones inválidas', () => {
+  const xmlProcessor = new XmlProcessor();
+  const xml = '<fixture xmlns:tv="urn:tv"><partido id="1">Colón<tv:canal>7</tv:canal></partido><partido id="2"/></fixture>';
+
+  const nodes = xmlProcessor.queryXPath(xml, '//partido[@id="1"] | //partido/@id | //partido/text()');
+  assert.deepStrictEqual(nodes.nodes.map(node => [node.type, node.name || node.value]), [
+    ['element', 'partido'], ['attribute', 'id'], ['text', 'Colón'], ['attribute', 'id']
+  ]);
+
+  assert.deepStrictEqual(xmlProcessor.queryXPath(xml, 'count(//partido)'), { type: 'number', value: 2 });
+  assert.deepStrictEqual(xmlProcessor.queryXPath(xml, 'string(//partido/@id)'), { type: 'string', value: '1' });
+  assert.deepStrictEqual(xmlProcessor.queryXPath(xml, 'boolean(//falta)'), { type: 'boolean', value: false });
+  assert.strictEqual(xmlProcessor.queryXPath(xml, '//tv:canal', { tv: 'urn:tv' }).nodes[0].xml, '<tv:canal>7</tv:canal>');
+
+  assert.throws(() => xmlProcessor.queryXPath(xml, '//partido['), /Invalid XPath expression/);
+  assert.throws(() => xmlProcessor.queryXPath('<a>', '/a'), /Invalid XML/);
+});
+
+test('toJson convierte según la convención y alwaysArray', () => {
+  const xmlProcessor = new XmlProcessor();
+  const xml = '<?xml version="1.0"?><fixture xmlns:g="urn:g"><match id="7" local="Boca"><local>Boca Jrs</local><goles>2</goles><g:nota/></match></fixture>';
+
+  assert.deepStrictEqual(xmlProcessor.toJson(xml), {
+    fixture: {
+      '@_xmlns:g': 'urn:g',
+      match: { '@_id': 7, '@_local': 'Boca', local: 'Boca Jrs', goles: 2, 'g:nota': '' }
+    }
+  });
+
+  assert.deepStrictEqual(xmlProcessor.toJson(xml, { convention: 'badgerfish' }), {
+    fixture: {
+      '@xmlns': { g: 'urn:g' },
+      match: { '@id': '7', '@local': 'Boca', local: { $: 'Boca Jrs' }, goles: { $: '2' }, 'g:nota': {} }
+    }
+  });
+
+  const compact = xmlProcessor.toJson(xml, { convention: 'compact' });
+  assert.deepStrictEqual(compact.fixture.match, { id: 7, '@local': 'Boca', local: 'Boca Jrs', goles: 2, 'g:nota': '' });
+
+  assert.ok(Array.isArray(xmlProcessor.toJson(xml, { alwaysArray: true }).fixture.match));
+  const tagged = xmlProcessor.toJson(xml, { alwaysArray: ['goles'] });
+  assert.deepStrictEqual([tagged.fixture.match.goles, Array.isArray(tagged.fixture)], [[2], false]);
+
+  assert.throws(() => xmlProcessor.toJson(xml, { convention: 'jsonml' }), /Unsupported JSON convention: jsonml/);
+});